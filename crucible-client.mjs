@@ -0,0 +1,154 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE CLIENT — UI-side handle on a hosted CrucibleEngine
+//  Spawns crucible-worker.mjs (falls back to an in-thread host when
+//  the worker fails to load) and rebuilds each snapshot into an
+//  engine-shaped read-only view for the canvas renderers and panels
+// ═══════════════════════════════════════════════════════════
+
+import { GLYPH_STRIDE, FLAG, createEngineHost } from './crucible-host.mjs';
+
+// Rebuild a packed snapshot into the shape renderField / renderChart / renderHelix read from an engine
+function unpackSnapshot(snap) {
+  const { numeric, meta, pairIdx, pairScore } = snap;
+  const list = meta.map(([id, tags, ancestry, culture, reflexType, seasonBorn], i) => {
+    const o = i * GLYPH_STRIDE;
+    const flags = numeric[o + 12];
+    const H = numeric[o + 13];
+    return {
+      id, tags, ancestry, culture, reflexType, seasonBorn,
+      x: numeric[o], y: numeric[o + 1], entropy: numeric[o + 2], pulsePhase: numeric[o + 3], birthTime: numeric[o + 4],
+      generation: numeric[o + 5], stability: numeric[o + 6], influenceScore: numeric[o + 7], priority: numeric[o + 8],
+      mutationRate: numeric[o + 9], dampenerRadius: numeric[o + 10], dampenerLifespan: numeric[o + 11],
+      isConcept: !!(flags & FLAG.concept), isAttractor: !!(flags & FLAG.attractor), isReflex: !!(flags & FLAG.reflex),
+      isDampener: !!(flags & FLAG.dampener), entrained: !!(flags & FLAG.entrained),
+      thermodynamicState: Number.isNaN(H) ? null : { H, dH_dt: numeric[o + 14], tau_coherence: numeric[o + 15], phi_phase: numeric[o + 16] },
+    };
+  });
+  const glyphs = new Map(list.map(g => [g.id, g]));
+  const resonanceMatrix = new Map();
+  for (let i = 0; i < pairScore.length; i++) {
+    const a = list[pairIdx[i * 2]], b = list[pairIdx[i * 2 + 1]];
+    resonanceMatrix.set(`${a.id},${b.id}`, { a, b, score: pairScore[i] });
+  }
+  const collisionLog = Array.from(snap.collisionRes, (resonance, i) => ({ resonance, crossType: snap.collisionCross[i] === 1 }));
+  return {
+    ...snap,
+    glyphs, resonanceMatrix, collisionLog,
+    openPipes: new Map(snap.openPipes.map(k => [k, 0])),
+    conceptualAttractors: new Map(snap.attractors),
+    helix: { ...snap.helix, history: Array.from(snap.helix.history), A_history: Array.from(snap.helix.A_history), phase_history: Array.from(snap.helix.phase_history) },
+  };
+}
+
+class CrucibleClient {
+  constructor({ useWorker = true } = {}) {
+    this.view = null;
+    this.pending = new Map();
+    this.nextRequestId = 1;
+    this.listeners = new Set();
+    this.eventListeners = new Map(); // engine event type | '*' → Set<fn>
+    this.errorListeners = new Set();
+    this.unreportedErrors = []; // raised before any onError listener was attached — handed to the first one
+    // Renderer-owned history survives across snapshots (renderChart appends to it)
+    this.entropyChartHistory = [];
+    this.worker = null;
+    this.workerReady = false; // set by the worker's 'ready' message once its module has loaded
+    if (useWorker && typeof Worker !== 'undefined') {
+      try {
+        this.worker = new Worker(new URL('./crucible-worker.mjs', import.meta.url), { type: 'module' });
+        this.worker.onmessage = (e) => this.receive(e.data);
+        this.worker.onerror = (e) => {
+          if (!this.workerReady) { this.fallbackToLocal(); return; }
+          // A runtime error in a loaded worker: the host (and the run) is still there, so report rather than replace it
+          e.preventDefault();
+          this.reportError(new Error(e.message || 'Crucible worker error'));
+        };
+      } catch { this.worker = null; }
+    }
+    if (!this.worker) this.startLocal();
+  }
+
+  get isWorker() { return this.worker !== null; }
+
+  startLocal() {
+    const handle = createEngineHost((msg) => setTimeout(() => this.receive(msg), 0));
+    this.deliver = (msg) => setTimeout(() => handle(msg), 0);
+  }
+
+  fallbackToLocal() {
+    // Worker failed to load (e.g. module workers unsupported) — replay outstanding requests in-thread
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.startLocal();
+    for (const { msg } of this.pending.values()) this.deliver(msg);
+  }
+
+  receive(msg) {
+    if (msg.type === 'ready') { this.workerReady = true; return; }
+    // Early batch from a long step / replay — the rest arrive with the next snapshot
+    if (msg.type === 'events') { this.emitEvents(msg.events); return; }
+    if (msg.type === 'snapshot') {
+      this.view = unpackSnapshot(msg);
+      this.view._entropyChartHistory = this.entropyChartHistory;
+      this.emitEvents(msg.events || []);
+      for (const fn of this.listeners) fn(this.view);
+      return;
+    }
+    // Unsolicited (no id): the host's run loop threw
+    if (msg.type === 'error' && msg.id == null) { this.reportError(new Error(msg.message)); return; }
+    const entry = this.pending.get(msg.id);
+    if (!entry) return;
+    this.pending.delete(msg.id);
+    if (msg.type === 'error') entry.reject(new Error(msg.message));
+    else entry.resolve(msg.result);
+  }
+
+  request(type, payload = {}) {
+    const msg = { ...payload, type, id: this.nextRequestId++ };
+    return new Promise((resolve, reject) => {
+      this.pending.set(msg.id, { msg, resolve, reject });
+      if (this.worker) this.worker.postMessage(msg); else this.deliver(msg);
+    });
+  }
+
+  onSnapshot(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  // Typed engine events ({ type, gen, ...payload }), delivered in order with each snapshot (or in earlier batches during long steps and replays)
+  onEvent(type, fn) {
+    if (!this.eventListeners.has(type)) this.eventListeners.set(type, new Set());
+    this.eventListeners.get(type).add(fn);
+    return () => this.eventListeners.get(type)?.delete(fn);
+  }
+
+  emitEvents(events) {
+    for (const event of events) {
+      for (const key of [event.type, '*']) for (const fn of this.eventListeners.get(key) || []) fn(event);
+    }
+  }
+
+  // Errors not tied to a request (the run loop threw, the worker hit a runtime error)
+  onError(fn) {
+    this.errorListeners.add(fn);
+    for (const err of this.unreportedErrors.splice(0)) fn(err);
+    return () => this.errorListeners.delete(fn);
+  }
+
+  reportError(err) {
+    if (!this.errorListeners.size) { this.unreportedErrors.push(err); return; }
+    for (const fn of this.errorListeners) fn(err);
+  }
+
+  // Clear renderer history when the timeline is replaced (reset / restore)
+  clearHistory() { this.entropyChartHistory.length = 0; }
+
+  dispose() {
+    this.listeners.clear(); this.eventListeners.clear(); this.errorListeners.clear(); this.unreportedErrors.length = 0;
+    if (this.worker) { this.worker.terminate(); this.worker = null; }
+    else this.deliver({ type: 'pause' });
+  }
+}
+
+export { unpackSnapshot, CrucibleClient };
@@ -0,0 +1,114 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE CONDITIONS — tiny expression language over engine metrics
+//  "psi > 0.93", "attractors >= 5 and season == consolidation",
+//  "season becomes dormancy", "helixStable changes".
+//  The metric table is supplied by the caller (the engine exports
+//  CONDITION_METRICS), so this module knows nothing about engine state.
+// ═══════════════════════════════════════════════════════════
+
+// Grammar:  condition := clause (('and' | 'or') clause)*      — 'and' binds tighter, no parentheses
+//           clause    := metric op literal | metric 'becomes' literal | metric 'changes'
+//           op        := > >= < <= == !=
+// Comparisons hold while true; 'becomes' / 'changes' hold only on the evaluation where the value moves.
+const COMPARATORS = {
+  '>':  (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<':  (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+};
+const TOKEN = /\s*(>=|<=|==|!=|>|<|[^\s<>=!]+)/y;
+
+function tokenize(text) {
+  const tokens = [], end = text.trimEnd().length;
+  let pos = 0;
+  while (pos < end) {
+    TOKEN.lastIndex = pos;
+    const m = TOKEN.exec(text);
+    if (!m) throw new Error(`Cannot read "${text.slice(pos).trim()}"`);
+    tokens.push(m[1]); pos = TOKEN.lastIndex;
+  }
+  return tokens;
+}
+
+// metrics: { name: { get(engine), type: 'number' | 'boolean' | 'enum', values?: string[] } }
+function parseLiteral(raw, name, spec) {
+  if (raw == null) throw new Error(`${name}: missing value`);
+  if (spec.type === 'number') {
+    const v = Number(raw);
+    if (!Number.isFinite(v)) throw new Error(`${name} is a number, got "${raw}"`);
+    return v;
+  }
+  if (spec.type === 'boolean') {
+    if (raw !== 'true' && raw !== 'false') throw new Error(`${name} is true or false, got "${raw}"`);
+    return raw === 'true';
+  }
+  const v = raw.toLowerCase();
+  if (!spec.values.includes(v)) throw new Error(`${name} is one of ${spec.values.join(', ')}, got "${raw}"`);
+  return v;
+}
+
+function parseClause(tokens, metrics) {
+  const [name, op, raw, ...rest] = tokens;
+  if (rest.length) throw new Error(`Unexpected "${rest.join(' ')}" — join clauses with "and" / "or"`);
+  const spec = metrics[name];
+  if (!spec) throw new Error(`Unknown metric "${name}" — one of: ${Object.keys(metrics).join(', ')}`);
+  if (op === 'changes') {
+    if (raw != null) throw new Error(`"${name} changes" takes no value`);
+    return { metric: name, op };
+  }
+  if (op === 'becomes') return { metric: name, op, value: parseLiteral(raw, name, spec) };
+  if (!COMPARATORS[op]) throw new Error(`${name}: expected one of ${Object.keys(COMPARATORS).join(' ')} becomes changes, got "${op ?? ''}"`);
+  if (spec.type !== 'number' && op !== '==' && op !== '!=') throw new Error(`${name} only supports == != becomes changes`);
+  return { metric: name, op, value: parseLiteral(raw, name, spec) };
+}
+
+// → { any: [{ all: [clause, ...] }, ...] } — disjunction of conjunctions
+function parseCondition(text, metrics) {
+  const tokens = tokenize(String(text ?? ''));
+  if (!tokens.length) throw new Error('Empty condition');
+  const any = [{ all: [] }];
+  let clause = [];
+  const close = () => {
+    if (!clause.length) throw new Error('Dangling "and" / "or"');
+    any[any.length - 1].all.push(parseClause(clause, metrics));
+    clause = [];
+  };
+  for (const t of tokens) {
+    if (t === 'and' || t === 'or') { close(); if (t === 'or') any.push({ all: [] }); }
+    else clause.push(t);
+  }
+  close();
+  return { any };
+}
+
+// Compiled conditions are stateful: 'becomes' / 'changes' compare against the previous evaluate().
+// prime() forgets that history (call it when the timeline jumps — reset, restore).
+function compileCondition(text, metrics) {
+  const { any } = parseCondition(text, metrics);
+  const clauses = any.flatMap(g => g.all);
+  let prev = null;
+  return {
+    text: String(text).trim(),
+    metrics: Array.from(new Set(clauses.map(c => c.metric))),
+    evaluate(engine) {
+      const values = {};
+      for (const c of clauses) if (!(c.metric in values)) values[c.metric] = metrics[c.metric].get(engine);
+      const holds = (c) => {
+        const v = values[c.metric];
+        if (c.op === 'changes') return prev !== null && prev[c.metric] !== v;
+        if (c.op === 'becomes') return v === c.value && (prev === null ? false : prev[c.metric] !== v);
+        return COMPARATORS[c.op](v, c.value);
+      };
+      const result = any.some(g => g.all.every(holds));
+      prev = values;
+      return result;
+    },
+    // Current metric values, for reporting why a condition fired
+    read(engine) { return Object.fromEntries(this.metrics.map(m => [m, metrics[m].get(engine)])); },
+    prime() { prev = null; },
+  };
+}
+
+export { COMPARATORS, parseCondition, compileCondition };
@@ -0,0 +1,169 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE CULTURE DYNAMICS — which lens wins, and when
+//  Per-culture population share, mean entropy, attractor count and
+//  cross-culture collision rate over time (one series store each,
+//  hybrids tracked as their own population), the cumulative fusion
+//  matrix behind the chord diagram, and per-season dominance tallies.
+//  Fed once per generation by the engine's `cultureDynamics` plugin.
+// ═══════════════════════════════════════════════════════════
+
+import { createSeriesStore } from './crucible-series.mjs';
+
+// Collisions are sparse — rates are taken over the last `window` generations of collisionLog
+const COLLISION_WINDOW = 50;
+
+// Column order is the CSV order; `m` is one culture's row from measureCultures()
+const CULTURE_SERIES = [
+  { key: 'share',      label: 'share',    get: (m) => m.share },
+  { key: 'entropy',    label: '⟨H⟩',      get: (m) => m.entropy },
+  { key: 'attractors', label: 'attractors', get: (m) => m.attractors },
+  { key: 'crossRate',  label: 'cross %',  get: (m) => m.crossRate },
+];
+const GLOBAL_SERIES = [
+  { key: 'crossRate',     label: 'cross-culture %',  get: (m) => m.crossRate },
+  { key: 'collisionRate', label: 'collisions / gen', get: (m) => m.collisionRate },
+];
+
+// Newest-first walk over the collisions inside the window
+function recentCollisions(engine, window = COLLISION_WINDOW) {
+  const log = engine.collisionLog, since = engine.generation - window, out = [];
+  for (let i = log.length - 1; i >= 0 && log[i].generation > since; i--) out.push(log[i]);
+  return out;
+}
+
+function hybridRatio(engine) {
+  let hybrid = 0;
+  for (const g of engine.glyphs.values()) if (g.culture === 'hybrid') hybrid++;
+  return engine.glyphs.size ? hybrid / engine.glyphs.size : 0;
+}
+
+function crossCultureRate(engine, window = COLLISION_WINDOW) {
+  const recent = recentCollisions(engine, window);
+  return recent.length ? recent.filter(c => c.crossCulture).length / recent.length : 0;
+}
+
+// One generation's picture. Every configured culture gets a row (zeros once it dies out),
+// as does any culture still carried by glyphs after it was removed from the config.
+function measureCultures(engine, { window = COLLISION_WINDOW } = {}) {
+  const rows = {};
+  const row = (name) => (rows[name] ||= { share: 0, entropy: 0, attractors: 0, crossRate: 0, count: 0, involved: 0, crossed: 0 });
+  for (const name of Object.keys(engine.cultures)) row(name);
+  row('hybrid');
+  for (const g of engine.glyphs.values()) {
+    if (!g.culture) continue;
+    const r = row(g.culture);
+    r.count++; r.entropy += g.entropy;
+    if (g.isAttractor) r.attractors++;
+  }
+  const recent = recentCollisions(engine, window);
+  let crossed = 0;
+  for (const c of recent) {
+    if (c.crossCulture) crossed++;
+    // Entries logged before collisions recorded cultures carry neither name
+    for (const name of new Set([c.cultureA, c.cultureB])) {
+      if (!name) continue;
+      const r = row(name);
+      r.involved++; if (c.crossCulture) r.crossed++;
+    }
+  }
+  const total = engine.glyphs.size;
+  for (const r of Object.values(rows)) {
+    r.share = total ? r.count / total : 0;
+    r.entropy = r.count ? r.entropy / r.count : 0;
+    r.crossRate = r.involved ? r.crossed / r.involved : 0;
+  }
+  return { cultures: rows, crossRate: recent.length ? crossed / recent.length : 0, collisionRate: recent.length / window };
+}
+
+function createCultureDynamics({ capacity = 2048, window = COLLISION_WINDOW } = {}) {
+  const global = createSeriesStore({ columns: GLOBAL_SERIES, capacity });
+  const stores = new Map(); // culture name → series store, created when the culture first appears
+  // Cumulative since `since` — a checkpoint restore can't rewind them, so it starts them over
+  let fusions = new Map();  // "a\u0000b" (sorted) → count of crossCulture collisions
+  let seasons = {};         // season → { generations, cultures: { name: { shareSum, dominant } } }
+  let since = 0;
+
+  const resetTallies = (generation) => { fusions = new Map(); seasons = {}; since = generation; };
+
+  return {
+    window,
+    get since() { return since; },
+
+    // afterStep: collisions of this generation are the log entries stamped with it
+    record(engine) {
+      const gen = engine.generation;
+      const m = measureCultures(engine, { window });
+      global.record(gen, m);
+      for (const [name, row] of Object.entries(m.cultures)) {
+        if (!stores.has(name)) stores.set(name, createSeriesStore({ columns: CULTURE_SERIES, capacity }));
+        stores.get(name).record(gen, row);
+      }
+      const log = engine.collisionLog;
+      for (let i = log.length - 1; i >= 0 && log[i].generation === gen; i--) {
+        const c = log[i];
+        if (!c.crossCulture || !c.cultureA || !c.cultureB) continue;
+        const key = [c.cultureA, c.cultureB].sort().join('\u0000');
+        fusions.set(key, (fusions.get(key) || 0) + 1);
+      }
+      const tally = (seasons[engine.season] ||= { generations: 0, cultures: {} });
+      tally.generations++;
+      let top = null;
+      for (const [name, row] of Object.entries(m.cultures)) {
+        const t = (tally.cultures[name] ||= { shareSum: 0, dominant: 0 });
+        t.shareSum += row.share;
+        if (row.count && (!top || row.share > m.cultures[top].share)) top = name;
+      }
+      if (top) tally.cultures[top].dominant++;
+    },
+
+    truncate(generation) {
+      global.truncate(generation);
+      for (const store of stores.values()) store.truncate(generation);
+      resetTallies(generation);
+    },
+
+    clear() {
+      global.clear(); stores.clear();
+      resetTallies(0);
+    },
+
+    // Plain data, safe to post across a worker boundary
+    toJSON() {
+      return {
+        window, since,
+        global: global.toArrays(),
+        cultures: Object.fromEntries(Array.from(stores, ([name, store]) => [name, store.toArrays()])),
+        fusions: Array.from(fusions, ([key, count]) => { const [a, b] = key.split('\u0000'); return { a, b, count }; }).sort((x, y) => y.count - x.count),
+        // Per season: mean share and generations-on-top per culture, winner = most generations on top
+        seasons: Object.fromEntries(Object.entries(seasons).map(([season, { generations, cultures }]) => {
+          const rows = Object.entries(cultures).map(([name, t]) => ({ name, meanShare: t.shareSum / generations, dominant: t.dominant }))
+            .sort((x, y) => y.dominant - x.dominant || y.meanShare - x.meanShare);
+          return [season, { generations, winner: rows[0]?.dominant ? rows[0].name : null, cultures: rows }];
+        })),
+      };
+    },
+  };
+}
+
+// ── Export ──
+// Long format: one row per (generation, culture); `dynamics` is toJSON() output
+function cultureDynamicsToCSV({ cultures }) {
+  const keys = CULTURE_SERIES.map(c => c.key);
+  const lines = [['generation', 'culture', ...keys].join(',')];
+  for (const [name, { generation, columns }] of Object.entries(cultures)) {
+    for (let r = 0; r < generation.length; r++) lines.push([generation[r], name, ...keys.map(k => +columns[k][r].toPrecision(8))].join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+// Whole dashboard as JSON — typed arrays become plain ones, same columnar layout as seriesToColumnarJSON
+function cultureDynamicsToJSON(dynamics, meta = {}) {
+  const plain = ({ stride, generation, columns }) => ({ stride, generation: Array.from(generation), columns: Object.fromEntries(Object.entries(columns).map(([k, v]) => [k, Array.from(v)])) });
+  return JSON.stringify({
+    format: 'crucible-culture-dynamics', version: 1, ...meta, ...dynamics,
+    global: plain(dynamics.global),
+    cultures: Object.fromEntries(Object.entries(dynamics.cultures).map(([name, d]) => [name, plain(d)])),
+  });
+}
+
+export { COLLISION_WINDOW, CULTURE_SERIES, GLOBAL_SERIES, hybridRatio, crossCultureRate, measureCultures, createCultureDynamics, cultureDynamicsToCSV, cultureDynamicsToJSON };
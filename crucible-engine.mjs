@@ -0,0 +1,2709 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE ENGINE — headless core of The Crucible v4
+//  Glyph · CrucibleEngine · seasonal / cultural / lexicon constants
+//  Plain ES module: no React, no DOM, no canvas — runs in browsers,
+//  Web Workers and Node alike (see crucible-headless.mjs)
+// ═══════════════════════════════════════════════════════════
+
+import { createSeriesStore } from './crucible-series.mjs';
+import { createCultureDynamics, hybridRatio, crossCultureRate } from './crucible-culture-dynamics.mjs';
+import { parseCondition, compileCondition } from './crucible-conditions.mjs';
+
+// ===== SEASONAL PHASES (from v4.2) =====
+const SeasonalPhase = { EXPLORATION: 'exploration', CONSOLIDATION: 'consolidation', DORMANCY: 'dormancy', RENAISSANCE: 'renaissance' };
+const SEASON_ORDER = [SeasonalPhase.EXPLORATION, SeasonalPhase.CONSOLIDATION, SeasonalPhase.DORMANCY, SeasonalPhase.RENAISSANCE];
+const SEASON_MODIFIERS = {
+  [SeasonalPhase.EXPLORATION]:    { entropy: 1.2, resonance: -0.05, sleep: 0.8, color: '#16C0FF' },
+  [SeasonalPhase.CONSOLIDATION]:  { entropy: 0.8, resonance: 0.03,  sleep: 1.0, color: '#00FF96' },
+  [SeasonalPhase.DORMANCY]:       { entropy: 0.6, resonance: 0.06,  sleep: 1.5, color: '#8F7FFF' },
+  [SeasonalPhase.RENAISSANCE]:    { entropy: 1.5, resonance: -0.08, sleep: 0.6, color: '#FF6B6B' },
+};
+// Vocabulary a phase adds to the shared tag pool while it lasts
+const SEASONAL_TAGS = {
+  [SeasonalPhase.EXPLORATION]: ['pioneer', 'venture', 'discover'],
+  [SeasonalPhase.CONSOLIDATION]: ['anchor', 'strengthen', 'unify'],
+  [SeasonalPhase.DORMANCY]: ['rest', 'potential', 'dormant'],
+  [SeasonalPhase.RENAISSANCE]: ['reborn', 'transformed', 'awakened'],
+};
+// Named entry/exit actions a phase lists in onEnter / onExit — called as action(engine, phase definition)
+const SEASON_ACTIONS = {
+  dormancy: (e, phase) => e.activateDormancyPhase(phase.sleep),
+  renaissance: (e) => e.activateRenaissancePhase(),
+  shockwave: (e, phase) => e.triggerShockwave(e.canvasW / 2, e.canvasH / 2, phase.color || '#daa520'),
+  // Taken once the generation finishes, so restoring it doesn't skip the rest of the step
+  checkpoint: (e) => { e.pendingCheckpoint = e.season; },
+};
+const SEASON_ENTRY_ACTIONS = {
+  [SeasonalPhase.EXPLORATION]: ['shockwave'],
+  [SeasonalPhase.CONSOLIDATION]: ['shockwave'],
+  [SeasonalPhase.DORMANCY]: ['dormancy', 'shockwave'],
+  [SeasonalPhase.RENAISSANCE]: ['renaissance', 'shockwave'],
+};
+
+// ===== REFLEX TYPES (from v4.2) =====
+const ReflexType = { DEFENSIVE: 'defensive', EXPLORATORY: 'exploratory', COLLABORATIVE: 'collaborative', CONSOLIDATIVE: 'consolidative', METAMORPHIC: 'metamorphic' };
+
+// ===== TAG OPERATOR EIGENVALUES (from Physics Lexicon §VII, §XII) =====
+// Ωi|ψ⟩ → λi|ψ'⟩  — thermodynamic multipliers empirically derived over 2000+ generations
+const TAG_EIGENVALUES = {
+  wild:     2.1,   // Acceleration — 2.1× entropy flow
+  ghost:    7.0,   // Autonomy amplification
+  beacon:   1.4,   // Hub formation
+  fractal:  1.8,   // Self-similar branching
+  mirror:   1.3,   // Reflection coupling
+  flex:     1.2,   // Adaptive response
+  resonant: 1.5,   // Resonance amplification
+  unknown:  1.0,   // Identity operator (no effect)
+  stable:   0.85,  // Cooling (consolidation)
+  phase:    0.95,  // Cooling (negative dH/dt)
+  origin:   0.90,  // Reset/collapse
+  // Cultural eigenvalues (domain-specific thermodynamic signatures) live on each culture below
+};
+
+// Protected cognitive markers — influence mass calculation, never compressed away
+const COGNITIVE_TAGS = new Set(['origin', 'self', 'purpose', 'memory', 'mirror', 'beacon', 'synthesis', 'semantic-fusion']);
+
+// ── Cultural Pools: Five conceptual lenses on consciousness ──
+// The defaults for config.cultures — runs can edit, disable, add or remove lenses (see applyCultures).
+// eigenvalues: that lens's tag operators, layered over config.tagEigenvalues
+const CULTURES = {
+  phenomenological: { label: 'Phenom', color: '#e6735a', enabled: true, tags: ['qualia', 'intentionality', 'gestalt', 'horizon', 'lifeworld', 'bracketing', 'embodiment'],
+    eigenvalues: { qualia: 1.6, intentionality: 1.3, embodiment: 1.4 } },       // intensity · directed attention · grounded coupling
+  thermodynamic:    { label: 'Thermo', color: '#ff8800', enabled: true, tags: ['entropy', 'gradient', 'equilibrium', 'flux', 'dissipation', 'cascade', 'criticality'],
+    eigenvalues: { criticality: 1.8, cascade: 1.6 } },                          // phase edge · chain reaction potential
+  contemplative:    { label: 'Contemp', color: '#b464ff', enabled: true, tags: ['awareness', 'impermanence', 'emptiness', 'dependent', 'mindstream', 'luminosity', 'cessation'],
+    eigenvalues: { luminosity: 1.4, cessation: 0.7, emptiness: 0.8 } },         // clarity · cooling · dissolution
+  computational:    { label: 'Compute', color: '#00aaff', enabled: true, tags: ['recursion', 'binding', 'integration', 'feedback', 'emergence', 'substrate', 'process'],
+    eigenvalues: { emergence: 1.7, recursion: 1.5 } },                          // complexity spike · self-referential amplification
+  biological:       { label: 'Bio', color: '#5acebe', enabled: true, tags: ['oscillation', 'synchrony', 'plasticity', 'homeostasis', 'arousal', 'adaptation', 'threshold'],
+    eigenvalues: { synchrony: 1.5, plasticity: 1.3, homeostasis: 0.9 } },       // binding · adaptation · stability
+};
+const CULTURE_NAMES = Object.keys(CULTURES);
+// Offspring of two different lenses; reserved, never a configured culture
+const HYBRID_CULTURE = 'hybrid';
+const CULTURES_FORMAT = 'crucible-cultures';
+
+// ── Taxonomy cultures: Semantic Taxonomy clusters as temporary lenses on the user's own text ──
+const TAXONOMY_CULTURE_PREFIX = 'tx-';
+const TAXONOMY_COLORS = ['#ffd166', '#ef476f', '#06d6a0', '#4cc9f0', '#f78c6b', '#c77dff', '#9ef01a', '#ff70a6'];
+
+// Free text → a culture-safe tag ("Neural Plasticity" → "neural-plasticity"); '' if nothing survives
+function toCultureTag(text) {
+  return String(text ?? '').toLowerCase().normalize('NFKD').replace(/[^a-z0-9]+/g, '-').replace(/^-+/, '').slice(0, 32).replace(/-+$/, '');
+}
+
+// { clusters: [{label, concept_ids}], terms: [{term, concept_ids}] } → one temporary culture per cluster.
+// A cluster's tag pool is the index terms that cite its concepts (its concepts' keywords if none do).
+// assign: concept id → culture name (first cluster wins when clusters overlap)
+function taxonomyCultures({ clusters = [], terms = [] } = {}, concepts = []) {
+  const cultures = {}, assign = new Map();
+  const list = (v) => (Array.isArray(v) ? v : []);
+  list(clusters).forEach((cluster, i) => {
+    const ids = new Set(list(cluster?.concept_ids).map(Number));
+    const base = `${TAXONOMY_CULTURE_PREFIX}${toCultureTag(cluster?.label).slice(0, 24).replace(/-+$/, '') || i + 1}`;
+    let name = base;
+    for (let k = 2; cultures[name]; k++) name = `${base}-${k}`;
+    const cited = (entry) => list(entry?.concept_ids).some(id => ids.has(Number(id)));
+    let words = list(terms).filter(cited).map(t => t.term);
+    if (!words.length) words = list(concepts).filter(c => ids.has(Number(c?.id))).flatMap(c => list(c.keywords));
+    const tags = Array.from(new Set(words.map(toCultureTag).filter(Boolean)));
+    // Fusion tags read labels, so a repeated label is numbered like its name
+    let label = String(cluster?.label ?? '').trim().slice(0, 29) || name;
+    if (Object.values(cultures).some(c => c.label === label)) label = `${label} ${name.slice(base.length + 1) || i + 1}`;
+    cultures[name] = { label, color: TAXONOMY_COLORS[i % TAXONOMY_COLORS.length], enabled: true, temporary: true, tags, eigenvalues: {} };
+    for (const id of ids) if (!assign.has(id)) assign.set(id, name);
+  });
+  return { cultures, assign };
+}
+const BASE_TAGS = ['origin','flex','ghost','fractal','wild','mirror','unknown','stable','beacon','phase','resonant'];
+const MAX_TAGS_PER_GLYPH = 8;
+const COMPRESS_SIM_THRESHOLD = 0.82; // cosine similarity above this → tags are redundant
+
+// ===== ENGINE CONFIGURATION =====
+// Every tunable lives here; new CrucibleEngine({ seed, ...config }) and configure(patch) both
+// deep-merge onto these defaults and validate against CONFIG_SCHEMA.
+const DEFAULT_CONFIG = {
+  resonanceThreshold: 0.45,      // ρc base — helix breathing modulates around it
+  seasonDuration: 200,
+  reflexInterval: 25,
+  attractorThreshold: 3,
+  pressureThreshold: 1.5e6,
+  maxGlyphs: 500,
+  resonanceSampleSize: 3000,
+  checkpointInterval: 25,
+  compressSimThreshold: COMPRESS_SIM_THRESHOLD,
+  crossCultureBonus: 1.1,        // resonance × between glyphs of two different (non-hybrid) cultures
+  helix: { alpha: 1.0, beta: 0.824, omega: 141, lambda: 0.5 },
+  tagEigenvalues: { ...TAG_EIGENVALUES },
+  cultures: structuredClone(CULTURES),
+  // Phase definitions, keyed by phase name. duration 0 = seasonDuration; enterWhen / exitWhen are
+  // conditions (crucible-conditions.mjs) read only by the adaptive schedule, '' = none
+  seasonModifiers: Object.fromEntries(SEASON_ORDER.map(s => [s, { ...SEASON_MODIFIERS[s], duration: 0, tags: [...SEASONAL_TAGS[s]], onEnter: [...SEASON_ENTRY_ACTIONS[s]], onExit: [], enterWhen: '', exitWhen: '' }])),
+  // The order phases run in; a step's own duration beats its phase's. Without loop the last step holds.
+  // adaptive: a later step also starts early once its phase's enterWhen has held for `confirm` generations,
+  // provided the running phase is minPhase old and its exitWhen holds — the clock stays as the fallback
+  seasonSchedule: { steps: SEASON_ORDER.map(phase => ({ phase })), loop: true, adaptive: false, minPhase: 50, confirm: 5 },
+};
+
+// Keyed by dotted path; '*' matches any one segment (tag, season, culture name).
+// Rules are numeric unless they name a `type`; 'remove' is the null that deletes a culture in a patch,
+// `removable` lets a rule's value be null for the same purpose.
+const CONFIG_SCHEMA = {
+  resonanceThreshold:           { min: 0.05, max: 0.95, group: 'field', label: 'ρc base' },
+  maxGlyphs:                    { min: 20, max: 5000, integer: true, group: 'field', label: 'max glyphs' },
+  resonanceSampleSize:          { min: 100, max: 50000, integer: true, group: 'field', label: 'ρ samples' },
+  compressSimThreshold:         { min: 0.5, max: 1, group: 'field', label: 'compress sim' },
+  crossCultureBonus:            { min: 0.5, max: 3, group: 'field', label: 'cross-culture ×' },
+  seasonDuration:               { min: 10, max: 5000, integer: true, group: 'rhythm', label: 'season length' },
+  reflexInterval:               { min: 1, max: 1000, integer: true, group: 'rhythm', label: 'reflex every' },
+  attractorThreshold:           { min: 1, max: 50, integer: true, group: 'rhythm', label: 'attractor hits' },
+  pressureThreshold:            { min: 1e4, max: 1e9, group: 'rhythm', label: 'pressure mass' },
+  checkpointInterval:           { min: 1, max: 10000, integer: true, group: 'rhythm', label: 'checkpoint every' },
+  'helix.alpha':                { min: 0, max: 10, group: 'helix', label: 'α' },
+  'helix.beta':                 { min: 0, max: 5, group: 'helix', label: 'β' },
+  'helix.omega':                { min: 0, max: 1000, group: 'helix', label: 'ω' },
+  'helix.lambda':               { min: 0, max: 10, group: 'helix', label: 'λ' },
+  'tagEigenvalues.*':           { min: 0, max: 20, group: 'eigenvalues' },
+  'seasonModifiers.*':          { type: 'remove', group: 'seasons' },
+  'seasonModifiers.*.entropy':  { min: 0, max: 5, group: 'seasons', label: 'entropy ×' },
+  'seasonModifiers.*.resonance':{ min: -0.5, max: 0.5, group: 'seasons', label: 'ρ shift' },
+  'seasonModifiers.*.sleep':    { min: 0.1, max: 5, group: 'seasons', label: 'sleep ×' },
+  'seasonModifiers.*.duration': { min: 0, max: 100000, integer: true, group: 'seasons', label: 'length' },
+  'seasonModifiers.*.color':    { type: 'color', group: 'seasons' },
+  'seasonModifiers.*.tags':     { type: 'tags', group: 'seasons' },
+  'seasonModifiers.*.onEnter':  { type: 'actions', group: 'seasons' },
+  'seasonModifiers.*.onExit':   { type: 'actions', group: 'seasons' },
+  'seasonModifiers.*.enterWhen':{ type: 'condition', group: 'seasons' },
+  'seasonModifiers.*.exitWhen': { type: 'condition', group: 'seasons' },
+  'seasonSchedule.steps':       { type: 'schedule', group: 'schedule' },
+  'seasonSchedule.loop':        { type: 'boolean', group: 'schedule' },
+  'seasonSchedule.adaptive':    { type: 'boolean', group: 'schedule' },
+  'seasonSchedule.minPhase':    { min: 1, max: 100000, integer: true, group: 'schedule', label: 'min phase' },
+  'seasonSchedule.confirm':     { min: 1, max: 1000, integer: true, group: 'schedule', label: 'confirm gens' },
+  'cultures.*':                 { type: 'remove', group: 'cultures' },
+  'cultures.*.label':           { type: 'string', group: 'cultures' },
+  'cultures.*.color':           { type: 'color', group: 'cultures' },
+  'cultures.*.enabled':         { type: 'boolean', group: 'cultures' },
+  'cultures.*.tags':            { type: 'tags', group: 'cultures' },
+  'cultures.*.temporary':       { type: 'boolean', group: 'cultures' },
+  'cultures.*.eigenvalues.*':   { min: 0, max: 20, removable: true, group: 'cultures' },
+};
+const CULTURE_NAME = /^[a-z][a-z0-9_-]{0,31}$/;
+const PHASE_NAME = CULTURE_NAME;
+const MAX_SCHEDULE_STEPS = 64;
+const TAG_NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function flattenConfig(obj, prefix = '') {
+  const out = [];
+  for (const [k, v] of Object.entries(obj)) {
+    const path = prefix ? `${prefix}.${k}` : k;
+    if (isPlainObject(v)) out.push(...flattenConfig(v, path)); else out.push([path, v]);
+  }
+  return out;
+}
+
+function schemaFor(path) {
+  if (CONFIG_SCHEMA[path]) return CONFIG_SCHEMA[path];
+  const parts = path.split('.');
+  const [head, key] = parts;
+  if (head === 'seasonModifiers' && !PHASE_NAME.test(key)) return null;
+  if (head === 'cultures' && (key === HYBRID_CULTURE || !CULTURE_NAME.test(key))) return null;
+  for (const [pattern, rule] of Object.entries(CONFIG_SCHEMA)) {
+    const p = pattern.split('.');
+    if (p.length === parts.length && p.every((seg, i) => seg === '*' || seg === parts[i])) return rule;
+  }
+  return null;
+}
+
+const RULE_CHECKS = {
+  remove: (v) => (v === null ? null : 'can only be null (removes the entry)'),
+  string: (v) => (typeof v === 'string' && v.trim() && v.length <= 32 ? null : 'must be a non-empty string (max 32 chars)'),
+  color: (v) => (typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v) ? null : 'must be a #rrggbb color'),
+  boolean: (v) => (typeof v === 'boolean' ? null : 'must be true or false'),
+  tags: (v) => (Array.isArray(v) && v.every(t => typeof t === 'string' && TAG_NAME.test(t)) ? null : 'must be a list of lowercase tags (a-z 0-9 _ -)'),
+  actions: (v) => (Array.isArray(v) && v.every(a => Object.hasOwn(SEASON_ACTIONS, a)) ? null : `must be a list of actions (${Object.keys(SEASON_ACTIONS).join(', ')})`),
+  schedule: (v) => (Array.isArray(v) && v.length && v.length <= MAX_SCHEDULE_STEPS
+    && v.every(s => isPlainObject(s) && typeof s.phase === 'string' && PHASE_NAME.test(s.phase) && (s.duration == null || (Number.isInteger(s.duration) && s.duration >= 0 && s.duration <= 100000)))
+    ? null : `must be 1–${MAX_SCHEDULE_STEPS} steps of { phase, duration? } (duration a whole number of generations)`),
+  // Parsed against the merged config's phases in crossCheckConfig()
+  condition: (v) => (typeof v === 'string' && v.length <= 200 ? null : 'must be a condition (max 200 chars), or empty for none'),
+};
+
+// Returns a list of problems (empty when the config — full or partial — is usable)
+function validateConfig(config) {
+  if (!isPlainObject(config)) return ['Config must be an object'];
+  const errors = [];
+  for (const [path, value] of flattenConfig(config)) {
+    const rule = schemaFor(path);
+    if (!rule) { errors.push(`Unknown setting ${path}`); continue; }
+    if (value === null && rule.removable) continue;
+    if (rule.type) { const problem = RULE_CHECKS[rule.type](value); if (problem) errors.push(`${path} ${problem}`); continue; }
+    if (typeof value !== 'number' || !Number.isFinite(value)) { errors.push(`${path} must be a number`); continue; }
+    if (rule.integer && !Number.isInteger(value)) errors.push(`${path} must be an integer`);
+    if (value < rule.min || value > rule.max) errors.push(`${path} must be between ${rule.min} and ${rule.max}`);
+  }
+  return errors;
+}
+
+// null in a patch deletes the key (how a culture, or one of its eigenvalues, is removed)
+function mergeConfig(base, patch) {
+  const out = { ...base };
+  for (const [k, v] of Object.entries(patch)) {
+    if (v === null) delete out[k];
+    else out[k] = isPlainObject(v) && isPlainObject(base[k]) ? mergeConfig(base[k], v) : v;
+  }
+  return out;
+}
+
+// Problems only visible once the patch is merged — the schedule naming a phase that doesn't exist,
+// a phase condition comparing season against one
+function crossCheckConfig(config) {
+  const missing = [...new Set(config.seasonSchedule.steps.map(s => s.phase))].filter(p => !config.seasonModifiers[p]);
+  const errors = missing.map(p => `seasonSchedule.steps names unknown phase ${p}`);
+  const metrics = conditionMetricsFor(config);
+  for (const [name, phase] of Object.entries(config.seasonModifiers)) {
+    for (const key of ['enterWhen', 'exitWhen']) {
+      if (!phase[key]?.trim()) continue;
+      try { parseCondition(phase[key], metrics); } catch (e) { errors.push(`seasonModifiers.${name}.${key}: ${e.message}`); }
+    }
+  }
+  return errors;
+}
+
+// A cultural tag's eigenvalue lives on its culture, where it overrides tagEigenvalues — so
+// tagEigenvalues.<cultural tag> is routed to every culture (base or patched) that owns the tag.
+// An eigenvalue the patch also sets on the culture itself wins.
+function routeCulturalEigenvalues(patch, base) {
+  if (!isPlainObject(patch) || !isPlainObject(patch.tagEigenvalues)) return patch;
+  const cultures = { ...base.cultures };
+  for (const [name, c] of Object.entries(isPlainObject(patch.cultures) ? patch.cultures : {})) {
+    if (c === null) delete cultures[name]; else cultures[name] = isPlainObject(cultures[name]) ? mergeConfig(cultures[name], c) : c;
+  }
+  const tagEigenvalues = { ...patch.tagEigenvalues };
+  const patchedCultures = { ...patch.cultures };
+  for (const [tag, value] of Object.entries(patch.tagEigenvalues)) {
+    const owners = Object.keys(cultures).filter(name => isPlainObject(cultures[name]?.eigenvalues) && tag in cultures[name].eigenvalues);
+    if (!owners.length || value === null) continue;
+    delete tagEigenvalues[tag];
+    for (const name of owners) {
+      const own = patchedCultures[name] || {};
+      patchedCultures[name] = { ...own, eigenvalues: { [tag]: value, ...own.eigenvalues } };
+    }
+  }
+  return { ...patch, tagEigenvalues, cultures: patchedCultures };
+}
+
+function resolveConfig(patch = {}, base = DEFAULT_CONFIG) {
+  patch = routeCulturalEigenvalues(patch, base);
+  const errors = validateConfig(patch);
+  if (errors.length) throw new Error(`Invalid config: ${errors.join('; ')}`);
+  const merged = mergeConfig(base, patch);
+  const problems = crossCheckConfig(merged);
+  if (problems.length) throw new Error(`Invalid config: ${problems.join('; ')}`);
+  return structuredClone(merged);
+}
+
+// A whole config (save, preset) lists every culture and phase it keeps. Merged over `current` it would
+// leave ones added since in place, so those are spelled out as null removals.
+const KEYED_SECTIONS = ['cultures', 'seasonModifiers'];
+function wholeConfigPatch(config, current = DEFAULT_CONFIG) {
+  const out = { ...config };
+  for (const section of KEYED_SECTIONS) {
+    if (!config[section]) continue;
+    const removed = Object.fromEntries(Object.keys(current[section] || {}).map(name => [name, null]));
+    out[section] = { ...removed, ...config[section] };
+  }
+  return out;
+}
+
+// Built-in starting points; saved/shared presets use the same { format, name, config } shape
+const PRESET_FORMAT = 'crucible-preset';
+const CONFIG_PRESETS = {
+  'Default': {},
+  'Fast Seasons': { seasonDuration: 80, reflexInterval: 15 },
+  'Dense Field': { maxGlyphs: 900, resonanceSampleSize: 6000, resonanceThreshold: 0.4 },
+  'Cold Lattice': { resonanceThreshold: 0.55, helix: { lambda: 1.0 }, seasonModifiers: { [SeasonalPhase.EXPLORATION]: { entropy: 0.9 }, [SeasonalPhase.RENAISSANCE]: { entropy: 1.1 } } },
+  'Wild Ghosts': { attractorThreshold: 2, tagEigenvalues: { wild: 3.0, ghost: 9.0 } },
+  'Long Consolidation': { seasonSchedule: { steps: [{ phase: SeasonalPhase.EXPLORATION, duration: 100 }, { phase: SeasonalPhase.CONSOLIDATION, duration: 600 }], loop: true } },
+  // Each phase waits for the population to call it, with a long clock behind as the fallback
+  'Adaptive Weather': {
+    seasonDuration: 600,
+    seasonSchedule: { adaptive: true, minPhase: 60, confirm: 5 },
+    seasonModifiers: {
+      [SeasonalPhase.CONSOLIDATION]: { enterWhen: 'season == exploration and psi > 0.78' },
+      [SeasonalPhase.DORMANCY]: { enterWhen: 'season == consolidation and vp_mean < 10' },
+      [SeasonalPhase.RENAISSANCE]: { enterWhen: 'season == dormancy and dormantRatio > 0.05' },
+      [SeasonalPhase.EXPLORATION]: { enterWhen: 'season == renaissance and vp_mean < 15' },
+    },
+  },
+};
+
+// Schedule text ↔ steps: "exploration:100 consolidation:600 dormancy" (no length = the phase's own)
+function parseSchedule(text) {
+  return String(text).split(/[\s,]+/).filter(Boolean).map(token => {
+    const [phase, length, ...rest] = token.split(':');
+    if (rest.length || !phase || (length != null && !/^\d+$/.test(length))) throw new Error(`Schedule step "${token}" should look like phase or phase:generations`);
+    return length != null ? { phase: phase.toLowerCase(), duration: Number(length) } : { phase: phase.toLowerCase() };
+  });
+}
+const formatSchedule = (steps) => steps.map(s => (s.duration ? `${s.phase}:${s.duration}` : s.phase)).join(' ');
+
+// ===== SEEDED RNG (mulberry32) =====
+// Every stochastic path draws from one of these so a seed reproduces a run exactly
+function createRng(seed) {
+  let state = seed >>> 0;
+  const rng = () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  rng.getState = () => state;
+  rng.setState = (s) => { state = s >>> 0; };
+  return rng;
+}
+const randomSeed = () => Math.floor(Math.random() * 4294967296) >>> 0;
+
+// ===== ENGINE EVENTS =====
+// engine.on(type, fn) receives { type, gen, ...payload }; '*' receives everything.
+// eventLog is just the first '*' subscriber — each type knows how to render itself for it.
+const collisionGlyph = (e) => (e.conceptPair ? '⚗️' : e.crossType ? '🔮' : '◉');
+const EVENT_TYPES = {
+  'collision':        { kind: (e) => (e.crossType ? 'synthesis' : 'collision'), format: (e) => `${collisionGlyph(e)} ${e.parentA} × ${e.parentB} → ${e.offspring} (res: ${e.resonance.toFixed(3)})` },
+  'critical-point':   { kind: 'resonance', format: (e) => `⚡ CRITICAL POINT: ρ=${e.resonance.toFixed(4)} > ρc**=${e.threshold} [${e.parentA}×${e.parentB}]` },
+  'attractor':        { kind: 'attractor', format: (e) => (e.proxyFor ? `🌟 Attractor proxy: ${e.id} for culled progenitor ${e.proxyFor} (${e.hits} hits)` : `🌟 Attractor detected: ${e.id} (${e.hits} ancestry hits, alive)`) },
+  'reflex':           { kind: 'reflex', format: (e) => `⚡ Reflex [${e.reflexType}]: ${e.source} → ${e.id}` },
+  'season':           { kind: 'season', format: (e) => `🌿 Season: ${e.from} → ${e.to}${e.trigger ? ` [${e.trigger}]` : ''}` },
+  'pressure':         { kind: 'pressure', format: (e) => `🔥 Pressure event: mass=${Math.round(e.mass)} > threshold=${e.threshold} → anchor ${e.anchor} + ${e.fresh} fresh` },
+  'scan-cull':        { kind: 'scan', format: (e) => `🔍 Singularity scan: ${e.exact} exact + ${e.near} near-clones culled` },
+  'pool-surface':     { kind: 'pool', format: (e) => `🔗 ${e.pools} pools surfaced (${e.shortcuts} shortcuts, locked)` },
+  'helix-stable':     { kind: 'helix', format: (e) => (e.stable ? `🌀 Helix stabilized — R=${e.R.toFixed(3)} A=${e.A.toFixed(3)} z=${e.z.toFixed(2)}` : `🌀 Helix destabilized — r²=${e.r_sq.toFixed(2)} γ=${e.gamma.toFixed(3)}`) },
+  'breakpoint':       { kind: 'breakpoint', format: (e) => `⛔ Breakpoint #${e.id} hit: ${e.condition} [${Object.entries(e.values).map(([k, v]) => `${k}=${typeof v === 'number' ? +v.toFixed(4) : v}`).join(' ')}]` },
+  'dampener-expired': { kind: 'info', format: (e) => `🧊 Dampener ${e.id} expired — resonance field restored` },
+  // A subscriber threw; emit() reports it here instead of letting it escape the step (or the process)
+  'listener-error':   { kind: 'info', format: (e) => `⚠ Event listener for ${e.listener} failed on ${e.event}: ${e.message}` },
+  // Free-text messages from log() — everything not (yet) worth a type of its own
+  'log':              { kind: (e) => e.kind, format: (e) => e.msg },
+};
+const EVENT_NAMES = Object.keys(EVENT_TYPES);
+
+function formatEvent(event) {
+  const spec = EVENT_TYPES[event.type];
+  if (!spec) return { msg: event.msg ?? `· ${event.type}`, kind: 'info' };
+  return { msg: spec.format(event), kind: typeof spec.kind === 'function' ? spec.kind(event) : spec.kind };
+}
+
+// ===== SUBSYSTEM PLUGINS =====
+// step() runs every enabled plugin's hooks in `order`: all beforeStep, then step, then afterStep.
+// Hooks are called as plugin[hook](engine, ...args):
+//   beforeStep/step/afterStep(engine)   onCollision(engine, collisionEntry)
+//   onGlyphCreated(engine, glyph)       onGlyphCulled(engine, glyph, reason)
+// Plugin code isn't part of a save or journal — replays must register the same plugins.
+const PLUGIN_HOOKS = ['beforeStep', 'step', 'afterStep', 'onCollision', 'onGlyphCreated', 'onGlyphCulled'];
+const STEP_PHASES = ['beforeStep', 'step', 'afterStep'];
+
+const BUILTIN_PLUGINS = [
+  { name: 'season', order: 100, step: (e) => e.updateSeason() }, // v4.2 seasonal
+  { name: 'spawn', order: 200, step: (e) => e.store(e.createGlyph()) },
+  { name: 'thermodynamics', order: 300, step: (e) => {
+    if (e.generation % e.BEACON_UPDATE_INTERVAL !== 0) return;
+    e.updateThermodynamics(); e.updateResonanceField(); e.computeObservables(); // + Lexicon observables
+  } },
+  { name: 'coordinate', order: 400, step: (e) => e.coordinate() },
+  { name: 'reflexes', order: 500, step: (e) => e.reflexCheck() },
+  { name: 'entrainment', order: 600, step: (e) => e.runEntrainmentCycle() },
+  { name: 'pressure', order: 700, step: (e) => e.pressureCheck() }, // MVP pressure system
+  { name: 'dampeners', order: 800, step: (e) => e.decayDampeners() }, // dampener lifecycle
+  { name: 'influence', order: 900, step: (e) => e.updateInfluenceAndAttractors() },
+  { name: 'deepAnalysis', order: 1000, step: (e) => e.performDeepAnalysis() },
+  { name: 'singularity', order: 1100, step: (e) => { if (e.generation % 40 === 0) e.singularityScan(); } },
+  { name: 'pools', order: 1200, step: (e) => {
+    if (e.generation % e.POOL_SCAN_INTERVAL === 0) { e.detectPools(); e.activatePoolShortcuts(); }
+    e.applyShortcutGravity();
+  } },
+  { name: 'helix', order: 1300, step: (e) => { e.helixStep(); e.applyHelixModulation(); } },
+  { name: 'motion', order: 1400, step: (e) => {
+    // Sync coherence for ALL glyphs every step (not just entrained)
+    for (const glyph of e.glyphs.values()) {
+      e.syncCoherence(glyph);
+      glyph.update(e.canvasW, e.canvasH);
+    }
+    if (e.shockwave) { e.shockwave.radius += 8; if (e.shockwave.radius > e.shockwave.maxRadius) e.shockwave = null; }
+  } },
+  // Birth/death registry behind the lineage view — hooks only, no step
+  { name: 'genealogy', order: 1450, onGlyphCreated: (e, g) => e.recordBirth(g), onGlyphCulled: (e, g, reason) => e.recordDeath(g, reason) },
+  // Per-generation observable history behind the OBS chart — reads state, never writes it
+  { name: 'series', order: 1460, afterStep: (e) => e.series.record(e.generation, e) },
+  // Culture shares, fusions and per-season dominance behind the CUL dashboard — read-only too
+  { name: 'cultureDynamics', order: 1470, afterStep: (e) => e.cultureDynamics.record(e) },
+];
+
+// ===== CONDITION METRICS =====
+// What breakpoint conditions (crucible-conditions.mjs) can read. Kept cheap — every enabled
+// breakpoint evaluates its metrics once per generation.
+const countGlyphs = (e, pred) => { let n = 0; for (const g of e.glyphs.values()) if (pred(g)) n++; return n; };
+const observable = (key) => ({ type: 'number', get: (e) => e.observables[key] });
+const CONDITION_METRICS = {
+  psi: observable('psi'), vp_mean: observable('vp_mean'), J_H: observable('J_H'), f_xi: observable('f_xi'),
+  F_free: observable('F_free'), H_mean: observable('H_mean'), sigma_H: observable('sigma_H'), N_xi: observable('N_xi'),
+  S_u: observable('S_u'), K_c: observable('K_c'), phaseTransitions: observable('phaseTransitions'), criticalEvents: observable('criticalEvents'),
+  helix_R: { type: 'number', get: (e) => e.helix.R },
+  helix_A: { type: 'number', get: (e) => e.helix.A },
+  helix_z: { type: 'number', get: (e) => e.helix.z },
+  helixStable: { type: 'boolean', get: (e) => e.helix.stable },
+  generation: { type: 'number', get: (e) => e.generation },
+  glyphs: { type: 'number', get: (e) => e.glyphs.size },
+  concepts: { type: 'number', get: (e) => countGlyphs(e, g => g.isConcept) },
+  attractors: { type: 'number', get: (e) => e.conceptualAttractors.size },
+  reflexes: { type: 'number', get: (e) => countGlyphs(e, g => g.isReflex) },
+  resonantPairs: { type: 'number', get: (e) => e.resonanceMatrix.size },
+  pools: { type: 'number', get: (e) => e.dormantPools.length },
+  shortcuts: { type: 'number', get: (e) => e.activeShortcuts.length },
+  vocabulary: { type: 'number', get: (e) => e.tags.length },
+  hybridRatio: { type: 'number', get: (e) => hybridRatio(e) },
+  crossCultureRate: { type: 'number', get: (e) => crossCultureRate(e) },
+  dormantRatio: { type: 'number', get: (e) => (e.glyphs.size ? countGlyphs(e, g => g.tags.includes('dormant')) / e.glyphs.size : 0) },
+  season: { type: 'enum', values: SEASON_ORDER, get: (e) => e.season },
+};
+
+// CONDITION_METRICS with the season enum widened to a config's phases
+const conditionMetricsFor = (config) => ({ ...CONDITION_METRICS, season: { ...CONDITION_METRICS.season, values: Object.keys(config.seasonModifiers) } });
+
+// ===== SAVE FORMAT & MIGRATIONS =====
+// Schema history: 1 crucible.jsx · 2 crucible-v2-merged.jsx · 3 crucible-v3.jsx (lattice entrainment)
+// 4 crucible-v4.jsx before versioning (cultures) · 5 versioned — dampeners, pools, shortcuts, observables, surfacing
+// 6 cultural eigenvalues on config.cultures · 7 glyph thermodynamic state + resonance pairs (exact restore)
+const SCHEMA_VERSION = 7;
+const DAMPENER_DEFAULTS = { strength: 0.15, radius: 180, lifespan: 150 };
+
+// Engine fields a checkpoint leaves alone: functions and registries that don't clone, timelines a rewind
+// truncates rather than replaces (ring, branches, genealogy, series, culture dynamics, event log, journal)
+// and breakpoints, which belong to the user across rewinds. `_`-prefixed fields are caches.
+const UNCAPTURED_FIELDS = new Set([
+  'rng', 'plugins', 'hookTable', 'listeners', 'phaseConditions',
+  'checkpoints', 'nextCheckpointId', 'branch', 'branches', 'genealogy', 'series', 'cultureDynamics', 'eventLog', 'journal',
+  'breakpoints', 'nextBreakpointId', 'halted',
+]);
+
+// ===== INTERVENTION JOURNAL =====
+// Everything that changes a run from outside goes through CrucibleEngine.intervene() and is
+// recorded with the generation it happened at. seed + journal reproduces the run exactly.
+const JOURNAL_FORMAT = 'crucible-journal';
+const JOURNAL_VERSION = 2;
+// Version 1 journals configured the engine's UPPER_CASE fields directly; version 2 patches the camelCase config
+const LEGACY_CONFIG_KEYS = {
+  RESONANCE_THRESHOLD: 'resonanceThreshold', SEASON_DURATION: 'seasonDuration', REFLEX_INTERVAL: 'reflexInterval',
+  ATTRACTOR_THRESHOLD: 'attractorThreshold', PRESSURE_THRESHOLD: 'pressureThreshold', MAX_GLYPHS: 'maxGlyphs',
+  RESONANCE_SAMPLE_SIZE: 'resonanceSampleSize', CHECKPOINT_INTERVAL: 'checkpointInterval',
+};
+const INTERVENTIONS = ['injectConcept', 'injectConcepts', 'injectDampener', 'triggerShockwave', 'reset', 'configure', 'restoreCheckpoint', 'setPluginEnabled'];
+
+const emptyObservables = () => ({ psi: 0, vp_mean: 0, J_H: 0, f_xi: 0, F_free: 0, H_mean: 0, sigma_H: 0, N_xi: 0, phaseTransitions: 0, criticalEvents: 0, S_u: 0, K_c: 0 });
+
+// Unversioned snapshots are identified by the fields each crucible generation added
+function detectSchemaVersion(data) {
+  if (Number.isInteger(data.schemaVersion)) return data.schemaVersion;
+  const sample = (data.glyphs || [])[0] || {};
+  if ('culture' in sample) return 4;
+  if ('mutationRate' in sample || 'priority' in sample) return 3;
+  if ('season' in data || 'helix' in data || 'evolvedTags' in data) return 2;
+  return 1;
+}
+
+// MIGRATIONS[n] upgrades a schema-n snapshot to schema n+1
+const MIGRATIONS = {
+  1: (d) => ({
+    ...d,
+    evolvedTags: d.evolvedTags || [], tagSignatures: d.tagSignatures || [],
+    season: SeasonalPhase.EXPLORATION, seasonCounter: 0, attractors: [],
+    glyphs: (d.glyphs || []).map(g => ({ isReflex: false, reflexType: null, isAttractor: false, seasonBorn: null, stagnantCount: 0, influenceScore: 0, ...g })),
+  }),
+  2: (d) => ({
+    ...d,
+    glyphs: d.glyphs.map(g => ({ priority: 0, mutationRate: 0.1, stability: 0, ...g })),
+  }),
+  3: (d) => ({
+    ...d,
+    glyphs: d.glyphs.map(g => ({ culture: null, ...g })),
+  }),
+  4: (d) => ({
+    ...d,
+    // v4 saved dampeners as plain glyphs — recognise them by tag and give them the remainder of a default lifespan
+    glyphs: d.glyphs.map(g => {
+      if (!(g.tags || []).includes('dampener') || 'isDampener' in g) return g;
+      const age = (d.generation || 0) - (g.generation || 0);
+      return { ...g, isDampener: true, dampenerRadius: DAMPENER_DEFAULTS.radius, dampenerStrength: DAMPENER_DEFAULTS.strength, dampenerLifespan: Math.max(1, DAMPENER_DEFAULTS.lifespan - age), vx: 0, vy: 0 };
+    }),
+    dormantPools: [], activeShortcuts: [], openPipes: [],
+    observables: emptyObservables(), surfacingEvents: [],
+  }),
+  5: (d) => {
+    if (!d.config) return d;
+    // Cultural eigenvalues moved from tagEigenvalues onto their culture (config.cultures)
+    const tagEigenvalues = { ...(d.config.tagEigenvalues || {}) };
+    const cultures = structuredClone(CULTURES);
+    for (const c of Object.values(cultures)) {
+      for (const tag of Object.keys(c.eigenvalues)) {
+        if (tag in tagEigenvalues) { c.eigenvalues[tag] = tagEigenvalues[tag]; delete tagEigenvalues[tag]; }
+      }
+    }
+    return { ...d, config: { ...d.config, tagEigenvalues, cultures } };
+  },
+  // Nothing to fill in: without saved thermodynamic state / resonance pairs, deserialize() derives them
+  6: (d) => d,
+};
+
+// Returns a copy of any crucible snapshot upgraded to SCHEMA_VERSION
+function migrateSnapshot(data) {
+  let version = detectSchemaVersion(data);
+  if (version > SCHEMA_VERSION) throw new Error(`Snapshot schema v${version} is newer than this engine (v${SCHEMA_VERSION})`);
+  if (version < 1) throw new Error(`Unknown snapshot schema v${version}`);
+  let migrated = data;
+  while (version < SCHEMA_VERSION) migrated = MIGRATIONS[version++](migrated);
+  return { ...migrated, schemaVersion: SCHEMA_VERSION };
+}
+
+// Integrity check for snapshots arriving from outside (file import). Structural problems are
+// errors; references to glyphs that are no longer present are reported as dangling — culled
+// parents are normal in a long run, but a hand-edited or truncated file shows up here.
+function validateSnapshot(raw) {
+  const errors = [];
+  const dangling = { ancestry: [], shortcuts: [], attractors: [], pools: [] };
+  // Migration fills in defaults (glyphs: [] included), so the glyph array must be in the raw input —
+  // otherwise any unrelated JSON would pass as an empty run
+  if (!isPlainObject(raw)) return { ok: false, errors: ['Not a crucible snapshot (expected a JSON object)'], dangling, schemaVersion: null };
+  if (!Array.isArray(raw.glyphs)) return { ok: false, errors: ['Missing glyphs array'], dangling, schemaVersion: null };
+  let data;
+  try { data = migrateSnapshot(raw); } catch (e) { return { ok: false, errors: [e.message], dangling, schemaVersion: null }; }
+  const ids = new Set();
+  for (const g of (data.glyphs || [])) {
+    if (typeof g?.id !== 'string') { errors.push('Glyph without an id'); continue; }
+    if (ids.has(g.id)) errors.push(`Duplicate glyph id ${g.id}`);
+    ids.add(g.id);
+    if (!Array.isArray(g.tags) || !Array.isArray(g.ancestry)) errors.push(`Glyph ${g.id} is missing tags or ancestry`);
+    if (!Number.isFinite(g.x) || !Number.isFinite(g.y)) errors.push(`Glyph ${g.id} has no position`);
+  }
+  for (const g of (data.glyphs || [])) {
+    for (const ref of (g?.ancestry || [])) if (!ids.has(ref)) dangling.ancestry.push({ glyph: g.id, ref });
+  }
+  for (const sc of (data.activeShortcuts || [])) {
+    for (const ref of [sc.a, sc.b]) if (!ids.has(ref)) dangling.shortcuts.push({ shortcut: `${sc.a}↔${sc.b}`, ref });
+  }
+  for (const [ref, meta] of (data.attractors || [])) {
+    if (!ids.has(ref)) dangling.attractors.push({ ref, proxyFor: meta?.proxyFor || null });
+  }
+  for (const pool of (data.dormantPools || [])) {
+    for (const ref of (pool.nodes || [])) if (!ids.has(ref)) dangling.pools.push({ pool: pool.id, ref });
+  }
+  return { ok: errors.length === 0, errors, dangling, schemaVersion: detectSchemaVersion(raw) };
+}
+
+// ===== GLYPH CLASS (Crucible base + v4.2 extensions) =====
+class Glyph {
+  constructor(id, tags, ancestry, generation, isConcept = false, rng = Math.random) {
+    this.id = id;
+    this.tags = tags;
+    this.ancestry = ancestry;
+    this.generation = generation;
+    this.isConcept = isConcept;
+    this.conceptData = null;
+    this.entropyHistory = [];
+    this.thermodynamicState = null;
+    this.x = rng() * 1200;
+    this.y = rng() * 600;
+    this.vx = (rng() - 0.5) * 2;
+    this.vy = (rng() - 0.5) * 2;
+    this.coordinationEvents = [];
+    this.lastCollisionGen = 0;
+    this.birthTime = Date.now();
+    this.pulsePhase = rng() * Math.PI * 2;
+    // v4.2 extensions
+    this.reflexType = null;        // ReflexType if this is a reflex glyph
+    this.isReflex = false;
+    this.influenceScore = 0;       // cached influence
+    this.isAttractor = false;      // conceptual attractor flag
+    this.seasonBorn = null;        // which season it was born in
+    this.stagnantCount = 0;        // generations since last interaction
+    // Lattice entrainment extensions
+    this.priority = 0;             // propagation priority
+    this.mutationRate = 0.1;       // base mutation rate
+    this.stability = 0;            // coherence-derived stability
+    this.entrained = false;        // has been entrained this cycle
+    this.entrainmentGen = 0;       // generation of last entrainment
+    // Dampener properties
+    this.isDampener = false;        // resonance suppressor
+    this.dampenerRadius = 0;        // spatial suppression radius
+    this.dampenerStrength = 0;      // suppression multiplier (0-1, 0=total suppression)
+    this.dampenerLifespan = 0;      // generations remaining
+    // Cultural pool
+    this.culture = null;            // one of CULTURE_NAMES or 'hybrid'
+  }
+
+  get entropy() {
+    return this.entropyHistory[this.entropyHistory.length - 1] || 0;
+  }
+
+  get mass() {
+    const depth = this.ancestry.length;
+    const cognitive = this.tags.some(t => COGNITIVE_TAGS.has(t)) ? 1.6 : 1.0;
+    return (this.entropy + 300) * (1 + Math.log1p(depth)) * cognitive;
+  }
+
+  updateThermodynamics(generation) {
+    const history = this.entropyHistory;
+    if (history.length < 2) return;
+    const H = history[history.length - 1];
+    const window_ = Math.min(10, history.length);
+    const dH_dt = (history[history.length - 1] - history[history.length - window_]) / window_;
+    let tau_coherence = 1.0;
+    if (history.length > 5) {
+      const changes = [];
+      for (let i = 1; i < Math.min(20, history.length); i++) {
+        if (history.length - i - 1 >= 0) changes.push(history[history.length - i] - history[history.length - i - 1]);
+      }
+      if (changes.length > 0) {
+        const std = Math.sqrt(changes.reduce((a, b) => a + b * b, 0) / changes.length);
+        tau_coherence = 1.0 / (std + 0.000001);
+      }
+    }
+    let phi_phase = 0.5;
+    if (history.length > 10) {
+      const recent = history.slice(-10);
+      const min = Math.min(...recent);
+      const max = Math.max(...recent);
+      if (max > min) phi_phase = (recent[recent.length - 1] - min) / (max - min);
+    }
+    this.thermodynamicState = { H, dH_dt, tau_coherence, phi_phase, generation };
+  }
+
+  resonanceWith(other) {
+    if (!this.thermodynamicState || !other.thermodynamicState) return 0;
+    const s1 = this.thermodynamicState, s2 = other.thermodynamicState;
+    // Lexicon §II resonance components — normalization constants scaled for H_max ≈ 8000
+    // ρH = 1/(1 + |Ha-Hb|/κ) where κ scales with entropy range
+    const entropy_compat = 1.0 / (1 + Math.abs(s1.H - s2.H) / 600);
+    // ρv = min(1, max(0, -va·vb/κ²)) — velocity complementarity, clamped to [0,1]
+    const rate_compat = Math.min(1.0, Math.max(0, -(s1.dH_dt * s2.dH_dt) / 5000));
+    // ρφ = cos(Δφ·π) — phase alignment (already normalized)
+    const phase_compat = Math.cos(Math.abs(s1.phi_phase - s2.phi_phase) * Math.PI);
+    // ρτ = min(τa,τb)/max(τa,τb) — coherence compatibility (ratio is scale-invariant)
+    const tau_ratio = Math.min(s1.tau_coherence, s2.tau_coherence) / Math.max(s1.tau_coherence, s2.tau_coherence);
+    // Lexicon §II: ρ = 0.35·ρH + 0.30·ρv + 0.20·ρφ + 0.15·ρτ
+    let base = entropy_compat * 0.35 + rate_compat * 0.30 + phase_compat * 0.20 + tau_ratio * 0.15;
+    if (this.isConcept && other.isConcept) base *= 1.15;
+    if (this.isConcept !== other.isConcept) base *= 1.08;
+    // v4.2: Attractor resonance bonus
+    if (this.isAttractor || other.isAttractor) base *= 1.12;
+    // v4.2: Reflex glyphs resonate differently
+    if (this.isReflex && !other.isReflex) base *= 1.05;
+    return Math.min(1.0, base);
+  }
+
+  update(width, height) {
+    this.x += this.vx;
+    this.y += this.vy;
+    this.vx *= 0.998;
+    this.vy *= 0.998;
+    if (this.x < 0 || this.x > width) this.vx *= -1;
+    if (this.y < 0 || this.y > height) this.vy *= -1;
+    this.x = Math.max(0, Math.min(width, this.x));
+    this.y = Math.max(0, Math.min(height, this.y));
+    this.pulsePhase += 0.05;
+  }
+}
+
+// ===== ENGINE CORE (Crucible + v4.2 fusion) =====
+class CrucibleEngine {
+  constructor({ seed = randomSeed(), ...config } = {}) {
+    this.seed = seed >>> 0;
+    this.rng = createRng(this.seed);
+    this.config = resolveConfig(config);
+    this.glyphs = new Map();
+    this.nextId = 0;
+    this.generation = 0;
+    this.resonanceMatrix = new Map();
+    this.openPipes = new Map();
+    this.collisionLog = [];
+    this.eventLog = [];
+    this.applyCultures(); // baseTags, cultures, cultureNames, eigenvalues
+    this.evolvedTags = [];
+    this.tagSignatures = new Set();
+    this.RESONANCE_THRESHOLD = this.config.resonanceThreshold;  // ρc — operational threshold
+    this.PHASE_TRANSITION_THRESHOLD = 0.93;  // ρc* — phase transition
+    this.CRITICAL_POINT_THRESHOLD = 0.997;   // ρc** — critical point
+    // ── Lexicon Observables ──
+    this.observables = {
+      psi: 0,           // ψ — order parameter ⟨ρ⟩
+      vp_mean: 0,       // ⟨vp⟩ — mean thermodynamic velocity
+      J_H: 0,           // J_H — entropy current density
+      f_xi: 0,          // f_Ξ — singularity fraction
+      F_free: 0,        // F — semantic free energy
+      H_mean: 0,        // ⟨H⟩ — mean field entropy
+      sigma_H: 0,       // σ_H — entropy variance
+      N_xi: 0,          // N_Ξ — singularity count
+      phaseTransitions: 0,  // count of ρ > ρc* events
+      criticalEvents: 0,    // count of ρ > ρc** events
+      S_u: 0,               // surfacing rate — unconscious → conscious activations
+      K_c: 0,               // compressibility — tag information density
+    };
+    // ── Unconscious Surfacing Tracker ──
+    this.surfacingEvents = [];     // [{gen, count, source}] rolling window
+    this.SURFACING_WINDOW = 200;   // generations to average over
+    this.BEACON_UPDATE_INTERVAL = 8;
+    this.MAX_GLYPHS = this.config.maxGlyphs;
+    this.RESONANCE_SAMPLE_SIZE = this.config.resonanceSampleSize; // stochastic pair samples per update
+    this.RESONANCE_MATRIX_CAP = 200;   // max stored resonant pairs
+    this.RENDER_CONNECTION_CAP = 120;   // max drawn connections
+    this.canvasW = 1200;
+    this.canvasH = 600;
+    this.conceptCount = 0;
+    this.shockwave = null;
+
+    // ── Seasonal Dynamics (from v4.2) ── phases and their order come from config.seasonModifiers / seasonSchedule
+    this.scheduleIndex = 0;          // position in seasonSchedule.steps (-1: running a phase the schedule no longer names)
+    this.season = this.config.seasonSchedule.steps[0].phase;
+    this.seasonCounter = 0;
+    this.SEASON_DURATION = this.seasonLength(); // generations in the current phase (scaled for browser)
+    this.pendingCheckpoint = null;   // note for a checkpoint a phase action asked for, taken at the end of the step
+    this.phaseConditions = null; this.compileSeasonConditions();
+    this.phaseStreaks = {};          // phase → consecutive generations its enterWhen has held (adaptive schedule)
+
+    // ── Typed Reflex System (from v4.2) ──
+    this.reflexFreeCount = 0;
+    this.REFLEX_INTERVAL = this.config.reflexInterval; // check every N generations
+
+    // ── Influence & Attractor System (from v4.2) ──
+    this.conceptualAttractors = new Map(); // id → {discovered, episodes[]}
+    this.ATTRACTOR_THRESHOLD = this.config.attractorThreshold;
+    this.INFLUENCE_INTERVAL = 50;
+
+    // ── Deep Analysis (from v4.2, browser-adapted) ──
+    this.DEEP_ANALYSIS_INTERVAL = 100;
+    this.lastAnalysis = null;
+
+    // ── Dormant Pool Pathing ──
+    this.dormantPools = [];
+    this.activeShortcuts = [];
+    this.POOL_SCAN_INTERVAL = 20;
+    this.PRESSURE_THRESHOLD = this.config.pressureThreshold; // mass threshold triggering synthesis pressure event
+    this.PRESSURE_INTERVAL = 30;     // check every N generations
+    this.HBAR_OVER_2 = 0.527;
+
+    // ── Meta-Reflex Helix Core ──
+    this.helix = {
+      ...this.config.helix, phi: 1.618, dt: 0.01,
+      gamma0: 0.5, epsilon: 0.1, eta: 0.02,
+      R_max: 4.0, A0: 1.0,
+      t: 0, R: 0, R_prev: 0, A: 1.0, theta: 0, theta_prev: 0,
+      z: 0, gamma: 0.5, HRV: 0, r_sq: 0,
+      history: [], A_history: [], phase_history: [],
+      stable: false, stableFor: 0, lastLogGen: -50,
+    };
+
+    // ── Time-Travel Checkpoints ──
+    this.CHECKPOINT_INTERVAL = this.config.checkpointInterval;
+    this.CHECKPOINT_CAPACITY = 40;   // ring size across all branches
+    this.checkpoints = [];           // [{id, gen, branch, season, glyphs, attractors, phaseTransitions, criticalEvents, state}]
+    this.nextCheckpointId = 0;
+    this.branch = 'main';
+    this.branches = new Map([['main', { parent: null, forkGen: 0 }]]);
+
+    // ── Genealogy ──
+    this.GENEALOGY_CAPACITY = 20000; // records kept, oldest dead ones evicted first
+    this.genealogy = new Map();      // id → {id, parents, tags, born, culture, seasonBorn, isConcept, isReflex, culled, reason}
+
+    // ── Observable series ──
+    this.series = createSeriesStore(); // columnar history, downsampled 2× each time it fills
+    this.cultureDynamics = createCultureDynamics(); // per-culture series + fusion / season tallies
+
+    // ── Breakpoints ──
+    // Not journaled or saved: they observe a run, never change it
+    this.breakpoints = [];           // [{id, text, enabled, hits, lastHit, condition, active}]
+    this.nextBreakpointId = 1;
+    this.halted = null;              // breakpoint ids that fired on the last step, else null
+
+    // ── Intervention Journal ──
+    this.journal = { seed: this.seed, config: structuredClone(this.config), snapshot: null, entries: [] }; // entries: [{gen, op, args}]
+
+    // ── Plugins ──
+    this.plugins = BUILTIN_PLUGINS.map(p => ({ ...p, enabled: true, builtin: true }));
+    this.sortPlugins();
+
+    // ── Event Bus ──
+    this.listeners = new Map(); // type | '*' → Set<fn>
+    this.on('*', (event) => {
+      const { msg, kind } = formatEvent(event);
+      this.eventLog.unshift({ msg, type: kind, gen: event.gen, ts: Date.now() });
+      if (this.eventLog.length > 50) this.eventLog.length = 50;
+    });
+  }
+
+  on(type, fn) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(fn);
+    return () => this.listeners.get(type)?.delete(fn);
+  }
+
+  emit(type, payload = {}) {
+    const event = { type, gen: this.generation, ...payload };
+    for (const key of [type, '*']) {
+      const fns = this.listeners.get(key);
+      if (!fns) continue;
+      for (const fn of fns) {
+        // A failing subscriber is reported as a 'listener-error' event, but never interrupts the step that
+        // emitted — and a failure while reporting one is dropped rather than reported again
+        try { fn(event); } catch (err) {
+          if (type !== 'listener-error') this.emit('listener-error', { listener: key, event: type, message: err?.message ?? String(err) });
+        }
+      }
+    }
+    return event;
+  }
+
+  log(msg, kind = 'info') { this.emit('log', { msg, kind }); }
+
+  genId() { return `g${String(this.nextId++).padStart(4, '0')}`; }
+
+  get tags() { return [...this.baseTags, ...this.evolvedTags, ...(this.config.seasonModifiers[this.season]?.tags || [])]; }
+
+  randomTag() {
+    const pool = this.tags;
+    return pool[Math.floor(this.rng() * pool.length)];
+  }
+
+  learnTag(tag) {
+    if (!this.baseTags.includes(tag) && !this.evolvedTags.includes(tag)) {
+      this.evolvedTags.push(tag);
+      this.log(`🧬 New tag evolved: ${tag} (vocab: ${this.tags.length})`, 'evolution');
+      if (this.evolvedTags.length > 500) this.evolvedTags.shift();
+    }
+  }
+
+  tagSig(tags) { return [...tags].sort().join('|'); }
+
+  // ── Seasonal entropy calculation (v4.2 + Crucible merged) ──
+  calcEntropy(glyph) {
+    const genContrib = Math.min(this.generation, 100) * 10;
+    const seasonMod = this.config.seasonModifiers[this.season]?.entropy || 1.0;
+    // Composite operator: Θ = ∏ Ωi — tag eigenvalues multiply (non-commutative product)
+    let operatorProduct = 1.0;
+    let evolvedCount = 0;
+    for (const tag of glyph.tags) {
+      const clean = tag.replace(/gen:.*|μ.*|c#.*/, '').trim();
+      if (this.eigenvalues[clean]) {
+        operatorProduct *= this.eigenvalues[clean];
+      } else if (clean.length > 0) {
+        evolvedCount++;
+      }
+    }
+    // Evolved/mutant tags: diminishing returns (log growth, not exponential)
+    if (evolvedCount > 0) operatorProduct *= 1 + Math.log(1 + evolvedCount) * 0.2;
+    // Cap total operator product to prevent runaway
+    operatorProduct = Math.min(operatorProduct, 12.0);
+    const base = (glyph.tags.length * 42 + Math.floor(this.rng() * 58) + genContrib) * seasonMod * operatorProduct;
+    if (glyph.isConcept && glyph.conceptData) {
+      return Math.min(base + (glyph.conceptData.confidence || 0.5) * 500, 10000);
+    }
+    // v4.2: Renaissance-born glyphs get bonus
+    if (glyph.seasonBorn === SeasonalPhase.RENAISSANCE) return Math.min(base * 1.1, 8000);
+    return Math.min(base, 8000);
+  }
+
+  createGlyph(tags = null, ancestry = [], culture = null) {
+    // Assign culture for organic glyphs
+    if (!culture && !tags && this.cultureNames.length) {
+      culture = this.cultureNames[Math.floor(this.rng() * this.cultureNames.length)];
+    }
+    if (!tags) {
+      const maxAttempts = 20;
+      const cultureTags = culture ? this.cultures[culture]?.tags || [] : [];
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const candidate = [];
+        const count = Math.floor(this.rng() * 3) + 1;
+        for (let i = 0; i < count; i++) {
+          // 60% chance to draw from culture pool, 40% from general vocabulary
+          if (cultureTags.length > 0 && this.rng() < 0.6) {
+            candidate.push(cultureTags[Math.floor(this.rng() * cultureTags.length)]);
+          } else {
+            candidate.push(this.randomTag());
+          }
+        }
+        candidate.push(`gen:${this.generation}`);
+        const deduped = [...new Set(candidate)];
+        const sig = this.tagSig(deduped);
+        if (!this.tagSignatures.has(sig)) { tags = deduped; break; }
+        if (attempt === maxAttempts - 1) {
+          candidate.push(`μ${this.nextId}`);
+          tags = [...new Set(candidate)];
+        }
+      }
+    }
+    const sig = this.tagSig(tags);
+    this.tagSignatures.add(sig);
+    const glyph = new Glyph(this.genId(), tags, ancestry, this.generation, false, this.rng);
+    glyph.seasonBorn = this.season;
+    glyph.culture = culture;
+    glyph.entropyHistory.push(this.calcEntropy(glyph));
+    return glyph;
+  }
+
+  injectConcept(concept, culture = null) {
+    const tags = [...(concept.keywords || []), 'concept', `c#${concept.id}`];
+    const glyph = new Glyph(this.genId(), tags, [], this.generation, true, this.rng);
+    glyph.conceptData = concept;
+    glyph.seasonBorn = this.season;
+    glyph.culture = culture;
+    const cx = this.canvasW / 2, cy = this.canvasH / 2;
+    const angle = (this.conceptCount * 2.399) + this.rng() * 0.3;
+    const dist = 50 + this.conceptCount * 15;
+    glyph.x = cx + Math.cos(angle) * dist;
+    glyph.y = cy + Math.sin(angle) * dist;
+    glyph.vx = Math.cos(angle) * 3;
+    glyph.vy = Math.sin(angle) * 3;
+    glyph.entropyHistory.push(this.calcEntropy(glyph));
+    this.store(glyph);
+    this.conceptCount++;
+    this.log(`⚗️ Concept injected: "${(concept.technical || '').slice(0, 40)}..."`, 'concept');
+    return glyph;
+  }
+
+  // Pipeline batch: central shockwave, concepts, then refresh fields so they resonate immediately.
+  // With a Semantic Taxonomy its clusters become the taxonomy cultures and each concept joins its cluster's.
+  injectConcepts(concepts, taxonomy = null) {
+    const assign = taxonomy ? this.adoptTaxonomy(taxonomy, concepts) : null;
+    this.triggerShockwave(this.canvasW / 2, this.canvasH / 2, '#daa520');
+    const glyphs = concepts.map(c => this.injectConcept(c, assign?.get(Number(c.id)) || null));
+    this.updateThermodynamics(); this.updateResonanceField();
+    return glyphs;
+  }
+
+  // Replaces the previous taxonomy's temporary cultures with this one's → concept id → culture name.
+  // Glyphs already carrying a replaced culture keep the name; it just no longer seeds new glyphs.
+  adoptTaxonomy(taxonomy, concepts = []) {
+    const { cultures, assign } = taxonomyCultures(taxonomy, concepts);
+    const stale = Object.keys(this.config.cultures).filter(name => this.config.cultures[name].temporary && !cultures[name]);
+    this.configure({ cultures: { ...Object.fromEntries(stale.map(name => [name, null])), ...cultures } });
+    const names = Object.values(cultures).map(c => c.label);
+    if (names.length) this.log(`🗂️ Taxonomy cultures: ${names.join(' · ')}`, 'info');
+    return assign;
+  }
+
+  triggerShockwave(x, y, color = '#daa520') {
+    this.shockwave = { x, y, radius: 0, maxRadius: 400, color, birth: Date.now() };
+    for (const g of this.glyphs.values()) {
+      const dx = g.x - x, dy = g.y - y;
+      const dist = Math.sqrt(dx * dx + dy * dy) + 1;
+      const force = Math.min(5, 200 / dist);
+      g.vx += (dx / dist) * force;
+      g.vy += (dy / dist) * force;
+    }
+  }
+
+  store(glyph) {
+    this.glyphs.set(glyph.id, glyph);
+    this.runHook('onGlyphCreated', glyph);
+    if (this.glyphs.size > this.MAX_GLYPHS) {
+      const excess = this.glyphs.size - this.MAX_GLYPHS;
+      const cullCount = Math.min(excess + 5, 25);
+      // Pre-compute parent reference counts
+      const parentHits = new Map();
+      for (const g of this.glyphs.values()) {
+        for (const aid of g.ancestry) parentHits.set(aid, (parentHits.get(aid) || 0) + 1);
+      }
+      const removable = Array.from(this.glyphs.values())
+        .filter(g => !g.isConcept && !g.isAttractor && !g.isReflex && !g.isDampener)
+        .map(g => {
+          const children = parentHits.get(g.id) || 0;
+          const score = g.entropy * 0.3 + (60 - Math.min(60, g.stagnantCount)) * 20 + children * 500 + g.stability * 1000;
+          return { id: g.id, score };
+        })
+        .sort((a, b) => a.score - b.score)
+        .slice(0, cullCount)
+        .map(g => g.id);
+      removable.forEach(id => this.cull(this.glyphs.get(id), 'capacity'));
+    }
+  }
+
+  // Single exit for glyphs leaving the field, so plugins see every removal
+  cull(glyph, reason) {
+    this.tagSignatures.delete(this.tagSig(glyph.tags));
+    this.glyphs.delete(glyph.id);
+    this.runHook('onGlyphCulled', glyph, reason);
+  }
+
+  collide(parentA, parentB) {
+    const childTags = [...new Set([...parentA.tags, ...parentB.tags])];
+    const cleaned = childTags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
+    // Effective mutation rate — boosted by entrainment
+    const effectiveMutRate = Math.min(1.0, (parentA.mutationRate + parentB.mutationRate) / 2);
+    if (parentA.tags.length >= 2 && parentB.tags.length >= 2) {
+      const tA = parentA.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
+      const tB = parentB.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
+      if (tA.length && tB.length) {
+        // v4.2: Season-aware mutation operator
+        const a = tA[Math.floor(this.rng() * tA.length)];
+        const b = tB[Math.floor(this.rng() * tB.length)];
+        let mutant;
+        if (this.season === SeasonalPhase.EXPLORATION) mutant = `${a}→${b}`;
+        else if (this.season === SeasonalPhase.CONSOLIDATION) mutant = `${a}∧${b}`;
+        else mutant = `${a}×${b}`;
+        cleaned.push(mutant);
+        this.learnTag(mutant);
+        // Extra mutations from elevated mutation rate (entrainment lineage boost)
+        if (effectiveMutRate > 0.2 && this.rng() < effectiveMutRate - 0.1) {
+          const a2 = tA[Math.floor(this.rng() * tA.length)];
+          const b2 = tB[Math.floor(this.rng() * tB.length)];
+          const bonus = `${b2}⊕${a2}`;
+          cleaned.push(bonus);
+          this.learnTag(bonus);
+        }
+      }
+    }
+    const isCrossType = parentA.isConcept !== parentB.isConcept;
+    if (isCrossType) cleaned.push('synthesis');
+    if (parentA.isConcept && parentB.isConcept) cleaned.push('semantic-fusion');
+    // Cross-cultural collision — hybrid offspring with novel fusion tag
+    const isCrossCulture = parentA.culture && parentB.culture && parentA.culture !== parentB.culture && parentA.culture !== 'hybrid' && parentB.culture !== 'hybrid';
+    let childCulture = null;
+    if (parentA.culture === parentB.culture) {
+      childCulture = parentA.culture; // Same culture → inherit
+    } else if (isCrossCulture) {
+      childCulture = 'hybrid';
+      // Cross-cultural fusion tag using both culture labels
+      const cA = this.cultures[parentA.culture]?.label || parentA.culture;
+      const cB = this.cultures[parentB.culture]?.label || parentB.culture;
+      const fusionTag = `${cA}⇌${cB}`;
+      cleaned.push(fusionTag);
+      this.learnTag(fusionTag);
+    } else {
+      childCulture = parentA.culture || parentB.culture || 'hybrid';
+    }
+    cleaned.push(`gen:${this.generation}`);
+    const finalTags = this.compressTags([...new Set(cleaned)]);
+
+    const child = this.createGlyph(finalTags, [parentA.id, parentB.id], childCulture);
+    // Lexicon §IV: Amplification factor A(ρ) = 1.0 + 0.28(ρ - ρc) for ρ > ρc
+    const collisionRes = parentA.resonanceWith(parentB);
+    if (collisionRes > this.RESONANCE_THRESHOLD) {
+      const A_factor = 1.0 + 0.28 * (collisionRes - this.RESONANCE_THRESHOLD);
+      const parentAvgH = (parentA.entropy + parentB.entropy) / 2;
+      const amplifiedH = Math.min(parentAvgH * A_factor, 10000);
+      child.entropyHistory[child.entropyHistory.length - 1] = amplifiedH;
+    }
+    child.x = (parentA.x + parentB.x) / 2 + (this.rng() - 0.5) * 50;
+    child.y = (parentA.y + parentB.y) / 2 + (this.rng() - 0.5) * 50;
+    if (parentA.isConcept && parentB.isConcept) {
+      child.isConcept = true;
+      child.conceptData = { technical: `Fusion of ${parentA.id} × ${parentB.id}`, confidence: 0.8, keywords: childTags.slice(0, 4) };
+    }
+    this.store(child);
+    // Reset stagnant counters
+    parentA.stagnantCount = 0;
+    parentB.stagnantCount = 0;
+    child.stagnantCount = 0;
+    // Inherit entrainment traits — child gets averaged mutation rate with decay toward baseline
+    child.mutationRate = 0.1 + (effectiveMutRate - 0.1) * 0.7; // 70% inheritance, decays toward 0.1
+    child.priority = (parentA.priority + parentB.priority) * 0.3; // 30% priority inheritance
+    return child;
+  }
+
+  updateThermodynamics() {
+    for (const glyph of this.glyphs.values()) {
+      glyph.entropyHistory.push(this.calcEntropy(glyph));
+      if (glyph.entropyHistory.length > 50) glyph.entropyHistory.shift();
+      glyph.updateThermodynamics(this.generation);
+      glyph.stagnantCount++;
+    }
+  }
+
+  updateResonanceField() {
+    // A pair that was already resonant keeps the generation it formed at (exportGraph's edge start)
+    const previous = this.resonanceMatrix;
+    this.resonanceMatrix = new Map();
+    const arr = Array.from(this.glyphs.values()).filter(g => g.thermodynamicState);
+    const n = arr.length;
+    if (n < 2) return;
+    const seasonAdj = this.config.seasonModifiers[this.season]?.resonance || 0;
+    const threshold = this.RESONANCE_THRESHOLD + seasonAdj;
+
+    // Spatial grid for proximity-biased sampling
+    const cellSize = 120;
+    const grid = new Map();
+    for (const g of arr) {
+      const key = `${Math.floor(g.x / cellSize)},${Math.floor(g.y / cellSize)}`;
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push(g);
+    }
+
+    const checked = new Set();
+    const addPair = (a, b) => {
+      const pk = a.id < b.id ? `${a.id},${b.id}` : `${b.id},${a.id}`;
+      if (checked.has(pk)) return;
+      checked.add(pk);
+      let score = a.resonanceWith(b);
+      // Dampener attenuation — suppress resonance near dampener fields
+      if (score > 0) {
+        const attA = this.getDampenerAttenuation(a);
+        const attB = this.getDampenerAttenuation(b);
+        score *= attA * attB;
+      }
+      // Cross-cultural resonance bonus — different lenses resonate more strongly
+      if (a.culture && b.culture && a.culture !== b.culture && a.culture !== 'hybrid' && b.culture !== 'hybrid') {
+        score *= this.config.crossCultureBonus;
+        score = Math.min(1.0, score);
+      }
+      if (score > threshold) {
+        this.resonanceMatrix.set(pk, { a, b, score, since: previous.get(pk)?.since ?? this.generation });
+      }
+    };
+
+    // Phase 1: Check all neighbors within same + adjacent grid cells (local structure)
+    for (const [key, cell] of grid) {
+      const [cx, cy] = key.split(',').map(Number);
+      for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) {
+        const neighbor = grid.get(`${cx + dx},${cy + dy}`);
+        if (!neighbor) continue;
+        for (const a of cell) for (const b of neighbor) {
+          if (a.id >= b.id) continue;
+          addPair(a, b);
+        }
+      }
+    }
+
+    // Phase 2: Stochastic global sampling (long-range connections)
+    const globalSamples = Math.min(this.RESONANCE_SAMPLE_SIZE, n * (n - 1) / 2);
+    for (let s = 0; s < globalSamples; s++) {
+      const i = Math.floor(this.rng() * n);
+      let j = Math.floor(this.rng() * (n - 1));
+      if (j >= i) j++;
+      addPair(arr[i], arr[j]);
+    }
+
+    // Cap resonance matrix to top pairs by score
+    if (this.resonanceMatrix.size > this.RESONANCE_MATRIX_CAP) {
+      const sorted = Array.from(this.resonanceMatrix.entries()).sort((a, b) => b[1].score - a[1].score);
+      this.resonanceMatrix.clear();
+      for (let i = 0; i < this.RESONANCE_MATRIX_CAP; i++) {
+        this.resonanceMatrix.set(sorted[i][0], sorted[i][1]);
+      }
+    }
+
+    for (const [key, expiry] of this.openPipes.entries()) {
+      if (this.generation > expiry) this.openPipes.delete(key);
+    }
+  }
+
+  coordinate() {
+    // Mass-weighted priority: resonance × sqrt(combined mass) — deeper lineages collide first
+    const pairs = Array.from(this.resonanceMatrix.values())
+      .map(p => ({ ...p, priority: p.score * Math.sqrt((p.a.mass + p.b.mass) / 2000) }))
+      .sort((x, y) => y.priority - x.priority)
+      .slice(0, 5);
+    let collisions = 0;
+    for (const { a, b, score } of pairs) {
+      const key = `${a.id},${b.id}`, rev = `${b.id},${a.id}`;
+      if (this.openPipes.has(key) || this.openPipes.has(rev)) continue;
+      if (a.id === b.id) continue;
+      if (a.ancestry.includes(b.id) || b.ancestry.includes(a.id)) continue;
+      if (this.generation - a.lastCollisionGen < 10) continue;
+      if (this.generation - b.lastCollisionGen < 10) continue;
+      this.openPipes.set(key, this.generation + 5);
+      const offspring = this.collide(a, b);
+      const collision = { generation: this.generation, parentA: a.id, parentB: b.id, offspring: offspring.id, resonance: score, crossType: a.isConcept !== b.isConcept, crossCulture: !!(a.culture && b.culture) && a.culture !== b.culture, cultureA: a.culture, cultureB: b.culture };
+      this.collisionLog.push(collision);
+      this.runHook('onCollision', collision);
+      // Lexicon §V: Track critical threshold crossings
+      if (score > this.PHASE_TRANSITION_THRESHOLD) {
+        this.observables.phaseTransitions++;
+        if (score > this.CRITICAL_POINT_THRESHOLD) {
+          this.observables.criticalEvents++;
+          this.emit('critical-point', { parentA: a.id, parentB: b.id, resonance: score, threshold: this.CRITICAL_POINT_THRESHOLD });
+        }
+      }
+      a.lastCollisionGen = this.generation;
+      b.lastCollisionGen = this.generation;
+      collisions++;
+      this.emit('collision', { ...collision, conceptPair: a.isConcept && b.isConcept });
+    }
+    return collisions;
+  }
+
+  // ── SEASONAL DYNAMICS (from v4.2) ──
+  updateSeason() {
+    this.seasonCounter++;
+    if (this.config.seasonSchedule.adaptive && this.adaptSeason()) return;
+    if (this.seasonCounter < this.SEASON_DURATION) return;
+    const { steps, loop } = this.config.seasonSchedule;
+    const next = this.scheduleIndex + 1;
+    if (next >= steps.length && !loop) {
+      // A finished script holds its last phase for the rest of the run
+      if (this.seasonCounter === this.SEASON_DURATION) this.log(`📜 Season schedule complete — holding ${this.season}`, 'season');
+      return;
+    }
+    this.seasonCounter = 0;
+    this.enterScheduleStep(next % steps.length);
+  }
+
+  // Adaptive schedule: the first later step (in schedule order) whose phase's enterWhen has held for `confirm`
+  // generations takes over — once the running phase is minPhase old and its exitWhen, if any, holds.
+  // Distinct enter / exit thresholds plus the confirm streak are the hysteresis that keeps it from flapping.
+  adaptSeason() {
+    const { steps, loop, minPhase, confirm } = this.config.seasonSchedule;
+    // Every condition is evaluated every generation so streaks and 'becomes' clauses stay current
+    for (const [name, c] of Object.entries(this.phaseConditions)) {
+      if (c.enter) this.phaseStreaks[name] = c.enter.evaluate(this) ? (this.phaseStreaks[name] || 0) + 1 : 0;
+    }
+    const exit = this.phaseConditions[this.season]?.exit;
+    const released = exit ? exit.evaluate(this) : true;
+    if (this.seasonCounter < minPhase || !released) return false;
+    // A finished script doesn't wrap: only steps still ahead are candidates
+    const ahead = loop ? steps.length - 1 : steps.length - 1 - this.scheduleIndex;
+    for (let k = 1; k <= ahead; k++) {
+      const index = (this.scheduleIndex + k) % steps.length;
+      const { phase } = steps[index];
+      if (phase === this.season || (this.phaseStreaks[phase] || 0) < confirm) continue;
+      this.seasonCounter = 0;
+      this.enterScheduleStep(index, this.phaseConditions[phase].enter.text);
+      return true;
+    }
+    return false;
+  }
+
+  enterScheduleStep(index, trigger = null) {
+    const oldSeason = this.season;
+    this.runSeasonActions('onExit');
+    this.scheduleIndex = index;
+    this.season = this.config.seasonSchedule.steps[index].phase;
+    this.SEASON_DURATION = this.seasonLength();
+    this.emit('season', trigger ? { from: oldSeason, to: this.season, trigger } : { from: oldSeason, to: this.season });
+    this.runSeasonActions('onEnter');
+  }
+
+  // config → compiled enterWhen / exitWhen per phase; unchanged texts keep their compiled state
+  compileSeasonConditions() {
+    const metrics = this.conditionMetrics(), prev = this.phaseConditions || {};
+    const compile = (text, old) => (!text?.trim() ? null : old?.text === text.trim() ? old : compileCondition(text, metrics));
+    this.phaseConditions = Object.fromEntries(Object.entries(this.config.seasonModifiers).map(([name, p]) => [name, {
+      enter: compile(p.enterWhen, prev[name]?.enter), exit: compile(p.exitWhen, prev[name]?.exit),
+    }]));
+  }
+
+  // The timeline jumped (reset, restore) — streaks and 'becomes' history belong to the old one
+  primeSeasonConditions() {
+    for (const c of Object.values(this.phaseConditions)) { c.enter?.prime(); c.exit?.prime(); }
+    this.phaseStreaks = {};
+  }
+
+  runSeasonActions(hook) {
+    const phase = this.config.seasonModifiers[this.season];
+    for (const name of phase?.[hook] || []) SEASON_ACTIONS[name](this, phase);
+  }
+
+  // Length of the running phase: the schedule step's own, else the phase's, else seasonDuration
+  seasonLength() {
+    const step = this.config.seasonSchedule.steps[this.scheduleIndex];
+    return (step?.phase === this.season && step.duration) || this.config.seasonModifiers[this.season]?.duration || this.config.seasonDuration;
+  }
+
+  // sleep scales how readily glyphs go dormant — 1.5 (the dormancy default) puts the bar at 80 stagnant generations
+  activateDormancyPhase(sleep = SEASON_MODIFIERS[SeasonalPhase.DORMANCY].sleep) {
+    let dormant = 0;
+    for (const g of this.glyphs.values()) {
+      if (g.stagnantCount > 120 / sleep && !g.isConcept && !g.isAttractor && g.entropy < 2000) {
+        g.tags.push('dormant');
+        dormant++;
+      }
+    }
+    if (dormant > 0) this.log(`💤 ${dormant} glyphs entered dormancy`, 'season');
+  }
+
+  activateRenaissancePhase() {
+    let reactivated = 0;
+    for (const g of this.glyphs.values()) {
+      if (g.tags.includes('dormant') && this.rng() < 0.3) {
+        g.tags = g.tags.filter(t => t !== 'dormant');
+        g.tags.push('renaissance');
+        g.stagnantCount = 0;
+        g.entropyHistory.push(this.calcEntropy(g));
+        reactivated++;
+      }
+    }
+    if (reactivated > 0) {
+      this.recordSurfacing(reactivated, 'renaissance');
+      this.log(`🌅 ${reactivated} glyphs surfaced from unconscious (renaissance)`, 'season');
+    }
+  }
+
+  // ── TYPED REFLEX SYSTEM (from v4.2) ──
+  reflexCheck() {
+    if (this.generation % this.REFLEX_INTERVAL !== 0) return;
+    const arr = Array.from(this.glyphs.values());
+    const avgEntropy = arr.reduce((s, g) => s + g.entropy, 0) / (arr.length || 1);
+    let reflexCount = 0;
+
+    for (const g of arr) {
+      if (g.isReflex || g.isConcept) continue;
+      // Trigger conditions: stagnant, low entropy relative to average, or has 'unknown' tag
+      const isStagnant = g.stagnantCount > 40;
+      const isLowEntropy = g.entropy < avgEntropy * 0.6;
+      const hasUnknown = g.tags.includes('unknown');
+      if (isStagnant || isLowEntropy || hasUnknown) {
+        const type = this.determineReflexType(g, avgEntropy);
+        const reflex = this.createReflexGlyph(g, type);
+        this.store(reflex);
+        this.emit('reflex', { reflexType: type, source: g.id, id: reflex.id });
+        reflexCount++;
+        if (reflexCount >= 3) break; // Cap per cycle
+      }
+    }
+  }
+
+  determineReflexType(g, avgEntropy) {
+    const ratio = g.entropy / Math.max(1, avgEntropy);
+    const tagCount = g.tags.length;
+    if (ratio < 0.5 && tagCount < 3) return ReflexType.DEFENSIVE;
+    if (tagCount > 4 && ratio > 1.2) return ReflexType.COLLABORATIVE;
+    if (g.isAttractor) return ReflexType.CONSOLIDATIVE;
+    if (this.season === SeasonalPhase.EXPLORATION) return ReflexType.EXPLORATORY;
+    return ReflexType.METAMORPHIC;
+  }
+
+  createReflexGlyph(parent, type) {
+    let newTags = [...parent.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'))];
+    switch (type) {
+      case ReflexType.DEFENSIVE: newTags.push('reflex', 'preserve', 'stable'); break;
+      case ReflexType.EXPLORATORY: newTags.push('reflex', 'seek', 'novel', this.randomTag()); break;
+      case ReflexType.COLLABORATIVE: {
+        // Bridge with a semantically distant glyph
+        const distant = this.findDistantGlyph(parent);
+        if (distant) newTags.push(...distant.tags.slice(0, 2));
+        newTags.push('reflex', 'bridge');
+        break;
+      }
+      case ReflexType.CONSOLIDATIVE: newTags.push('reflex', 'strengthen', 'anchor'); break;
+      case ReflexType.METAMORPHIC: {
+        const [a, b] = newTags.length >= 2 ? [newTags[0], newTags[1]] : [newTags[0] || 'void', 'transform'];
+        newTags = [`${a}⇌${b}`, 'reflex', 'transform', 'evolve'];
+        break;
+      }
+    }
+    newTags.push(`gen:${this.generation}`);
+    const child = this.createGlyph([...new Set(newTags)], [parent.id]);
+    child.isReflex = true;
+    child.reflexType = type;
+    child.x = parent.x + (this.rng() - 0.5) * 80;
+    child.y = parent.y + (this.rng() - 0.5) * 80;
+    this.reflexFreeCount = Array.from(this.glyphs.values()).filter(g => !g.isReflex).length;
+    return child;
+  }
+
+  findDistantGlyph(ref) {
+    const arr = Array.from(this.glyphs.values()).filter(g => g.id !== ref.id);
+    if (arr.length < 2) return null;
+    // Use tag overlap as distance proxy (no ML embeddings in browser)
+    const refSet = new Set(ref.tags);
+    let best = null, bestDist = -1;
+    const sample = arr.length > 30 ? arr.sort(() => this.rng() - 0.5).slice(0, 30) : arr;
+    for (const g of sample) {
+      const gSet = new Set(g.tags);
+      const overlap = [...refSet].filter(t => gSet.has(t)).length;
+      const dist = 1 - overlap / Math.max(refSet.size, gSet.size);
+      if (dist > bestDist) { bestDist = dist; best = g; }
+    }
+    return best;
+  }
+
+  // ── INFLUENCE & ATTRACTOR SYSTEM (from v4.2) ──
+  updateInfluenceAndAttractors() {
+    if (this.generation % this.INFLUENCE_INTERVAL !== 0) return;
+    const arr = Array.from(this.glyphs.values());
+
+    // Pre-build ancestry index: parent → [children] (O(n) instead of O(n²))
+    const childrenOf = new Map();
+    for (const g of arr) {
+      for (const aid of g.ancestry) {
+        if (!childrenOf.has(aid)) childrenOf.set(aid, []);
+        childrenOf.get(aid).push(g);
+      }
+    }
+
+    // Calculate influence using index
+    for (const g of arr) {
+      const children = childrenOf.get(g.id) || [];
+      if (children.length === 0) { g.influenceScore = 0; continue; }
+      const tagDiversity = new Set(children.flatMap(c => c.tags)).size / Math.max(1, children.length);
+      const avgChildEntropy = children.reduce((s, c) => s + c.entropy, 0) / children.length;
+      const cascadeDepth = this.cascadeDepth(g.id, new Set(), 4, childrenOf);
+      g.influenceScore = (
+        (children.length / arr.length) * 0.35 +
+        (tagDiversity / 10) * 0.25 +
+        (cascadeDepth / 4) * 0.15 +
+        (avgChildEntropy / 8000) * 0.15 +
+        (children.filter(c => c.isConcept !== g.isConcept).length / Math.max(1, children.length)) * 0.10
+      );
+    }
+
+    // Detect attractors using same ancestry index
+    const ancestryCounts = new Map();
+    for (const g of arr) {
+      for (const aid of g.ancestry) {
+        ancestryCounts.set(aid, (ancestryCounts.get(aid) || 0) + 1);
+      }
+    }
+    for (const [aid, count] of ancestryCounts) {
+      if (count >= this.ATTRACTOR_THRESHOLD) {
+        const g = this.glyphs.get(aid);
+        if (g && !g.isAttractor) {
+          g.isAttractor = true;
+          if (!this.conceptualAttractors.has(aid)) {
+            this.conceptualAttractors.set(aid, { discovered: this.generation, episodes: [] });
+          }
+          this.conceptualAttractors.get(aid).episodes.push(this.generation);
+          this.emit('attractor', { id: aid, hits: count, proxyFor: null });
+        } else if (!g && count >= this.ATTRACTOR_THRESHOLD + 1) {
+          // Culled progenitor — promote highest-influence living descendant
+          const descendants = childrenOf.get(aid) || [];
+          let bestDescendant = null, bestScore = -1;
+          for (const candidate of descendants) {
+            if (!candidate.isAttractor && candidate.influenceScore > bestScore) {
+              bestScore = candidate.influenceScore;
+              bestDescendant = candidate;
+            }
+          }
+          if (bestDescendant) {
+            bestDescendant.isAttractor = true;
+            if (!this.conceptualAttractors.has(bestDescendant.id)) {
+              this.conceptualAttractors.set(bestDescendant.id, { discovered: this.generation, episodes: [], proxyFor: aid });
+            }
+            this.conceptualAttractors.get(bestDescendant.id).episodes.push(this.generation);
+            this.emit('attractor', { id: bestDescendant.id, hits: count, proxyFor: aid });
+          }
+        }
+      }
+    }
+  }
+
+  cascadeDepth(id, visited, maxDepth, childrenOf = null) {
+    if (visited.has(id) || maxDepth <= 0) return 0;
+    visited.add(id);
+    const children = childrenOf ? (childrenOf.get(id) || []) : Array.from(this.glyphs.values()).filter(g => g.ancestry.includes(id));
+    if (children.length === 0) return 1;
+    let maxChild = 0;
+    for (const c of children) {
+      maxChild = Math.max(maxChild, this.cascadeDepth(c.id, visited, maxDepth - 1, childrenOf));
+    }
+    return 1 + maxChild;
+  }
+
+  // ── TAG VECTORIZATION (character trigram embeddings) ──
+  _tagVec(tag) {
+    // 64-dim vector from character trigrams — browser-native substitute for sentence transformers
+    const dim = 64;
+    const vec = new Float32Array(dim);
+    const s = tag.toLowerCase();
+    for (let i = 0; i <= s.length - 3; i++) {
+      const tri = s.charCodeAt(i) * 7919 + s.charCodeAt(i+1) * 6271 + s.charCodeAt(i+2) * 4219;
+      vec[Math.abs(tri) % dim] += 1;
+      vec[Math.abs(tri * 31) % dim] += 0.5;
+    }
+    // Also encode bigrams for short tags
+    for (let i = 0; i <= s.length - 2; i++) {
+      const bi = s.charCodeAt(i) * 5381 + s.charCodeAt(i+1) * 3671;
+      vec[Math.abs(bi) % dim] += 0.7;
+    }
+    // Unigram fallback for single-char tags
+    for (let i = 0; i < s.length; i++) {
+      vec[Math.abs(s.charCodeAt(i) * 2903) % dim] += 0.3;
+    }
+    return vec;
+  }
+
+  // ── TAG COMPRESSION (ported from MVP) ──
+  // Semantic dedup: merge near-duplicate tags by vector cosine similarity
+  // Preserves cognitive markers, caps at MAX_TAGS_PER_GLYPH
+  compressTags(tags) {
+    if (tags.length <= MAX_TAGS_PER_GLYPH) return tags;
+    const keep = [];
+    // Pass 1: always retain cognitive/structural markers
+    const structural = [];
+    const regular = [];
+    for (const t of tags) {
+      if (COGNITIVE_TAGS.has(t) || t.startsWith('c#') || t.startsWith('gen:')) {
+        structural.push(t);
+      } else {
+        regular.push(t);
+      }
+    }
+    // Pass 2: dedupe regular tags by semantic similarity
+    for (const t of regular) {
+      let redundant = false;
+      const tv = this._tagVec(t);
+      for (const k of keep) {
+        if (this._cosine(tv, this._tagVec(k)) > this.config.compressSimThreshold) {
+          redundant = true;
+          break;
+        }
+      }
+      if (!redundant) keep.push(t);
+    }
+    // Combine: structural first, then deduped regular, cap total
+    const result = [...new Set([...structural, ...keep])];
+    return result.slice(0, MAX_TAGS_PER_GLYPH);
+  }
+
+  // ── SEMANTIC DRIFT LOGGER (from v4.2, browser-adapted) ──
+  logSemanticMergers() {
+    const WINDOW = 200, SIM_THRESHOLD = 0.7;
+    if (this.glyphs.size < 20) return null;
+    const arr = Array.from(this.glyphs.values());
+    const recent = arr.slice(-Math.min(WINDOW, arr.length));
+    let allTags = [...new Set(recent.flatMap(g => g.tags))];
+    if (allTags.length < 2) return null;
+    // Cap tags to prevent O(n²) blowup
+    if (allTags.length > 80) allTags = allTags.sort(() => this.rng() - 0.5).slice(0, 80);
+
+    // Vectorize
+    const vecs = new Map();
+    for (const t of allTags) vecs.set(t, this._tagVec(t));
+
+    // Find high-similarity pairs
+    const mergers = [];
+    for (let i = 0; i < allTags.length; i++) {
+      for (let j = i + 1; j < allTags.length; j++) {
+        const t1 = allTags[i], t2 = allTags[j];
+        if (t1 === t2) continue;
+        const sim = this._cosine(vecs.get(t1), vecs.get(t2));
+        if (sim > SIM_THRESHOLD) mergers.push({ t1, t2, sim });
+      }
+    }
+    if (mergers.length === 0) return null;
+
+    mergers.sort((a, b) => b.sim - a.sim);
+    const top = mergers.slice(0, 5);
+    this.log(`🌊 Semantic drift: ${top.length} merger${top.length > 1 ? 's' : ''} detected (top: ${top[0].t1}↔${top[0].t2} ${top[0].sim.toFixed(3)})`, 'analysis');
+    return top;
+  }
+
+  // ── LEXICON OBSERVABLES (Physics Lexicon §III, §V, §VIII, §IX, §X) ──
+  computeObservables() {
+    const arr = Array.from(this.glyphs.values());
+    if (arr.length < 5) return;
+
+    // §III: Mean Field Entropy ⟨H⟩ = (1/N) Σ Hi
+    const entropies = arr.map(g => g.entropy);
+    const H_mean = entropies.reduce((a, b) => a + b, 0) / arr.length;
+
+    // §III: Entropy Variance σ_H² = ⟨(H - ⟨H⟩)²⟩
+    const sigma_H = Math.sqrt(entropies.reduce((s, e) => s + (e - H_mean) ** 2, 0) / arr.length);
+
+    // §V: Order Parameter ψ = ⟨ρ⟩ averaged over all resonant pairs
+    let psiSum = 0, psiCount = 0;
+    for (const { score } of this.resonanceMatrix.values()) {
+      psiSum += score;
+      psiCount++;
+    }
+    const psi = psiCount > 0 ? psiSum / psiCount : 0;
+
+    // §I: Mean Thermodynamic Velocity ⟨vp⟩ = ⟨dH/dt⟩ / Cs (Cs ≈ 1)
+    let vpSum = 0, vpCount = 0;
+    for (const g of arr) {
+      if (g.thermodynamicState) {
+        vpSum += Math.abs(g.thermodynamicState.dH_dt);
+        vpCount++;
+      }
+    }
+    const vp_mean = vpCount > 0 ? vpSum / vpCount : 0;
+
+    // §III: Entropy Current Density J_H = Σ_neighbors |H_a - H_b| / distance
+    // Computed over spatial neighbors (grid cells), not resonant pairs, to capture actual entropy flow
+    let J_H = 0, J_H_pairs = 0;
+    const jCellSize = 150;
+    const jGrid = new Map();
+    for (const g of arr) {
+      if (!g.thermodynamicState) continue;
+      const key = `${Math.floor(g.x / jCellSize)},${Math.floor(g.y / jCellSize)}`;
+      if (!jGrid.has(key)) jGrid.set(key, []);
+      jGrid.get(key).push(g);
+    }
+    for (const [key, cell] of jGrid) {
+      const [cx, cy] = key.split(',').map(Number);
+      for (let ddx = -1; ddx <= 1; ddx++) for (let ddy = -1; ddy <= 1; ddy++) {
+        const neighbor = jGrid.get(`${cx + ddx},${cy + ddy}`);
+        if (!neighbor) continue;
+        for (const a of cell) for (const b of neighbor) {
+          if (a.id >= b.id) continue;
+          const dx = a.x - b.x, dy = a.y - b.y;
+          const dist = Math.sqrt(dx * dx + dy * dy);
+          if (dist > jCellSize * 1.5) continue;
+          J_H += Math.abs(a.entropy - b.entropy) / (dist + 1);
+          J_H_pairs++;
+        }
+      }
+    }
+    // Normalize by pair count to get density rather than raw sum
+    if (J_H_pairs > 0) J_H /= J_H_pairs;
+
+    // §V: Singularity Count N_Ξ — glyphs with no valid thermodynamic state
+    let N_xi = 0;
+    for (const g of arr) {
+      if (!g.thermodynamicState || g.entropy === 0 || !isFinite(g.entropy)) N_xi++;
+    }
+    const f_xi = arr.length > 0 ? N_xi / arr.length : 0;
+
+    // §VIII: Semantic Free Energy F = U - T·S
+    // U ≈ ⟨H⟩ (internal semantic energy), T ≈ σ_H (effective temperature), S ≈ ln(Ω) where Ω = tag config multiplicity
+    const T_eff = sigma_H / 100; // Normalize temperature
+    const S_config = Math.log(Math.max(1, this.tags.length)) + Math.log(Math.max(1, arr.length)); // Configuration entropy
+    const F_free = H_mean - T_eff * S_config;
+
+    Object.assign(this.observables, {
+      psi: +psi.toFixed(4),
+      vp_mean: +vp_mean.toFixed(2),
+      J_H: +J_H.toFixed(2),
+      f_xi: +f_xi.toFixed(4),
+      F_free: +F_free.toFixed(1),
+      H_mean: +H_mean.toFixed(1),
+      sigma_H: +sigma_H.toFixed(1),
+      N_xi,
+      S_u: +this.getSurfacingRate().toFixed(4),
+      K_c: +this.computeCompressibility().toFixed(3),
+    });
+  }
+
+  // ── DEEP ANALYSIS (from v4.2, browser-adapted) ──
+  performDeepAnalysis() {
+    if (this.generation % this.DEEP_ANALYSIS_INTERVAL !== 0 || this.glyphs.size < 20) return;
+    const arr = Array.from(this.glyphs.values());
+    const concepts = arr.filter(g => g.isConcept);
+    const organic = arr.filter(g => !g.isConcept);
+    const attractors = arr.filter(g => g.isAttractor);
+    const reflexGlyphs = arr.filter(g => g.isReflex);
+
+    // Tag frequency analysis
+    const tagCounts = new Map();
+    for (const g of arr) for (const t of g.tags) tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
+    const topTags = [...tagCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10);
+
+    // Entropy distribution
+    const entropies = arr.map(g => g.entropy);
+    const avgEntropy = entropies.reduce((a, b) => a + b, 0) / entropies.length;
+    const stdEntropy = Math.sqrt(entropies.reduce((s, e) => s + (e - avgEntropy) ** 2, 0) / entropies.length);
+
+    // Season distribution of living glyphs
+    const seasonDist = {};
+    for (const g of arr) {
+      const s = g.seasonBorn || 'unknown';
+      seasonDist[s] = (seasonDist[s] || 0) + 1;
+    }
+
+    // Semantic drift detection
+    const semanticMergers = this.logSemanticMergers();
+
+    this.lastAnalysis = {
+      generation: this.generation,
+      season: this.season,
+      total: arr.length,
+      concepts: concepts.length,
+      organic: organic.length,
+      attractors: attractors.length,
+      reflexGlyphs: reflexGlyphs.length,
+      topTags,
+      avgEntropy: avgEntropy.toFixed(1),
+      stdEntropy: stdEntropy.toFixed(1),
+      seasonDist,
+      semanticMergers,
+      collisionRate: this.collisionLog.length > 0 ? (this.collisionLog.length / this.generation).toFixed(3) : '0',
+      evolvedVocab: this.evolvedTags.length,
+      pools: this.dormantPools.length,
+      shortcuts: this.activeShortcuts.length,
+      helixStable: this.helix.stable,
+      observables: { ...this.observables },
+    };
+
+    this.log(`📊 Deep analysis: gen ${this.generation} | ${arr.length} glyphs | ${attractors.length} attractors | ε̄=${avgEntropy.toFixed(0)}`, 'analysis');
+  }
+
+  // ── RESONANCE ENTRAINMENT SYSTEM ──
+  // Resonance-mediated tag and entropy propagation through the network
+
+  _isHighLineage(glyph) {
+    return glyph.ancestry.some(pid => this.conceptualAttractors.has(pid));
+  }
+
+  _entrainmentStrength(source, target, resonance) {
+    // Strength = resonance × entropy gradient (flows downhill) × phase alignment
+    const gradient = Math.max(0, source.entropy - target.entropy) / 8000;
+    const phaseBonus = (source.thermodynamicState && target.thermodynamicState)
+      ? Math.max(0, Math.cos(Math.abs(source.thermodynamicState.phi_phase - target.thermodynamicState.phi_phase) * Math.PI))
+      : 0.5;
+    return resonance * gradient * phaseBonus;
+  }
+
+  propagateEntrainment(target, sources, totalStrength) {
+    if (target.entrained || target.isConcept) return;
+
+    // Tag transfer: weighted by strength, only novel tags, compressed
+    const sourceTagPool = [];
+    for (const { source, strength } of sources) {
+      // Higher strength → more tags transferred from this source
+      const count = Math.ceil(strength * 3);
+      const novel = source.tags.filter(t => !target.tags.includes(t) && !t.startsWith('gen:') && !t.startsWith('μ'));
+      sourceTagPool.push(...novel.slice(0, count));
+    }
+    if (sourceTagPool.length > 0) {
+      // Dedupe and limit before compression
+      const unique = [...new Set(sourceTagPool)].slice(0, 4);
+      target.tags = this.compressTags([...target.tags, ...unique]);
+    }
+
+    // Entropy transfer: proportional to total strength (not flat boost)
+    const avgSourceEntropy = sources.reduce((s, x) => s + x.source.entropy, 0) / sources.length;
+    const entropyTransfer = avgSourceEntropy * totalStrength * 0.12;
+    target.entropyHistory.push(target.entropy + entropyTransfer);
+
+    // Mutation rate: small bump only for attractor descendants, capped at 0.6
+    if (this._isHighLineage(target)) {
+      target.mutationRate = Math.min(0.6, target.mutationRate + totalStrength * 0.1);
+    }
+
+    // Priority: based on thermodynamic state, not tag-name matching
+    if (target.thermodynamicState) {
+      if (target.thermodynamicState.tau_coherence > 2.0) target.priority += totalStrength * 0.8;
+      if (target.thermodynamicState.dH_dt < -5) target.priority += totalStrength * 0.5;
+      if (target.thermodynamicState.phi_phase > 0.7 && target.thermodynamicState.tau_coherence > 1.5) target.priority += totalStrength * 0.6;
+    }
+
+    target.entrained = true;
+    target.entrainmentGen = this.generation;
+    target.stagnantCount = 0;
+  }
+
+  runEntrainmentCycle() {
+    if (this.generation % 10 !== 0) return;
+    if (this.resonanceMatrix.size < 3) return;
+
+    // Entrainment is persistent — once phase-locked, stays locked until culled
+    // Build entrainment graph from resonance network
+    // For each resonant pair, the higher-entropy glyph can entrain the lower
+    const entrainmentCandidates = new Map(); // targetId → [{source, strength}]
+
+    for (const { a, b, score } of this.resonanceMatrix.values()) {
+      // Entropy flows downhill through resonance connections
+      const [source, target] = a.entropy >= b.entropy ? [a, b] : [b, a];
+      const strength = this._entrainmentStrength(source, target, score);
+      if (strength < 0.05) continue; // Below threshold — no entrainment
+
+      if (!entrainmentCandidates.has(target.id)) entrainmentCandidates.set(target.id, []);
+      entrainmentCandidates.get(target.id).push({ source, strength });
+    }
+
+    // Execute entrainment — targets with multiple resonant sources get stronger effects
+    let entrained = 0;
+    for (const [targetId, sources] of entrainmentCandidates) {
+      const target = this.glyphs.get(targetId);
+      if (!target || target.entrained || target.isConcept) continue;
+      const totalStrength = Math.min(1.0, sources.reduce((s, x) => s + x.strength, 0));
+      this.propagateEntrainment(target, sources, totalStrength);
+      entrained++;
+    }
+
+    // Decay priority and mutation rate toward baseline
+    for (const g of this.glyphs.values()) {
+      g.priority *= 0.95;
+      g.mutationRate = 0.1 + (g.mutationRate - 0.1) * 0.98; // Slow decay toward 0.1
+    }
+
+    if (entrained > 0) this.log(`🌀 Resonance entrainment: ${entrained} glyphs via ${this.resonanceMatrix.size} connections`, 'evolution');
+  }
+
+  syncCoherence(glyph) {
+    // Multi-factor stability: priority contribution + thermodynamic coherence + interaction recency
+    const entropyNorm = glyph.entropy / 3000; // normalize to ~0-1 range (new scale: max 8000)
+    const priorityFactor = glyph.priority * 0.3;
+    const tauFactor = glyph.thermodynamicState ? Math.min(1, glyph.thermodynamicState.tau_coherence / 5) * 0.3 : 0;
+    const activityFactor = Math.max(0, 1 - glyph.stagnantCount / 60) * 0.2;
+    const entropyStability = (entropyNorm > 0.3 && entropyNorm < 2.0) ? 0.2 : 0; // mid-range entropy = stable
+    const coherence = priorityFactor + tauFactor + activityFactor + entropyStability;
+    glyph.stability = Math.min(1.0, Math.max(0, coherence));
+  }
+
+  // ── Meta-Reflex Helix Core Step ──
+  helixStep() {
+    const h = this.helix;
+    h.t += h.dt;
+    h.HRV = Math.sin(2 * Math.PI * 0.2 * h.t) * 0.5 + Math.sin(2 * Math.PI * 0.05 * h.t) * 0.3;
+    h.gamma = h.gamma0 + h.epsilon * h.HRV;
+    const rawExp = h.alpha * Math.exp(h.beta * h.t / h.phi);
+    const phase = h.omega * h.t + h.gamma * h.R_prev;
+    const rawR = rawExp * Math.cos(phase);
+    h.r_sq = h.R * h.R + h.R_prev * h.R_prev;
+    h.A = h.A0 / (1 + h.lambda * h.r_sq);
+    h.R_prev = h.R;
+    h.R = h.A * Math.tanh(rawR);
+    h.theta_prev = h.theta;
+    const dTheta = h.omega * h.dt;
+    const phaseGrad = h.R - h.R_prev;
+    h.theta = h.theta + dTheta - h.eta * phaseGrad;
+    const thetaAccel = Math.abs(h.theta - 2 * h.theta_prev + (h.theta_prev - dTheta));
+    const adaptiveK = 1.0 / (1 + thetaAccel * 10);
+    h.z = adaptiveK * h.theta;
+    h.history.push(h.R);
+    h.A_history.push(h.A);
+    h.phase_history.push(h.theta % (2 * Math.PI));
+    if (h.history.length > 200) h.history.shift();
+    if (h.A_history.length > 200) h.A_history.shift();
+    if (h.phase_history.length > 200) h.phase_history.shift();
+    const wasStable = h.stable;
+    if (h.history.length > 20) {
+      const recent = h.history.slice(-20);
+      const diffs = [];
+      for (let i = 1; i < recent.length; i++) diffs.push(Math.abs(recent[i] - recent[i-1]));
+      const avgDiff = diffs.reduce((a,b) => a+b, 0) / diffs.length;
+      const recentA = h.A_history.slice(-10);
+      const aDrift = Math.abs(recentA[recentA.length-1] - recentA[0]);
+      h.stable = avgDiff < 0.15 && aDrift < 0.05;
+    }
+    if (h.stable) h.stableFor++; else h.stableFor = 0;
+    if (h.stable && !wasStable && this.generation - h.lastLogGen > 10) {
+      this.emit('helix-stable', { stable: true, R: h.R, A: h.A, z: h.z, r_sq: h.r_sq, gamma: h.gamma });
+      h.lastLogGen = this.generation;
+    }
+    if (!h.stable && wasStable && this.generation - h.lastLogGen > 10) {
+      this.emit('helix-stable', { stable: false, R: h.R, A: h.A, z: h.z, r_sq: h.r_sq, gamma: h.gamma });
+      h.lastLogGen = this.generation;
+    }
+    return h;
+  }
+
+  applyHelixModulation() {
+    const h = this.helix;
+    const breathScale = 1.0 + h.R * 0.1;
+    this.RESONANCE_THRESHOLD = this.config.resonanceThreshold - h.A * 0.08;
+    for (const glyph of this.glyphs.values()) {
+      if (glyph.isDampener) continue; // Dampeners are stationary anchors
+      glyph.vx *= breathScale;
+      glyph.vy *= breathScale;
+      const dx = glyph.x - this.canvasW / 2;
+      const dy = glyph.y - this.canvasH / 2;
+      const dist = Math.sqrt(dx * dx + dy * dy) + 1;
+      glyph.vx += (-dy / dist) * h.HRV * 0.15;
+      glyph.vy += (dx / dist) * h.HRV * 0.15;
+    }
+  }
+
+  // ── Singularity Scanner ──
+  _glyphFeatureVec(glyph) {
+    const ts = glyph.thermodynamicState;
+    if (!ts) return null;
+    return [ts.H / 8000, ts.dH_dt / 50, Math.min(ts.tau_coherence, 10) / 10, ts.phi_phase, glyph.entropy / 8000, glyph.tags.length / 10, glyph.x / this.canvasW, glyph.y / this.canvasH];
+  }
+  _dot(a, b) { let s = 0; for (let i = 0; i < a.length; i++) s += a[i] * b[i]; return s; }
+  _norm(v) { return Math.sqrt(this._dot(v, v)) || 1e-10; }
+  _cosine(a, b) { return this._dot(a, b) / (this._norm(a) * this._norm(b)); }
+  _signSignature(v) {
+    if (!this._projections) {
+      this._projections = [];
+      let seed = 47;
+      const rng = () => { seed = (seed * 16807 + 0) % 2147483647; return seed / 2147483647; };
+      for (let p = 0; p < 12; p++) { const row = []; for (let d = 0; d < 8; d++) row.push(rng() < 0.5 ? 1.0 : -1.0); this._projections.push(row); }
+    }
+    let sig = 0;
+    for (let p = 0; p < this._projections.length; p++) { if (this._dot(v, this._projections[p]) >= 0) sig |= (1 << p); }
+    return sig;
+  }
+  singularityScan() {
+    const glyphArr = Array.from(this.glyphs.values());
+    if (glyphArr.length < 20) return;
+    const exactIndex = new Map(); const buckets = new Map();
+    for (const g of glyphArr) {
+      const vec = this._glyphFeatureVec(g); if (!vec) continue;
+      // Coarser hashing — toFixed(3) instead of toFixed(4)
+      const hash = vec.map(v => v.toFixed(3)).join('|');
+      if (!exactIndex.has(hash)) exactIndex.set(hash, []); exactIndex.get(hash).push(g);
+      const sig = this._signSignature(vec);
+      if (!buckets.has(sig)) buckets.set(sig, []); buckets.get(sig).push({ glyph: g, vec });
+    }
+    let exactCulled = 0, nearCulled = 0;
+    for (const [, cluster] of exactIndex.entries()) {
+      if (cluster.length < 3) continue; // Tolerate pairs, only cull triples+
+      cluster.sort((a, b) => b.entropy - a.entropy);
+      for (let i = 2; i < cluster.length; i++) { // Keep top 2 of each cluster
+        const v = cluster[i];
+        if (v.isConcept || v.isAttractor || v.isReflex) continue;
+        this.cull(v, 'clone'); exactCulled++;
+      }
+    }
+    // Near-clone: only check a sample of buckets for performance
+    const bucketArr = Array.from(buckets.entries()).filter(([, e]) => e.length >= 2);
+    const sampleBuckets = bucketArr.length > 50 ? bucketArr.sort(() => this.rng() - 0.5).slice(0, 50) : bucketArr;
+    const seenPairs = new Set();
+    for (const [, entries] of sampleBuckets) {
+      if (entries.length < 2) continue;
+      const limit = Math.min(entries.length, 20); // cap inner loop
+      for (let i = 0; i < limit; i++) for (let j = i + 1; j < limit; j++) {
+        const a = entries[i], b = entries[j];
+        const pk = a.glyph.id < b.glyph.id ? `${a.glyph.id},${b.glyph.id}` : `${b.glyph.id},${a.glyph.id}`;
+        if (seenPairs.has(pk)) continue; seenPairs.add(pk);
+        if (this._cosine(a.vec, b.vec) >= 0.999) {
+          const victim = a.glyph.entropy < b.glyph.entropy ? a.glyph : b.glyph;
+          if (victim.isConcept || victim.isAttractor || victim.isReflex || !this.glyphs.has(victim.id)) continue;
+          this.cull(victim, 'near-clone'); nearCulled++;
+        }
+      }
+    }
+    if (exactCulled > 0 || nearCulled > 0) this.emit('scan-cull', { exact: exactCulled, near: nearCulled });
+  }
+
+  // ── Dormant Pool Pathing ──
+  _buildPhaseMatrix(a, b) {
+    const sa = a.thermodynamicState, sb = b.thermodynamicState;
+    if (!sa || !sb) return null;
+    const g = [[sa.phi_phase * sa.tau_coherence, sa.phi_phase * sb.tau_coherence], [sb.phi_phase * sa.tau_coherence, sb.phi_phase * sb.tau_coherence]];
+    const dH_a = Math.abs(sa.dH_dt) / 50, dH_b = Math.abs(sb.dH_dt) / 50;
+    const g_prime = [[sa.H / 8000 + dH_a, (sa.H - sb.H) / 16000], [(sb.H - sa.H) / 16000, sb.H / 8000 + dH_b]];
+    return { g, g_prime };
+  }
+  _matMul2x2(a, b) { return [[a[0][0]*b[0][0]+a[0][1]*b[1][0], a[0][0]*b[0][1]+a[0][1]*b[1][1]], [a[1][0]*b[0][0]+a[1][1]*b[1][0], a[1][0]*b[0][1]+a[1][1]*b[1][1]]]; }
+  _trace2x2(m) { return m[0][0] + m[1][1]; }
+  _frobNorm2x2(m) { return Math.sqrt(m[0][0]*m[0][0] + m[0][1]*m[0][1] + m[1][0]*m[1][0] + m[1][1]*m[1][1]); }
+  _matSub2x2(a, b) { return [[a[0][0]-b[0][0], a[0][1]-b[0][1]], [a[1][0]-b[1][0], a[1][1]-b[1][1]]]; }
+  _activatePool(pool) {
+    const { g, g_prime } = pool.matrices;
+    const gg_p = this._matMul2x2(g, g_prime);
+    const g_pg = this._matMul2x2(g_prime, g);
+    const commutator = this._matSub2x2(gg_p, g_pg);
+    pool.nonComm = this._frobNorm2x2(commutator);
+    pool.maxTrace = Math.max(this._trace2x2(gg_p), this._trace2x2(g_pg));
+    return pool.nonComm > 0.001 && pool.maxTrace >= this.HBAR_OVER_2;
+  }
+  detectPools() {
+    const POOL_RADIUS = 120, MIN_POOL = 3, MAX_POOL = 5;
+    if (this.generation < 50) return; // No pools before system has structure
+    const all = Array.from(this.glyphs.values()).filter(g => g.thermodynamicState);
+    if (all.length < 15) return;
+    const arr = all.length > 200 ? all.sort(() => this.rng() - 0.5).slice(0, 200) : all;
+    const assigned = new Set(); const pools = [];
+    for (let i = 0; i < arr.length && pools.length < 6; i++) {
+      const seed = arr[i]; if (assigned.has(seed.id)) continue;
+      const members = [seed]; assigned.add(seed.id);
+      for (let j = 0; j < arr.length && members.length < MAX_POOL; j++) {
+        if (i === j || assigned.has(arr[j].id)) continue;
+        const dx = seed.x - arr[j].x, dy = seed.y - arr[j].y;
+        if (dx*dx + dy*dy > POOL_RADIUS * POOL_RADIUS) continue;
+        // Require actual resonance between seed and candidate
+        const res = seed.resonanceWith(arr[j]);
+        if (res > this.RESONANCE_THRESHOLD) {
+          members.push(arr[j]); assigned.add(arr[j].id);
+        }
+      }
+      if (members.length >= MIN_POOL) {
+        const sorted = members.sort((a, b) => b.entropy - a.entropy);
+        const matrices = this._buildPhaseMatrix(sorted[0], sorted[1]);
+        if (matrices) pools.push({ id: `pool_${this.generation}_${pools.length}`, nodes: members.map(g => g.id), anchor: [sorted[0].id, sorted[1].id], matrices, nonComm: 0, maxTrace: 0 });
+      }
+    }
+    this.dormantPools = pools;
+  }
+  activatePoolShortcuts() {
+    // Shortcuts are permanent once formed — only remove if both endpoints are dead
+    this.activeShortcuts = this.activeShortcuts.filter(s => this.glyphs.has(s.a) || this.glyphs.has(s.b));
+    let activated = 0;
+    for (const pool of this.dormantPools) {
+      if (this._activatePool(pool)) {
+        const nodes = pool.nodes;
+        for (let i = 0; i < nodes.length; i++) for (let j = i + 1; j < nodes.length; j++) {
+          const a = this.glyphs.get(nodes[i]), b = this.glyphs.get(nodes[j]);
+          if (!a || !b) continue;
+          if (!this.activeShortcuts.some(s => (s.a === nodes[i] && s.b === nodes[j]) || (s.a === nodes[j] && s.b === nodes[i])))
+            this.activeShortcuts.push({ a: nodes[i], b: nodes[j], weight: 0.5, locked: true, formedGen: this.generation, nonComm: pool.nonComm });
+        }
+        activated++;
+      }
+    }
+    if (activated > 0) {
+      this.recordSurfacing(activated, 'pool');
+      this.emit('pool-surface', { pools: activated, shortcuts: this.activeShortcuts.length });
+    }
+    // Cap total — keep oldest (most established) if over limit
+    if (this.activeShortcuts.length > 80) {
+      this.activeShortcuts = this.activeShortcuts.slice(0, 80);
+    }
+  }
+  applyShortcutGravity() {
+    for (const sc of this.activeShortcuts) {
+      const a = this.glyphs.get(sc.a), b = this.glyphs.get(sc.b);
+      if (!a || !b) continue;
+      const dx = b.x - a.x, dy = b.y - a.y, dist = Math.sqrt(dx*dx + dy*dy) + 1;
+      const pull = Math.min(0.3, (sc.nonComm * 0.8) / dist);
+      const nx = dx / dist, ny = dy / dist;
+      a.vx += nx * pull; a.vy += ny * pull;
+      b.vx -= nx * pull; b.vy -= ny * pull;
+    }
+  }
+
+  // ── PRESSURE SYSTEM (ported from MVP) ──
+  // When total mass exceeds threshold, synthesize a purpose anchor and spawn fresh glyphs
+  pressureCheck() {
+    if (this.generation % this.PRESSURE_INTERVAL !== 0) return;
+    const arr = Array.from(this.glyphs.values());
+    const recent = arr.slice(-Math.min(400, arr.length));
+    const totalMass = recent.reduce((s, g) => s + g.mass, 0);
+    if (totalMass <= this.PRESSURE_THRESHOLD) return;
+
+    // Pressure event: synthesize from the tag landscape
+    const tagBag = new Set();
+    for (const g of recent.slice(-100)) for (const t of g.tags) tagBag.add(t);
+    const tags = this.compressTags([...tagBag, 'purpose', 'synthesis']);
+    const anchor = this.createGlyph(tags, [recent[0].id, recent[recent.length - 1].id]);
+    anchor.isConcept = false;
+    this.store(anchor);
+
+    // Spawn a few fresh exploratory glyphs to relieve pressure
+    for (let i = 0; i < 3; i++) {
+      const fresh = this.createGlyph();
+      if (fresh) this.store(fresh);
+    }
+    this.emit('pressure', { mass: totalMass, threshold: this.PRESSURE_THRESHOLD, anchor: anchor.id, fresh: 3 });
+  }
+
+  // ── DAMPENER SYSTEM (Anesthesia/Suppression) ──
+  // Injectable glyphs that suppress resonance in a spatial radius, decay over time
+  injectDampener(x = null, y = null, strength = DAMPENER_DEFAULTS.strength, radius = DAMPENER_DEFAULTS.radius, lifespan = DAMPENER_DEFAULTS.lifespan) {
+    const tags = ['dampener', 'suppress', 'anesthesia', `gen:${this.generation}`];
+    const glyph = new Glyph(this.genId(), tags, [], this.generation, false, this.rng);
+    glyph.isDampener = true;
+    glyph.dampenerRadius = radius;
+    glyph.dampenerStrength = strength; // resonance multiplier: 0.15 = 85% suppression
+    glyph.dampenerLifespan = lifespan;
+    glyph.x = x ?? this.canvasW / 2 + (this.rng() - 0.5) * 200;
+    glyph.y = y ?? this.canvasH / 2 + (this.rng() - 0.5) * 200;
+    glyph.vx = 0; glyph.vy = 0; // Dampeners are stationary
+    glyph.entropyHistory.push(100); // Low entropy — they absorb, not produce
+    glyph.seasonBorn = this.season;
+    this.store(glyph);
+    this.triggerShockwave(glyph.x, glyph.y, '#4466aa');
+    this.log(`🧊 Dampener injected at (${Math.round(glyph.x)},${Math.round(glyph.y)}) — r=${radius} str=${strength} life=${lifespan}`, 'info');
+    return glyph;
+  }
+
+  getDampenerAttenuation(glyph) {
+    // Returns multiplier 0-1 for how much resonance is suppressed at this glyph's position
+    let attenuation = 1.0;
+    for (const d of this.glyphs.values()) {
+      if (!d.isDampener) continue;
+      const dx = glyph.x - d.x, dy = glyph.y - d.y;
+      const dist = Math.sqrt(dx * dx + dy * dy);
+      if (dist < d.dampenerRadius) {
+        // Linear falloff from center to edge
+        const proximity = 1 - (dist / d.dampenerRadius);
+        const suppression = d.dampenerStrength + (1 - d.dampenerStrength) * (1 - proximity);
+        attenuation *= suppression;
+      }
+    }
+    return attenuation;
+  }
+
+  decayDampeners() {
+    for (const g of this.glyphs.values()) {
+      if (!g.isDampener) continue;
+      g.dampenerLifespan--;
+      // Strength fades as lifespan decreases
+      if (g.dampenerLifespan < 30) {
+        g.dampenerStrength = Math.min(1.0, g.dampenerStrength + (1 - g.dampenerStrength) * 0.03);
+      }
+      if (g.dampenerLifespan <= 0) {
+        this.cull(g, 'expired');
+        this.emit('dampener-expired', { id: g.id });
+      }
+    }
+  }
+
+  // ── UNCONSCIOUS SURFACING TRACKER ──
+  recordSurfacing(count, source) {
+    this.surfacingEvents.push({ gen: this.generation, count, source });
+    // Trim to window
+    while (this.surfacingEvents.length > 0 && this.surfacingEvents[0].gen < this.generation - this.SURFACING_WINDOW) {
+      this.surfacingEvents.shift();
+    }
+  }
+
+  getSurfacingRate() {
+    if (this.surfacingEvents.length === 0) return 0;
+    const total = this.surfacingEvents.reduce((s, e) => s + e.count, 0);
+    const window = Math.min(this.SURFACING_WINDOW, this.generation);
+    return window > 0 ? total / window : 0;
+  }
+
+  // ── COMPRESSIBILITY METRIC ──
+  // Approximates Kolmogorov complexity: ratio of compressed to original tag set size
+  // Low K_c = high redundancy (compressible). High K_c = rich information (incompressible).
+  computeCompressibility() {
+    const arr = Array.from(this.glyphs.values());
+    if (arr.length < 10) return 0;
+    // Sample up to 100 glyphs for performance
+    const sample = arr.length > 100 ? arr.sort(() => this.rng() - 0.5).slice(0, 100) : arr;
+    let totalRatio = 0;
+    for (const g of sample) {
+      const original = g.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
+      if (original.length <= 1) { totalRatio += 1; continue; }
+      const compressed = this.compressTags([...original]);
+      totalRatio += compressed.length / original.length;
+    }
+    return totalRatio / sample.length;
+  }
+
+  // ── Main Step (all systems integrated) ──
+  step() {
+    this.generation++;
+    for (const hook of STEP_PHASES) this.runHook(hook);
+    this.halted = this.breakpoints.length ? this.checkBreakpoints() : null;
+    // A hit (or a phase's checkpoint action) also snapshots the state so the moment can be revisited from the scrubber
+    const notes = [...(this.halted || []).map(id => `#${id}`), ...(this.pendingCheckpoint ? [this.pendingCheckpoint] : [])];
+    this.pendingCheckpoint = null;
+    if (this.generation % this.CHECKPOINT_INTERVAL === 0 || notes.length) this.checkpoint(notes.join(' ') || null);
+  }
+
+  // ── Plugin Registry ──
+  use(plugin) {
+    if (!plugin?.name) throw new Error('Plugin needs a name');
+    if (this.plugins.some(p => p.name === plugin.name)) throw new Error(`Plugin ${plugin.name} is already registered`);
+    for (const hook of PLUGIN_HOOKS) {
+      if (plugin[hook] != null && typeof plugin[hook] !== 'function') throw new Error(`Plugin ${plugin.name}: ${hook} must be a function`);
+    }
+    this.plugins.push({ order: 1500, enabled: true, ...plugin, builtin: false });
+    this.sortPlugins();
+    return this;
+  }
+
+  unuse(name) {
+    const plugin = this.plugins.find(p => p.name === name);
+    if (!plugin) return false;
+    if (plugin.builtin) throw new Error(`${name} is built in — disable it instead`);
+    this.plugins = this.plugins.filter(p => p !== plugin);
+    this.sortPlugins();
+    return true;
+  }
+
+  setPluginEnabled(name, enabled) {
+    const plugin = this.plugins.find(p => p.name === name);
+    if (!plugin) throw new Error(`Unknown plugin ${name}`);
+    if (plugin.enabled === enabled) return;
+    plugin.enabled = enabled;
+    this.sortPlugins();
+    this.log(`🔌 ${name} ${enabled ? 'enabled' : 'disabled'}`, 'info');
+  }
+
+  listPlugins() {
+    return this.plugins.map(p => ({ name: p.name, order: p.order, enabled: p.enabled, builtin: p.builtin, hooks: PLUGIN_HOOKS.filter(h => p[h]) }));
+  }
+
+  // Enabled plugins in run order, cached per hook — runHook is on the hot path
+  sortPlugins() {
+    this.plugins.sort((a, b) => a.order - b.order);
+    const enabled = this.plugins.filter(p => p.enabled);
+    this.hookTable = Object.fromEntries(PLUGIN_HOOKS.map(h => [h, enabled.filter(p => p[h])]));
+  }
+
+  runHook(hook, ...args) {
+    for (const p of this.hookTable[hook]) {
+      if (p.builtin) { p[hook](this, ...args); continue; }
+      // A throwing third-party plugin is switched off rather than taking the run down with it
+      try { p[hook](this, ...args); } catch (err) {
+        p.enabled = false; this.sortPlugins();
+        this.log(`🔌 ${p.name} disabled after ${hook} threw: ${err.message}`, 'info');
+      }
+    }
+  }
+
+  // ── Checkpoints & Branches ──
+  // A checkpoint is a captureState() plus the summary the scrubber draws
+  checkpoint(note = null) {
+    // Anything at or past this generation on the current branch is a future we just overwrote
+    this.checkpoints = this.checkpoints.filter(c => c.branch !== this.branch || c.gen < this.generation);
+    const state = this.captureState();
+    this.checkpoints.push({
+      id: this.nextCheckpointId++, gen: this.generation, branch: this.branch, season: this.season,
+      glyphs: this.glyphs.size, attractors: this.conceptualAttractors.size,
+      phaseTransitions: this.observables.phaseTransitions, criticalEvents: this.observables.criticalEvents, note,
+      state,
+    });
+    if (this.checkpoints.length > this.CHECKPOINT_CAPACITY) this.checkpoints.shift();
+  }
+
+  // ── Breakpoints ──
+  // Edge-triggered: a breakpoint fires on the generation its condition turns true, then re-arms once it is false again
+  addBreakpoint(text) {
+    const condition = compileCondition(text, this.conditionMetrics());
+    const bp = { id: this.nextBreakpointId++, text: condition.text, enabled: true, hits: 0, lastHit: null, condition, active: false };
+    // Already true when added → wait for it to clear rather than firing on the next step
+    bp.active = condition.evaluate(this);
+    this.breakpoints.push(bp);
+    return bp.id;
+  }
+
+  conditionMetrics() { return conditionMetricsFor(this.config); }
+
+  removeBreakpoint(id) {
+    const before = this.breakpoints.length;
+    this.breakpoints = this.breakpoints.filter(bp => bp.id !== id);
+    return this.breakpoints.length < before;
+  }
+
+  setBreakpointEnabled(id, enabled) {
+    const bp = this.breakpoints.find(b => b.id === id);
+    if (!bp) throw new Error(`Unknown breakpoint ${id}`);
+    bp.enabled = enabled;
+    if (enabled) { bp.condition.prime(); bp.active = bp.condition.evaluate(this); }
+  }
+
+  listBreakpoints() {
+    return this.breakpoints.map(({ id, text, enabled, hits, lastHit }) => ({ id, text, enabled, hits, lastHit }));
+  }
+
+  checkBreakpoints() {
+    const hits = [];
+    for (const bp of this.breakpoints) {
+      if (!bp.enabled) continue;
+      const holds = bp.condition.evaluate(this);
+      if (holds && !bp.active) { bp.hits++; bp.lastHit = this.generation; hits.push(bp); }
+      bp.active = holds;
+    }
+    for (const bp of hits) this.emit('breakpoint', { id: bp.id, condition: bp.text, values: bp.condition.read(this) });
+    return hits.length ? hits.map(bp => bp.id) : null;
+  }
+
+  // The timeline jumped (reset / load / restore) — re-arm against the new state without firing
+  primeBreakpoints() {
+    for (const bp of this.breakpoints) { bp.condition.prime(); bp.active = bp.enabled && bp.condition.evaluate(this); }
+    this.halted = null;
+  }
+
+  // ── Interventions ──
+  intervene(op, ...args) {
+    if (!INTERVENTIONS.includes(op)) throw new Error(`Unknown intervention: ${op}`);
+    const entry = { gen: this.generation, op, args: structuredClone(args) };
+    const result = this[op](...args);
+    this.journal.entries.push(entry);
+    return result;
+  }
+
+  // Live config edit — patch is a partial config, deep-merged onto the current one
+  configure(patch) {
+    const before = new Map(flattenConfig(this.config));
+    this.config = resolveConfig(patch, this.config);
+    this.applyConfig();
+    // Presets arrive as whole configs — only report what actually moved
+    const changed = flattenConfig(patch).filter(([k, v]) => before.get(k) !== v);
+    if (changed.length) this.log(`⚙ ${changed.slice(0, 6).map(([k, v]) => `${k}=${v}`).join(', ')}${changed.length > 6 ? ` +${changed.length - 6} more` : ''}`, 'info');
+  }
+
+  // Push config values into the fields the subsystems read every step
+  applyConfig() {
+    const c = this.config;
+    // Keep the running phase; re-find its place if the schedule changed under it
+    if (c.seasonSchedule.steps[this.scheduleIndex]?.phase !== this.season) this.scheduleIndex = c.seasonSchedule.steps.findIndex(s => s.phase === this.season);
+    this.SEASON_DURATION = this.seasonLength(); this.REFLEX_INTERVAL = c.reflexInterval;
+    this.compileSeasonConditions();
+    this.ATTRACTOR_THRESHOLD = c.attractorThreshold; this.PRESSURE_THRESHOLD = c.pressureThreshold;
+    this.MAX_GLYPHS = c.maxGlyphs; this.RESONANCE_SAMPLE_SIZE = c.resonanceSampleSize;
+    this.CHECKPOINT_INTERVAL = c.checkpointInterval;
+    this.RESONANCE_THRESHOLD = c.resonanceThreshold - this.helix.A * 0.08;
+    Object.assign(this.helix, c.helix);
+    this.applyCultures();
+  }
+
+  // config.cultures → what glyph creation and entropy read. Disabled lenses stop seeding new glyphs and
+  // leave the shared vocabulary, but their eigenvalues still act on tags already in the field.
+  applyCultures() {
+    this.cultures = Object.fromEntries(Object.entries(this.config.cultures).map(([name, c]) => [name, {
+      label: c.label || name, color: c.color || '#dcdcdc', enabled: c.enabled !== false, temporary: c.temporary === true, tags: c.tags || [], eigenvalues: c.eigenvalues || {},
+    }]));
+    this.cultureNames = Object.keys(this.cultures).filter(name => this.cultures[name].enabled);
+    this.eigenvalues = { ...this.config.tagEigenvalues };
+    for (const c of Object.values(this.cultures)) Object.assign(this.eigenvalues, c.eigenvalues);
+    this.baseTags = [...BASE_TAGS];
+    for (const name of this.cultureNames) {
+      for (const t of this.cultures[name].tags) if (!this.baseTags.includes(t)) this.baseTags.push(t);
+    }
+  }
+
+  exportJournal() {
+    const { seed, config, snapshot, entries } = this.journal;
+    return { format: JOURNAL_FORMAT, version: JOURNAL_VERSION, seed, config: snapshot ? null : structuredClone(config), snapshot, entries: structuredClone(entries), generation: this.generation };
+  }
+
+  clearCheckpoints() {
+    this.checkpoints = []; this.branch = 'main';
+    this.branches = new Map([['main', { parent: null, forkGen: 0 }]]);
+    this.checkpoint();
+  }
+
+  // Checkpoints visible from the current branch: its own, then each ancestor's up to the fork point
+  timeline() {
+    const out = [];
+    let branch = this.branch, until = Infinity;
+    while (branch) {
+      for (const c of this.checkpoints) if (c.branch === branch && c.gen <= until) out.push(c);
+      const b = this.branches.get(branch);
+      until = b.forkGen; branch = b.parent;
+    }
+    return out.sort((a, b) => a.gen - b.gen);
+  }
+
+  restoreCheckpoint(id, { fork = false } = {}) {
+    const cp = this.checkpoints.find(c => c.id === id);
+    if (!cp) throw new Error(`Unknown checkpoint ${id}`);
+    this.restoreState(cp.state);
+    this.rewindGenealogy(cp.gen);
+    this.series.truncate(cp.gen);
+    this.cultureDynamics.truncate(cp.gen);
+    if (fork) {
+      const name = `b${this.branches.size}`;
+      this.branches.set(name, { parent: cp.branch, forkGen: cp.gen });
+      this.branch = name;
+      this.log(`⑂ Forked ${name} from ${cp.branch} @ gen ${cp.gen}`, 'info');
+    } else {
+      this.branch = cp.branch;
+      this.log(`⏪ Rewound to gen ${cp.gen} (${cp.branch})`, 'info');
+    }
+    return cp;
+  }
+
+  getStats() {
+    let concepts = 0, attractors = 0, reflexGlyphs = 0, entrained = 0, dampeners = 0, stabilitySum = 0;
+    const cultureCount = {};
+    for (const g of this.glyphs.values()) {
+      if (g.isConcept) concepts++;
+      if (g.isAttractor) attractors++;
+      if (g.isReflex) reflexGlyphs++;
+      if (g.entrained) entrained++;
+      if (g.isDampener) dampeners++;
+      if (g.culture) cultureCount[g.culture] = (cultureCount[g.culture] || 0) + 1;
+      stabilitySum += g.stability;
+    }
+    const total = this.glyphs.size;
+    const organic = total - concepts;
+    const avgStability = total > 0 ? stabilitySum / total : 0;
+    // Cap collision log to last 500 entries to prevent unbounded growth
+    if (this.collisionLog.length > 500) this.collisionLog = this.collisionLog.slice(-500);
+    const syntheses = this.collisionLog.filter(c => c.crossType).length;
+    const avgRes = this.collisionLog.length > 0 ? this.collisionLog.reduce((s, e) => s + e.resonance, 0) / this.collisionLog.length : 0;
+    return { generation: this.generation, seed: this.seed, total, concepts, organic, attractors, reflexGlyphs, entrained, dampeners, cultureCount, avgStability: +avgStability.toFixed(3), collisions: this.collisionLog.length, syntheses, avgResonance: avgRes, resonantPairs: this.resonanceMatrix.size, openPipes: this.openPipes.size, vocabulary: this.tags.length, pools: this.dormantPools.length, shortcuts: this.activeShortcuts.length, season: this.season, seasonCounter: this.seasonCounter, seasonDuration: this.SEASON_DURATION, lastAnalysis: this.lastAnalysis, helix: { R: this.helix.R, A: this.helix.A, z: this.helix.z, gamma: this.helix.gamma, stable: this.helix.stable, stableFor: this.helix.stableFor, HRV: this.helix.HRV }, obs: { ...this.observables } };
+  }
+
+  // Plain-data detail for one glyph (inspector). Lineage walks parents up to `depth` generations;
+  // culled ancestors stay listed with alive: false so the chain doesn't silently shorten.
+  inspectGlyph(id, { depth = 6, partners = 8 } = {}) {
+    const g = this.glyphs.get(id);
+    if (!g) return null;
+    const lineage = [];
+    const seen = new Set([id]);
+    let frontier = g.ancestry;
+    for (let d = 1; d <= depth && frontier.length; d++) {
+      const next = [];
+      for (const pid of frontier) {
+        if (seen.has(pid)) continue;
+        seen.add(pid);
+        const p = this.glyphs.get(pid);
+        lineage.push({ id: pid, depth: d, alive: !!p, culture: p ? p.culture : null });
+        if (p) next.push(...p.ancestry);
+      }
+      frontier = next;
+    }
+    const resonant = [];
+    for (const { a, b, score } of this.resonanceMatrix.values()) {
+      if (a.id === id) resonant.push({ id: b.id, score, culture: b.culture });
+      else if (b.id === id) resonant.push({ id: a.id, score, culture: a.culture });
+    }
+    resonant.sort((x, y) => y.score - x.score);
+    const attractor = this.conceptualAttractors.get(id);
+    return {
+      id, tags: [...g.tags], culture: g.culture, ancestry: [...g.ancestry], lineage,
+      generation: g.generation, seasonBorn: g.seasonBorn, age: this.generation - g.generation,
+      isConcept: g.isConcept, isAttractor: g.isAttractor, isReflex: g.isReflex, isDampener: g.isDampener, entrained: g.entrained,
+      reflexType: g.reflexType, conceptData: g.conceptData,
+      thermodynamicState: g.thermodynamicState ? { ...g.thermodynamicState } : null,
+      entropy: g.entropy, entropyHistory: [...g.entropyHistory],
+      mass: g.mass, stability: g.stability, influenceScore: g.influenceScore, priority: g.priority, mutationRate: g.mutationRate, stagnantCount: g.stagnantCount,
+      attractor: attractor ? { discovered: attractor.discovered, episodes: [...attractor.episodes], proxyFor: attractor.proxyFor ?? null } : null,
+      partners: resonant.slice(0, partners), partnerCount: resonant.length,
+    };
+  }
+
+  // ── Genealogy ──
+  recordBirth(g, born = this.generation) {
+    this.genealogy.set(g.id, { id: g.id, parents: [...g.ancestry], tags: [...g.tags], born, culture: g.culture, seasonBorn: g.seasonBorn, isConcept: g.isConcept, isReflex: g.isReflex, culled: null, reason: null });
+    if (this.genealogy.size <= this.GENEALOGY_CAPACITY) return;
+    for (const rec of this.genealogy.values()) {
+      if (rec.culled !== null) { this.genealogy.delete(rec.id); return; }
+    }
+  }
+
+  recordDeath(g, reason) {
+    const rec = this.genealogy.get(g.id);
+    if (!rec) return;
+    Object.assign(rec, { culled: this.generation, reason, isConcept: g.isConcept, isReflex: g.isReflex, wasAttractor: g.isAttractor, entropy: g.entropy, stability: g.stability });
+  }
+
+  // Checkpoint restore: ids after the checkpoint will be reissued, and later deaths never happened
+  rewindGenealogy(gen) {
+    for (const rec of this.genealogy.values()) {
+      if (rec.born > gen) this.genealogy.delete(rec.id);
+      else if (rec.culled !== null && rec.culled > gen) Object.assign(rec, { culled: null, reason: null });
+    }
+  }
+
+  // Ancestors (up) and descendants (down) of one glyph, living or culled, as a node list the
+  // lineage view lays out as a DAG. Each node keeps its parent ids; `depth` is relative to the root.
+  lineageOf(id, { up = 4, down = 8, maxNodes = 600 } = {}) {
+    const children = new Map();
+    for (const rec of this.genealogy.values()) {
+      for (const pid of rec.parents) {
+        if (!children.has(pid)) children.set(pid, []);
+        children.get(pid).push(rec.id);
+      }
+    }
+    const proxies = new Map(); // culled progenitor → proxy attractor
+    for (const [aid, meta] of this.conceptualAttractors) if (meta.proxyFor) proxies.set(meta.proxyFor, aid);
+    const node = (nid, depth) => {
+      const rec = this.genealogy.get(nid), g = this.glyphs.get(nid), meta = this.conceptualAttractors.get(nid);
+      return {
+        id: nid, depth, known: !!(rec || g), alive: !!g,
+        parents: rec ? rec.parents : g ? [...g.ancestry] : [],
+        born: rec ? rec.born : g ? g.generation : null, culled: rec ? rec.culled : null, reason: rec ? rec.reason : null,
+        culture: g ? g.culture : rec ? rec.culture : null, seasonBorn: g ? g.seasonBorn : rec ? rec.seasonBorn : null,
+        isConcept: g ? g.isConcept : !!rec?.isConcept, isReflex: g ? g.isReflex : !!rec?.isReflex,
+        isAttractor: g ? g.isAttractor : !!rec?.wasAttractor, proxyFor: meta?.proxyFor ?? null, proxiedBy: proxies.get(nid) ?? null,
+      };
+    };
+    if (!this.genealogy.has(id) && !this.glyphs.has(id)) return null;
+    const nodes = new Map([[id, node(id, 0)]]);
+    let truncated = false;
+    const walk = (start, next, sign, limit) => {
+      let frontier = [start];
+      for (let d = 1; d <= limit && frontier.length; d++) {
+        const layer = [];
+        for (const fid of frontier) {
+          for (const nid of next(fid)) {
+            if (nodes.has(nid)) continue;
+            if (nodes.size >= maxNodes) { truncated = true; return; }
+            nodes.set(nid, node(nid, sign * d));
+            layer.push(nid);
+          }
+        }
+        frontier = layer;
+      }
+    };
+    walk(id, (nid) => nodes.get(nid).parents, -1, up);
+    walk(id, (nid) => children.get(nid) || [], 1, down);
+    return { root: id, nodes: Array.from(nodes.values()), truncated, registry: this.genealogy.size };
+  }
+
+  // Whole population as a graph for crucible-graph.mjs exporters: every registry glyph (culled ones
+  // keep their last entropy / stability) with born / culled generations as node lifetimes, and
+  // ancestry, live resonance pairs and locked shortcuts as edges stamped with the generation they appeared.
+  exportGraph() {
+    const nodes = [];
+    const ids = new Set([...this.genealogy.keys(), ...this.glyphs.keys()]);
+    for (const id of ids) {
+      const g = this.glyphs.get(id), rec = this.genealogy.get(id);
+      nodes.push({
+        id, tags: g ? [...g.tags] : rec.tags, culture: (g || rec).culture, seasonBorn: (g || rec).seasonBorn,
+        entropy: g ? g.entropy : rec.entropy ?? null, stability: g ? g.stability : rec.stability ?? null, influence: g ? g.influenceScore : null,
+        isAttractor: g ? g.isAttractor : !!rec.wasAttractor, isConcept: (g || rec).isConcept, isReflex: (g || rec).isReflex,
+        born: rec ? rec.born : g.generation, culled: rec ? rec.culled : null, reason: rec ? rec.reason : null,
+      });
+    }
+    const edges = [];
+    for (const n of nodes) {
+      for (const pid of (this.glyphs.get(n.id)?.ancestry || this.genealogy.get(n.id).parents)) {
+        if (ids.has(pid)) edges.push({ source: pid, target: n.id, kind: 'ancestry', directed: true, weight: 1, start: n.born });
+      }
+    }
+    for (const { a, b, score, since } of this.resonanceMatrix.values()) {
+      if (this.glyphs.has(a.id) && this.glyphs.has(b.id)) edges.push({ source: a.id, target: b.id, kind: 'resonance', directed: false, weight: score, start: since ?? this.generation });
+    }
+    for (const s of this.activeShortcuts) {
+      if (ids.has(s.a) && ids.has(s.b)) edges.push({ source: s.a, target: s.b, kind: 'shortcut', directed: false, weight: s.weight, start: s.formedGen ?? this.generation });
+    }
+    return { seed: this.seed, generation: this.generation, nodes, edges };
+  }
+
+  reset(seed = this.seed) {
+    this.seed = seed >>> 0; this.rng = createRng(this.seed);
+    // Nothing journaled yet — the run is still rooted at its seed, whichever one that now is
+    if (!this.journal.snapshot && this.journal.entries.length === 0) Object.assign(this.journal, { seed: this.seed, config: structuredClone(this.config) });
+    this.glyphs.clear(); this.nextId = 0; this.generation = 0;
+    this.resonanceMatrix.clear(); this.openPipes.clear();
+    this.collisionLog = []; this.eventLog = []; this.conceptCount = 0;
+    this.evolvedTags = []; this.tagSignatures.clear();
+    this.scheduleIndex = 0; this.season = this.config.seasonSchedule.steps[0].phase; this.seasonCounter = 0;
+    this.SEASON_DURATION = this.seasonLength(); this.pendingCheckpoint = null;
+    this.conceptualAttractors.clear(); this.lastAnalysis = null;
+    this.reflexFreeCount = 0;
+    this.observables = emptyObservables();
+    this.surfacingEvents = [];
+    Object.assign(this.helix, { t:0, R:0, R_prev:0, A:1.0, theta:0, theta_prev:0, z:0, gamma:0.5, HRV:0, r_sq:0, stable:false, stableFor:0, lastLogGen:-50, history:[], A_history:[], phase_history:[] });
+    this.dormantPools = []; this.activeShortcuts = [];
+    this.RESONANCE_THRESHOLD = this.config.resonanceThreshold; this.shockwave = null;
+    this._entropyChartHistory = [];
+    this.genealogy.clear();
+    this.series.clear();
+    this.cultureDynamics.clear();
+    for (let i = 0; i < 8; i++) this.store(this.createGlyph());
+    this.clearCheckpoints();
+    this.primeBreakpoints(); this.primeSeasonConditions();
+    this.log('Crucible v4 initialized', 'info');
+  }
+
+  serialize() {
+    const glyphs = [];
+    for (const g of this.glyphs.values()) {
+      glyphs.push({ id: g.id, tags: g.tags, ancestry: g.ancestry, generation: g.generation, entropyHistory: g.entropyHistory.slice(-20), thermodynamicState: g.thermodynamicState, x: g.x, y: g.y, vx: g.vx, vy: g.vy, lastCollisionGen: g.lastCollisionGen, isConcept: g.isConcept, conceptData: g.conceptData, isReflex: g.isReflex, reflexType: g.reflexType, isAttractor: g.isAttractor, seasonBorn: g.seasonBorn, stagnantCount: g.stagnantCount, influenceScore: g.influenceScore, priority: g.priority, mutationRate: g.mutationRate, stability: g.stability, culture: g.culture, entrained: g.entrained, entrainmentGen: g.entrainmentGen, isDampener: g.isDampener, dampenerRadius: g.dampenerRadius, dampenerStrength: g.dampenerStrength, dampenerLifespan: g.dampenerLifespan });
+    }
+    // Wall-clock log timestamps are not simulation state — dropped so seeded runs serialize identically
+    const eventLog = this.eventLog.slice(-30).map(({ msg, type, gen }) => ({ msg, type, gen }));
+    // The matrix is only rebuilt on resonance updates — pairs whose glyphs were culled since aren't saved
+    const resonancePairs = [];
+    for (const { a, b, score, since } of this.resonanceMatrix.values()) {
+      if (this.glyphs.has(a.id) && this.glyphs.has(b.id)) resonancePairs.push([a.id, b.id, score, since]);
+    }
+    return { schemaVersion: SCHEMA_VERSION, glyphs, seed: this.seed, config: this.config, rngState: this.rng.getState(), nextId: this.nextId, generation: this.generation, collisionLog: this.collisionLog.slice(-50), eventLog, conceptCount: this.conceptCount, evolvedTags: this.evolvedTags.slice(-100), tagSignatures: Array.from(this.tagSignatures).slice(-500), season: this.season, seasonCounter: this.seasonCounter, scheduleIndex: this.scheduleIndex, attractors: Array.from(this.conceptualAttractors.entries()), helix: { t: this.helix.t, R: this.helix.R, R_prev: this.helix.R_prev, A: this.helix.A, theta: this.helix.theta, theta_prev: this.helix.theta_prev, z: this.helix.z, gamma: this.helix.gamma, HRV: this.helix.HRV, r_sq: this.helix.r_sq, stable: this.helix.stable, stableFor: this.helix.stableFor, history: this.helix.history.slice(-100), A_history: this.helix.A_history.slice(-100), phase_history: this.helix.phase_history.slice(-100), lastLogGen: this.helix.lastLogGen }, dormantPools: this.dormantPools, activeShortcuts: this.activeShortcuts, openPipes: Array.from(this.openPipes.entries()), observables: { ...this.observables }, surfacingEvents: this.surfacingEvents, reflexFreeCount: this.reflexFreeCount, resonancePairs,
+      // Seed-rooted journals travel with the save; snapshot-rooted ones would nest snapshots, so use exportJournal()
+      journal: this.journal.snapshot ? null : this.exportJournal(),
+      plugins: Object.fromEntries(this.plugins.map(p => [p.name, p.enabled])) };
+  }
+
+  // Full-fidelity copy of the simulation state for checkpoints. serialize() is the trimmed save format
+  // (capped logs and histories, no resonance matrix) — stepping on from it drifts from the original run;
+  // stepping on from a restoreState() of this does not.
+  captureState() {
+    const state = {};
+    for (const [key, value] of Object.entries(this)) if (!UNCAPTURED_FIELDS.has(key) && !key.startsWith('_')) state[key] = value;
+    state.rngState = this.rng.getState();
+    state.pluginsEnabled = Object.fromEntries(this.plugins.map(p => [p.name, p.enabled]));
+    // One clone for everything, so the resonance matrix still points at the same glyph objects as `glyphs`
+    return structuredClone(state);
+  }
+
+  restoreState(captured) {
+    const { rngState, pluginsEnabled, ...state } = structuredClone(captured);
+    for (const g of state.glyphs.values()) Object.setPrototypeOf(g, Glyph.prototype);
+    Object.assign(this, state);
+    this.rng = createRng(this.seed); this.rng.setState(rngState);
+    for (const p of this.plugins) p.enabled = pluginsEnabled[p.name] ?? true;
+    this.sortPlugins();
+    // Compiled conditions don't clone — rebuilt fresh (streaks came back with the state)
+    this.phaseConditions = null; this.compileSeasonConditions();
+    this.primeBreakpoints();
+  }
+
+  // Loads a save: a fresh timeline, with lineage, series and culture dynamics restarting from the snapshot
+  deserialize(snapshot) {
+    if (!snapshot) return;
+    const migrated = migrateSnapshot(snapshot);
+    // The rebuilt engine mutates what it is given — keep the caller's copy (and the journal root) pristine
+    const data = structuredClone(migrated);
+    if (data.seed != null) { this.seed = data.seed >>> 0; this.rng = createRng(this.seed); }
+    // Saves from before configs existed ran on the defaults
+    this.config = resolveConfig(wholeConfigPatch(data.config || {}));
+    this.nextId = data.nextId || 0; this.generation = data.generation || 0;
+    this.collisionLog = data.collisionLog || []; this.eventLog = data.eventLog || [];
+    this.conceptCount = data.conceptCount || 0; this.evolvedTags = data.evolvedTags || [];
+    this.tagSignatures = new Set(data.tagSignatures || []);
+    this.season = data.season || SeasonalPhase.EXPLORATION;
+    this.seasonCounter = data.seasonCounter || 0;
+    // Older saves ran the fixed four-season cycle — applyConfig() finds the season's place in the schedule
+    this.scheduleIndex = data.scheduleIndex ?? -1;
+    if (data.attractors) this.conceptualAttractors = new Map(data.attractors);
+    this.dormantPools = data.dormantPools || []; this.activeShortcuts = data.activeShortcuts || [];
+    this.openPipes = new Map(data.openPipes || []);
+    this.observables = { ...emptyObservables(), ...data.observables };
+    this.surfacingEvents = data.surfacingEvents || [];
+    this.reflexFreeCount = data.reflexFreeCount || 0;
+    this.glyphs.clear();
+    for (const gd of (data.glyphs || [])) {
+      const g = new Glyph(gd.id, gd.tags, gd.ancestry, gd.generation, gd.isConcept || false, this.rng);
+      g.entropyHistory = gd.entropyHistory || []; g.thermodynamicState = gd.thermodynamicState || null; g.x = gd.x; g.y = gd.y; g.vx = gd.vx; g.vy = gd.vy;
+      g.lastCollisionGen = gd.lastCollisionGen || 0; g.conceptData = gd.conceptData || null;
+      g.isReflex = gd.isReflex || false; g.reflexType = gd.reflexType || null;
+      g.isAttractor = gd.isAttractor || false; g.seasonBorn = gd.seasonBorn || null;
+      g.stagnantCount = gd.stagnantCount || 0; g.influenceScore = gd.influenceScore || 0;
+      g.priority = gd.priority || 0; g.mutationRate = gd.mutationRate || 0.1; g.stability = gd.stability || 0;
+      g.culture = gd.culture || null;
+      g.entrained = gd.entrained || false; g.entrainmentGen = gd.entrainmentGen || 0;
+      g.isDampener = gd.isDampener || false; g.dampenerRadius = gd.dampenerRadius || 0;
+      g.dampenerStrength = gd.dampenerStrength ?? 0; g.dampenerLifespan = gd.dampenerLifespan || 0;
+      this.glyphs.set(g.id, g);
+    }
+    // Saves don't carry the registry — lineage restarts from the glyphs alive in the snapshot
+    this.genealogy.clear();
+    for (const g of this.glyphs.values()) this.recordBirth(g, g.generation);
+    this.series.clear();
+    this.cultureDynamics.clear();
+    // The saved field (and signature set) is restored as is; saves from before schema 7 derive it from the
+    // entropy history without another thermodynamics step (no extra entropy sample, no stagnation tick)
+    if (data.resonancePairs) {
+      this.resonanceMatrix = new Map();
+      for (const [a, b, score, since] of data.resonancePairs) {
+        if (this.glyphs.has(a) && this.glyphs.has(b)) this.resonanceMatrix.set(a < b ? `${a},${b}` : `${b},${a}`, { a: this.glyphs.get(a), b: this.glyphs.get(b), score, since });
+      }
+    } else {
+      for (const g of this.glyphs.values()) this.tagSignatures.add(this.tagSig(g.tags));
+      for (const g of this.glyphs.values()) if (!g.thermodynamicState) g.updateThermodynamics(this.generation);
+      this.updateResonanceField();
+    }
+    // Resume the stream where the snapshot left off (after the rebuild above consumed draws)
+    if (data.rngState != null) this.rng.setState(data.rngState);
+    if (data.helix) Object.assign(this.helix, data.helix);
+    this.applyConfig();
+    // Enable flags for plugins this engine knows; unknown names (plugins not loaded here) are ignored
+    for (const p of this.plugins) p.enabled = data.plugins?.[p.name] ?? true;
+    this.sortPlugins();
+    this.clearCheckpoints();
+    // A restored state can't be rebuilt from its seed alone, so the new journal is rooted at this snapshot
+    const { journal: _journal, ...root } = migrated;
+    this.journal = { seed: this.seed, config: null, snapshot: structuredClone(root), entries: [] };
+    this.primeBreakpoints(); this.primeSeasonConditions();
+    this.log(`Restored gen ${this.generation} (${this.glyphs.size} glyphs, season: ${this.season})`, 'info');
+  }
+}
+
+// Rebuild a run from exportJournal() output: same seed (or root snapshot), same interventions at the same generations
+// (entries are applied in order — resets and rewinds move the generation backwards)
+// onEvent (optional) is subscribed to '*' before the root is loaded, so it sees every replayed event
+function replayJournal(journal, { plugins = [], onEvent = null } = {}) {
+  if (journal?.format !== JOURNAL_FORMAT) throw new Error('Not a crucible journal');
+  const version = journal.version ?? 1;
+  if (version > JOURNAL_VERSION) throw new Error(`Journal version ${version} is newer than this crucible supports (${JOURNAL_VERSION})`);
+  const entries = version < 2 ? journal.entries.map(upgradeV1Entry) : journal.entries;
+  const engine = new CrucibleEngine({ ...(journal.config || {}), seed: journal.seed });
+  for (const plugin of plugins) engine.use(plugin);
+  if (onEvent) engine.on('*', onEvent);
+  if (journal.snapshot) engine.deserialize(journal.snapshot); else engine.reset();
+  for (const { gen, op, args } of entries) {
+    while (engine.generation < gen) engine.step();
+    engine.intervene(op, ...structuredClone(args));
+  }
+  while (engine.generation < journal.generation) engine.step();
+  return engine;
+}
+
+function upgradeV1Entry(entry) {
+  if (entry.op !== 'configure') return entry;
+  const patch = Object.fromEntries(Object.entries(entry.args[0] || {}).map(([k, v]) => [LEGACY_CONFIG_KEYS[k] || k, v]));
+  return { ...entry, args: [patch] };
+}
+
+export {
+  SeasonalPhase, SEASON_ORDER, SEASON_MODIFIERS, SEASONAL_TAGS, SEASON_ACTIONS, parseSchedule, formatSchedule, ReflexType, TAG_EIGENVALUES, COGNITIVE_TAGS,
+  CULTURES, CULTURE_NAMES, HYBRID_CULTURE, CULTURES_FORMAT, TAXONOMY_CULTURE_PREFIX, taxonomyCultures, MAX_TAGS_PER_GLYPH, COMPRESS_SIM_THRESHOLD,
+  SCHEMA_VERSION, detectSchemaVersion, migrateSnapshot, validateSnapshot,
+  DEFAULT_CONFIG, CONFIG_SCHEMA, CONFIG_PRESETS, PRESET_FORMAT, validateConfig, resolveConfig, wholeConfigPatch, flattenConfig, schemaFor,
+  JOURNAL_FORMAT, JOURNAL_VERSION, LEGACY_CONFIG_KEYS, INTERVENTIONS, replayJournal, PLUGIN_HOOKS, BUILTIN_PLUGINS, CONDITION_METRICS,
+  EVENT_TYPES, EVENT_NAMES, formatEvent,
+  createRng, randomSeed, Glyph, CrucibleEngine,
+};
@@ -0,0 +1,72 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE ENGINE TESTS — node --test
+//  Checkpoint fidelity: rewinding to a checkpoint and stepping on
+//  must reproduce the original run, generation for generation.
+//  Save fidelity: a loaded save serializes back to what was saved.
+// ═══════════════════════════════════════════════════════════
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CrucibleEngine } from './crucible-engine.mjs';
+
+// What a generation looks like from outside: stats, every glyph, the resonance field
+const fingerprint = (e) => {
+  const { eventLog: _log, journal: _journal, ...state } = e.serialize();
+  return JSON.stringify({ stats: e.getStats(), state, pairs: Array.from(e.resonanceMatrix, ([k, p]) => [k, p.score]) });
+};
+
+function runFrom(engine, generations) {
+  const prints = [];
+  for (let i = 0; i < generations; i++) { engine.step(); prints.push(fingerprint(engine)); }
+  return prints;
+}
+
+test('restoring a checkpoint and stepping on reproduces the original run', () => {
+  const engine = new CrucibleEngine({ seed: 11 });
+  engine.reset();
+  for (let i = 0; i < 300; i++) engine.step();
+  const cp = engine.timeline().find(c => c.gen === 300);
+  assert.ok(cp, 'checkpoint at gen 300');
+  const original = runFrom(engine, 120);
+  engine.restoreCheckpoint(cp.id);
+  assert.equal(engine.generation, 300);
+  const replayed = runFrom(engine, 120);
+  for (let i = 0; i < original.length; i++) assert.equal(replayed[i], original[i], `diverged at gen ${301 + i}`);
+});
+
+test('a checkpoint survives repeated restores unchanged', () => {
+  const engine = new CrucibleEngine({ seed: 5 });
+  engine.reset();
+  for (let i = 0; i < 150; i++) engine.step();
+  const cp = engine.timeline().find(c => c.gen === 150);
+  engine.restoreCheckpoint(cp.id);
+  const first = runFrom(engine, 40);
+  engine.restoreCheckpoint(cp.id);
+  assert.deepEqual(runFrom(engine, 40), first);
+});
+
+test('forking from a checkpoint opens a branch without touching the ring', () => {
+  const engine = new CrucibleEngine({ seed: 3 });
+  engine.reset();
+  for (let i = 0; i < 100; i++) engine.step();
+  const before = engine.checkpoints.length;
+  const cp = engine.timeline().find(c => c.gen === 50);
+  engine.restoreCheckpoint(cp.id, { fork: true });
+  assert.equal(engine.branch, 'b1');
+  assert.equal(engine.checkpoints.length, before);
+  engine.step();
+  assert.equal(engine.generation, 51);
+});
+
+test('serialize → deserialize → serialize reproduces the save', () => {
+  const engine = new CrucibleEngine({ seed: 11 });
+  engine.reset();
+  for (let i = 0; i < 300; i++) engine.step();
+  // The event log gains a "Restored" line and the journal is re-rooted at the save — not simulation state
+  const { eventLog: _savedLog, journal: _savedJournal, ...saved } = engine.serialize();
+  const loaded = new CrucibleEngine();
+  loaded.deserialize(engine.serialize());
+  const { eventLog: _loadedLog, journal: _loadedJournal, ...reloaded } = loaded.serialize();
+  assert.deepEqual(reloaded, saved);
+  assert.equal(loaded.resonanceMatrix.size, saved.resonancePairs.length);
+});
@@ -0,0 +1,193 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE EVENT LOG — unbounded, disk-backed history of engine events
+//  Every typed event ({ type, gen, ...payload }) is stored with its
+//  rendered message, log kind and the glyph ids it mentions, so the
+//  panel can page, filter by kind / glyph / generation and export NDJSON.
+//  Records are keyed by run: startRun() begins a fresh log (dropping the
+//  previous run's records), and other tabs' runs stay out of queries.
+//  IndexedDB when available (pruned to DISK_CAP), otherwise — or once it
+//  refuses to open — an in-memory ring.
+// ═══════════════════════════════════════════════════════════
+
+import { formatEvent } from './crucible-engine.mjs';
+
+const GLYPH_ID = /\bg\d{4,}\b/g;
+const MEMORY_CAP = 100000;
+const DISK_CAP = 500000;
+const PRUNE_EVERY = 50; // appends between disk cap checks — counting the store isn't free
+
+const newRunId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// An inverted generation range would make IDBKeyRange.bound throw — reject it up front with a readable message
+function checkRange({ from = null, to = null } = {}) {
+  if (from != null && to != null && from > to) throw new RangeError(`Generation range is empty (from ${from} > to ${to})`);
+}
+
+// Glyph ids from payload fields plus any mentioned in free-text messages
+function glyphIdsOf(event, msg) {
+  const ids = new Set(msg.match(GLYPH_ID) || []);
+  for (const v of Object.values(event)) if (typeof v === 'string' && /^g\d{4,}$/.test(v)) ids.add(v);
+  return Array.from(ids);
+}
+
+function toRecord(event, run) {
+  const { msg, kind } = formatEvent(event);
+  return { run, gen: event.gen, type: event.type, kind, msg, glyphs: glyphIdsOf(event, msg), event };
+}
+
+// filter: { kinds: string[] | null, glyph: string | null, from: gen | null, to: gen | null }
+const matcher = ({ kinds = null, glyph = null, from = null, to = null } = {}) => (r) =>
+  (!kinds || kinds.includes(r.kind)) && (!glyph || r.glyphs.includes(glyph)) &&
+  (from == null || r.gen >= from) && (to == null || r.gen <= to);
+
+function memoryEventStore() {
+  let records = [], seq = 0, run = newRunId();
+  return {
+    backend: 'memory',
+    get run() { return run; },
+    async startRun() { run = newRunId(); records = []; return run; },
+    async append(events) {
+      for (const e of events) records.push({ seq: ++seq, ...toRecord(e, run) });
+      if (records.length > MEMORY_CAP) records = records.slice(-MEMORY_CAP);
+    },
+    async query(filter = {}, { offset = 0, limit = 50 } = {}) {
+      checkRange(filter);
+      const match = matcher(filter);
+      const rows = [];
+      let skipped = 0;
+      for (let i = records.length - 1; i >= 0 && rows.length <= limit; i--) {
+        if (!match(records[i])) continue;
+        if (skipped++ < offset) continue;
+        rows.push(records[i]);
+      }
+      return { rows: rows.slice(0, limit), hasMore: rows.length > limit };
+    },
+    async forEach(filter, fn) { checkRange(filter); const match = matcher(filter); for (const r of records) if (match(r)) fn(r); },
+    async count() { return records.length; },
+    async clear() { records = []; },
+  };
+}
+
+// Like indexedDBBackend in crucible-saves.mjs: `indexedDB` can exist and still refuse to open
+// (private mode, blocked storage) — from then on every call goes to the store `fallback()` returns
+function indexedDBEventStore({ dbName = 'crucible-events', fallback = null } = {}) {
+  let dbPromise = null, backup = null;
+  let run = newRunId(), appends = 0;
+  const open = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 2);
+    // Version 1 records carry no run id and can't be scoped — start the store over
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (db.objectStoreNames.contains('events')) db.deleteObjectStore('events');
+      const store = db.createObjectStore('events', { keyPath: 'seq', autoIncrement: true });
+      store.createIndex('run', 'run');
+      store.createIndex('runGen', ['run', 'gen']);
+      store.createIndex('glyphs', 'glyphs', { multiEntry: true });
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB is blocked'));
+  }));
+  const openOrFallBack = async () => {
+    try { return await open(); } catch (e) { if (!fallback) throw e; backup ||= fallback(); return null; }
+  };
+  // The named method, or the same one on the fallback store once IndexedDB has failed to open
+  const via = (name, fn) => async (...args) => (!backup && await openOrFallBack() ? fn(...args) : backup[name](...args));
+  const tx = async (mode) => (await open()).transaction('events', mode);
+  // An aborted transaction (quota, a rejected add) fires onabort, not oncomplete — settle on it too
+  const done = (t) => new Promise((resolve, reject) => {
+    t.oncomplete = resolve;
+    t.onerror = (e) => reject(e.target.error || t.error || new Error('IndexedDB transaction failed'));
+    t.onabort = () => reject(t.error || new Error('IndexedDB transaction aborted'));
+  });
+
+  // Both only queue requests on the caller's readwrite transaction; its completion (done) covers them
+  const deleteRun = (store, id) => {
+    const req = store.index('run').openKeyCursor(IDBKeyRange.only(id));
+    req.onsuccess = () => { const cursor = req.result; if (cursor) { store.delete(cursor.primaryKey); cursor.continue(); } };
+  };
+  // Past DISK_CAP, drop the oldest records — left-over runs from closed tabs go first
+  const prune = (store) => {
+    const countReq = store.count();
+    countReq.onsuccess = () => {
+      let excess = countReq.result - DISK_CAP;
+      if (excess <= 0) return;
+      const req = store.openKeyCursor();
+      req.onsuccess = () => { const cursor = req.result; if (cursor && excess-- > 0) { store.delete(cursor.primaryKey); cursor.continue(); } };
+    };
+  };
+
+  // Walk this run's records in `direction`, narrowing with the cheapest index the filter allows
+  const walk = async (filter, direction, visit) => {
+    checkRange(filter);
+    const t = await tx('readonly');
+    const store = t.objectStore('events');
+    const { glyph = null, from = null, to = null } = filter;
+    let req;
+    if (glyph) req = store.index('glyphs').openCursor(IDBKeyRange.only(glyph), direction);
+    else if (from != null || to != null) req = store.index('runGen').openCursor(IDBKeyRange.bound([run, from ?? -Infinity], [run, to ?? Infinity]), direction);
+    else req = store.index('run').openCursor(IDBKeyRange.only(run), direction); // record order, as appended
+    const inFilter = matcher(filter);
+    const match = (r) => r.run === run && inFilter(r);
+    await new Promise((resolve, reject) => {
+      req.onsuccess = () => {
+        const cursor = req.result;
+        if (!cursor) return resolve();
+        if (match(cursor.value) && visit(cursor.value) === false) return resolve();
+        cursor.continue();
+      };
+      req.onerror = () => reject(req.error);
+    });
+  };
+
+  return {
+    get backend() { return backup ? backup.backend : 'IndexedDB'; },
+    get run() { return backup ? backup.run : run; },
+    startRun: via('startRun', async () => {
+      const previous = run;
+      run = newRunId();
+      const t = await tx('readwrite');
+      deleteRun(t.objectStore('events'), previous);
+      await done(t);
+      return run;
+    }),
+    append: via('append', async (events) => {
+      if (!events.length) return;
+      const t = await tx('readwrite');
+      const store = t.objectStore('events');
+      for (const e of events) store.add(toRecord(e, run));
+      if (++appends % PRUNE_EVERY === 0) prune(store);
+      await done(t);
+    }),
+    query: via('query', async (filter = {}, { offset = 0, limit = 50 } = {}) => {
+      const rows = [];
+      let skipped = 0;
+      await walk(filter, 'prev', (r) => {
+        if (skipped++ < offset) return true;
+        rows.push(r);
+        return rows.length <= limit;
+      });
+      return { rows: rows.slice(0, limit), hasMore: rows.length > limit };
+    }),
+    forEach: via('forEach', async (filter, fn) => { await walk(filter, 'next', (r) => { fn(r); }); }),
+    count: via('count', async () => {
+      const t = await tx('readonly');
+      const req = t.objectStore('events').index('run').count(IDBKeyRange.only(run));
+      return new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+    }),
+    clear: via('clear', async () => { const t = await tx('readwrite'); deleteRun(t.objectStore('events'), run); await done(t); }),
+  };
+}
+
+function createEventStore() {
+  return typeof indexedDB !== 'undefined' ? indexedDBEventStore({ fallback: memoryEventStore }) : memoryEventStore();
+}
+
+// One original event per line, oldest first — the same objects engine.on('*') delivers
+async function exportEventsNDJSON(store, filter = {}) {
+  const lines = [];
+  await store.forEach(filter, (r) => { lines.push(JSON.stringify(r.event)); });
+  return new Blob(lines.length ? [lines.join('\n') + '\n'] : [], { type: 'application/x-ndjson' });
+}
+
+export { createEventStore, exportEventsNDJSON, glyphIdsOf };
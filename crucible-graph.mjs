@@ -0,0 +1,228 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE GRAPH — the resonance network as a graph
+//  resonanceMatrix pairs + locked pool shortcuts → nodes / weighted edges,
+//  label-propagation communities, and an incremental force-directed
+//  layout that warm-starts from the previous frame's positions,
+//  plus GraphML / GEXF / DOT writers for engine.exportGraph().
+//  Pure functions over an engine-shaped view; no DOM.
+// ═══════════════════════════════════════════════════════════
+
+// ── Graph ──
+// Edge weight is the ρ score; shortcuts carry their own weight and are marked locked.
+// Only glyphs with at least one edge become nodes — isolated glyphs have no structure to show.
+// The matrix is rebuilt only on resonance updates, so pairs whose glyphs were culled since are skipped.
+function buildResonanceGraph(engine) {
+  const edges = [];
+  const degree = new Map();
+  const touch = (id, w) => degree.set(id, (degree.get(id) || 0) + w);
+  const phaseThreshold = engine.PHASE_TRANSITION_THRESHOLD;
+  for (const { a, b, score } of engine.resonanceMatrix.values()) {
+    if (!engine.glyphs.has(a.id) || !engine.glyphs.has(b.id)) continue;
+    edges.push({ a: a.id, b: b.id, weight: score, kind: 'resonance', phase: score > phaseThreshold });
+    touch(a.id, score); touch(b.id, score);
+  }
+  for (const s of engine.activeShortcuts || []) {
+    if (!engine.glyphs.has(s.a) || !engine.glyphs.has(s.b)) continue;
+    edges.push({ a: s.a, b: s.b, weight: s.weight, kind: 'shortcut', phase: false });
+    touch(s.a, s.weight); touch(s.b, s.weight);
+  }
+  const nodes = Array.from(degree.keys()).sort().map(id => {
+    const g = engine.glyphs.get(id);
+    return { id, degree: degree.get(id), culture: g.culture, isAttractor: g.isAttractor, isConcept: g.isConcept, isReflex: g.isReflex };
+  });
+  return { nodes, edges, isolated: engine.glyphs.size - nodes.length };
+}
+
+// ── Communities ──
+// Weighted label propagation in id order (deterministic: ties go to the smaller label),
+// then labels renumbered by community size, largest first → Map id → community index.
+function detectCommunities({ nodes, edges }, { iterations = 12 } = {}) {
+  const adj = new Map(nodes.map(n => [n.id, []]));
+  for (const e of edges) { adj.get(e.a).push([e.b, e.weight]); adj.get(e.b).push([e.a, e.weight]); }
+  const label = new Map(nodes.map((n, i) => [n.id, i]));
+  for (let it = 0; it < iterations; it++) {
+    let changed = false;
+    for (const { id } of nodes) {
+      const votes = new Map();
+      for (const [nid, w] of adj.get(id)) votes.set(label.get(nid), (votes.get(label.get(nid)) || 0) + w);
+      let best = label.get(id), bestW = -1;
+      for (const [l, w] of votes) if (w > bestW || (w === bestW && l < best)) { best = l; bestW = w; }
+      if (best !== label.get(id)) { label.set(id, best); changed = true; }
+    }
+    if (!changed) break;
+  }
+  const sizes = new Map();
+  for (const l of label.values()) sizes.set(l, (sizes.get(l) || 0) + 1);
+  const rank = new Map(Array.from(sizes).sort((x, y) => y[1] - x[1] || x[0] - y[0]).map(([l], i) => [l, i]));
+  return { community: new Map(Array.from(label, ([id, l]) => [id, rank.get(l)])), sizes: Array.from(rank.keys(), l => sizes.get(l)) };
+}
+
+// ── Force layout ──
+// Fruchterman–Reingold in the unit square. Positions persist between calls so the picture
+// evolves with the run instead of re-scrambling; new nodes start at their neighbours' centroid.
+function hashUnit(id, salt) {
+  let h = 2166136261 ^ salt;
+  for (let i = 0; i < id.length; i++) h = Math.imul(h ^ id.charCodeAt(i), 16777619);
+  return ((h >>> 0) % 10000) / 10000;
+}
+
+function createForceLayout({ gravity = 1, minTemp = 0.002, maxTemp = 0.08 } = {}) {
+  const pos = new Map(); // id → { x, y }
+  let temp = maxTemp;
+
+  const seed = (id, neighbours) => {
+    const placed = neighbours.filter(n => pos.has(n));
+    if (placed.length) {
+      const cx = placed.reduce((s, n) => s + pos.get(n).x, 0) / placed.length;
+      const cy = placed.reduce((s, n) => s + pos.get(n).y, 0) / placed.length;
+      return { x: cx + (hashUnit(id, 1) - 0.5) * 0.05, y: cy + (hashUnit(id, 2) - 0.5) * 0.05 };
+    }
+    return { x: 0.1 + hashUnit(id, 1) * 0.8, y: 0.1 + hashUnit(id, 2) * 0.8 };
+  };
+
+  return {
+    positions: pos,
+    reset() { pos.clear(); temp = maxTemp; },
+    step({ nodes, edges }, iterations = 1) {
+      if (!nodes.length) return;
+      const ids = new Set(nodes.map(n => n.id));
+      for (const id of pos.keys()) if (!ids.has(id)) pos.delete(id);
+      const fresh = nodes.filter(n => !pos.has(n.id));
+      if (fresh.length) {
+        const neighbours = new Map();
+        for (const e of edges) {
+          if (!neighbours.has(e.a)) neighbours.set(e.a, []);
+          if (!neighbours.has(e.b)) neighbours.set(e.b, []);
+          neighbours.get(e.a).push(e.b); neighbours.get(e.b).push(e.a);
+        }
+        for (const n of fresh) pos.set(n.id, seed(n.id, neighbours.get(n.id) || []));
+        // Reheat in proportion to how much of the graph is new
+        temp = Math.max(temp, Math.min(maxTemp, maxTemp * fresh.length / nodes.length * 4));
+      }
+      const k = Math.sqrt(1 / nodes.length);
+      const cutoff2 = (3 * k) ** 2;
+      const list = nodes.map(n => pos.get(n.id));
+      for (let it = 0; it < iterations; it++) {
+        const disp = list.map(() => ({ x: 0, y: 0 }));
+        for (let i = 0; i < list.length; i++) {
+          for (let j = i + 1; j < list.length; j++) {
+            let dx = list[i].x - list[j].x, dy = list[i].y - list[j].y;
+            const d2 = dx * dx + dy * dy || 1e-6;
+            if (d2 > cutoff2) continue; // grid-variant FR: far nodes don't push, so gravity can hold components together
+            const f = k * k / d2; // (k²/d) along the unit vector
+            dx *= f; dy *= f;
+            disp[i].x += dx; disp[i].y += dy; disp[j].x -= dx; disp[j].y -= dy;
+          }
+        }
+        const index = new Map(nodes.map((n, i) => [n.id, i]));
+        for (const e of edges) {
+          const i = index.get(e.a), j = index.get(e.b);
+          const dx = list[i].x - list[j].x, dy = list[i].y - list[j].y;
+          const d = Math.sqrt(dx * dx + dy * dy) || 1e-6;
+          const f = d / k * (e.kind === 'shortcut' ? 1 : e.weight); // (d²/k)·w along the unit vector
+          disp[i].x -= dx * f; disp[i].y -= dy * f; disp[j].x += dx * f; disp[j].y += dy * f;
+        }
+        for (let i = 0; i < list.length; i++) {
+          const p = list[i];
+          disp[i].x += (0.5 - p.x) * gravity; disp[i].y += (0.5 - p.y) * gravity;
+          const len = Math.sqrt(disp[i].x ** 2 + disp[i].y ** 2) || 1e-6;
+          const move = Math.min(len, temp);
+          p.x = Math.min(0.98, Math.max(0.02, p.x + disp[i].x / len * move));
+          p.y = Math.min(0.98, Math.max(0.02, p.y + disp[i].y / len * move));
+        }
+        temp = Math.max(minTemp, temp * 0.97);
+      }
+    },
+  };
+}
+
+// ── Exporters ──
+// Input is engine.exportGraph(): { seed, generation, nodes, edges }. Node lifetimes are
+// [born, culled) in generations so Gephi's timeline can play the population back.
+const NODE_ATTRS = [
+  ['culture', 'string'], ['tags', 'string'], ['season', 'string'], ['entropy', 'double'], ['stability', 'double'],
+  ['influence', 'double'], ['attractor', 'boolean'], ['concept', 'boolean'], ['reflex', 'boolean'], ['born', 'int'], ['culled', 'int'],
+];
+const nodeAttrs = (n) => ({
+  culture: n.culture, tags: n.tags.join(' '), season: n.seasonBorn, entropy: n.entropy, stability: n.stability, influence: n.influence,
+  attractor: n.isAttractor, concept: n.isConcept, reflex: n.isReflex, born: n.born, culled: n.culled,
+});
+const xml = (v) => String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+function toGraphML({ seed, generation, nodes, edges }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    ...NODE_ATTRS.map(([name, type]) => `  <key id="${name}" for="node" attr.name="${name}" attr.type="${type}"/>`),
+    '  <key id="kind" for="edge" attr.name="kind" attr.type="string"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="start" for="edge" attr.name="start" attr.type="int"/>',
+    `  <graph id="crucible-s${seed}-gen${generation}" edgedefault="directed">`,
+  ];
+  for (const n of nodes) {
+    lines.push(`    <node id="${xml(n.id)}">`);
+    for (const [k, v] of Object.entries(nodeAttrs(n))) if (v != null) lines.push(`      <data key="${k}">${xml(v)}</data>`);
+    lines.push('    </node>');
+  }
+  edges.forEach((e, i) => {
+    lines.push(`    <edge id="e${i}" source="${xml(e.source)}" target="${xml(e.target)}"${e.directed ? '' : ' directed="false"'}>`
+      + `<data key="kind">${e.kind}</data><data key="weight">${e.weight}</data><data key="start">${e.start}</data></edge>`);
+  });
+  lines.push('  </graph>', '</graphml>');
+  return lines.join('\n') + '\n';
+}
+
+function toGEXF({ seed, generation, nodes, edges }) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta><creator>crucible</creator><description>seed ${seed}, generation ${generation}</description></meta>`,
+    '  <graph mode="dynamic" defaultedgetype="directed" timeformat="double">',
+    '    <attributes class="node">',
+    ...NODE_ATTRS.map(([name, type], i) => `      <attribute id="${i}" title="${name}" type="${type === 'int' ? 'integer' : type}"/>`),
+    '    </attributes>',
+    '    <attributes class="edge"><attribute id="kind" title="kind" type="string"/></attributes>',
+    '    <nodes>',
+  ];
+  for (const n of nodes) {
+    const end = n.culled != null ? ` end="${n.culled}"` : '';
+    lines.push(`      <node id="${xml(n.id)}" label="${xml(n.id)}" start="${n.born}"${end}><attvalues>`);
+    Object.values(nodeAttrs(n)).forEach((v, i) => { if (v != null) lines.push(`        <attvalue for="${i}" value="${xml(v)}"/>`); });
+    lines.push('      </attvalues></node>');
+  }
+  lines.push('    </nodes>', '    <edges>');
+  edges.forEach((e, i) => {
+    lines.push(`      <edge id="e${i}" source="${xml(e.source)}" target="${xml(e.target)}" type="${e.directed ? 'directed' : 'undirected'}" weight="${e.weight}" start="${e.start}">`
+      + `<attvalues><attvalue for="kind" value="${e.kind}"/></attvalues></edge>`);
+  });
+  lines.push('    </edges>', '  </graph>', '</gexf>');
+  return lines.join('\n') + '\n';
+}
+
+// Graphviz: ancestry as arrows, resonance / shortcuts as undirected styled edges; culled glyphs dashed
+const DOT_EDGE_STYLE = { ancestry: '', resonance: ', dir=none, color="#00aaff"', shortcut: ', dir=none, style=dashed, color="#b464ff"' };
+function toDOT({ seed, generation, nodes, edges }, { cultureColors = {} } = {}) {
+  const q = (v) => `"${String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const lines = [`digraph crucible_s${seed}_gen${generation} {`, '  node [shape=circle, style=filled, fontsize=8, width=0.3];'];
+  for (const n of nodes) {
+    const attrs = [`label=${q(n.id)}`, `fillcolor=${q(cultureColors[n.culture] || '#dcdcdc')}`, `culture=${q(n.culture ?? '')}`, `tags=${q(n.tags.join(' '))}`, `born=${n.born}`];
+    if (n.culled != null) attrs.push(`culled=${n.culled}`, 'style="filled,dashed"');
+    if (n.entropy != null) attrs.push(`entropy=${n.entropy.toFixed(2)}`);
+    if (n.stability != null) attrs.push(`stability=${n.stability.toFixed(3)}`);
+    if (n.isAttractor) attrs.push('attractor=true', 'penwidth=2', 'color="#ff6b6b"');
+    if (n.isConcept) attrs.push('concept=true', 'shape=diamond');
+    if (n.isReflex) attrs.push('reflex=true', 'shape=triangle');
+    lines.push(`  ${q(n.id)} [${attrs.join(', ')}];`);
+  }
+  for (const e of edges) lines.push(`  ${q(e.source)} -> ${q(e.target)} [kind=${e.kind}, weight=${+e.weight.toFixed(4)}, start=${e.start}${DOT_EDGE_STYLE[e.kind]}];`);
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+const GRAPH_FORMATS = {
+  graphml: { label: 'GraphML', ext: '.graphml', mime: 'application/graphml+xml', write: toGraphML },
+  gexf: { label: 'GEXF', ext: '.gexf', mime: 'application/gexf+xml', write: toGEXF },
+  dot: { label: 'DOT', ext: '.dot', mime: 'text/vnd.graphviz', write: toDOT },
+};
+
+export { buildResonanceGraph, detectCommunities, createForceLayout, toGraphML, toGEXF, toDOT, GRAPH_FORMATS };
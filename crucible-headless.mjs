@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE HEADLESS — run CrucibleEngine from the command line
+//  Streams getStats() snapshots as NDJSON (one JSON object per line)
+//
+//  node crucible-headless.mjs --generations 100000 --every 100 --seed 42 > run.ndjson
+//  node crucible-headless.mjs --replay run.journal.json --generations 0
+//  node crucible-headless.mjs --events attractor,critical-point | grep '"type"'
+//  node crucible-headless.mjs -n 50000 --every 50000 --series run.csv
+//  node crucible-headless.mjs -n 1000000 --break 'criticalEvents changes' --events critical-point
+//  node crucible-headless.mjs -n 2000 --sweep RESONANCE_THRESHOLD=0.3:0.6:7 --sweep SEASON_DURATION=100,200,400 --seeds 5
+// ═══════════════════════════════════════════════════════════
+
+import { once } from 'node:events';
+import { readFile, writeFile } from 'node:fs/promises';
+import { resolve } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { CrucibleEngine, PRESET_FORMAT, EVENT_NAMES, replayJournal } from './crucible-engine.mjs';
+import { seriesToCSV, seriesToColumnarJSON } from './crucible-series.mjs';
+import { parseAxis, planSweep, runSweep } from './crucible-sweep.mjs';
+
+const USAGE = `Usage: node crucible-headless.mjs [options]
+
+  -n, --generations <N>   generations to run (default 1000)
+  -e, --every <K>         emit a snapshot every K generations (default 100)
+  -s, --seed <S>          RNG seed (default: random, reported in every snapshot)
+  -c, --config <file>     engine config JSON (partial config, or an exported .preset.json)
+  -p, --plugin <file>     register a plugin module (default export: plugin or array); repeatable
+  -E, --events <types>    also stream typed engine events (comma list, or "all"): one JSON
+                          object per event, distinguishable from snapshots by its "type" field
+  -r, --replay <file>     start from a replayed journal (a .journal.json, or a save file carrying one);
+                          --generations then counts on from the journal's last generation
+  -b, --break <condition> stop at the first generation the condition turns true, e.g. "psi > 0.93",
+                          "season becomes dormancy"; emits the breakpoint event and a final snapshot; repeatable
+  -S, --series <file>     write the per-generation observable series when the run ends
+                          (CSV, or columnar JSON if the file name ends in .json)
+  -w, --sweep <axis>      parameter sweep instead of a single run; axis is name=start:end:count or
+                          name=a,b,c over a config path (or engine name: RESONANCE_THRESHOLD, SEASON_DURATION,
+                          TAG_EIGENVALUES.<tag>, CROSS_CULTURE_BONUS, ...). Give it once or twice for a 1D / 2D grid.
+                          Emits one "sweep-run" line per run, then one "sweep-cell" line (mean/std over seeds) per cell
+  -k, --seeds <K>         seeds per sweep cell, counting up from --seed (default 3, base seed 1)
+  -h, --help              show this help
+`;
+
+function parseArgs(argv) {
+  const opts = { generations: 1000, every: 100, seed: null, replay: null, config: null, plugins: [], events: null, series: null, breaks: [], sweep: [], seeds: 3 };
+  const flags = { '-n': 'generations', '--generations': 'generations', '-e': 'every', '--every': 'every', '-s': 'seed', '--seed': 'seed', '-r': 'replay', '--replay': 'replay', '-c': 'config', '--config': 'config', '-p': 'plugins', '--plugin': 'plugins', '-E': 'events', '--events': 'events', '-S': 'series', '--series': 'series', '-b': 'breaks', '--break': 'breaks', '-w': 'sweep', '--sweep': 'sweep', '-k': 'seeds', '--seeds': 'seeds' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h' || arg === '--help') { opts.help = true; continue; }
+    const [flag, inline] = arg.split('=', 2);
+    const key = flags[flag];
+    if (!key) throw new Error(`Unknown option: ${arg}`);
+    const raw = inline ?? argv[++i];
+    if (key === 'events') {
+      const types = raw === 'all' ? EVENT_NAMES : (raw || '').split(',').filter(Boolean);
+      const unknown = types.filter(t => !EVENT_NAMES.includes(t));
+      if (!types.length || unknown.length) throw new Error(`${flag} expects "all" or a list of: ${EVENT_NAMES.join(', ')}`);
+      opts.events = types; continue;
+    }
+    if (key === 'sweep') {
+      if (opts.sweep.length === 2) throw new Error(`${flag} can be given at most twice`);
+      opts.sweep.push(parseAxis(raw ?? '')); continue;
+    }
+    if (key === 'breaks') {
+      if (!raw) throw new Error(`${flag} expects a condition`);
+      opts.breaks.push(raw); continue;
+    }
+    if (key === 'replay' || key === 'config' || key === 'plugins' || key === 'series') {
+      if (!raw) throw new Error(`${flag} expects a file`);
+      if (key === 'plugins') opts.plugins.push(raw); else opts[key] = raw;
+      continue;
+    }
+    const value = Number(raw);
+    if (raw === undefined || !Number.isInteger(value) || value < 0) throw new Error(`${flag} expects a non-negative integer, got ${raw}`);
+    opts[key] = value;
+  }
+  if (opts.every < 1) throw new Error('--every must be at least 1');
+  if (opts.seeds < 1) throw new Error('--seeds must be at least 1');
+  if (opts.sweep.length && (opts.replay || opts.breaks.length || opts.events || opts.series)) throw new Error('--sweep runs its own engines; it can\'t be combined with --replay, --break, --events or --series');
+  return opts;
+}
+
+async function emit(line) {
+  // Respect backpressure so 100k-generation runs piped into slow consumers don't buffer in memory
+  if (!process.stdout.write(line + '\n')) await once(process.stdout, 'drain');
+}
+
+async function readConfig(file) {
+  if (!file) return {};
+  try {
+    const data = JSON.parse(await readFile(file, 'utf8'));
+    return data.format === PRESET_FORMAT ? data.config : data;
+  } catch (e) { process.stderr.write(`Cannot read config ${file}: ${e.message}\n`); process.exit(1); }
+}
+
+async function sweep(opts, plugins) {
+  let plan;
+  try {
+    plan = planSweep({ axes: opts.sweep, seeds: opts.seeds, baseSeed: opts.seed ?? 1, generations: opts.generations, config: await readConfig(opts.config) });
+  } catch (e) { process.stderr.write(`${e.message}\n`); process.exit(2); }
+  process.stderr.write(`Sweep: ${plan.cells.length} cells × ${plan.seeds.length} seeds × ${plan.generations} generations\n`);
+  // Runs are synchronous; lines queue in onRun and drain (with backpressure) between runs
+  const lines = [];
+  const result = await runSweep(plan, {
+    plugins,
+    onRun: ({ params, seed, final, mean }, done, total) => {
+      lines.push(JSON.stringify({ type: 'sweep-run', params, seed, final, mean }));
+      process.stderr.write(`\r${done}/${total}`);
+    },
+    yieldToHost: async () => { while (lines.length) await emit(lines.shift()); },
+  });
+  process.stderr.write('\n');
+  for (const { params, n, final, mean } of result.cells) await emit(JSON.stringify({ type: 'sweep-cell', params, runs: n, final, mean }));
+}
+
+async function main() {
+  let opts;
+  try { opts = parseArgs(process.argv.slice(2)); } catch (e) { process.stderr.write(`${e.message}\n\n${USAGE}`); process.exit(2); }
+  if (opts.help) { process.stdout.write(USAGE); return; }
+
+  const plugins = [];
+  for (const file of opts.plugins) {
+    try {
+      const mod = await import(pathToFileURL(resolve(file)).href);
+      plugins.push(...[mod.default ?? mod.plugins].flat().filter(Boolean));
+    } catch (e) { process.stderr.write(`Cannot load plugin ${file}: ${e.message}\n`); process.exit(1); }
+  }
+
+  if (opts.sweep.length) return sweep(opts, plugins);
+
+  let engine;
+  if (opts.replay) {
+    try {
+      const file = JSON.parse(await readFile(opts.replay, 'utf8'));
+      engine = replayJournal(file.journal || file, { plugins });
+    } catch (e) { process.stderr.write(`Cannot replay ${opts.replay}: ${e.message}\n`); process.exit(1); }
+  } else {
+    const config = await readConfig(opts.config);
+    try {
+      engine = new CrucibleEngine(opts.seed === null ? config : { ...config, seed: opts.seed });
+      for (const p of plugins) engine.use(p);
+    } catch (e) { process.stderr.write(`${e.message}\n`); process.exit(2); }
+    engine.reset();
+  }
+  try { for (const condition of opts.breaks) engine.addBreakpoint(condition); } catch (e) { process.stderr.write(`--break: ${e.message}\n`); process.exit(2); }
+  // Events fire synchronously inside step(); queue them and flush between steps so backpressure still applies
+  const queued = [];
+  const streamed = new Set(opts.events || []);
+  if (opts.breaks.length) streamed.add('breakpoint');
+  for (const type of streamed) engine.on(type, (event) => queued.push(event));
+  await emit(JSON.stringify(engine.getStats()));
+  for (let i = 1; i <= opts.generations; i++) {
+    engine.step();
+    while (queued.length) await emit(JSON.stringify(queued.shift()));
+    if (engine.halted || engine.generation % opts.every === 0 || i === opts.generations) await emit(JSON.stringify(engine.getStats()));
+    if (engine.halted) break;
+  }
+  if (opts.series) {
+    const data = engine.series.toArrays();
+    const body = opts.series.endsWith('.json') ? seriesToColumnarJSON(data, { seed: engine.seed }) : seriesToCSV(data);
+    try { await writeFile(opts.series, body); } catch (e) { process.stderr.write(`Cannot write series ${opts.series}: ${e.message}\n`); process.exit(1); }
+  }
+}
+
+process.stdout.on('error', (e) => { if (e.code === 'EPIPE') process.exit(0); throw e; });
+main();
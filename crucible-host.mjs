@@ -0,0 +1,189 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE HOST — owns a CrucibleEngine behind a message protocol
+//  Runs inside crucible-worker.mjs (or in-thread as a fallback) and
+//  answers step / inject / dampen / inspect / serialize requests, streaming
+//  compact render snapshots back to the UI after every tick. A breakpoint
+//  hit ends the run loop (and any multi-step request) on that generation.
+//  Plugins loaded by URL stay registered across init / replay.
+// ═══════════════════════════════════════════════════════════
+
+import { CrucibleEngine, replayJournal } from './crucible-engine.mjs';
+
+// ── Snapshot layout ──
+// Numeric glyph state is packed into one Float64Array (GLYPH_STRIDE slots per glyph)
+// and transferred; strings travel alongside as plain arrays.
+const GLYPH_NUMERIC = ['x', 'y', 'entropy', 'pulsePhase', 'birthTime', 'generation', 'stability', 'influenceScore', 'priority', 'mutationRate', 'dampenerRadius', 'dampenerLifespan', 'flags', 'H', 'dH_dt', 'tau_coherence', 'phi_phase'];
+const GLYPH_STRIDE = GLYPH_NUMERIC.length;
+const FLAG = { concept: 1, attractor: 2, reflex: 4, dampener: 8, entrained: 16 };
+// What the scrubber draws for a checkpoint — its captured engine state stays in the host
+const checkpointSummary = ({ id, gen, branch, season, glyphs, attractors, phaseTransitions, criticalEvents, note }) =>
+  ({ id, gen, branch, season, glyphs, attractors, phaseTransitions, criticalEvents, note });
+
+function packSnapshot(engine) {
+  const glyphs = Array.from(engine.glyphs.values());
+  const numeric = new Float64Array(glyphs.length * GLYPH_STRIDE);
+  const index = new Map();
+  const meta = glyphs.map((g, i) => {
+    index.set(g.id, i);
+    const ts = g.thermodynamicState;
+    const flags = (g.isConcept ? FLAG.concept : 0) | (g.isAttractor ? FLAG.attractor : 0) | (g.isReflex ? FLAG.reflex : 0) | (g.isDampener ? FLAG.dampener : 0) | (g.entrained ? FLAG.entrained : 0);
+    const o = i * GLYPH_STRIDE;
+    numeric.set([g.x, g.y, g.entropy, g.pulsePhase, g.birthTime, g.generation, g.stability, g.influenceScore, g.priority, g.mutationRate, g.dampenerRadius, g.dampenerLifespan, flags,
+      ts ? ts.H : NaN, ts ? ts.dH_dt : NaN, ts ? ts.tau_coherence : NaN, ts ? ts.phi_phase : NaN], o);
+    return [g.id, g.tags, g.ancestry, g.culture, g.reflexType, g.seasonBorn];
+  });
+
+  // Resonance pairs as glyph indices + scores
+  // The matrix outlives culls until the next field update — pairs with a culled end are skipped, not sent as glyph 0
+  const pairs = [];
+  for (const p of engine.resonanceMatrix.values()) if (index.has(p.a.id) && index.has(p.b.id)) pairs.push(p);
+  const pairIdx = new Uint32Array(pairs.length * 2);
+  const pairScore = new Float32Array(pairs.length);
+  pairs.forEach(({ a, b, score }, i) => { pairIdx[i * 2] = index.get(a.id); pairIdx[i * 2 + 1] = index.get(b.id); pairScore[i] = score; });
+
+  const log = engine.collisionLog;
+  const collisionRes = Float32Array.from(log, c => c.resonance);
+  const collisionCross = Uint8Array.from(log, c => (c.crossType ? 1 : 0));
+
+  const h = engine.helix;
+  const helix = { ...h, history: Float32Array.from(h.history), A_history: Float32Array.from(h.A_history), phase_history: Float32Array.from(h.phase_history) };
+
+  const snapshot = {
+    type: 'snapshot',
+    stats: engine.getStats(),
+    eventLog: engine.eventLog,
+    generation: engine.generation, season: engine.season, seasonCounter: engine.seasonCounter,
+    SEASON_DURATION: engine.SEASON_DURATION, RESONANCE_THRESHOLD: engine.RESONANCE_THRESHOLD,
+    PHASE_TRANSITION_THRESHOLD: engine.PHASE_TRANSITION_THRESHOLD, CRITICAL_POINT_THRESHOLD: engine.CRITICAL_POINT_THRESHOLD,
+    RENDER_CONNECTION_CAP: engine.RENDER_CONNECTION_CAP, ATTRACTOR_THRESHOLD: engine.ATTRACTOR_THRESHOLD, REFLEX_INTERVAL: engine.REFLEX_INTERVAL,
+    canvasW: engine.canvasW, canvasH: engine.canvasH,
+    numeric, meta, pairIdx, pairScore,
+    openPipes: Array.from(engine.openPipes.keys()),
+    activeShortcuts: engine.activeShortcuts,
+    shockwave: engine.shockwave,
+    collisionRes, collisionCross,
+    recentCollisions: log.slice(-10),
+    attractors: Array.from(engine.conceptualAttractors.entries()),
+    tags: engine.tags, evolvedTags: engine.evolvedTags,
+    helix,
+    config: engine.config,
+    plugins: engine.listPlugins(),
+    breakpoints: engine.listBreakpoints(),
+    branch: engine.branch,
+    checkpoints: engine.timeline().map(checkpointSummary),
+  };
+  const transfer = [numeric.buffer, pairIdx.buffer, pairScore.buffer, collisionRes.buffer, collisionCross.buffer, helix.history.buffer, helix.A_history.buffer, helix.phase_history.buffer];
+  return { snapshot, transfer };
+}
+
+// ── Host ──
+// post(message, transfer) delivers to the client; the returned handler consumes client messages.
+function createEngineHost(post) {
+  let engine = null;
+  let timer = null;
+  let interval = 180, stepsPerTick = 1;
+  const extraPlugins = []; // loaded via 'loadPlugin'; re-registered on every new engine
+  // Typed events since the last snapshot — forwarded with it; a long step or replay flushes full batches
+  // early as 'events' messages so nothing is dropped between snapshots
+  let pendingEvents = [];
+  const EVENT_BUFFER = 1000;
+
+  const record = (event) => {
+    pendingEvents.push(event);
+    if (pendingEvents.length >= EVENT_BUFFER) { post({ type: 'events', events: pendingEvents }); pendingEvents = []; }
+  };
+  const listen = (next) => { next.on('*', record); return next; };
+
+  const postSnapshot = () => {
+    const { snapshot, transfer } = packSnapshot(engine);
+    snapshot.running = timer !== null;
+    snapshot.rate = { interval, stepsPerTick };
+    snapshot.events = pendingEvents; pendingEvents = [];
+    post(snapshot, transfer);
+  };
+
+  // Steps until `count` generations have run or a breakpoint fires; true if one fired
+  const advance = (count) => {
+    for (let i = 0; i < count; i++) { engine.step(); if (engine.halted) return true; }
+    return false;
+  };
+
+  // A throw here has no request to answer — stop the loop and report it unsolicited (no id)
+  const tick = () => {
+    try { timer = advance(stepsPerTick) ? null : setTimeout(tick, interval); }
+    catch (err) { timer = null; post({ type: 'error', message: err.message }); }
+    postSnapshot();
+  };
+
+  const stop = () => { if (timer !== null) clearTimeout(timer); timer = null; };
+
+  const handlers = {
+    init({ seed, config = {} }) {
+      stop();
+      engine = listen(new CrucibleEngine(seed == null ? config : { ...config, seed }));
+      for (const p of extraPlugins) engine.use(p);
+      engine.reset();
+      return { seed: engine.seed };
+    },
+    run({ interval: iv, stepsPerTick: spt } = {}) {
+      if (iv != null) interval = Math.max(0, iv);
+      if (spt != null) stepsPerTick = Math.max(1, Math.floor(spt));
+      if (timer === null) timer = setTimeout(tick, interval);
+    },
+    pause() { stop(); },
+    step({ count = 1 }) { advance(count); return { generation: engine.generation, halted: engine.halted }; },
+    // Interventions go through engine.intervene() so they land in the replay journal
+    // taxonomy (optional): the Semantic Taxonomy result — its clusters become temporary cultures
+    inject({ concepts, taxonomy = null }) { engine.intervene('injectConcepts', concepts, ...(taxonomy ? [taxonomy] : [])); return { injected: concepts.length }; },
+    dampen({ x = null, y = null } = {}) { return { id: engine.intervene('injectDampener', x, y).id }; },
+    shockwave({ x, y, color }) { engine.intervene('triggerShockwave', x, y, color); },
+    configure({ patch }) { engine.intervene('configure', patch); },
+    log({ msg, kind = 'info' }) { engine.log(msg, kind); },
+    reset({ seed } = {}) { stop(); engine.intervene('reset', seed ?? engine.seed); return { seed: engine.seed }; },
+    serialize() { return engine.serialize(); },
+    deserialize({ data }) { stop(); engine.deserialize(data); return { generation: engine.generation }; },
+    restore({ checkpoint, fork = false }) { stop(); engine.intervene('restoreCheckpoint', checkpoint, { fork }); return { generation: engine.generation, branch: engine.branch }; },
+    journal() { return engine.exportJournal(); },
+    inspect({ glyph }) { return engine.inspectGlyph(glyph); },
+    lineage({ glyph, up, down }) { return engine.lineageOf(glyph, { up, down }); },
+    graph() { return engine.exportGraph(); },
+    series() { return engine.series.toArrays(); },
+    cultureDynamics() { return engine.cultureDynamics.toJSON(); },
+    // Subscribed before the journal runs, so the replayed run's events reach the client too
+    replay({ journal }) { stop(); engine = replayJournal(journal, { plugins: extraPlugins, onEvent: record }); return { generation: engine.generation, seed: engine.seed }; },
+    addBreakpoint({ condition }) { return { id: engine.addBreakpoint(condition) }; },
+    removeBreakpoint({ breakpoint }) { engine.removeBreakpoint(breakpoint); },
+    toggleBreakpoint({ breakpoint, enabled }) { engine.setBreakpointEnabled(breakpoint, enabled); },
+    plugin({ name, enabled }) { engine.intervene('setPluginEnabled', name, enabled); },
+    // Module's default export (or `plugins` export) is a plugin or an array of plugins
+    async loadPlugin({ url }) {
+      const mod = await import(url);
+      const found = [mod.default ?? mod.plugins].flat().filter(Boolean);
+      if (!found.length) throw new Error(`${url} exports no plugin`);
+      for (const p of found) { engine.use(p); extraPlugins.push(p); }
+      engine.log(`🔌 Loaded ${found.map(p => p.name).join(', ')}`, 'info');
+      return { names: found.map(p => p.name) };
+    },
+    snapshot() {},
+  };
+  // Requests that leave the view unchanged don't need a fresh snapshot ('run' posts one on its first tick)
+  const QUIET = new Set(['serialize', 'journal', 'inspect', 'lineage', 'graph', 'series', 'cultureDynamics', 'run']);
+
+  return function handle(msg) {
+    const { id, type, ...payload } = msg || {};
+    const handler = handlers[type];
+    const fail = (err) => { if (id != null) post({ type: 'error', id, message: err.message }); };
+    const done = (result) => {
+      if (id != null) post({ type: 'reply', id, result });
+      if (!QUIET.has(type)) postSnapshot();
+    };
+    try {
+      if (!handler) throw new Error(`Unknown crucible message: ${type}`);
+      if (!engine && type !== 'init') throw new Error('Crucible host not initialized');
+      const result = handler(payload);
+      if (result instanceof Promise) result.then(done, fail); else done(result);
+    } catch (err) { fail(err); }
+  };
+}
+
+export { GLYPH_NUMERIC, GLYPH_STRIDE, FLAG, packSnapshot, createEngineHost };
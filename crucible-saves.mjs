@@ -0,0 +1,185 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE SAVES — named save slots + autosave for serialize() payloads
+//  Backend preference: window.storage (artifact KV) → IndexedDB →
+//  localStorage → in-memory (nothing persists, but nothing breaks)
+//  plus .crucible.json file export/import for sharing runs
+// ═══════════════════════════════════════════════════════════
+
+const AUTOSAVE_ID = 'autosave';
+
+// ── Key/value backends: get(key) → string|null, set(key, string), delete(key) ──
+function windowStorageBackend() {
+  const store = window.storage;
+  return {
+    name: 'window.storage',
+    async get(key) { try { const r = await store.get(key); return r?.value ?? null; } catch { return null; } },
+    async set(key, value) { await store.set(key, value); },
+    async delete(key) { try { await store.delete(key); } catch {} },
+  };
+}
+
+// `indexedDB` can exist and still refuse to open (private mode, blocked storage) — from then on
+// every call goes to the backend `fallback()` returns
+function indexedDBBackend({ dbName = 'crucible', storeName = 'kv', fallback = null } = {}) {
+  let dbPromise = null, backup = null;
+  const open = () => dbPromise || (dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(dbName, 1);
+    req.onupgradeneeded = () => req.result.createObjectStore(storeName);
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+    req.onblocked = () => reject(new Error('IndexedDB is blocked'));
+  }));
+  const openOrFallBack = async () => {
+    try { return await open(); } catch (e) { if (!fallback) throw e; backup = fallback(); return null; }
+  };
+  // orElse(backup) is the same operation on the fallback backend
+  const run = async (mode, fn, orElse) => {
+    const db = backup ? null : await openOrFallBack();
+    if (!db) return orElse(backup);
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const req = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(req?.result);
+      tx.onerror = (e) => reject(e.target.error || tx.error || new Error('IndexedDB transaction failed'));
+      // A quota overflow or rejected put aborts the transaction — without this the call never settles
+      tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+    });
+  };
+  return {
+    get name() { return backup ? backup.name : 'IndexedDB'; },
+    async get(key) { const v = await run('readonly', s => s.get(key), b => b.get(key)); return v ?? null; },
+    async set(key, value) { await run('readwrite', s => s.put(value, key), b => b.set(key, value)); },
+    async delete(key) { await run('readwrite', s => s.delete(key), b => b.delete(key)); },
+  };
+}
+
+function localStorageBackend() {
+  return {
+    name: 'localStorage',
+    async get(key) { return localStorage.getItem(key); },
+    async set(key, value) { localStorage.setItem(key, value); },
+    async delete(key) { localStorage.removeItem(key); },
+  };
+}
+
+function memoryBackend() {
+  const map = new Map();
+  return {
+    name: 'memory',
+    async get(key) { return map.has(key) ? map.get(key) : null; },
+    async set(key, value) { map.set(key, value); },
+    async delete(key) { map.delete(key); },
+  };
+}
+
+function webStorageBackend() {
+  try {
+    localStorage.setItem('crucible-probe', '1'); localStorage.removeItem('crucible-probe');
+    return localStorageBackend();
+  } catch {}
+  return memoryBackend();
+}
+
+function pickBackend() {
+  if (typeof window !== 'undefined' && window.storage?.get) return windowStorageBackend();
+  if (typeof indexedDB !== 'undefined') return indexedDBBackend({ fallback: webStorageBackend });
+  return webStorageBackend();
+}
+
+// ── Slot store ──
+// Slot metadata lives in one index key so listing never loads full snapshots
+function createSaveStore({ namespace = 'crucible-v4', backend = pickBackend() } = {}) {
+  const indexKey = `${namespace}:slots`;
+  const slotKey = (id) => `${namespace}:slot:${id}`;
+
+  const readIndex = async () => {
+    try { return JSON.parse(await backend.get(indexKey)) || []; } catch { return []; }
+  };
+  const writeIndex = (slots) => backend.set(indexKey, JSON.stringify(slots));
+
+  return {
+    get backend() { return backend.name; },
+
+    async list() {
+      return (await readIndex()).sort((a, b) => b.savedAt - a.savedAt);
+    },
+
+    async save(name, data, { id = `s${Date.now().toString(36)}` } = {}) {
+      const meta = { id, name, savedAt: Date.now(), generation: data.generation || 0, glyphs: (data.glyphs || []).length, seed: data.seed ?? null, autosave: id === AUTOSAVE_ID };
+      await backend.set(slotKey(id), JSON.stringify(data));
+      const slots = (await readIndex()).filter(s => s.id !== id);
+      slots.push(meta);
+      await writeIndex(slots);
+      return meta;
+    },
+
+    async load(id) {
+      const raw = await backend.get(slotKey(id));
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async remove(id) {
+      await backend.delete(slotKey(id));
+      await writeIndex((await readIndex()).filter(s => s.id !== id));
+    },
+  };
+}
+
+// ── Config presets ──
+// Presets are small, so the whole list lives under one key: [{ name, config, savedAt }]
+function createPresetStore({ namespace = 'crucible-v4', backend = pickBackend() } = {}) {
+  const key = `${namespace}:presets`;
+  const read = async () => {
+    try { return JSON.parse(await backend.get(key)) || []; } catch { return []; }
+  };
+  return {
+    async list() { return (await read()).sort((a, b) => a.name.localeCompare(b.name)); },
+    async save(name, config) {
+      const presets = (await read()).filter(p => p.name !== name);
+      presets.push({ name, config, savedAt: Date.now() });
+      await backend.set(key, JSON.stringify(presets));
+    },
+    async remove(name) { await backend.set(key, JSON.stringify((await read()).filter(p => p.name !== name))); },
+  };
+}
+
+// ── Save files ──
+// Plain JSON, or gzip when CompressionStream is available; readers sniff the gzip magic bytes
+// so either form imports regardless of the file name.
+const SAVE_FILE_EXT = '.crucible.json';
+const JOURNAL_FILE_EXT = '.journal.json';
+const PRESET_FILE_EXT = '.preset.json';
+const CULTURES_FILE_EXT = '.cultures.json';
+const canGzip = () => typeof CompressionStream !== 'undefined';
+
+async function encodeSaveFile(data, { gzip = false, ext = SAVE_FILE_EXT, name = null } = {}) {
+  const json = new Blob([JSON.stringify(data)], { type: 'application/json' });
+  const seedPart = data.seed != null ? `-s${data.seed}` : '';
+  const stem = name ? name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'crucible' : `crucible-gen${data.generation || 0}${seedPart}`;
+  const base = `${stem}${ext}`;
+  if (!gzip || !canGzip()) return { blob: json, filename: base };
+  const gz = await new Response(json.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+  return { blob: new Blob([gz], { type: 'application/gzip' }), filename: `${base}.gz` };
+}
+
+async function decodeSaveFile(file) {
+  const bytes = new Uint8Array(await file.arrayBuffer());
+  let text;
+  if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('This browser cannot read gzip save files');
+    text = await new Response(new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'))).text();
+  } else {
+    text = new TextDecoder().decode(bytes);
+  }
+  try { return JSON.parse(text); } catch { throw new Error(`${file.name || 'File'} is not a crucible save`); }
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename;
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export { AUTOSAVE_ID, SAVE_FILE_EXT, JOURNAL_FILE_EXT, PRESET_FILE_EXT, CULTURES_FILE_EXT, createSaveStore, createPresetStore, canGzip, encodeSaveFile, decodeSaveFile, downloadBlob };
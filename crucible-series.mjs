@@ -0,0 +1,105 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE SERIES — per-generation observable history
+//  Bounded columnar store (one Float64Array per observable). When it
+//  fills, adjacent rows are averaged pairwise and the sampling stride
+//  doubles, so a 100k-generation run still fits in `capacity` rows.
+//  Non-finite samples are missing, not zero: a row averages only the
+//  finite ones and is NaN when it has none (null in JSON, empty in CSV).
+//  Plain module, shared by the engine, the UI chart and the CLI.
+// ═══════════════════════════════════════════════════════════
+
+// Column order is the CSV / export order
+const OBSERVABLE_SERIES = [
+  { key: 'psi',      label: 'ψ',     get: (e) => e.observables.psi },
+  { key: 'vp_mean',  label: '⟨vp⟩',  get: (e) => e.observables.vp_mean },
+  { key: 'J_H',      label: 'J_H',   get: (e) => e.observables.J_H },
+  { key: 'f_xi',     label: 'f_Ξ',   get: (e) => e.observables.f_xi },
+  { key: 'F_free',   label: 'F',     get: (e) => e.observables.F_free },
+  { key: 'H_mean',   label: '⟨H⟩',   get: (e) => e.observables.H_mean },
+  { key: 'sigma_H',  label: 'σ_H',   get: (e) => e.observables.sigma_H },
+  { key: 'N_xi',     label: 'N_Ξ',   get: (e) => e.observables.N_xi },
+  { key: 'S_u',      label: 'S_u',   get: (e) => e.observables.S_u },
+  { key: 'K_c',      label: 'K_c',   get: (e) => e.observables.K_c },
+  { key: 'helix_R',  label: 'R',     get: (e) => e.helix.R },
+  { key: 'helix_A',  label: 'A',     get: (e) => e.helix.A },
+  { key: 'helix_z',  label: 'z',     get: (e) => e.helix.z },
+  { key: 'glyphs',   label: 'N',     get: (e) => e.glyphs.size },
+];
+
+function createSeriesStore({ columns = OBSERVABLE_SERIES, capacity = 4096 } = {}) {
+  if (capacity < 2 || capacity % 2) throw new Error('Series capacity must be an even number ≥ 2');
+  const keys = columns.map(c => c.key);
+  const gen = new Float64Array(capacity);
+  const data = keys.map(() => new Float64Array(capacity));
+  // Finite samples behind each row's value, so compaction weights a pair by what each half actually saw
+  const samples = keys.map(() => new Uint32Array(capacity));
+  let rows = 0, stride = 1;
+  // Generations accumulated toward the next row (averaged once `stride` of them arrive)
+  let pendingCount = 0;
+  const pending = new Float64Array(keys.length);
+  const pendingSamples = new Uint32Array(keys.length);
+
+  const compact = () => {
+    const half = capacity / 2;
+    for (let i = 0; i < half; i++) {
+      gen[i] = gen[2 * i + 1];
+      data.forEach((col, c) => {
+        const n0 = samples[c][2 * i], n1 = samples[c][2 * i + 1], n = n0 + n1;
+        col[i] = n ? ((n0 ? col[2 * i] * n0 : 0) + (n1 ? col[2 * i + 1] * n1 : 0)) / n : NaN;
+        samples[c][i] = n;
+      });
+    }
+    rows = half; stride *= 2;
+  };
+  const resetPending = () => { pendingCount = 0; pending.fill(0); pendingSamples.fill(0); };
+
+  return {
+    columns,
+    get length() { return rows; },
+    get stride() { return stride; },
+
+    // One call per generation; reads every column from the engine
+    record(generation, engine) {
+      columns.forEach((c, i) => { const v = c.get(engine); if (Number.isFinite(v)) { pending[i] += v; pendingSamples[i]++; } });
+      if (++pendingCount < stride) return;
+      gen[rows] = generation;
+      for (let i = 0; i < keys.length; i++) {
+        data[i][rows] = pendingSamples[i] ? pending[i] / pendingSamples[i] : NaN;
+        samples[i][rows] = pendingSamples[i];
+      }
+      resetPending();
+      // Compact as soon as it fills so the next bucket already spans the doubled stride
+      if (++rows === capacity) compact();
+    },
+
+    // Drop rows after `generation` (checkpoint restore)
+    truncate(generation) {
+      while (rows > 0 && gen[rows - 1] > generation) rows--;
+      resetPending();
+    },
+
+    clear() { rows = 0; stride = 1; resetPending(); },
+
+    // Copies, safe to post across a worker boundary: { stride, generation, columns: { key: Float64Array } }
+    toArrays() {
+      return { stride, generation: gen.slice(0, rows), columns: Object.fromEntries(keys.map((k, i) => [k, data[i].slice(0, rows)])) };
+    },
+  };
+}
+
+// ── Export ──
+// `arrays` is toArrays() output (or the same shape after a worker round-trip)
+function seriesToCSV({ generation, columns }) {
+  const keys = Object.keys(columns);
+  const lines = [['generation', ...keys].join(',')];
+  const cell = (v) => (Number.isFinite(v) ? +v.toPrecision(8) : '');
+  for (let r = 0; r < generation.length; r++) lines.push([generation[r], ...keys.map(k => cell(columns[k][r]))].join(','));
+  return lines.join('\n') + '\n';
+}
+
+// Column-major JSON — the layout Parquet / Arrow / pandas.DataFrame(dict) load directly
+function seriesToColumnarJSON({ stride, generation, columns }, meta = {}) {
+  return JSON.stringify({ format: 'crucible-series', version: 1, ...meta, stride, generation: Array.from(generation), columns: Object.fromEntries(Object.entries(columns).map(([k, v]) => [k, Array.from(v)])) });
+}
+
+export { OBSERVABLE_SERIES, createSeriesStore, seriesToCSV, seriesToColumnarJSON };
@@ -0,0 +1,24 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE SWEEP WORKER — runs a sweep plan off the UI thread
+//  new Worker(new URL('./crucible-sweep-worker.mjs', import.meta.url), { type: 'module' })
+//  in: { type: 'run', plan } | { type: 'cancel' }
+//  out: { type: 'ready' } once loaded, { type: 'run', run, done, total } per run,
+//       then { type: 'result', result } or { type: 'error', message }
+// ═══════════════════════════════════════════════════════════
+
+import { runSweep } from './crucible-sweep.mjs';
+
+let cancelled = false;
+self.onmessage = async ({ data }) => {
+  if (data.type === 'cancel') { cancelled = true; return; }
+  if (data.type !== 'run') return;
+  cancelled = false;
+  try {
+    const result = await runSweep(data.plan, {
+      onRun: (run, done, total) => self.postMessage({ type: 'run', run, done, total }),
+      shouldStop: () => cancelled,
+    });
+    self.postMessage({ type: 'result', result });
+  } catch (e) { self.postMessage({ type: 'error', message: e.message }); }
+};
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,182 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE SWEEP — batch experiments over a parameter grid
+//  One or two config axes × K seeds, each run headless for N generations.
+//  Every run reports final and time-averaged metrics (the numeric
+//  CONDITION_METRICS); cells aggregate them as mean / stddev over seeds.
+//  Shared by the UI sweep panel (via crucible-sweep-worker.mjs) and
+//  `crucible-headless.mjs --sweep`.
+// ═══════════════════════════════════════════════════════════
+
+import { CrucibleEngine, CONDITION_METRICS, CULTURES, schemaFor, validateConfig, resolveConfig, LEGACY_CONFIG_KEYS } from './crucible-engine.mjs';
+
+const SWEEP_FORMAT = 'crucible-sweep';
+
+// The engine field names people know from the source → config paths
+const PARAM_ALIASES = { ...LEGACY_CONFIG_KEYS, CROSS_CULTURE_BONUS: 'crossCultureBonus', TAG_EIGENVALUES: 'tagEigenvalues' };
+
+// Numeric metrics only — generation is the sweep's clock, not an outcome
+const SWEEP_METRICS = Object.keys(CONDITION_METRICS).filter(k => CONDITION_METRICS[k].type === 'number' && k !== 'generation');
+
+function resolveParam(name) {
+  const [head, ...rest] = String(name).trim().split('.');
+  let path = [PARAM_ALIASES[head] || head, ...rest].join('.');
+  // A cultural tag's eigenvalue lives on its (default) culture and overrides tagEigenvalues
+  const owner = path.startsWith('tagEigenvalues.') && Object.keys(CULTURES).find(c => rest[0] in CULTURES[c].eigenvalues);
+  if (owner) path = `cultures.${owner}.eigenvalues.${rest[0]}`;
+  const rule = schemaFor(path);
+  if (!rule) throw new Error(`Unknown parameter ${name}`);
+  if (rule.type) throw new Error(`${name} is not a numeric parameter`);
+  return { path, rule };
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  let o = obj;
+  for (const k of keys.slice(0, -1)) o = o[k] = { ...(o[k] || {}) };
+  o[keys[keys.length - 1]] = value;
+  return obj;
+}
+
+// "resonanceThreshold=0.3:0.6:7" (start:end:count, inclusive) or "SEASON_DURATION=100,200,400"
+function parseAxis(spec) {
+  const eq = String(spec).indexOf('=');
+  if (eq < 0) throw new Error(`Axis "${spec}" should look like name=start:end:count or name=a,b,c`);
+  const { path, rule } = resolveParam(spec.slice(0, eq));
+  const body = spec.slice(eq + 1).trim();
+  let values;
+  if (body.includes(':')) {
+    const [start, end, count] = body.split(':').map(Number);
+    if (![start, end].every(Number.isFinite) || !Number.isInteger(count) || count < 2) throw new Error(`Axis ${path}: range needs start:end:count with count ≥ 2`);
+    values = Array.from({ length: count }, (_, i) => +(start + (end - start) * i / (count - 1)).toPrecision(10));
+  } else values = body.split(',').filter(Boolean).map(Number);
+  if (rule.integer) values = values.map(Math.round);
+  values = Array.from(new Set(values));
+  if (!values.length) throw new Error(`Axis ${path} has no values`);
+  for (const v of values) {
+    const errors = validateConfig(setPath({}, path, v));
+    if (errors.length) throw new Error(errors[0]);
+  }
+  return { path, label: rule.label || path, values };
+}
+
+// axes: up to two parseAxis() results. Seeds are shared across cells (common random numbers),
+// so differences between cells come from the parameters, not the draw.
+function planSweep({ axes, seeds = 3, baseSeed = 1, generations = 1000, warmup = null, config = {} }) {
+  if (!axes.length || axes.length > 2) throw new Error('A sweep has one or two axes');
+  if (axes.length === 2 && axes[0].path === axes[1].path) throw new Error(`Both axes sweep ${axes[0].path}`);
+  resolveConfig(config); // fail before the first run, not inside it
+  const seedList = Array.from({ length: seeds }, (_, i) => (baseSeed + i) >>> 0);
+  const cells = [];
+  const [ax, ay = { path: null, values: [null] }] = axes;
+  ay.values.forEach((vy, j) => ax.values.forEach((vx, i) => {
+    const params = { [ax.path]: vx };
+    if (ay.path) params[ay.path] = vy;
+    cells.push({ i, j, params });
+  }));
+  return {
+    format: SWEEP_FORMAT, axes, seeds: seedList, generations,
+    // Time averages skip the first half by default — the field starts from 8 glyphs
+    warmup: warmup ?? Math.floor(generations / 2),
+    config, cells,
+    runs: cells.length * seedList.length,
+  };
+}
+
+function cellConfig(base, params) {
+  let config = structuredClone(base);
+  for (const [path, v] of Object.entries(params)) config = setPath(config, path, v);
+  return config;
+}
+
+// One headless run: final metric values plus their mean over generations after warmup
+function runOnce({ config = {}, seed, generations, warmup = 0, plugins = [] }) {
+  const engine = new CrucibleEngine({ ...config, seed });
+  for (const p of plugins) engine.use(p);
+  engine.reset();
+  const sums = Object.fromEntries(SWEEP_METRICS.map(k => [k, 0]));
+  let samples = 0;
+  for (let g = 1; g <= generations; g++) {
+    engine.step();
+    if (g > warmup) { for (const k of SWEEP_METRICS) sums[k] += CONDITION_METRICS[k].get(engine); samples++; }
+  }
+  const final = Object.fromEntries(SWEEP_METRICS.map(k => [k, CONDITION_METRICS[k].get(engine)]));
+  const mean = Object.fromEntries(SWEEP_METRICS.map(k => [k, samples ? sums[k] / samples : final[k]]));
+  return { final, mean };
+}
+
+// Runs the whole plan. Async so callers can stay responsive: it yields between runs,
+// and shouldStop() is checked there too. onRun(run, done, total) after every run.
+async function runSweep(plan, { plugins = [], onRun = null, shouldStop = null, yieldToHost = () => new Promise(r => setTimeout(r, 0)) } = {}) {
+  const runs = [];
+  for (const cell of plan.cells) {
+    const config = cellConfig(plan.config, cell.params);
+    for (const seed of plan.seeds) {
+      if (shouldStop && shouldStop()) return { ...plan, runs, cells: summarizeSweep(plan, runs), complete: false };
+      const { final, mean } = runOnce({ config, seed, generations: plan.generations, warmup: plan.warmup, plugins });
+      const run = { i: cell.i, j: cell.j, params: cell.params, seed, final, mean };
+      runs.push(run);
+      if (onRun) onRun(run, runs.length, plan.runs);
+      if (yieldToHost) await yieldToHost();
+    }
+  }
+  return { ...plan, runs, cells: summarizeSweep(plan, runs), complete: true };
+}
+
+// Browser entry: runs the plan in crucible-sweep-worker.mjs (in-thread if workers are unavailable).
+// → { done: Promise<result>, cancel() } — a cancelled sweep resolves with the runs finished so far
+function startSweep(plan, { onRun = null, useWorker = true } = {}) {
+  let worker = null, cancelled = false, ready = false;
+  const inThread = () => runSweep(plan, { onRun, shouldStop: () => cancelled });
+  const done = new Promise((resolve, reject) => {
+    if (useWorker && typeof Worker !== 'undefined') {
+      try { worker = new Worker(new URL('./crucible-sweep-worker.mjs', import.meta.url), { type: 'module' }); } catch { worker = null; }
+    }
+    if (!worker) { inThread().then(resolve, reject); return; }
+    const finish = () => { worker.terminate(); worker = null; };
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'ready') ready = true;
+      else if (data.type === 'run') { if (onRun) onRun(data.run, data.done, data.total); }
+      else if (data.type === 'result') { finish(); resolve(data.result); }
+      else if (data.type === 'error') { finish(); reject(new Error(data.message)); }
+    };
+    // Before 'ready' the worker failed to load (e.g. module workers unsupported) — run in-thread instead;
+    // after it, the sweep itself threw, and rerunning it here would only throw again
+    worker.onerror = (e) => {
+      finish();
+      if (!ready) { inThread().then(resolve, reject); return; }
+      e.preventDefault();
+      reject(new Error(e.message || 'Sweep worker error'));
+    };
+    worker.postMessage({ type: 'run', plan });
+  });
+  return { done, cancel() { cancelled = true; if (worker) worker.postMessage({ type: 'cancel' }); } };
+}
+
+function meanStd(values) {
+  if (!values.length) return { mean: NaN, std: NaN };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  // Sample stddev — a handful of seeds is the normal case
+  const std = values.length > 1 ? Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1)) : 0;
+  return { mean, std };
+}
+
+// cells → [{ i, j, params, n, final: { metric: {mean, std} }, mean: { metric: {mean, std} } }]
+function summarizeSweep(plan, runs) {
+  return plan.cells.map(({ i, j, params }) => {
+    const mine = runs.filter(r => r.i === i && r.j === j);
+    const agg = (field) => Object.fromEntries(SWEEP_METRICS.map(k => [k, meanStd(mine.map(r => r[field][k]))]));
+    return { i, j, params, n: mine.length, final: agg('final'), mean: agg('mean') };
+  });
+}
+
+// ── Export ──
+// One row per run: parameters, seed, then final_* and mean_* for every metric
+function sweepRunsToCSV(result) {
+  const paths = result.axes.map(a => a.path);
+  const header = [...paths, 'seed', ...SWEEP_METRICS.map(k => `final_${k}`), ...SWEEP_METRICS.map(k => `mean_${k}`)];
+  const fmt = (v) => +v.toPrecision(8);
+  const rows = result.runs.map(r => [...paths.map(p => r.params[p]), r.seed, ...SWEEP_METRICS.map(k => fmt(r.final[k])), ...SWEEP_METRICS.map(k => fmt(r.mean[k]))].join(','));
+  return [header.join(','), ...rows].join('\n') + '\n';
+}
+
+export { SWEEP_FORMAT, PARAM_ALIASES, SWEEP_METRICS, resolveParam, parseAxis, planSweep, runOnce, runSweep, startSweep, summarizeSweep, sweepRunsToCSV };
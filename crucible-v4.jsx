@@ -1,4 +1,12 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { SeasonalPhase, SEASON_MODIFIERS, SEASON_ACTIONS, parseSchedule, formatSchedule, CULTURES, CULTURES_FORMAT, HYBRID_CULTURE, JOURNAL_FORMAT, CONFIG_PRESETS, PRESET_FORMAT, validateSnapshot, validateConfig, resolveConfig, wholeConfigPatch, flattenConfig, schemaFor, CONDITION_METRICS } from './crucible-engine.mjs';
+import { CrucibleClient } from './crucible-client.mjs';
+import { AUTOSAVE_ID, SAVE_FILE_EXT, JOURNAL_FILE_EXT, PRESET_FILE_EXT, CULTURES_FILE_EXT, createSaveStore, createPresetStore, canGzip, encodeSaveFile, decodeSaveFile, downloadBlob } from './crucible-saves.mjs';
+import { createEventStore, exportEventsNDJSON } from './crucible-eventlog.mjs';
+import { buildResonanceGraph, detectCommunities, createForceLayout, GRAPH_FORMATS } from './crucible-graph.mjs';
+import { OBSERVABLE_SERIES, seriesToCSV, seriesToColumnarJSON } from './crucible-series.mjs';
+import { CULTURE_SERIES, cultureDynamicsToCSV, cultureDynamicsToJSON } from './crucible-culture-dynamics.mjs';
+import { PARAM_ALIASES, SWEEP_METRICS, parseAxis, planSweep, startSweep, sweepRunsToCSV } from './crucible-sweep.mjs';
 
 // ═══════════════════════════════════════════════════════════
 //  THE CRUCIBLE v4 — Multicultural Consciousness Engine + Weather Dynamics
@@ -8,1585 +16,26 @@ import React, { useState, useEffect, useRef, useCallback } from 'react';
 //  Tag Operator Eigenvalues · Lexicon Observables · Critical Thresholds
 // ═══════════════════════════════════════════════════════════
 
-// ===== SEASONAL PHASES (from v4.2) =====
-const SeasonalPhase = { EXPLORATION: 'exploration', CONSOLIDATION: 'consolidation', DORMANCY: 'dormancy', RENAISSANCE: 'renaissance' };
-const SEASON_ORDER = [SeasonalPhase.EXPLORATION, SeasonalPhase.CONSOLIDATION, SeasonalPhase.DORMANCY, SeasonalPhase.RENAISSANCE];
-const SEASON_MODIFIERS = {
-  [SeasonalPhase.EXPLORATION]:    { entropy: 1.2, resonance: -0.05, sleep: 0.8, color: '#16C0FF' },
-  [SeasonalPhase.CONSOLIDATION]:  { entropy: 0.8, resonance: 0.03,  sleep: 1.0, color: '#00FF96' },
-  [SeasonalPhase.DORMANCY]:       { entropy: 0.6, resonance: 0.06,  sleep: 1.5, color: '#8F7FFF' },
-  [SeasonalPhase.RENAISSANCE]:    { entropy: 1.5, resonance: -0.08, sleep: 0.6, color: '#FF6B6B' },
-};
-
-// ===== REFLEX TYPES (from v4.2) =====
-const ReflexType = { DEFENSIVE: 'defensive', EXPLORATORY: 'exploratory', COLLABORATIVE: 'collaborative', CONSOLIDATIVE: 'consolidative', METAMORPHIC: 'metamorphic' };
-
-// ===== TAG OPERATOR EIGENVALUES (from Physics Lexicon §VII, §XII) =====
-// Ωi|ψ⟩ → λi|ψ'⟩  — thermodynamic multipliers empirically derived over 2000+ generations
-const TAG_EIGENVALUES = {
-  wild:     2.1,   // Acceleration — 2.1× entropy flow
-  ghost:    7.0,   // Autonomy amplification
-  beacon:   1.4,   // Hub formation
-  fractal:  1.8,   // Self-similar branching
-  mirror:   1.3,   // Reflection coupling
-  flex:     1.2,   // Adaptive response
-  resonant: 1.5,   // Resonance amplification
-  unknown:  1.0,   // Identity operator (no effect)
-  stable:   0.85,  // Cooling (consolidation)
-  phase:    0.95,  // Cooling (negative dH/dt)
-  origin:   0.90,  // Reset/collapse
-  // Cultural eigenvalues — domain-specific thermodynamic signatures
-  qualia:        1.6,   // Phenomenological intensity
-  intentionality:1.3,   // Directed attention
-  embodiment:    1.4,   // Grounded coupling
-  emergence:     1.7,   // Computational complexity spike
-  recursion:     1.5,   // Self-referential amplification
-  criticality:   1.8,   // Thermodynamic phase edge
-  cascade:       1.6,   // Chain reaction potential
-  luminosity:    1.4,   // Contemplative clarity
-  cessation:     0.7,   // Contemplative cooling
-  emptiness:     0.8,   // Contemplative dissolution
-  synchrony:     1.5,   // Biological binding
-  plasticity:    1.3,   // Biological adaptation
-  homeostasis:   0.9,   // Biological stability
-};
-
-// Protected cognitive markers — influence mass calculation, never compressed away
-const COGNITIVE_TAGS = new Set(['origin', 'self', 'purpose', 'memory', 'mirror', 'beacon', 'synthesis', 'semantic-fusion']);
-
-// ── Cultural Pools: Five conceptual lenses on consciousness ──
-const CULTURES = {
-  phenomenological: { label: 'Phenom', color: '#e6735a', tags: ['qualia', 'intentionality', 'gestalt', 'horizon', 'lifeworld', 'bracketing', 'embodiment'] },
-  thermodynamic:    { label: 'Thermo', color: '#ff8800', tags: ['entropy', 'gradient', 'equilibrium', 'flux', 'dissipation', 'cascade', 'criticality'] },
-  contemplative:    { label: 'Contemp', color: '#b464ff', tags: ['awareness', 'impermanence', 'emptiness', 'dependent', 'mindstream', 'luminosity', 'cessation'] },
-  computational:    { label: 'Compute', color: '#00aaff', tags: ['recursion', 'binding', 'integration', 'feedback', 'emergence', 'substrate', 'process'] },
-  biological:       { label: 'Bio', color: '#5acebe', tags: ['oscillation', 'synchrony', 'plasticity', 'homeostasis', 'arousal', 'adaptation', 'threshold'] },
-};
-const CULTURE_NAMES = Object.keys(CULTURES);
-const MAX_TAGS_PER_GLYPH = 8;
-const COMPRESS_SIM_THRESHOLD = 0.82; // cosine similarity above this → tags are redundant
-
-// ===== GLYPH CLASS (Crucible base + v4.2 extensions) =====
-class Glyph {
-  constructor(id, tags, ancestry, generation, isConcept = false) {
-    this.id = id;
-    this.tags = tags;
-    this.ancestry = ancestry;
-    this.generation = generation;
-    this.isConcept = isConcept;
-    this.conceptData = null;
-    this.entropyHistory = [];
-    this.thermodynamicState = null;
-    this.x = Math.random() * 1200;
-    this.y = Math.random() * 600;
-    this.vx = (Math.random() - 0.5) * 2;
-    this.vy = (Math.random() - 0.5) * 2;
-    this.coordinationEvents = [];
-    this.lastCollisionGen = 0;
-    this.birthTime = Date.now();
-    this.pulsePhase = Math.random() * Math.PI * 2;
-    // v4.2 extensions
-    this.reflexType = null;        // ReflexType if this is a reflex glyph
-    this.isReflex = false;
-    this.influenceScore = 0;       // cached influence
-    this.isAttractor = false;      // conceptual attractor flag
-    this.seasonBorn = null;        // which season it was born in
-    this.stagnantCount = 0;        // generations since last interaction
-    // Lattice entrainment extensions
-    this.priority = 0;             // propagation priority
-    this.mutationRate = 0.1;       // base mutation rate
-    this.stability = 0;            // coherence-derived stability
-    this.entrained = false;        // has been entrained this cycle
-    this.entrainmentGen = 0;       // generation of last entrainment
-    // Dampener properties
-    this.isDampener = false;        // resonance suppressor
-    this.dampenerRadius = 0;        // spatial suppression radius
-    this.dampenerStrength = 0;      // suppression multiplier (0-1, 0=total suppression)
-    this.dampenerLifespan = 0;      // generations remaining
-    // Cultural pool
-    this.culture = null;            // one of CULTURE_NAMES or 'hybrid'
-  }
-
-  get entropy() {
-    return this.entropyHistory[this.entropyHistory.length - 1] || 0;
-  }
-
-  get mass() {
-    const depth = this.ancestry.length;
-    const cognitive = this.tags.some(t => COGNITIVE_TAGS.has(t)) ? 1.6 : 1.0;
-    return (this.entropy + 300) * (1 + Math.log1p(depth)) * cognitive;
-  }
-
-  updateThermodynamics(generation) {
-    const history = this.entropyHistory;
-    if (history.length < 2) return;
-    const H = history[history.length - 1];
-    const window_ = Math.min(10, history.length);
-    const dH_dt = (history[history.length - 1] - history[history.length - window_]) / window_;
-    let tau_coherence = 1.0;
-    if (history.length > 5) {
-      const changes = [];
-      for (let i = 1; i < Math.min(20, history.length); i++) {
-        if (history.length - i - 1 >= 0) changes.push(history[history.length - i] - history[history.length - i - 1]);
-      }
-      if (changes.length > 0) {
-        const std = Math.sqrt(changes.reduce((a, b) => a + b * b, 0) / changes.length);
-        tau_coherence = 1.0 / (std + 0.000001);
-      }
-    }
-    let phi_phase = 0.5;
-    if (history.length > 10) {
-      const recent = history.slice(-10);
-      const min = Math.min(...recent);
-      const max = Math.max(...recent);
-      if (max > min) phi_phase = (recent[recent.length - 1] - min) / (max - min);
-    }
-    this.thermodynamicState = { H, dH_dt, tau_coherence, phi_phase, generation };
-  }
-
-  resonanceWith(other) {
-    if (!this.thermodynamicState || !other.thermodynamicState) return 0;
-    const s1 = this.thermodynamicState, s2 = other.thermodynamicState;
-    // Lexicon §II resonance components — normalization constants scaled for H_max ≈ 8000
-    // ρH = 1/(1 + |Ha-Hb|/κ) where κ scales with entropy range
-    const entropy_compat = 1.0 / (1 + Math.abs(s1.H - s2.H) / 600);
-    // ρv = min(1, max(0, -va·vb/κ²)) — velocity complementarity, clamped to [0,1]
-    const rate_compat = Math.min(1.0, Math.max(0, -(s1.dH_dt * s2.dH_dt) / 5000));
-    // ρφ = cos(Δφ·π) — phase alignment (already normalized)
-    const phase_compat = Math.cos(Math.abs(s1.phi_phase - s2.phi_phase) * Math.PI);
-    // ρτ = min(τa,τb)/max(τa,τb) — coherence compatibility (ratio is scale-invariant)
-    const tau_ratio = Math.min(s1.tau_coherence, s2.tau_coherence) / Math.max(s1.tau_coherence, s2.tau_coherence);
-    // Lexicon §II: ρ = 0.35·ρH + 0.30·ρv + 0.20·ρφ + 0.15·ρτ
-    let base = entropy_compat * 0.35 + rate_compat * 0.30 + phase_compat * 0.20 + tau_ratio * 0.15;
-    if (this.isConcept && other.isConcept) base *= 1.15;
-    if (this.isConcept !== other.isConcept) base *= 1.08;
-    // v4.2: Attractor resonance bonus
-    if (this.isAttractor || other.isAttractor) base *= 1.12;
-    // v4.2: Reflex glyphs resonate differently
-    if (this.isReflex && !other.isReflex) base *= 1.05;
-    return Math.min(1.0, base);
-  }
-
-  update(width, height) {
-    this.x += this.vx;
-    this.y += this.vy;
-    this.vx *= 0.998;
-    this.vy *= 0.998;
-    if (this.x < 0 || this.x > width) this.vx *= -1;
-    if (this.y < 0 || this.y > height) this.vy *= -1;
-    this.x = Math.max(0, Math.min(width, this.x));
-    this.y = Math.max(0, Math.min(height, this.y));
-    this.pulsePhase += 0.05;
-  }
+// ===== CANVAS RENDERERS =====
+// ── Field camera ──
+// { zoom, cx, cy }: magnification around a world-space center; zoom 1 fits the whole 1200×600 field.
+// Positions scale with zoom, glyph radii don't — zooming is what pulls dense clusters apart.
+const FIELD_W = 1200, FIELD_H = 600, MAX_ZOOM = 20;
+const DEFAULT_CAMERA = { zoom: 1, cx: FIELD_W / 2, cy: FIELD_H / 2 };
+function fieldTransform(camera = DEFAULT_CAMERA, w, h) {
+  const sx = w / FIELD_W * camera.zoom, sy = h / FIELD_H * camera.zoom;
+  return { sx, sy, ox: w / 2 - camera.cx * sx, oy: h / 2 - camera.cy * sy };
 }
-
-// ===== ENGINE CORE (Crucible + v4.2 fusion) =====
-class CrucibleEngine {
-  constructor() {
-    this.glyphs = new Map();
-    this.nextId = 0;
-    this.generation = 0;
-    this.resonanceMatrix = new Map();
-    this.openPipes = new Map();
-    this.collisionLog = [];
-    this.eventLog = [];
-    this.baseTags = ['origin','flex','ghost','fractal','wild','mirror','unknown','stable','beacon','phase','resonant'];
-    // Seed cultural vocabulary into shared pool
-    for (const c of Object.values(CULTURES)) {
-      for (const t of c.tags) {
-        if (!this.baseTags.includes(t)) this.baseTags.push(t);
-      }
-    }
-    this.evolvedTags = [];
-    this.tagSignatures = new Set();
-    this.RESONANCE_THRESHOLD = 0.45;  // ρc — operational threshold
-    this.PHASE_TRANSITION_THRESHOLD = 0.93;  // ρc* — phase transition
-    this.CRITICAL_POINT_THRESHOLD = 0.997;   // ρc** — critical point
-    // ── Lexicon Observables ──
-    this.observables = {
-      psi: 0,           // ψ — order parameter ⟨ρ⟩
-      vp_mean: 0,       // ⟨vp⟩ — mean thermodynamic velocity
-      J_H: 0,           // J_H — entropy current density
-      f_xi: 0,          // f_Ξ — singularity fraction
-      F_free: 0,        // F — semantic free energy
-      H_mean: 0,        // ⟨H⟩ — mean field entropy
-      sigma_H: 0,       // σ_H — entropy variance
-      N_xi: 0,          // N_Ξ — singularity count
-      phaseTransitions: 0,  // count of ρ > ρc* events
-      criticalEvents: 0,    // count of ρ > ρc** events
-      S_u: 0,               // surfacing rate — unconscious → conscious activations
-      K_c: 0,               // compressibility — tag information density
-    };
-    // ── Unconscious Surfacing Tracker ──
-    this.surfacingEvents = [];     // [{gen, count, source}] rolling window
-    this.SURFACING_WINDOW = 200;   // generations to average over
-    this.BEACON_UPDATE_INTERVAL = 8;
-    this.MAX_GLYPHS = 500;
-    this.RESONANCE_SAMPLE_SIZE = 3000; // stochastic pair samples per update
-    this.RESONANCE_MATRIX_CAP = 200;   // max stored resonant pairs
-    this.RENDER_CONNECTION_CAP = 120;   // max drawn connections
-    this.canvasW = 1200;
-    this.canvasH = 600;
-    this.conceptCount = 0;
-    this.shockwave = null;
-
-    // ── Seasonal Dynamics (from v4.2) ──
-    this.season = SeasonalPhase.EXPLORATION;
-    this.seasonCounter = 0;
-    this.SEASON_DURATION = 200; // generations per season (scaled for browser)
-    this.seasonalTags = {
-      [SeasonalPhase.EXPLORATION]: ['pioneer', 'venture', 'discover'],
-      [SeasonalPhase.CONSOLIDATION]: ['anchor', 'strengthen', 'unify'],
-      [SeasonalPhase.DORMANCY]: ['rest', 'potential', 'dormant'],
-      [SeasonalPhase.RENAISSANCE]: ['reborn', 'transformed', 'awakened'],
-    };
-
-    // ── Typed Reflex System (from v4.2) ──
-    this.reflexFreeCount = 0;
-    this.REFLEX_INTERVAL = 25; // check every N generations
-
-    // ── Influence & Attractor System (from v4.2) ──
-    this.conceptualAttractors = new Map(); // id → {discovered, episodes[]}
-    this.ATTRACTOR_THRESHOLD = 3;
-    this.INFLUENCE_INTERVAL = 50;
-
-    // ── Deep Analysis (from v4.2, browser-adapted) ──
-    this.DEEP_ANALYSIS_INTERVAL = 100;
-    this.lastAnalysis = null;
-
-    // ── Dormant Pool Pathing ──
-    this.dormantPools = [];
-    this.activeShortcuts = [];
-    this.POOL_SCAN_INTERVAL = 20;
-    this.PRESSURE_THRESHOLD = 1.5e6; // mass threshold triggering synthesis pressure event
-    this.PRESSURE_INTERVAL = 30;     // check every N generations
-    this.HBAR_OVER_2 = 0.527;
-
-    // ── Meta-Reflex Helix Core ──
-    this.helix = {
-      alpha: 1.0, beta: 0.824, phi: 1.618, omega: 141, dt: 0.01,
-      gamma0: 0.5, epsilon: 0.1, lambda: 0.5, eta: 0.02,
-      R_max: 4.0, A0: 1.0,
-      t: 0, R: 0, R_prev: 0, A: 1.0, theta: 0, theta_prev: 0,
-      z: 0, gamma: 0.5, HRV: 0, r_sq: 0,
-      history: [], A_history: [], phase_history: [],
-      stable: false, stableFor: 0, lastLogGen: -50,
-    };
-  }
-
-  log(msg, type = 'info') {
-    this.eventLog.unshift({ msg, type, gen: this.generation, ts: Date.now() });
-    if (this.eventLog.length > 50) this.eventLog.length = 50;
-  }
-
-  genId() { return `g${String(this.nextId++).padStart(4, '0')}`; }
-
-  get tags() { return [...this.baseTags, ...this.evolvedTags, ...(this.seasonalTags[this.season] || [])]; }
-
-  randomTag() {
-    const pool = this.tags;
-    return pool[Math.floor(Math.random() * pool.length)];
-  }
-
-  learnTag(tag) {
-    if (!this.baseTags.includes(tag) && !this.evolvedTags.includes(tag)) {
-      this.evolvedTags.push(tag);
-      this.log(`🧬 New tag evolved: ${tag} (vocab: ${this.tags.length})`, 'evolution');
-      if (this.evolvedTags.length > 500) this.evolvedTags.shift();
-    }
-  }
-
-  tagSig(tags) { return [...tags].sort().join('|'); }
-
-  // ── Seasonal entropy calculation (v4.2 + Crucible merged) ──
-  calcEntropy(glyph) {
-    const genContrib = Math.min(this.generation, 100) * 10;
-    const seasonMod = SEASON_MODIFIERS[this.season]?.entropy || 1.0;
-    // Composite operator: Θ = ∏ Ωi — tag eigenvalues multiply (non-commutative product)
-    let operatorProduct = 1.0;
-    let evolvedCount = 0;
-    for (const tag of glyph.tags) {
-      const clean = tag.replace(/gen:.*|μ.*|c#.*/, '').trim();
-      if (TAG_EIGENVALUES[clean]) {
-        operatorProduct *= TAG_EIGENVALUES[clean];
-      } else if (clean.length > 0) {
-        evolvedCount++;
-      }
-    }
-    // Evolved/mutant tags: diminishing returns (log growth, not exponential)
-    if (evolvedCount > 0) operatorProduct *= 1 + Math.log(1 + evolvedCount) * 0.2;
-    // Cap total operator product to prevent runaway
-    operatorProduct = Math.min(operatorProduct, 12.0);
-    const base = (glyph.tags.length * 42 + Math.floor(Math.random() * 58) + genContrib) * seasonMod * operatorProduct;
-    if (glyph.isConcept && glyph.conceptData) {
-      return Math.min(base + (glyph.conceptData.confidence || 0.5) * 500, 10000);
-    }
-    // v4.2: Renaissance-born glyphs get bonus
-    if (glyph.seasonBorn === SeasonalPhase.RENAISSANCE) return Math.min(base * 1.1, 8000);
-    return Math.min(base, 8000);
-  }
-
-  createGlyph(tags = null, ancestry = [], culture = null) {
-    // Assign culture for organic glyphs
-    if (!culture && !tags) {
-      culture = CULTURE_NAMES[Math.floor(Math.random() * CULTURE_NAMES.length)];
-    }
-    if (!tags) {
-      const maxAttempts = 20;
-      const cultureTags = culture ? CULTURES[culture].tags : [];
-      for (let attempt = 0; attempt < maxAttempts; attempt++) {
-        const candidate = [];
-        const count = Math.floor(Math.random() * 3) + 1;
-        for (let i = 0; i < count; i++) {
-          // 60% chance to draw from culture pool, 40% from general vocabulary
-          if (cultureTags.length > 0 && Math.random() < 0.6) {
-            candidate.push(cultureTags[Math.floor(Math.random() * cultureTags.length)]);
-          } else {
-            candidate.push(this.randomTag());
-          }
-        }
-        candidate.push(`gen:${this.generation}`);
-        const deduped = [...new Set(candidate)];
-        const sig = this.tagSig(deduped);
-        if (!this.tagSignatures.has(sig)) { tags = deduped; break; }
-        if (attempt === maxAttempts - 1) {
-          candidate.push(`μ${this.nextId}`);
-          tags = [...new Set(candidate)];
-        }
-      }
-    }
-    const sig = this.tagSig(tags);
-    this.tagSignatures.add(sig);
-    const glyph = new Glyph(this.genId(), tags, ancestry, this.generation);
-    glyph.seasonBorn = this.season;
-    glyph.culture = culture;
-    glyph.entropyHistory.push(this.calcEntropy(glyph));
-    return glyph;
-  }
-
-  injectConcept(concept) {
-    const tags = [...(concept.keywords || []), 'concept', `c#${concept.id}`];
-    const glyph = new Glyph(this.genId(), tags, [], this.generation, true);
-    glyph.conceptData = concept;
-    glyph.seasonBorn = this.season;
-    const cx = this.canvasW / 2, cy = this.canvasH / 2;
-    const angle = (this.conceptCount * 2.399) + Math.random() * 0.3;
-    const dist = 50 + this.conceptCount * 15;
-    glyph.x = cx + Math.cos(angle) * dist;
-    glyph.y = cy + Math.sin(angle) * dist;
-    glyph.vx = Math.cos(angle) * 3;
-    glyph.vy = Math.sin(angle) * 3;
-    glyph.entropyHistory.push(this.calcEntropy(glyph));
-    this.store(glyph);
-    this.conceptCount++;
-    this.log(`⚗️ Concept injected: "${(concept.technical || '').slice(0, 40)}..."`, 'concept');
-    return glyph;
-  }
-
-  triggerShockwave(x, y, color = '#daa520') {
-    this.shockwave = { x, y, radius: 0, maxRadius: 400, color, birth: Date.now() };
-    for (const g of this.glyphs.values()) {
-      const dx = g.x - x, dy = g.y - y;
-      const dist = Math.sqrt(dx * dx + dy * dy) + 1;
-      const force = Math.min(5, 200 / dist);
-      g.vx += (dx / dist) * force;
-      g.vy += (dy / dist) * force;
-    }
-  }
-
-  store(glyph) {
-    this.glyphs.set(glyph.id, glyph);
-    if (this.glyphs.size > this.MAX_GLYPHS) {
-      const excess = this.glyphs.size - this.MAX_GLYPHS;
-      const cullCount = Math.min(excess + 5, 25);
-      // Pre-compute parent reference counts
-      const parentHits = new Map();
-      for (const g of this.glyphs.values()) {
-        for (const aid of g.ancestry) parentHits.set(aid, (parentHits.get(aid) || 0) + 1);
-      }
-      const removable = Array.from(this.glyphs.values())
-        .filter(g => !g.isConcept && !g.isAttractor && !g.isReflex && !g.isDampener)
-        .map(g => {
-          const children = parentHits.get(g.id) || 0;
-          const score = g.entropy * 0.3 + (60 - Math.min(60, g.stagnantCount)) * 20 + children * 500 + g.stability * 1000;
-          return { id: g.id, score };
-        })
-        .sort((a, b) => a.score - b.score)
-        .slice(0, cullCount)
-        .map(g => g.id);
-      removable.forEach(id => {
-        const dead = this.glyphs.get(id);
-        if (dead) this.tagSignatures.delete(this.tagSig(dead.tags));
-        this.glyphs.delete(id);
-      });
-    }
-  }
-
-  collide(parentA, parentB) {
-    const childTags = [...new Set([...parentA.tags, ...parentB.tags])];
-    const cleaned = childTags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
-    // Effective mutation rate — boosted by entrainment
-    const effectiveMutRate = Math.min(1.0, (parentA.mutationRate + parentB.mutationRate) / 2);
-    if (parentA.tags.length >= 2 && parentB.tags.length >= 2) {
-      const tA = parentA.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
-      const tB = parentB.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
-      if (tA.length && tB.length) {
-        // v4.2: Season-aware mutation operator
-        const a = tA[Math.floor(Math.random() * tA.length)];
-        const b = tB[Math.floor(Math.random() * tB.length)];
-        let mutant;
-        if (this.season === SeasonalPhase.EXPLORATION) mutant = `${a}→${b}`;
-        else if (this.season === SeasonalPhase.CONSOLIDATION) mutant = `${a}∧${b}`;
-        else mutant = `${a}×${b}`;
-        cleaned.push(mutant);
-        this.learnTag(mutant);
-        // Extra mutations from elevated mutation rate (entrainment lineage boost)
-        if (effectiveMutRate > 0.2 && Math.random() < effectiveMutRate - 0.1) {
-          const a2 = tA[Math.floor(Math.random() * tA.length)];
-          const b2 = tB[Math.floor(Math.random() * tB.length)];
-          const bonus = `${b2}⊕${a2}`;
-          cleaned.push(bonus);
-          this.learnTag(bonus);
-        }
-      }
-    }
-    const isCrossType = parentA.isConcept !== parentB.isConcept;
-    if (isCrossType) cleaned.push('synthesis');
-    if (parentA.isConcept && parentB.isConcept) cleaned.push('semantic-fusion');
-    // Cross-cultural collision — hybrid offspring with novel fusion tag
-    const isCrossCulture = parentA.culture && parentB.culture && parentA.culture !== parentB.culture && parentA.culture !== 'hybrid' && parentB.culture !== 'hybrid';
-    let childCulture = null;
-    if (parentA.culture === parentB.culture) {
-      childCulture = parentA.culture; // Same culture → inherit
-    } else if (isCrossCulture) {
-      childCulture = 'hybrid';
-      // Cross-cultural fusion tag using both culture labels
-      const cA = CULTURES[parentA.culture]?.label || parentA.culture;
-      const cB = CULTURES[parentB.culture]?.label || parentB.culture;
-      const fusionTag = `${cA}⇌${cB}`;
-      cleaned.push(fusionTag);
-      this.learnTag(fusionTag);
-    } else {
-      childCulture = parentA.culture || parentB.culture || 'hybrid';
-    }
-    cleaned.push(`gen:${this.generation}`);
-    const finalTags = this.compressTags([...new Set(cleaned)]);
-
-    const child = this.createGlyph(finalTags, [parentA.id, parentB.id], childCulture);
-    // Lexicon §IV: Amplification factor A(ρ) = 1.0 + 0.28(ρ - ρc) for ρ > ρc
-    const collisionRes = parentA.resonanceWith(parentB);
-    if (collisionRes > this.RESONANCE_THRESHOLD) {
-      const A_factor = 1.0 + 0.28 * (collisionRes - this.RESONANCE_THRESHOLD);
-      const parentAvgH = (parentA.entropy + parentB.entropy) / 2;
-      const amplifiedH = Math.min(parentAvgH * A_factor, 10000);
-      child.entropyHistory[child.entropyHistory.length - 1] = amplifiedH;
-    }
-    child.x = (parentA.x + parentB.x) / 2 + (Math.random() - 0.5) * 50;
-    child.y = (parentA.y + parentB.y) / 2 + (Math.random() - 0.5) * 50;
-    if (parentA.isConcept && parentB.isConcept) {
-      child.isConcept = true;
-      child.conceptData = { technical: `Fusion of ${parentA.id} × ${parentB.id}`, confidence: 0.8, keywords: childTags.slice(0, 4) };
-    }
-    this.store(child);
-    // Reset stagnant counters
-    parentA.stagnantCount = 0;
-    parentB.stagnantCount = 0;
-    child.stagnantCount = 0;
-    // Inherit entrainment traits — child gets averaged mutation rate with decay toward baseline
-    child.mutationRate = 0.1 + (effectiveMutRate - 0.1) * 0.7; // 70% inheritance, decays toward 0.1
-    child.priority = (parentA.priority + parentB.priority) * 0.3; // 30% priority inheritance
-    return child;
-  }
-
-  updateThermodynamics() {
-    for (const glyph of this.glyphs.values()) {
-      glyph.entropyHistory.push(this.calcEntropy(glyph));
-      if (glyph.entropyHistory.length > 50) glyph.entropyHistory.shift();
-      glyph.updateThermodynamics(this.generation);
-      glyph.stagnantCount++;
-    }
-  }
-
-  updateResonanceField() {
-    this.resonanceMatrix.clear();
-    const arr = Array.from(this.glyphs.values()).filter(g => g.thermodynamicState);
-    const n = arr.length;
-    if (n < 2) return;
-    const seasonAdj = SEASON_MODIFIERS[this.season]?.resonance || 0;
-    const threshold = this.RESONANCE_THRESHOLD + seasonAdj;
-
-    // Spatial grid for proximity-biased sampling
-    const cellSize = 120;
-    const grid = new Map();
-    for (const g of arr) {
-      const key = `${Math.floor(g.x / cellSize)},${Math.floor(g.y / cellSize)}`;
-      if (!grid.has(key)) grid.set(key, []);
-      grid.get(key).push(g);
-    }
-
-    const checked = new Set();
-    const addPair = (a, b) => {
-      const pk = a.id < b.id ? `${a.id},${b.id}` : `${b.id},${a.id}`;
-      if (checked.has(pk)) return;
-      checked.add(pk);
-      let score = a.resonanceWith(b);
-      // Dampener attenuation — suppress resonance near dampener fields
-      if (score > 0) {
-        const attA = this.getDampenerAttenuation(a);
-        const attB = this.getDampenerAttenuation(b);
-        score *= attA * attB;
-      }
-      // Cross-cultural resonance bonus — different lenses resonate more strongly
-      if (a.culture && b.culture && a.culture !== b.culture && a.culture !== 'hybrid' && b.culture !== 'hybrid') {
-        score *= 1.1;
-        score = Math.min(1.0, score);
-      }
-      if (score > threshold) {
-        this.resonanceMatrix.set(pk, { a, b, score });
-      }
-    };
-
-    // Phase 1: Check all neighbors within same + adjacent grid cells (local structure)
-    for (const [key, cell] of grid) {
-      const [cx, cy] = key.split(',').map(Number);
-      for (let dx = -1; dx <= 1; dx++) for (let dy = -1; dy <= 1; dy++) {
-        const neighbor = grid.get(`${cx + dx},${cy + dy}`);
-        if (!neighbor) continue;
-        for (const a of cell) for (const b of neighbor) {
-          if (a.id >= b.id) continue;
-          addPair(a, b);
-        }
-      }
-    }
-
-    // Phase 2: Stochastic global sampling (long-range connections)
-    const globalSamples = Math.min(this.RESONANCE_SAMPLE_SIZE, n * (n - 1) / 2);
-    for (let s = 0; s < globalSamples; s++) {
-      const i = Math.floor(Math.random() * n);
-      let j = Math.floor(Math.random() * (n - 1));
-      if (j >= i) j++;
-      addPair(arr[i], arr[j]);
-    }
-
-    // Cap resonance matrix to top pairs by score
-    if (this.resonanceMatrix.size > this.RESONANCE_MATRIX_CAP) {
-      const sorted = Array.from(this.resonanceMatrix.entries()).sort((a, b) => b[1].score - a[1].score);
-      this.resonanceMatrix.clear();
-      for (let i = 0; i < this.RESONANCE_MATRIX_CAP; i++) {
-        this.resonanceMatrix.set(sorted[i][0], sorted[i][1]);
-      }
-    }
-
-    for (const [key, expiry] of this.openPipes.entries()) {
-      if (this.generation > expiry) this.openPipes.delete(key);
-    }
-  }
-
-  coordinate() {
-    // Mass-weighted priority: resonance × sqrt(combined mass) — deeper lineages collide first
-    const pairs = Array.from(this.resonanceMatrix.values())
-      .map(p => ({ ...p, priority: p.score * Math.sqrt((p.a.mass + p.b.mass) / 2000) }))
-      .sort((x, y) => y.priority - x.priority)
-      .slice(0, 5);
-    let collisions = 0;
-    for (const { a, b, score } of pairs) {
-      const key = `${a.id},${b.id}`, rev = `${b.id},${a.id}`;
-      if (this.openPipes.has(key) || this.openPipes.has(rev)) continue;
-      if (a.id === b.id) continue;
-      if (a.ancestry.includes(b.id) || b.ancestry.includes(a.id)) continue;
-      if (this.generation - a.lastCollisionGen < 10) continue;
-      if (this.generation - b.lastCollisionGen < 10) continue;
-      this.openPipes.set(key, this.generation + 5);
-      const offspring = this.collide(a, b);
-      const typeLabel = a.isConcept && b.isConcept ? '⚗️' : a.isConcept !== b.isConcept ? '🔮' : '◉';
-      this.collisionLog.push({ generation: this.generation, parentA: a.id, parentB: b.id, offspring: offspring.id, resonance: score, crossType: a.isConcept !== b.isConcept, crossCulture: a.culture !== b.culture && a.culture && b.culture });
-      // Lexicon §V: Track critical threshold crossings
-      if (score > this.PHASE_TRANSITION_THRESHOLD) {
-        this.observables.phaseTransitions++;
-        if (score > this.CRITICAL_POINT_THRESHOLD) {
-          this.observables.criticalEvents++;
-          this.log(`⚡ CRITICAL POINT: ρ=${score.toFixed(4)} > ρc**=${this.CRITICAL_POINT_THRESHOLD} [${a.id}×${b.id}]`, 'resonance');
-        }
-      }
-      a.lastCollisionGen = this.generation;
-      b.lastCollisionGen = this.generation;
-      collisions++;
-      this.log(`${typeLabel} ${a.id} × ${b.id} → ${offspring.id} (res: ${score.toFixed(3)})`, a.isConcept !== b.isConcept ? 'synthesis' : 'collision');
-    }
-    return collisions;
-  }
-
-  // ── SEASONAL DYNAMICS (from v4.2) ──
-  updateSeason() {
-    this.seasonCounter++;
-    if (this.seasonCounter >= this.SEASON_DURATION) {
-      this.seasonCounter = 0;
-      const idx = SEASON_ORDER.indexOf(this.season);
-      const oldSeason = this.season;
-      this.season = SEASON_ORDER[(idx + 1) % SEASON_ORDER.length];
-      this.log(`🌿 Season: ${oldSeason} → ${this.season}`, 'season');
-
-      if (this.season === SeasonalPhase.DORMANCY) this.activateDormancyPhase();
-      if (this.season === SeasonalPhase.RENAISSANCE) this.activateRenaissancePhase();
-      // Shockwave on season change
-      this.triggerShockwave(this.canvasW / 2, this.canvasH / 2, SEASON_MODIFIERS[this.season]?.color || '#daa520');
-    }
-  }
-
-  activateDormancyPhase() {
-    let dormant = 0;
-    for (const g of this.glyphs.values()) {
-      if (g.stagnantCount > 80 && !g.isConcept && !g.isAttractor && g.entropy < 2000) {
-        g.tags.push('dormant');
-        dormant++;
-      }
-    }
-    if (dormant > 0) this.log(`💤 ${dormant} glyphs entered dormancy`, 'season');
-  }
-
-  activateRenaissancePhase() {
-    let reactivated = 0;
-    for (const g of this.glyphs.values()) {
-      if (g.tags.includes('dormant') && Math.random() < 0.3) {
-        g.tags = g.tags.filter(t => t !== 'dormant');
-        g.tags.push('renaissance');
-        g.stagnantCount = 0;
-        g.entropyHistory.push(this.calcEntropy(g));
-        reactivated++;
-      }
-    }
-    if (reactivated > 0) {
-      this.recordSurfacing(reactivated, 'renaissance');
-      this.log(`🌅 ${reactivated} glyphs surfaced from unconscious (renaissance)`, 'season');
-    }
-  }
-
-  // ── TYPED REFLEX SYSTEM (from v4.2) ──
-  reflexCheck() {
-    if (this.generation % this.REFLEX_INTERVAL !== 0) return;
-    const arr = Array.from(this.glyphs.values());
-    const avgEntropy = arr.reduce((s, g) => s + g.entropy, 0) / (arr.length || 1);
-    let reflexCount = 0;
-
-    for (const g of arr) {
-      if (g.isReflex || g.isConcept) continue;
-      // Trigger conditions: stagnant, low entropy relative to average, or has 'unknown' tag
-      const isStagnant = g.stagnantCount > 40;
-      const isLowEntropy = g.entropy < avgEntropy * 0.6;
-      const hasUnknown = g.tags.includes('unknown');
-      if (isStagnant || isLowEntropy || hasUnknown) {
-        const type = this.determineReflexType(g, avgEntropy);
-        const reflex = this.createReflexGlyph(g, type);
-        this.store(reflex);
-        this.log(`⚡ Reflex [${type}]: ${g.id} → ${reflex.id}`, 'reflex');
-        reflexCount++;
-        if (reflexCount >= 3) break; // Cap per cycle
-      }
-    }
-  }
-
-  determineReflexType(g, avgEntropy) {
-    const ratio = g.entropy / Math.max(1, avgEntropy);
-    const tagCount = g.tags.length;
-    if (ratio < 0.5 && tagCount < 3) return ReflexType.DEFENSIVE;
-    if (tagCount > 4 && ratio > 1.2) return ReflexType.COLLABORATIVE;
-    if (g.isAttractor) return ReflexType.CONSOLIDATIVE;
-    if (this.season === SeasonalPhase.EXPLORATION) return ReflexType.EXPLORATORY;
-    return ReflexType.METAMORPHIC;
-  }
-
-  createReflexGlyph(parent, type) {
-    let newTags = [...parent.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'))];
-    switch (type) {
-      case ReflexType.DEFENSIVE: newTags.push('reflex', 'preserve', 'stable'); break;
-      case ReflexType.EXPLORATORY: newTags.push('reflex', 'seek', 'novel', this.randomTag()); break;
-      case ReflexType.COLLABORATIVE: {
-        // Bridge with a semantically distant glyph
-        const distant = this.findDistantGlyph(parent);
-        if (distant) newTags.push(...distant.tags.slice(0, 2));
-        newTags.push('reflex', 'bridge');
-        break;
-      }
-      case ReflexType.CONSOLIDATIVE: newTags.push('reflex', 'strengthen', 'anchor'); break;
-      case ReflexType.METAMORPHIC: {
-        const [a, b] = newTags.length >= 2 ? [newTags[0], newTags[1]] : [newTags[0] || 'void', 'transform'];
-        newTags = [`${a}⇌${b}`, 'reflex', 'transform', 'evolve'];
-        break;
-      }
-    }
-    newTags.push(`gen:${this.generation}`);
-    const child = this.createGlyph([...new Set(newTags)], [parent.id]);
-    child.isReflex = true;
-    child.reflexType = type;
-    child.x = parent.x + (Math.random() - 0.5) * 80;
-    child.y = parent.y + (Math.random() - 0.5) * 80;
-    this.reflexFreeCount = Array.from(this.glyphs.values()).filter(g => !g.isReflex).length;
-    return child;
-  }
-
-  findDistantGlyph(ref) {
-    const arr = Array.from(this.glyphs.values()).filter(g => g.id !== ref.id);
-    if (arr.length < 2) return null;
-    // Use tag overlap as distance proxy (no ML embeddings in browser)
-    const refSet = new Set(ref.tags);
-    let best = null, bestDist = -1;
-    const sample = arr.length > 30 ? arr.sort(() => Math.random() - 0.5).slice(0, 30) : arr;
-    for (const g of sample) {
-      const gSet = new Set(g.tags);
-      const overlap = [...refSet].filter(t => gSet.has(t)).length;
-      const dist = 1 - overlap / Math.max(refSet.size, gSet.size);
-      if (dist > bestDist) { bestDist = dist; best = g; }
-    }
-    return best;
-  }
-
-  // ── INFLUENCE & ATTRACTOR SYSTEM (from v4.2) ──
-  updateInfluenceAndAttractors() {
-    if (this.generation % this.INFLUENCE_INTERVAL !== 0) return;
-    const arr = Array.from(this.glyphs.values());
-
-    // Pre-build ancestry index: parent → [children] (O(n) instead of O(n²))
-    const childrenOf = new Map();
-    for (const g of arr) {
-      for (const aid of g.ancestry) {
-        if (!childrenOf.has(aid)) childrenOf.set(aid, []);
-        childrenOf.get(aid).push(g);
-      }
-    }
-
-    // Calculate influence using index
-    for (const g of arr) {
-      const children = childrenOf.get(g.id) || [];
-      if (children.length === 0) { g.influenceScore = 0; continue; }
-      const tagDiversity = new Set(children.flatMap(c => c.tags)).size / Math.max(1, children.length);
-      const avgChildEntropy = children.reduce((s, c) => s + c.entropy, 0) / children.length;
-      const cascadeDepth = this.cascadeDepth(g.id, new Set(), 4, childrenOf);
-      g.influenceScore = (
-        (children.length / arr.length) * 0.35 +
-        (tagDiversity / 10) * 0.25 +
-        (cascadeDepth / 4) * 0.15 +
-        (avgChildEntropy / 8000) * 0.15 +
-        (children.filter(c => c.isConcept !== g.isConcept).length / Math.max(1, children.length)) * 0.10
-      );
-    }
-
-    // Detect attractors using same ancestry index
-    const ancestryCounts = new Map();
-    for (const g of arr) {
-      for (const aid of g.ancestry) {
-        ancestryCounts.set(aid, (ancestryCounts.get(aid) || 0) + 1);
-      }
-    }
-    for (const [aid, count] of ancestryCounts) {
-      if (count >= this.ATTRACTOR_THRESHOLD) {
-        const g = this.glyphs.get(aid);
-        if (g && !g.isAttractor) {
-          g.isAttractor = true;
-          if (!this.conceptualAttractors.has(aid)) {
-            this.conceptualAttractors.set(aid, { discovered: this.generation, episodes: [] });
-          }
-          this.conceptualAttractors.get(aid).episodes.push(this.generation);
-          this.log(`🌟 Attractor detected: ${aid} (${count} ancestry hits, alive)`, 'attractor');
-        } else if (!g && count >= this.ATTRACTOR_THRESHOLD + 1) {
-          // Culled progenitor — promote highest-influence living descendant
-          const descendants = childrenOf.get(aid) || [];
-          let bestDescendant = null, bestScore = -1;
-          for (const candidate of descendants) {
-            if (!candidate.isAttractor && candidate.influenceScore > bestScore) {
-              bestScore = candidate.influenceScore;
-              bestDescendant = candidate;
-            }
-          }
-          if (bestDescendant) {
-            bestDescendant.isAttractor = true;
-            if (!this.conceptualAttractors.has(bestDescendant.id)) {
-              this.conceptualAttractors.set(bestDescendant.id, { discovered: this.generation, episodes: [], proxyFor: aid });
-            }
-            this.conceptualAttractors.get(bestDescendant.id).episodes.push(this.generation);
-            this.log(`🌟 Attractor proxy: ${bestDescendant.id} for culled progenitor ${aid} (${count} hits)`, 'attractor');
-          }
-        }
-      }
-    }
-  }
-
-  cascadeDepth(id, visited, maxDepth, childrenOf = null) {
-    if (visited.has(id) || maxDepth <= 0) return 0;
-    visited.add(id);
-    const children = childrenOf ? (childrenOf.get(id) || []) : Array.from(this.glyphs.values()).filter(g => g.ancestry.includes(id));
-    if (children.length === 0) return 1;
-    let maxChild = 0;
-    for (const c of children) {
-      maxChild = Math.max(maxChild, this.cascadeDepth(c.id, visited, maxDepth - 1, childrenOf));
-    }
-    return 1 + maxChild;
-  }
-
-  // ── TAG VECTORIZATION (character trigram embeddings) ──
-  _tagVec(tag) {
-    // 64-dim vector from character trigrams — browser-native substitute for sentence transformers
-    const dim = 64;
-    const vec = new Float32Array(dim);
-    const s = tag.toLowerCase();
-    for (let i = 0; i <= s.length - 3; i++) {
-      const tri = s.charCodeAt(i) * 7919 + s.charCodeAt(i+1) * 6271 + s.charCodeAt(i+2) * 4219;
-      vec[Math.abs(tri) % dim] += 1;
-      vec[Math.abs(tri * 31) % dim] += 0.5;
-    }
-    // Also encode bigrams for short tags
-    for (let i = 0; i <= s.length - 2; i++) {
-      const bi = s.charCodeAt(i) * 5381 + s.charCodeAt(i+1) * 3671;
-      vec[Math.abs(bi) % dim] += 0.7;
-    }
-    // Unigram fallback for single-char tags
-    for (let i = 0; i < s.length; i++) {
-      vec[Math.abs(s.charCodeAt(i) * 2903) % dim] += 0.3;
-    }
-    return vec;
-  }
-
-  // ── TAG COMPRESSION (ported from MVP) ──
-  // Semantic dedup: merge near-duplicate tags by vector cosine similarity
-  // Preserves cognitive markers, caps at MAX_TAGS_PER_GLYPH
-  compressTags(tags) {
-    if (tags.length <= MAX_TAGS_PER_GLYPH) return tags;
-    const keep = [];
-    // Pass 1: always retain cognitive/structural markers
-    const structural = [];
-    const regular = [];
-    for (const t of tags) {
-      if (COGNITIVE_TAGS.has(t) || t.startsWith('c#') || t.startsWith('gen:')) {
-        structural.push(t);
-      } else {
-        regular.push(t);
-      }
-    }
-    // Pass 2: dedupe regular tags by semantic similarity
-    for (const t of regular) {
-      let redundant = false;
-      const tv = this._tagVec(t);
-      for (const k of keep) {
-        if (this._cosine(tv, this._tagVec(k)) > COMPRESS_SIM_THRESHOLD) {
-          redundant = true;
-          break;
-        }
-      }
-      if (!redundant) keep.push(t);
-    }
-    // Combine: structural first, then deduped regular, cap total
-    const result = [...new Set([...structural, ...keep])];
-    return result.slice(0, MAX_TAGS_PER_GLYPH);
-  }
-
-  // ── SEMANTIC DRIFT LOGGER (from v4.2, browser-adapted) ──
-  logSemanticMergers() {
-    const WINDOW = 200, SIM_THRESHOLD = 0.7;
-    if (this.glyphs.size < 20) return null;
-    const arr = Array.from(this.glyphs.values());
-    const recent = arr.slice(-Math.min(WINDOW, arr.length));
-    let allTags = [...new Set(recent.flatMap(g => g.tags))];
-    if (allTags.length < 2) return null;
-    // Cap tags to prevent O(n²) blowup
-    if (allTags.length > 80) allTags = allTags.sort(() => Math.random() - 0.5).slice(0, 80);
-
-    // Vectorize
-    const vecs = new Map();
-    for (const t of allTags) vecs.set(t, this._tagVec(t));
-
-    // Find high-similarity pairs
-    const mergers = [];
-    for (let i = 0; i < allTags.length; i++) {
-      for (let j = i + 1; j < allTags.length; j++) {
-        const t1 = allTags[i], t2 = allTags[j];
-        if (t1 === t2) continue;
-        const sim = this._cosine(vecs.get(t1), vecs.get(t2));
-        if (sim > SIM_THRESHOLD) mergers.push({ t1, t2, sim });
-      }
-    }
-    if (mergers.length === 0) return null;
-
-    mergers.sort((a, b) => b.sim - a.sim);
-    const top = mergers.slice(0, 5);
-    this.log(`🌊 Semantic drift: ${top.length} merger${top.length > 1 ? 's' : ''} detected (top: ${top[0].t1}↔${top[0].t2} ${top[0].sim.toFixed(3)})`, 'analysis');
-    return top;
-  }
-
-  // ── LEXICON OBSERVABLES (Physics Lexicon §III, §V, §VIII, §IX, §X) ──
-  computeObservables() {
-    const arr = Array.from(this.glyphs.values());
-    if (arr.length < 5) return;
-
-    // §III: Mean Field Entropy ⟨H⟩ = (1/N) Σ Hi
-    const entropies = arr.map(g => g.entropy);
-    const H_mean = entropies.reduce((a, b) => a + b, 0) / arr.length;
-
-    // §III: Entropy Variance σ_H² = ⟨(H - ⟨H⟩)²⟩
-    const sigma_H = Math.sqrt(entropies.reduce((s, e) => s + (e - H_mean) ** 2, 0) / arr.length);
-
-    // §V: Order Parameter ψ = ⟨ρ⟩ averaged over all resonant pairs
-    let psiSum = 0, psiCount = 0;
-    for (const { score } of this.resonanceMatrix.values()) {
-      psiSum += score;
-      psiCount++;
-    }
-    const psi = psiCount > 0 ? psiSum / psiCount : 0;
-
-    // §I: Mean Thermodynamic Velocity ⟨vp⟩ = ⟨dH/dt⟩ / Cs (Cs ≈ 1)
-    let vpSum = 0, vpCount = 0;
-    for (const g of arr) {
-      if (g.thermodynamicState) {
-        vpSum += Math.abs(g.thermodynamicState.dH_dt);
-        vpCount++;
-      }
-    }
-    const vp_mean = vpCount > 0 ? vpSum / vpCount : 0;
-
-    // §III: Entropy Current Density J_H = Σ_neighbors |H_a - H_b| / distance
-    // Computed over spatial neighbors (grid cells), not resonant pairs, to capture actual entropy flow
-    let J_H = 0, J_H_pairs = 0;
-    const jCellSize = 150;
-    const jGrid = new Map();
-    for (const g of arr) {
-      if (!g.thermodynamicState) continue;
-      const key = `${Math.floor(g.x / jCellSize)},${Math.floor(g.y / jCellSize)}`;
-      if (!jGrid.has(key)) jGrid.set(key, []);
-      jGrid.get(key).push(g);
-    }
-    for (const [key, cell] of jGrid) {
-      const [cx, cy] = key.split(',').map(Number);
-      for (let ddx = -1; ddx <= 1; ddx++) for (let ddy = -1; ddy <= 1; ddy++) {
-        const neighbor = jGrid.get(`${cx + ddx},${cy + ddy}`);
-        if (!neighbor) continue;
-        for (const a of cell) for (const b of neighbor) {
-          if (a.id >= b.id) continue;
-          const dx = a.x - b.x, dy = a.y - b.y;
-          const dist = Math.sqrt(dx * dx + dy * dy);
-          if (dist > jCellSize * 1.5) continue;
-          J_H += Math.abs(a.entropy - b.entropy) / (dist + 1);
-          J_H_pairs++;
-        }
-      }
-    }
-    // Normalize by pair count to get density rather than raw sum
-    if (J_H_pairs > 0) J_H /= J_H_pairs;
-
-    // §V: Singularity Count N_Ξ — glyphs with no valid thermodynamic state
-    let N_xi = 0;
-    for (const g of arr) {
-      if (!g.thermodynamicState || g.entropy === 0 || !isFinite(g.entropy)) N_xi++;
-    }
-    const f_xi = arr.length > 0 ? N_xi / arr.length : 0;
-
-    // §VIII: Semantic Free Energy F = U - T·S
-    // U ≈ ⟨H⟩ (internal semantic energy), T ≈ σ_H (effective temperature), S ≈ ln(Ω) where Ω = tag config multiplicity
-    const T_eff = sigma_H / 100; // Normalize temperature
-    const S_config = Math.log(Math.max(1, this.tags.length)) + Math.log(Math.max(1, arr.length)); // Configuration entropy
-    const F_free = H_mean - T_eff * S_config;
-
-    Object.assign(this.observables, {
-      psi: +psi.toFixed(4),
-      vp_mean: +vp_mean.toFixed(2),
-      J_H: +J_H.toFixed(2),
-      f_xi: +f_xi.toFixed(4),
-      F_free: +F_free.toFixed(1),
-      H_mean: +H_mean.toFixed(1),
-      sigma_H: +sigma_H.toFixed(1),
-      N_xi,
-      S_u: +this.getSurfacingRate().toFixed(4),
-      K_c: +this.computeCompressibility().toFixed(3),
-    });
-  }
-
-  // ── DEEP ANALYSIS (from v4.2, browser-adapted) ──
-  performDeepAnalysis() {
-    if (this.generation % this.DEEP_ANALYSIS_INTERVAL !== 0 || this.glyphs.size < 20) return;
-    const arr = Array.from(this.glyphs.values());
-    const concepts = arr.filter(g => g.isConcept);
-    const organic = arr.filter(g => !g.isConcept);
-    const attractors = arr.filter(g => g.isAttractor);
-    const reflexGlyphs = arr.filter(g => g.isReflex);
-
-    // Tag frequency analysis
-    const tagCounts = new Map();
-    for (const g of arr) for (const t of g.tags) tagCounts.set(t, (tagCounts.get(t) || 0) + 1);
-    const topTags = [...tagCounts.entries()].sort((a, b) => b[1] - a[1]).slice(0, 10);
-
-    // Entropy distribution
-    const entropies = arr.map(g => g.entropy);
-    const avgEntropy = entropies.reduce((a, b) => a + b, 0) / entropies.length;
-    const stdEntropy = Math.sqrt(entropies.reduce((s, e) => s + (e - avgEntropy) ** 2, 0) / entropies.length);
-
-    // Season distribution of living glyphs
-    const seasonDist = {};
-    for (const g of arr) {
-      const s = g.seasonBorn || 'unknown';
-      seasonDist[s] = (seasonDist[s] || 0) + 1;
-    }
-
-    // Semantic drift detection
-    const semanticMergers = this.logSemanticMergers();
-
-    this.lastAnalysis = {
-      generation: this.generation,
-      season: this.season,
-      total: arr.length,
-      concepts: concepts.length,
-      organic: organic.length,
-      attractors: attractors.length,
-      reflexGlyphs: reflexGlyphs.length,
-      topTags,
-      avgEntropy: avgEntropy.toFixed(1),
-      stdEntropy: stdEntropy.toFixed(1),
-      seasonDist,
-      semanticMergers,
-      collisionRate: this.collisionLog.length > 0 ? (this.collisionLog.length / this.generation).toFixed(3) : '0',
-      evolvedVocab: this.evolvedTags.length,
-      pools: this.dormantPools.length,
-      shortcuts: this.activeShortcuts.length,
-      helixStable: this.helix.stable,
-      observables: { ...this.observables },
-    };
-
-    this.log(`📊 Deep analysis: gen ${this.generation} | ${arr.length} glyphs | ${attractors.length} attractors | ε̄=${avgEntropy.toFixed(0)}`, 'analysis');
-  }
-
-  // ── RESONANCE ENTRAINMENT SYSTEM ──
-  // Resonance-mediated tag and entropy propagation through the network
-
-  _isHighLineage(glyph) {
-    return glyph.ancestry.some(pid => this.conceptualAttractors.has(pid));
-  }
-
-  _entrainmentStrength(source, target, resonance) {
-    // Strength = resonance × entropy gradient (flows downhill) × phase alignment
-    const gradient = Math.max(0, source.entropy - target.entropy) / 8000;
-    const phaseBonus = (source.thermodynamicState && target.thermodynamicState)
-      ? Math.max(0, Math.cos(Math.abs(source.thermodynamicState.phi_phase - target.thermodynamicState.phi_phase) * Math.PI))
-      : 0.5;
-    return resonance * gradient * phaseBonus;
-  }
-
-  propagateEntrainment(target, sources, totalStrength) {
-    if (target.entrained || target.isConcept) return;
-
-    // Tag transfer: weighted by strength, only novel tags, compressed
-    const sourceTagPool = [];
-    for (const { source, strength } of sources) {
-      // Higher strength → more tags transferred from this source
-      const count = Math.ceil(strength * 3);
-      const novel = source.tags.filter(t => !target.tags.includes(t) && !t.startsWith('gen:') && !t.startsWith('μ'));
-      sourceTagPool.push(...novel.slice(0, count));
-    }
-    if (sourceTagPool.length > 0) {
-      // Dedupe and limit before compression
-      const unique = [...new Set(sourceTagPool)].slice(0, 4);
-      target.tags = this.compressTags([...target.tags, ...unique]);
-    }
-
-    // Entropy transfer: proportional to total strength (not flat boost)
-    const avgSourceEntropy = sources.reduce((s, x) => s + x.source.entropy, 0) / sources.length;
-    const entropyTransfer = avgSourceEntropy * totalStrength * 0.12;
-    target.entropyHistory.push(target.entropy + entropyTransfer);
-
-    // Mutation rate: small bump only for attractor descendants, capped at 0.6
-    if (this._isHighLineage(target)) {
-      target.mutationRate = Math.min(0.6, target.mutationRate + totalStrength * 0.1);
-    }
-
-    // Priority: based on thermodynamic state, not tag-name matching
-    if (target.thermodynamicState) {
-      if (target.thermodynamicState.tau_coherence > 2.0) target.priority += totalStrength * 0.8;
-      if (target.thermodynamicState.dH_dt < -5) target.priority += totalStrength * 0.5;
-      if (target.thermodynamicState.phi_phase > 0.7 && target.thermodynamicState.tau_coherence > 1.5) target.priority += totalStrength * 0.6;
-    }
-
-    target.entrained = true;
-    target.entrainmentGen = this.generation;
-    target.stagnantCount = 0;
-  }
-
-  runEntrainmentCycle() {
-    if (this.generation % 10 !== 0) return;
-    if (this.resonanceMatrix.size < 3) return;
-
-    // Entrainment is persistent — once phase-locked, stays locked until culled
-    // Build entrainment graph from resonance network
-    // For each resonant pair, the higher-entropy glyph can entrain the lower
-    const entrainmentCandidates = new Map(); // targetId → [{source, strength}]
-
-    for (const { a, b, score } of this.resonanceMatrix.values()) {
-      // Entropy flows downhill through resonance connections
-      const [source, target] = a.entropy >= b.entropy ? [a, b] : [b, a];
-      const strength = this._entrainmentStrength(source, target, score);
-      if (strength < 0.05) continue; // Below threshold — no entrainment
-
-      if (!entrainmentCandidates.has(target.id)) entrainmentCandidates.set(target.id, []);
-      entrainmentCandidates.get(target.id).push({ source, strength });
-    }
-
-    // Execute entrainment — targets with multiple resonant sources get stronger effects
-    let entrained = 0;
-    for (const [targetId, sources] of entrainmentCandidates) {
-      const target = this.glyphs.get(targetId);
-      if (!target || target.entrained || target.isConcept) continue;
-      const totalStrength = Math.min(1.0, sources.reduce((s, x) => s + x.strength, 0));
-      this.propagateEntrainment(target, sources, totalStrength);
-      entrained++;
-    }
-
-    // Decay priority and mutation rate toward baseline
-    for (const g of this.glyphs.values()) {
-      g.priority *= 0.95;
-      g.mutationRate = 0.1 + (g.mutationRate - 0.1) * 0.98; // Slow decay toward 0.1
-    }
-
-    if (entrained > 0) this.log(`🌀 Resonance entrainment: ${entrained} glyphs via ${this.resonanceMatrix.size} connections`, 'evolution');
-  }
-
-  syncCoherence(glyph) {
-    // Multi-factor stability: priority contribution + thermodynamic coherence + interaction recency
-    const entropyNorm = glyph.entropy / 3000; // normalize to ~0-1 range (new scale: max 8000)
-    const priorityFactor = glyph.priority * 0.3;
-    const tauFactor = glyph.thermodynamicState ? Math.min(1, glyph.thermodynamicState.tau_coherence / 5) * 0.3 : 0;
-    const activityFactor = Math.max(0, 1 - glyph.stagnantCount / 60) * 0.2;
-    const entropyStability = (entropyNorm > 0.3 && entropyNorm < 2.0) ? 0.2 : 0; // mid-range entropy = stable
-    const coherence = priorityFactor + tauFactor + activityFactor + entropyStability;
-    glyph.stability = Math.min(1.0, Math.max(0, coherence));
-  }
-
-  // ── Meta-Reflex Helix Core Step ──
-  helixStep() {
-    const h = this.helix;
-    h.t += h.dt;
-    h.HRV = Math.sin(2 * Math.PI * 0.2 * h.t) * 0.5 + Math.sin(2 * Math.PI * 0.05 * h.t) * 0.3;
-    h.gamma = h.gamma0 + h.epsilon * h.HRV;
-    const rawExp = h.alpha * Math.exp(h.beta * h.t / h.phi);
-    const phase = h.omega * h.t + h.gamma * h.R_prev;
-    const rawR = rawExp * Math.cos(phase);
-    h.r_sq = h.R * h.R + h.R_prev * h.R_prev;
-    h.A = h.A0 / (1 + h.lambda * h.r_sq);
-    h.R_prev = h.R;
-    h.R = h.A * Math.tanh(rawR);
-    h.theta_prev = h.theta;
-    const dTheta = h.omega * h.dt;
-    const phaseGrad = h.R - h.R_prev;
-    h.theta = h.theta + dTheta - h.eta * phaseGrad;
-    const thetaAccel = Math.abs(h.theta - 2 * h.theta_prev + (h.theta_prev - dTheta));
-    const adaptiveK = 1.0 / (1 + thetaAccel * 10);
-    h.z = adaptiveK * h.theta;
-    h.history.push(h.R);
-    h.A_history.push(h.A);
-    h.phase_history.push(h.theta % (2 * Math.PI));
-    if (h.history.length > 200) h.history.shift();
-    if (h.A_history.length > 200) h.A_history.shift();
-    if (h.phase_history.length > 200) h.phase_history.shift();
-    const wasStable = h.stable;
-    if (h.history.length > 20) {
-      const recent = h.history.slice(-20);
-      const diffs = [];
-      for (let i = 1; i < recent.length; i++) diffs.push(Math.abs(recent[i] - recent[i-1]));
-      const avgDiff = diffs.reduce((a,b) => a+b, 0) / diffs.length;
-      const recentA = h.A_history.slice(-10);
-      const aDrift = Math.abs(recentA[recentA.length-1] - recentA[0]);
-      h.stable = avgDiff < 0.15 && aDrift < 0.05;
-    }
-    if (h.stable) h.stableFor++; else h.stableFor = 0;
-    if (h.stable && !wasStable && this.generation - h.lastLogGen > 10) {
-      this.log(`🌀 Helix stabilized — R=${h.R.toFixed(3)} A=${h.A.toFixed(3)} z=${h.z.toFixed(2)}`, 'helix');
-      h.lastLogGen = this.generation;
-    }
-    if (!h.stable && wasStable && this.generation - h.lastLogGen > 10) {
-      this.log(`🌀 Helix destabilized — r²=${h.r_sq.toFixed(2)} γ=${h.gamma.toFixed(3)}`, 'helix');
-      h.lastLogGen = this.generation;
-    }
-    return h;
-  }
-
-  applyHelixModulation() {
-    const h = this.helix;
-    const breathScale = 1.0 + h.R * 0.1;
-    this.RESONANCE_THRESHOLD = 0.45 - h.A * 0.08;
-    for (const glyph of this.glyphs.values()) {
-      if (glyph.isDampener) continue; // Dampeners are stationary anchors
-      glyph.vx *= breathScale;
-      glyph.vy *= breathScale;
-      const dx = glyph.x - this.canvasW / 2;
-      const dy = glyph.y - this.canvasH / 2;
-      const dist = Math.sqrt(dx * dx + dy * dy) + 1;
-      glyph.vx += (-dy / dist) * h.HRV * 0.15;
-      glyph.vy += (dx / dist) * h.HRV * 0.15;
-    }
-  }
-
-  // ── Singularity Scanner ──
-  _glyphFeatureVec(glyph) {
-    const ts = glyph.thermodynamicState;
-    if (!ts) return null;
-    return [ts.H / 8000, ts.dH_dt / 50, Math.min(ts.tau_coherence, 10) / 10, ts.phi_phase, glyph.entropy / 8000, glyph.tags.length / 10, glyph.x / this.canvasW, glyph.y / this.canvasH];
-  }
-  _dot(a, b) { let s = 0; for (let i = 0; i < a.length; i++) s += a[i] * b[i]; return s; }
-  _norm(v) { return Math.sqrt(this._dot(v, v)) || 1e-10; }
-  _cosine(a, b) { return this._dot(a, b) / (this._norm(a) * this._norm(b)); }
-  _signSignature(v) {
-    if (!this._projections) {
-      this._projections = [];
-      let seed = 47;
-      const rng = () => { seed = (seed * 16807 + 0) % 2147483647; return seed / 2147483647; };
-      for (let p = 0; p < 12; p++) { const row = []; for (let d = 0; d < 8; d++) row.push(rng() < 0.5 ? 1.0 : -1.0); this._projections.push(row); }
-    }
-    let sig = 0;
-    for (let p = 0; p < this._projections.length; p++) { if (this._dot(v, this._projections[p]) >= 0) sig |= (1 << p); }
-    return sig;
-  }
-  singularityScan() {
-    const glyphArr = Array.from(this.glyphs.values());
-    if (glyphArr.length < 20) return;
-    const exactIndex = new Map(); const buckets = new Map(); let scanned = 0;
-    for (const g of glyphArr) {
-      const vec = this._glyphFeatureVec(g); if (!vec) continue; scanned++;
-      // Coarser hashing — toFixed(3) instead of toFixed(4)
-      const hash = vec.map(v => v.toFixed(3)).join('|');
-      if (!exactIndex.has(hash)) exactIndex.set(hash, []); exactIndex.get(hash).push(g);
-      const sig = this._signSignature(vec);
-      if (!buckets.has(sig)) buckets.set(sig, []); buckets.get(sig).push({ glyph: g, vec });
-    }
-    let exactCulled = 0, nearCulled = 0;
-    for (const [, cluster] of exactIndex.entries()) {
-      if (cluster.length < 3) continue; // Tolerate pairs, only cull triples+
-      cluster.sort((a, b) => b.entropy - a.entropy);
-      for (let i = 2; i < cluster.length; i++) { // Keep top 2 of each cluster
-        const v = cluster[i];
-        if (v.isConcept || v.isAttractor || v.isReflex) continue;
-        this.tagSignatures.delete(this.tagSig(v.tags)); this.glyphs.delete(v.id); exactCulled++;
-      }
-    }
-    // Near-clone: only check a sample of buckets for performance
-    const bucketArr = Array.from(buckets.entries()).filter(([, e]) => e.length >= 2);
-    const sampleBuckets = bucketArr.length > 50 ? bucketArr.sort(() => Math.random() - 0.5).slice(0, 50) : bucketArr;
-    const seenPairs = new Set();
-    for (const [, entries] of sampleBuckets) {
-      if (entries.length < 2) continue;
-      const limit = Math.min(entries.length, 20); // cap inner loop
-      for (let i = 0; i < limit; i++) for (let j = i + 1; j < limit; j++) {
-        const a = entries[i], b = entries[j];
-        const pk = a.glyph.id < b.glyph.id ? `${a.glyph.id},${b.glyph.id}` : `${b.glyph.id},${a.glyph.id}`;
-        if (seenPairs.has(pk)) continue; seenPairs.add(pk);
-        if (this._cosine(a.vec, b.vec) >= 0.999) {
-          const victim = a.glyph.entropy < b.glyph.entropy ? a.glyph : b.glyph;
-          if (victim.isConcept || victim.isAttractor || victim.isReflex || !this.glyphs.has(victim.id)) continue;
-          this.tagSignatures.delete(this.tagSig(victim.tags)); this.glyphs.delete(victim.id); nearCulled++;
-        }
-      }
-    }
-    if (exactCulled > 0 || nearCulled > 0) this.log(`🔍 Singularity scan: ${exactCulled} exact + ${nearCulled} near-clones culled`, 'scan');
-  }
-
-  // ── Dormant Pool Pathing ──
-  _buildPhaseMatrix(a, b) {
-    const sa = a.thermodynamicState, sb = b.thermodynamicState;
-    if (!sa || !sb) return null;
-    const g = [[sa.phi_phase * sa.tau_coherence, sa.phi_phase * sb.tau_coherence], [sb.phi_phase * sa.tau_coherence, sb.phi_phase * sb.tau_coherence]];
-    const dH_a = Math.abs(sa.dH_dt) / 50, dH_b = Math.abs(sb.dH_dt) / 50;
-    const g_prime = [[sa.H / 8000 + dH_a, (sa.H - sb.H) / 16000], [(sb.H - sa.H) / 16000, sb.H / 8000 + dH_b]];
-    return { g, g_prime };
-  }
-  _matMul2x2(a, b) { return [[a[0][0]*b[0][0]+a[0][1]*b[1][0], a[0][0]*b[0][1]+a[0][1]*b[1][1]], [a[1][0]*b[0][0]+a[1][1]*b[1][0], a[1][0]*b[0][1]+a[1][1]*b[1][1]]]; }
-  _trace2x2(m) { return m[0][0] + m[1][1]; }
-  _frobNorm2x2(m) { return Math.sqrt(m[0][0]*m[0][0] + m[0][1]*m[0][1] + m[1][0]*m[1][0] + m[1][1]*m[1][1]); }
-  _matSub2x2(a, b) { return [[a[0][0]-b[0][0], a[0][1]-b[0][1]], [a[1][0]-b[1][0], a[1][1]-b[1][1]]]; }
-  _activatePool(pool) {
-    const { g, g_prime } = pool.matrices;
-    const gg_p = this._matMul2x2(g, g_prime);
-    const g_pg = this._matMul2x2(g_prime, g);
-    const commutator = this._matSub2x2(gg_p, g_pg);
-    pool.nonComm = this._frobNorm2x2(commutator);
-    pool.maxTrace = Math.max(this._trace2x2(gg_p), this._trace2x2(g_pg));
-    return pool.nonComm > 0.001 && pool.maxTrace >= this.HBAR_OVER_2;
-  }
-  detectPools() {
-    const POOL_RADIUS = 120, MIN_POOL = 3, MAX_POOL = 5;
-    if (this.generation < 50) return; // No pools before system has structure
-    const all = Array.from(this.glyphs.values()).filter(g => g.thermodynamicState);
-    if (all.length < 15) return;
-    const arr = all.length > 200 ? all.sort(() => Math.random() - 0.5).slice(0, 200) : all;
-    const assigned = new Set(); const pools = [];
-    for (let i = 0; i < arr.length && pools.length < 6; i++) {
-      const seed = arr[i]; if (assigned.has(seed.id)) continue;
-      const members = [seed]; assigned.add(seed.id);
-      for (let j = 0; j < arr.length && members.length < MAX_POOL; j++) {
-        if (i === j || assigned.has(arr[j].id)) continue;
-        const dx = seed.x - arr[j].x, dy = seed.y - arr[j].y;
-        if (dx*dx + dy*dy > POOL_RADIUS * POOL_RADIUS) continue;
-        // Require actual resonance between seed and candidate
-        const res = seed.resonanceWith(arr[j]);
-        if (res > this.RESONANCE_THRESHOLD) {
-          members.push(arr[j]); assigned.add(arr[j].id);
-        }
-      }
-      if (members.length >= MIN_POOL) {
-        const sorted = members.sort((a, b) => b.entropy - a.entropy);
-        const matrices = this._buildPhaseMatrix(sorted[0], sorted[1]);
-        if (matrices) pools.push({ id: `pool_${this.generation}_${pools.length}`, nodes: members.map(g => g.id), anchor: [sorted[0].id, sorted[1].id], matrices, nonComm: 0, maxTrace: 0 });
-      }
-    }
-    this.dormantPools = pools;
-  }
-  activatePoolShortcuts() {
-    // Shortcuts are permanent once formed — only remove if both endpoints are dead
-    this.activeShortcuts = this.activeShortcuts.filter(s => this.glyphs.has(s.a) || this.glyphs.has(s.b));
-    let activated = 0;
-    for (const pool of this.dormantPools) {
-      if (this._activatePool(pool)) {
-        const nodes = pool.nodes;
-        for (let i = 0; i < nodes.length; i++) for (let j = i + 1; j < nodes.length; j++) {
-          const a = this.glyphs.get(nodes[i]), b = this.glyphs.get(nodes[j]);
-          if (!a || !b) continue;
-          if (!this.activeShortcuts.some(s => (s.a === nodes[i] && s.b === nodes[j]) || (s.a === nodes[j] && s.b === nodes[i])))
-            this.activeShortcuts.push({ a: nodes[i], b: nodes[j], weight: 0.5, locked: true, formedGen: this.generation, nonComm: pool.nonComm });
-        }
-        activated++;
-      }
-    }
-    if (activated > 0) {
-      this.recordSurfacing(activated, 'pool');
-      this.log(`🔗 ${activated} pools surfaced (${this.activeShortcuts.length} shortcuts, locked)`, 'pool');
-    }
-    // Cap total — keep oldest (most established) if over limit
-    if (this.activeShortcuts.length > 80) {
-      this.activeShortcuts = this.activeShortcuts.slice(0, 80);
-    }
-  }
-  applyShortcutGravity() {
-    for (const sc of this.activeShortcuts) {
-      const a = this.glyphs.get(sc.a), b = this.glyphs.get(sc.b);
-      if (!a || !b) continue;
-      const dx = b.x - a.x, dy = b.y - a.y, dist = Math.sqrt(dx*dx + dy*dy) + 1;
-      const pull = Math.min(0.3, (sc.nonComm * 0.8) / dist);
-      const nx = dx / dist, ny = dy / dist;
-      a.vx += nx * pull; a.vy += ny * pull;
-      b.vx -= nx * pull; b.vy -= ny * pull;
-    }
-  }
-
-  // ── PRESSURE SYSTEM (ported from MVP) ──
-  // When total mass exceeds threshold, synthesize a purpose anchor and spawn fresh glyphs
-  pressureCheck() {
-    if (this.generation % this.PRESSURE_INTERVAL !== 0) return;
-    const arr = Array.from(this.glyphs.values());
-    const recent = arr.slice(-Math.min(400, arr.length));
-    const totalMass = recent.reduce((s, g) => s + g.mass, 0);
-    if (totalMass <= this.PRESSURE_THRESHOLD) return;
-
-    // Pressure event: synthesize from the tag landscape
-    const tagBag = new Set();
-    for (const g of recent.slice(-100)) for (const t of g.tags) tagBag.add(t);
-    const tags = this.compressTags([...tagBag, 'purpose', 'synthesis']);
-    const anchor = this.createGlyph(tags, [recent[0].id, recent[recent.length - 1].id]);
-    anchor.isConcept = false;
-    this.store(anchor);
-
-    // Spawn a few fresh exploratory glyphs to relieve pressure
-    for (let i = 0; i < 3; i++) {
-      const fresh = this.createGlyph();
-      if (fresh) this.store(fresh);
-    }
-    this.log(`🔥 Pressure event: mass=${Math.round(totalMass)} > threshold=${this.PRESSURE_THRESHOLD} → anchor ${anchor.id} + 3 fresh`, 'pressure');
-  }
-
-  // ── DAMPENER SYSTEM (Anesthesia/Suppression) ──
-  // Injectable glyphs that suppress resonance in a spatial radius, decay over time
-  injectDampener(x = null, y = null, strength = 0.15, radius = 180, lifespan = 150) {
-    const tags = ['dampener', 'suppress', 'anesthesia', `gen:${this.generation}`];
-    const glyph = new Glyph(this.genId(), tags, [], this.generation);
-    glyph.isDampener = true;
-    glyph.dampenerRadius = radius;
-    glyph.dampenerStrength = strength; // resonance multiplier: 0.15 = 85% suppression
-    glyph.dampenerLifespan = lifespan;
-    glyph.x = x ?? this.canvasW / 2 + (Math.random() - 0.5) * 200;
-    glyph.y = y ?? this.canvasH / 2 + (Math.random() - 0.5) * 200;
-    glyph.vx = 0; glyph.vy = 0; // Dampeners are stationary
-    glyph.entropyHistory.push(100); // Low entropy — they absorb, not produce
-    glyph.seasonBorn = this.season;
-    this.store(glyph);
-    this.triggerShockwave(glyph.x, glyph.y, '#4466aa');
-    this.log(`🧊 Dampener injected at (${Math.round(glyph.x)},${Math.round(glyph.y)}) — r=${radius} str=${strength} life=${lifespan}`, 'info');
-    return glyph;
-  }
-
-  getDampenerAttenuation(glyph) {
-    // Returns multiplier 0-1 for how much resonance is suppressed at this glyph's position
-    let attenuation = 1.0;
-    for (const d of this.glyphs.values()) {
-      if (!d.isDampener) continue;
-      const dx = glyph.x - d.x, dy = glyph.y - d.y;
-      const dist = Math.sqrt(dx * dx + dy * dy);
-      if (dist < d.dampenerRadius) {
-        // Linear falloff from center to edge
-        const proximity = 1 - (dist / d.dampenerRadius);
-        const suppression = d.dampenerStrength + (1 - d.dampenerStrength) * (1 - proximity);
-        attenuation *= suppression;
-      }
-    }
-    return attenuation;
-  }
-
-  decayDampeners() {
-    for (const g of this.glyphs.values()) {
-      if (!g.isDampener) continue;
-      g.dampenerLifespan--;
-      // Strength fades as lifespan decreases
-      if (g.dampenerLifespan < 30) {
-        g.dampenerStrength = Math.min(1.0, g.dampenerStrength + (1 - g.dampenerStrength) * 0.03);
-      }
-      if (g.dampenerLifespan <= 0) {
-        this.tagSignatures.delete(this.tagSig(g.tags));
-        this.glyphs.delete(g.id);
-        this.log(`🧊 Dampener ${g.id} expired — resonance field restored`, 'info');
-      }
-    }
-  }
-
-  // ── UNCONSCIOUS SURFACING TRACKER ──
-  recordSurfacing(count, source) {
-    this.surfacingEvents.push({ gen: this.generation, count, source });
-    // Trim to window
-    while (this.surfacingEvents.length > 0 && this.surfacingEvents[0].gen < this.generation - this.SURFACING_WINDOW) {
-      this.surfacingEvents.shift();
-    }
-  }
-
-  getSurfacingRate() {
-    if (this.surfacingEvents.length === 0) return 0;
-    const total = this.surfacingEvents.reduce((s, e) => s + e.count, 0);
-    const window = Math.min(this.SURFACING_WINDOW, this.generation);
-    return window > 0 ? total / window : 0;
-  }
-
-  // ── COMPRESSIBILITY METRIC ──
-  // Approximates Kolmogorov complexity: ratio of compressed to original tag set size
-  // Low K_c = high redundancy (compressible). High K_c = rich information (incompressible).
-  computeCompressibility() {
-    const arr = Array.from(this.glyphs.values());
-    if (arr.length < 10) return 0;
-    // Sample up to 100 glyphs for performance
-    const sample = arr.length > 100 ? arr.sort(() => Math.random() - 0.5).slice(0, 100) : arr;
-    let totalRatio = 0;
-    for (const g of sample) {
-      const original = g.tags.filter(t => !t.startsWith('gen:') && !t.startsWith('μ'));
-      if (original.length <= 1) { totalRatio += 1; continue; }
-      const compressed = this.compressTags([...original]);
-      totalRatio += compressed.length / original.length;
-    }
-    return totalRatio / sample.length;
-  }
-
-  // ── Main Step (all systems integrated) ──
-  step() {
-    this.generation++;
-    this.updateSeason(); // v4.2 seasonal
-    const g = this.createGlyph();
-    this.store(g);
-    if (this.generation % this.BEACON_UPDATE_INTERVAL === 0) {
-      this.updateThermodynamics();
-      this.updateResonanceField();
-      this.computeObservables(); // Lexicon observables
-    }
-    this.coordinate();
-    this.reflexCheck(); // v4.2 reflex system
-    this.runEntrainmentCycle(); // Resonance entrainment
-    this.pressureCheck(); // MVP pressure system
-    this.decayDampeners(); // Dampener lifecycle
-    this.updateInfluenceAndAttractors(); // v4.2 influence
-    this.performDeepAnalysis(); // v4.2 deep analysis
-    if (this.generation % 40 === 0) this.singularityScan();
-    if (this.generation % this.POOL_SCAN_INTERVAL === 0) { this.detectPools(); this.activatePoolShortcuts(); }
-    this.applyShortcutGravity();
-    this.helixStep();
-    this.applyHelixModulation();
-    // Sync coherence for ALL glyphs every step (not just entrained)
-    for (const glyph of this.glyphs.values()) {
-      this.syncCoherence(glyph);
-      glyph.update(this.canvasW, this.canvasH);
-    }
-    if (this.shockwave) { this.shockwave.radius += 8; if (this.shockwave.radius > this.shockwave.maxRadius) this.shockwave = null; }
-  }
-
-  getStats() {
-    let concepts = 0, attractors = 0, reflexGlyphs = 0, entrained = 0, dampeners = 0, stabilitySum = 0;
-    const cultureCount = {};
-    for (const g of this.glyphs.values()) {
-      if (g.isConcept) concepts++;
-      if (g.isAttractor) attractors++;
-      if (g.isReflex) reflexGlyphs++;
-      if (g.entrained) entrained++;
-      if (g.isDampener) dampeners++;
-      if (g.culture) cultureCount[g.culture] = (cultureCount[g.culture] || 0) + 1;
-      stabilitySum += g.stability;
-    }
-    const total = this.glyphs.size;
-    const organic = total - concepts;
-    const avgStability = total > 0 ? stabilitySum / total : 0;
-    // Cap collision log to last 500 entries to prevent unbounded growth
-    if (this.collisionLog.length > 500) this.collisionLog = this.collisionLog.slice(-500);
-    const syntheses = this.collisionLog.filter(c => c.crossType).length;
-    const avgRes = this.collisionLog.length > 0 ? this.collisionLog.reduce((s, e) => s + e.resonance, 0) / this.collisionLog.length : 0;
-    return { generation: this.generation, total, concepts, organic, attractors, reflexGlyphs, entrained, dampeners, cultureCount, avgStability: +avgStability.toFixed(3), collisions: this.collisionLog.length, syntheses, avgResonance: avgRes, resonantPairs: this.resonanceMatrix.size, openPipes: this.openPipes.size, vocabulary: this.tags.length, pools: this.dormantPools.length, shortcuts: this.activeShortcuts.length, season: this.season, seasonCounter: this.seasonCounter, seasonDuration: this.SEASON_DURATION, lastAnalysis: this.lastAnalysis, helix: { R: this.helix.R, A: this.helix.A, z: this.helix.z, gamma: this.helix.gamma, stable: this.helix.stable, stableFor: this.helix.stableFor, HRV: this.helix.HRV }, obs: { ...this.observables } };
-  }
-
-  reset() {
-    this.glyphs.clear(); this.nextId = 0; this.generation = 0;
-    this.resonanceMatrix.clear(); this.openPipes.clear();
-    this.collisionLog = []; this.eventLog = []; this.conceptCount = 0;
-    this.evolvedTags = []; this.tagSignatures.clear();
-    this.season = SeasonalPhase.EXPLORATION; this.seasonCounter = 0;
-    this.conceptualAttractors.clear(); this.lastAnalysis = null;
-    this.reflexFreeCount = 0;
-    this.observables = { psi:0, vp_mean:0, J_H:0, f_xi:0, F_free:0, H_mean:0, sigma_H:0, N_xi:0, phaseTransitions:0, criticalEvents:0, S_u:0, K_c:0 };
-    this.surfacingEvents = [];
-    Object.assign(this.helix, { t:0, R:0, R_prev:0, A:1.0, theta:0, theta_prev:0, z:0, gamma:0.5, HRV:0, r_sq:0, stable:false, stableFor:0, lastLogGen:-50, history:[], A_history:[], phase_history:[] });
-    this.dormantPools = []; this.activeShortcuts = [];
-    this._entropyChartHistory = [];
-    for (let i = 0; i < 8; i++) this.store(this.createGlyph());
-    this.log('Crucible v4 initialized', 'info');
-  }
-
-  serialize() {
-    const glyphs = [];
-    for (const g of this.glyphs.values()) {
-      glyphs.push({ id: g.id, tags: g.tags, ancestry: g.ancestry, generation: g.generation, entropyHistory: g.entropyHistory.slice(-20), x: g.x, y: g.y, vx: g.vx, vy: g.vy, lastCollisionGen: g.lastCollisionGen, isConcept: g.isConcept, conceptData: g.conceptData, isReflex: g.isReflex, reflexType: g.reflexType, isAttractor: g.isAttractor, seasonBorn: g.seasonBorn, stagnantCount: g.stagnantCount, influenceScore: g.influenceScore, priority: g.priority, mutationRate: g.mutationRate, stability: g.stability, culture: g.culture });
-    }
-    return { glyphs, nextId: this.nextId, generation: this.generation, collisionLog: this.collisionLog.slice(-50), eventLog: this.eventLog.slice(-30), conceptCount: this.conceptCount, evolvedTags: this.evolvedTags.slice(-100), tagSignatures: Array.from(this.tagSignatures).slice(-500), season: this.season, seasonCounter: this.seasonCounter, attractors: Array.from(this.conceptualAttractors.entries()), helix: { t: this.helix.t, R: this.helix.R, R_prev: this.helix.R_prev, A: this.helix.A, theta: this.helix.theta, theta_prev: this.helix.theta_prev, z: this.helix.z, gamma: this.helix.gamma, HRV: this.helix.HRV, r_sq: this.helix.r_sq, stable: this.helix.stable, stableFor: this.helix.stableFor, history: this.helix.history.slice(-100), A_history: this.helix.A_history.slice(-100), phase_history: this.helix.phase_history.slice(-100) } };
-  }
-
-  deserialize(data) {
-    if (!data) return;
-    this.nextId = data.nextId || 0; this.generation = data.generation || 0;
-    this.collisionLog = data.collisionLog || []; this.eventLog = data.eventLog || [];
-    this.conceptCount = data.conceptCount || 0; this.evolvedTags = data.evolvedTags || [];
-    this.tagSignatures = new Set(data.tagSignatures || []);
-    this.season = data.season || SeasonalPhase.EXPLORATION;
-    this.seasonCounter = data.seasonCounter || 0;
-    if (data.attractors) this.conceptualAttractors = new Map(data.attractors);
-    this.glyphs.clear();
-    for (const gd of (data.glyphs || [])) {
-      const g = new Glyph(gd.id, gd.tags, gd.ancestry, gd.generation, gd.isConcept || false);
-      g.entropyHistory = gd.entropyHistory || []; g.x = gd.x; g.y = gd.y; g.vx = gd.vx; g.vy = gd.vy;
-      g.lastCollisionGen = gd.lastCollisionGen || 0; g.conceptData = gd.conceptData || null;
-      g.isReflex = gd.isReflex || false; g.reflexType = gd.reflexType || null;
-      g.isAttractor = gd.isAttractor || false; g.seasonBorn = gd.seasonBorn || null;
-      g.stagnantCount = gd.stagnantCount || 0; g.influenceScore = gd.influenceScore || 0;
-      g.priority = gd.priority || 0; g.mutationRate = gd.mutationRate || 0.1; g.stability = gd.stability || 0;
-      g.culture = gd.culture || null;
-      this.glyphs.set(g.id, g); this.tagSignatures.add(this.tagSig(gd.tags));
-    }
-    this.updateThermodynamics(); this.updateResonanceField();
-    if (data.helix) Object.assign(this.helix, data.helix);
-    this.log(`Restored gen ${this.generation} (${this.glyphs.size} glyphs, season: ${this.season})`, 'info');
-  }
+// Keep the viewport inside the field
+function clampCamera(camera) {
+  const zoom = Math.min(MAX_ZOOM, Math.max(1, camera.zoom));
+  const hw = FIELD_W / 2 / zoom, hh = FIELD_H / 2 / zoom;
+  return { ...camera, zoom, cx: Math.min(FIELD_W - hw, Math.max(hw, camera.cx)), cy: Math.min(FIELD_H - hh, Math.max(hh, camera.cy)) };
 }
+// Bottom-left, clear of the map key; shown only while zoomed in
+const minimapRect = (w, h) => ({ x: 100, y: h - 66, w: 120, h: 60 });
 
-// ===== CANVAS RENDERERS =====
-function renderField(canvas, engine, container) {
+function renderField(canvas, engine, container, overlay = {}) {
   if (!canvas || !engine || !container) return;
   const dpr = window.devicePixelRatio || 1;
   const w = container.clientWidth, h = container.clientHeight;
@@ -1601,20 +50,21 @@ function renderField(canvas, engine, container) {
   ctx.fillStyle = vg; ctx.fillRect(0, 0, w, h);
 
   // Season indicator band
-  const sc = SEASON_MODIFIERS[engine.season]?.color || '#daa520';
-  const progress = engine.seasonCounter / engine.SEASON_DURATION;
+  const sc = engine.config.seasonModifiers[engine.season]?.color || '#daa520';
+  // A finished, non-looping schedule keeps counting while it holds its last phase
+  const progress = Math.min(1, engine.seasonCounter / engine.SEASON_DURATION);
   ctx.fillStyle = sc + '15'; ctx.fillRect(0, h - 3, w * progress, 3);
   ctx.fillStyle = sc + '40'; ctx.fillRect(0, h - 1, w * progress, 1);
 
   if (engine.glyphs.size === 0) return;
-  const sx = w / 1200, sy = h / 600;
+  const { sx, sy, ox, oy } = fieldTransform(overlay.camera, w, h);
 
   if (engine.shockwave) {
     const sw = engine.shockwave;
     const alpha = 1 - sw.radius / sw.maxRadius;
     ctx.strokeStyle = sw.color + Math.floor(alpha * 80).toString(16).padStart(2,'0');
     ctx.lineWidth = 2; ctx.beginPath();
-    ctx.arc(sw.x * sx, sw.y * sy, sw.radius * Math.min(sx, sy), 0, Math.PI * 2); ctx.stroke();
+    ctx.arc(sw.x * sx + ox, sw.y * sy + oy, sw.radius * Math.min(sx, sy), 0, Math.PI * 2); ctx.stroke();
   }
 
   // Resonance connections — capped and batched by type
@@ -1642,7 +92,7 @@ function renderField(canvas, engine, container) {
     for (const { a, b, score } of items) {
       ctx.strokeStyle = `rgba(${s.r},${s.g},${s.b},${score * s.aMul})`;
       ctx.beginPath();
-      ctx.moveTo(a.x * sx, a.y * sy); ctx.lineTo(b.x * sx, b.y * sy); ctx.stroke();
+      ctx.moveTo(a.x * sx + ox, a.y * sy + oy); ctx.lineTo(b.x * sx + ox, b.y * sy + oy); ctx.stroke();
     }
   }
 
@@ -1650,7 +100,7 @@ function renderField(canvas, engine, container) {
   for (const key of engine.openPipes.keys()) {
     const [idA, idB] = key.split(',');
     const a = engine.glyphs.get(idA), b = engine.glyphs.get(idB);
-    if (a && b) { ctx.strokeStyle = 'rgba(255,136,0,0.7)'; ctx.lineWidth = 1.5; ctx.beginPath(); ctx.moveTo(a.x * sx, a.y * sy); ctx.lineTo(b.x * sx, b.y * sy); ctx.stroke(); }
+    if (a && b) { ctx.strokeStyle = 'rgba(255,136,0,0.7)'; ctx.lineWidth = 1.5; ctx.beginPath(); ctx.moveTo(a.x * sx + ox, a.y * sy + oy); ctx.lineTo(b.x * sx + ox, b.y * sy + oy); ctx.stroke(); }
   }
 
   // Pool shortcuts
@@ -1658,30 +108,27 @@ function renderField(canvas, engine, container) {
     ctx.setLineDash([4, 4]);
     for (const sc2 of engine.activeShortcuts) {
       const a = engine.glyphs.get(sc2.a), b = engine.glyphs.get(sc2.b);
-      if (a && b) { ctx.strokeStyle = `rgba(180,100,255,${Math.min(0.7, sc2.nonComm * 2)})`; ctx.lineWidth = 1.2; ctx.beginPath(); ctx.moveTo(a.x * sx, a.y * sy); ctx.lineTo(b.x * sx, b.y * sy); ctx.stroke(); }
+      if (a && b) { ctx.strokeStyle = `rgba(180,100,255,${Math.min(0.7, sc2.nonComm * 2)})`; ctx.lineWidth = 1.2; ctx.beginPath(); ctx.moveTo(a.x * sx + ox, a.y * sy + oy); ctx.lineTo(b.x * sx + ox, b.y * sy + oy); ctx.stroke(); }
     }
     ctx.setLineDash([]);
   }
 
   // Glyphs — fast path for organics, fancy rendering for specials only
   const now = Date.now();
-  // Batch organic glyphs by culture color
-  const cultureBatches = { phenomenological: [], thermodynamic: [], contemplative: [], computational: [], biological: [], hybrid: [], none: [] };
+  // Batch organic glyphs by culture color (configured cultures; removed ones draw as hybrids)
+  const cultureColors = { ...Object.fromEntries(Object.entries(engine.config.cultures).map(([name, c]) => [name, c.color])), [HYBRID_CULTURE]: '#dcdcdc' };
+  const cultureBatches = { none: [] };
   for (const glyph of engine.glyphs.values()) {
     if (glyph.isConcept || glyph.isAttractor || glyph.isReflex || glyph.isDampener) continue;
-    const gx = glyph.x * sx, gy = glyph.y * sy;
+    const gx = glyph.x * sx + ox, gy = glyph.y * sy + oy;
     const radius = Math.max(1.5, Math.min(3.5, Math.sqrt(glyph.entropy) / 18));
-    const bucket = glyph.culture && cultureBatches[glyph.culture] ? glyph.culture : 'none';
-    cultureBatches[bucket].push({ gx, gy, radius });
+    const bucket = !glyph.culture ? 'none' : cultureColors[glyph.culture] ? glyph.culture : HYBRID_CULTURE;
+    (cultureBatches[bucket] ||= []).push({ gx, gy, radius });
   }
-  const cultureColors = {
-    phenomenological: 'rgba(230,115,90,0.75)', thermodynamic: 'rgba(255,136,0,0.75)',
-    contemplative: 'rgba(180,100,255,0.75)', computational: 'rgba(0,170,255,0.75)',
-    biological: 'rgba(90,206,190,0.75)', hybrid: 'rgba(220,220,220,0.75)', none: 'rgba(0,255,0,0.7)'
-  };
   for (const [culture, glyphs] of Object.entries(cultureBatches)) {
     if (glyphs.length === 0) continue;
-    ctx.fillStyle = cultureColors[culture];
+    ctx.globalAlpha = culture === 'none' ? 0.7 : 0.75;
+    ctx.fillStyle = culture === 'none' ? '#00ff00' : cultureColors[culture];
     ctx.beginPath();
     for (const { gx, gy, radius } of glyphs) {
       ctx.moveTo(gx + radius, gy);
@@ -1689,13 +136,14 @@ function renderField(canvas, engine, container) {
     }
     ctx.fill();
   }
+  ctx.globalAlpha = 1;
 
   // Entrained organic overlay — batch draw
   ctx.strokeStyle = 'rgba(255,68,102,0.6)'; ctx.lineWidth = 1; ctx.setLineDash([2, 2]);
   ctx.beginPath();
   for (const glyph of engine.glyphs.values()) {
     if (glyph.isConcept || glyph.isAttractor || glyph.isReflex || glyph.isDampener || !glyph.entrained) continue;
-    const gx = glyph.x * sx, gy = glyph.y * sy;
+    const gx = glyph.x * sx + ox, gy = glyph.y * sy + oy;
     ctx.moveTo(gx + 5, gy);
     ctx.arc(gx, gy, 5, 0, Math.PI * 2);
   }
@@ -1704,7 +152,7 @@ function renderField(canvas, engine, container) {
   // Dampener fields — cold suppression zones
   for (const glyph of engine.glyphs.values()) {
     if (!glyph.isDampener) continue;
-    const gx = glyph.x * sx, gy = glyph.y * sy;
+    const gx = glyph.x * sx + ox, gy = glyph.y * sy + oy;
     const r = glyph.dampenerRadius * Math.min(sx, sy);
     const fadeAlpha = Math.min(1, glyph.dampenerLifespan / 30); // Fade out in last 30 gens
     // Suppression zone
@@ -1728,7 +176,7 @@ function renderField(canvas, engine, container) {
   // Special glyphs — full rendering with gradients (concepts, attractors, reflexes only)
   for (const glyph of engine.glyphs.values()) {
     if (!glyph.isConcept && !glyph.isAttractor && !glyph.isReflex) continue;
-    const gx = glyph.x * sx, gy = glyph.y * sy;
+    const gx = glyph.x * sx + ox, gy = glyph.y * sy + oy;
     const baseRadius = Math.max(2, Math.min(glyph.isConcept ? 5.5 : glyph.isAttractor ? 5 : 4, Math.sqrt(glyph.entropy) / 15));
     const pulse = 1 + Math.sin(glyph.pulsePhase) * 0.1;
     const radius = baseRadius * pulse;
@@ -1770,6 +218,19 @@ function renderField(canvas, engine, container) {
     }
   }
 
+  // Located glyphs — event-log search (yellow) and inspector selection (cyan): pulsing ring + id label
+  for (const [lid, color] of [[overlay.highlight, '#ffee44'], [overlay.selected, '#00ffcc']]) {
+    const hl = lid && engine.glyphs.get(lid);
+    if (!hl) continue;
+    const gx = hl.x * sx + ox, gy = hl.y * sy + oy;
+    const r = 10 + Math.sin(now / 200) * 2;
+    ctx.strokeStyle = color; ctx.lineWidth = 1.5;
+    ctx.beginPath(); ctx.arc(gx, gy, r, 0, Math.PI * 2); ctx.stroke();
+    ctx.beginPath(); ctx.moveTo(gx - r - 6, gy); ctx.lineTo(gx - r + 3, gy); ctx.moveTo(gx + r - 3, gy); ctx.lineTo(gx + r + 6, gy); ctx.stroke();
+    ctx.font = 'bold 9px monospace'; ctx.fillStyle = color; ctx.textAlign = 'left';
+    ctx.fillText(hl.id, gx + r + 4, gy - r);
+  }
+
   // ── MAP KEY ──
   const keyW = 90, keyY = 6, keyX = 4, lineH = 12;
   const keyItems = [
@@ -1793,7 +254,7 @@ function renderField(canvas, engine, container) {
     { type: 'line', color: '#ff8800', dash: false, label: 'Open Pipe' },
     { type: 'line', color: '#b464ff', dash: true, label: 'Shortcut' },
     // Other
-    { type: 'bar', color: SEASON_MODIFIERS[engine.season]?.color || '#daa520', label: engine.season.toUpperCase() },
+    { type: 'bar', color: engine.config.seasonModifiers[engine.season]?.color || '#daa520', label: engine.season.toUpperCase() },
   ];
   const keyH = keyItems.length * lineH + 10;
   // Background
@@ -1841,6 +302,33 @@ function renderField(canvas, engine, container) {
     }
     ctx.fillStyle = 'rgba(255,255,255,0.85)'; ctx.fillText(item.label, ix + 12, iy + 3);
   });
+
+  // ── MINIMAP ── whole field + camera viewport
+  const cam = overlay.camera;
+  if (cam && cam.zoom > 1) {
+    const mm = minimapRect(w, h), ms = mm.w / FIELD_W;
+    ctx.fillStyle = 'rgba(10,9,8,0.85)'; ctx.strokeStyle = 'rgba(42,138,138,0.4)'; ctx.lineWidth = 0.5;
+    ctx.beginPath(); ctx.rect(mm.x, mm.y, mm.w, mm.h); ctx.fill(); ctx.stroke();
+    for (const glyph of engine.glyphs.values()) {
+      ctx.fillStyle = glyph.isAttractor ? '#ff6b6b' : glyph.isConcept ? '#daa520' : 'rgba(122,230,214,0.45)';
+      ctx.fillRect(mm.x + glyph.x * ms, mm.y + glyph.y * ms, 1, 1);
+    }
+    const vw = FIELD_W / cam.zoom, vh = FIELD_H / cam.zoom;
+    ctx.strokeStyle = '#00ffcc'; ctx.lineWidth = 1;
+    ctx.strokeRect(mm.x + (cam.cx - vw / 2) * ms, mm.y + (cam.cy - vh / 2) * ms, vw * ms, vh * ms);
+  }
+}
+
+// Nearest glyph to a container-relative point under the given camera
+function glyphAt(engine, container, px, py, camera, reach = 8) {
+  if (!engine || !container) return null;
+  const { sx, sy, ox, oy } = fieldTransform(camera, container.clientWidth, container.clientHeight);
+  let best = null, bestD = reach * reach;
+  for (const g of engine.glyphs.values()) {
+    const dx = g.x * sx + ox - px, dy = g.y * sy + oy - py, d = dx * dx + dy * dy;
+    if (d < bestD) { best = g; bestD = d; }
+  }
+  return best;
 }
 
 function renderChart(canvas, engine, container, mode) {
@@ -1865,7 +353,6 @@ function renderChart(canvas, engine, container, mode) {
 
     // Use observables history if available, else build from current snapshot
     // Build rolling mean from the last 200 generations of observable H_mean
-    const histLen = engine._entropyChartHistory ? engine._entropyChartHistory.length : 0;
     if (!engine._entropyChartHistory) engine._entropyChartHistory = [];
     const orgMean = organic.length > 0 ? organic.reduce((a,b) => a+b, 0) / organic.length : 0;
     const conMean = concept.length > 0 ? concept.reduce((a,b) => a+b, 0) / concept.length : 0;
@@ -1959,6 +446,212 @@ function renderChart(canvas, engine, container, mode) {
   }
 }
 
+// Observable history — every series scaled to its own min/max so shapes compare on one axis.
+// data = toArrays() from the engine's series store; hidden = Set of column keys to skip
+const SERIES_COLORS = { psi:'#00ffcc', vp_mean:'#00aaff', J_H:'#ff8800', f_xi:'#b464ff', F_free:'#e6735a', H_mean:'#daa520', sigma_H:'#b4c864', N_xi:'#ff44cc', S_u:'#5acebe', K_c:'#ff6b6b', helix_R:'#16C0FF', helix_A:'#8F7FFF', helix_z:'#FF6B35', glyphs:'#888' };
+// Missing (NaN) samples fail both comparisons and are skipped; all-missing stays { Infinity, -Infinity }
+function seriesRange(values) {
+  let min = Infinity, max = -Infinity;
+  for (const v of values) { if (v < min) min = v; if (v > max) max = v; }
+  return { min, max };
+}
+function renderSeries(canvas, container, data, hidden) {
+  if (!canvas || !container) return;
+  const dpr = window.devicePixelRatio || 1;
+  const w = container.clientWidth, h = container.clientHeight;
+  canvas.width = w * dpr; canvas.height = h * dpr;
+  canvas.style.width = w + 'px'; canvas.style.height = h + 'px';
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1,0,0,1,0,0); ctx.scale(dpr, dpr);
+  ctx.fillStyle = '#0a0908'; ctx.fillRect(0, 0, w, h);
+  const n = data ? data.generation.length : 0;
+  if (n < 2) { ctx.fillStyle = '#2a8a8a'; ctx.font = '11px monospace'; ctx.textAlign = 'center'; ctx.fillText('Accumulating observables...', w/2, h/2); return; }
+  const pad = { t: 24, b: 24, l: 12, r: 12 }, pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+  const g0 = data.generation[0], gSpan = data.generation[n - 1] - g0 || 1;
+  const xOf = (i) => pad.l + (data.generation[i] - g0) / gSpan * pw;
+
+  // Grid + generation axis
+  ctx.strokeStyle = '#151510'; ctx.lineWidth = 0.5;
+  for (let i = 0; i <= 4; i++) { const y = pad.t + (ph/4)*i; ctx.beginPath(); ctx.moveTo(pad.l, y); ctx.lineTo(w-pad.r, y); ctx.stroke(); }
+  ctx.fillStyle = '#2a8a8a'; ctx.font = '8px monospace';
+  for (let i = 0; i <= 4; i++) { ctx.textAlign = i === 0 ? 'left' : i === 4 ? 'right' : 'center'; ctx.fillText(Math.round(g0 + gSpan * i / 4), pad.l + pw * i / 4, h - 8); }
+
+  for (const [key, values] of Object.entries(data.columns)) {
+    if (hidden.has(key)) continue;
+    const { min, max } = seriesRange(values), span = max - min;
+    ctx.strokeStyle = SERIES_COLORS[key] || '#dcdcdc'; ctx.lineWidth = 1; ctx.globalAlpha = 0.85;
+    ctx.beginPath();
+    // A missing sample breaks the line rather than dropping it to zero
+    let pen = false;
+    for (let i = 0; i < n; i++) {
+      if (Number.isNaN(values[i])) { pen = false; continue; }
+      const y = pad.t + ph - (span > 0 ? (values[i] - min) / span : 0.5) * ph;
+      if (pen) ctx.lineTo(xOf(i), y); else ctx.moveTo(xOf(i), y);
+      pen = true;
+    }
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+  ctx.fillStyle = '#3aaa9a'; ctx.font = '10px monospace'; ctx.textAlign = 'center';
+  ctx.fillText(`Observables · ${n} rows${data.stride > 1 ? ` · 1 per ${data.stride} gen` : ''} · normalized`, w/2, 14);
+}
+
+// Culture dynamics — one line per culture for the chosen metric; share keeps a fixed 0…1 axis so
+// dominance reads directly. data = cultureDynamics.toJSON(); colors/labels keyed by culture name.
+function renderCultureDynamics(canvas, container, data, metric, colors, labels) {
+  if (!canvas || !container) return;
+  const dpr = window.devicePixelRatio || 1;
+  const w = container.clientWidth, h = container.clientHeight;
+  canvas.width = w * dpr; canvas.height = h * dpr;
+  canvas.style.width = w + 'px'; canvas.style.height = h + 'px';
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1,0,0,1,0,0); ctx.scale(dpr, dpr);
+  ctx.fillStyle = '#0a0908'; ctx.fillRect(0, 0, w, h);
+  const lines = data ? Object.entries(data.cultures).filter(([, d]) => d.generation.length > 1) : [];
+  if (!lines.length) { ctx.fillStyle = '#2a8a8a'; ctx.font = '11px monospace'; ctx.textAlign = 'center'; ctx.fillText('Accumulating culture dynamics...', w/2, h/2); return; }
+  const pad = { t: 24, b: 24, l: 34, r: 12 }, pw = w - pad.l - pad.r, ph = h - pad.t - pad.b;
+  let g0 = Infinity, g1 = -Infinity, min = metric === 'share' ? 0 : Infinity, max = metric === 'share' ? 1 : -Infinity;
+  for (const [, d] of lines) {
+    g0 = Math.min(g0, d.generation[0]); g1 = Math.max(g1, d.generation[d.generation.length - 1]);
+    if (metric !== 'share') { const r = seriesRange(d.columns[metric]); min = Math.min(min, r.min); max = Math.max(max, r.max); }
+  }
+  const gSpan = g1 - g0 || 1, span = max - min || 1;
+  const xOf = (g) => pad.l + (g - g0) / gSpan * pw, yOf = (v) => pad.t + ph - (v - min) / span * ph;
+
+  ctx.strokeStyle = '#151510'; ctx.lineWidth = 0.5; ctx.fillStyle = '#2a8a8a'; ctx.font = '8px monospace';
+  for (let i = 0; i <= 4; i++) {
+    const y = pad.t + (ph/4)*i; ctx.beginPath(); ctx.moveTo(pad.l, y); ctx.lineTo(w-pad.r, y); ctx.stroke();
+    ctx.textAlign = 'right'; ctx.fillText(fmtNum(max - span * i / 4), pad.l - 3, y + 3);
+    ctx.textAlign = i === 0 ? 'left' : i === 4 ? 'right' : 'center'; ctx.fillText(Math.round(g0 + gSpan * i / 4), pad.l + pw * i / 4, h - 8);
+  }
+  for (const [name, d] of lines) {
+    const values = d.columns[metric];
+    ctx.strokeStyle = colors[name] || '#dcdcdc'; ctx.lineWidth = name === 'hybrid' ? 1 : 1.4; ctx.globalAlpha = 0.9;
+    if (name === 'hybrid') ctx.setLineDash([3, 3]);
+    ctx.beginPath();
+    let pen = false;
+    for (let i = 0; i < d.generation.length; i++) {
+      if (Number.isNaN(values[i])) { pen = false; continue; }
+      const x = xOf(d.generation[i]), y = yOf(values[i]);
+      if (pen) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+      pen = true;
+    }
+    ctx.stroke(); ctx.setLineDash([]);
+  }
+  ctx.globalAlpha = 1;
+  const label = CULTURE_SERIES.find(c => c.key === metric)?.label || metric;
+  ctx.fillStyle = '#3aaa9a'; ctx.font = '10px monospace'; ctx.textAlign = 'center';
+  ctx.fillText(`Cultures · ${label} · ${lines.length} populations${lines.some(([n]) => labels[n] == null) ? ' (incl. removed)' : ''}`, w/2, 14);
+}
+
+// Chord layout for the fusion matrix: each culture's arc spans its share of all fusion ends,
+// each pair gets a ribbon of matching width at both ends. Angles in radians from 12 o'clock.
+function layoutChord(fusions, gap = 0.05) {
+  const totals = new Map();
+  for (const { a, b, count } of fusions) { totals.set(a, (totals.get(a) || 0) + count); totals.set(b, (totals.get(b) || 0) + count); }
+  const sum = Array.from(totals.values()).reduce((x, y) => x + y, 0);
+  if (!sum) return null;
+  const avail = Math.PI * 2 - gap * totals.size;
+  let angle = 0;
+  const arcs = new Map(Array.from(totals, ([name, total]) => {
+    const arc = { name, total, start: angle, end: angle + total / sum * avail, cursor: angle };
+    angle = arc.end + gap;
+    return [name, arc];
+  }));
+  const ribbons = fusions.map(({ a, b, count }) => {
+    const width = count / sum * avail, A = arcs.get(a), B = arcs.get(b);
+    const ribbon = { a, b, count, a0: A.cursor, a1: A.cursor + width, b0: B.cursor, b1: B.cursor + width };
+    A.cursor += width; B.cursor += width;
+    return ribbon;
+  });
+  return { arcs: Array.from(arcs.values()), ribbons };
+}
+
+// Sweep heatmap ramp: t in [0,1] → deep blue … hot yellow
+const heatColor = (t) => `hsl(${Math.round(240 - 190 * t)}, 80%, ${Math.round(22 + 38 * t)}%)`;
+const fmtNum = (v) => (!Number.isFinite(v) ? '—' : Math.abs(v) >= 1000 || (v !== 0 && Math.abs(v) < 0.01) ? v.toExponential(2) : +v.toFixed(3));
+
+// Resonance network — glyphs placed by graph structure, not field position.
+// net = { graph, communities, layout } maintained by the caller across frames.
+const NET_PAD = 14;
+const COMMUNITY_COLORS = ['#00aaff', '#ff8800', '#b464ff', '#5acebe', '#e6735a', '#daa520', '#ff44cc', '#b4c864', '#16C0FF', '#ff6b6b'];
+function renderNetwork(canvas, engine, container, net, selected = null) {
+  if (!canvas || !engine || !container) return;
+  const dpr = window.devicePixelRatio || 1;
+  const w = container.clientWidth, h = container.clientHeight;
+  canvas.width = w * dpr; canvas.height = h * dpr;
+  canvas.style.width = w + 'px'; canvas.style.height = h + 'px';
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(1,0,0,1,0,0); ctx.scale(dpr, dpr);
+  ctx.fillStyle = '#0a0908'; ctx.fillRect(0, 0, w, h);
+
+  const { graph, communities, layout } = net;
+  const pos = layout.positions;
+  const px = (p) => NET_PAD + p.x * (w - NET_PAD * 2), py = (p) => NET_PAD + p.y * (h - NET_PAD * 2);
+  const threshold = engine.RESONANCE_THRESHOLD, phase = engine.PHASE_TRANSITION_THRESHOLD;
+
+  // Edges — shortcuts dashed, ordinary resonance faded by ρ, phase-transition edges on top
+  for (const pass of ['shortcut', 'resonance', 'phase']) {
+    for (const e of graph.edges) {
+      if ((pass === 'phase') !== e.phase || (pass !== 'phase' && e.kind !== pass)) continue;
+      const a = pos.get(e.a), b = pos.get(e.b);
+      if (!a || !b) continue;
+      if (pass === 'shortcut') { ctx.strokeStyle = 'rgba(180,100,255,0.5)'; ctx.lineWidth = 1; ctx.setLineDash([3, 3]); }
+      else if (pass === 'phase') { ctx.strokeStyle = '#ff8800'; ctx.lineWidth = 2.5; ctx.setLineDash([]); }
+      else {
+        const t = Math.max(0, Math.min(1, (e.weight - threshold) / (phase - threshold || 1)));
+        ctx.strokeStyle = `rgba(0,170,255,${0.12 + t * 0.5})`; ctx.lineWidth = 0.5 + t * 1.5; ctx.setLineDash([]);
+      }
+      ctx.beginPath(); ctx.moveTo(px(a), py(a)); ctx.lineTo(px(b), py(b)); ctx.stroke();
+    }
+  }
+  ctx.setLineDash([]);
+
+  // Nodes — community color, radius by weighted degree; attractors and concepts ringed
+  for (const n of graph.nodes) {
+    const p = pos.get(n.id);
+    if (!p) continue;
+    const x = px(p), y = py(p);
+    const r = Math.max(2, Math.min(7, 1.5 + Math.sqrt(n.degree) * 1.6));
+    const c = communities.community.get(n.id);
+    const singleton = communities.sizes[c] === 1;
+    ctx.fillStyle = singleton ? '#555' : COMMUNITY_COLORS[c % COMMUNITY_COLORS.length];
+    ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2); ctx.fill();
+    if (n.isAttractor || n.isConcept) {
+      ctx.strokeStyle = n.isAttractor ? '#ff6b6b' : '#daa520'; ctx.lineWidth = 1.5;
+      ctx.beginPath(); ctx.arc(x, y, r + 2.5, 0, Math.PI * 2); ctx.stroke();
+    }
+    if (n.id === selected) {
+      ctx.strokeStyle = '#00ffcc'; ctx.lineWidth = 1.5;
+      ctx.beginPath(); ctx.arc(x, y, r + 6, 0, Math.PI * 2); ctx.stroke();
+      ctx.font = 'bold 9px monospace'; ctx.fillStyle = '#00ffcc'; ctx.textAlign = 'left'; ctx.fillText(n.id, x + r + 8, y - 4);
+    }
+  }
+
+  const phaseCount = graph.edges.filter(e => e.phase).length;
+  const multi = communities.sizes.filter(size => size > 1).length;
+  ctx.font = '9px monospace'; ctx.textAlign = 'left'; ctx.fillStyle = '#3aaa9a';
+  ctx.fillText(`${graph.nodes.length} nodes · ${graph.edges.length} edges · ${multi} communities · ${graph.isolated} isolated`, 8, 12);
+  ctx.fillStyle = phaseCount ? '#ff8800' : '#2a8a8a';
+  ctx.fillText(`${phaseCount} phase-transition edges (ρ > ${phase})`, 8, 24);
+  if (graph.nodes.length === 0) {
+    ctx.fillStyle = '#2a8a8a'; ctx.font = '11px "Segoe UI", system-ui, sans-serif'; ctx.textAlign = 'center';
+    ctx.fillText('No resonant pairs yet', w / 2, h / 2);
+  }
+}
+
+// Network node nearest a container-relative point (same mapping as renderNetwork)
+function networkNodeAt(net, container, x, y, reach = 10) {
+  if (!net.graph || !container) return null;
+  const w = container.clientWidth, h = container.clientHeight;
+  let best = null, bestD = reach * reach;
+  for (const [id, p] of net.layout.positions) {
+    const dx = NET_PAD + p.x * (w - NET_PAD * 2) - x, dy = NET_PAD + p.y * (h - NET_PAD * 2) - y, d = dx * dx + dy * dy;
+    if (d < bestD) { best = id; bestD = d; }
+  }
+  return best;
+}
+
 function renderHelix(canvas, engine, container) {
   if (!canvas || !engine || !container) return;
   const dpr = window.devicePixelRatio || 1;
@@ -2022,6 +715,59 @@ function renderHelix(canvas, engine, container) {
   else { ctx.fillStyle = '#ff8800'; ctx.fillText('\u25CE SEEKING EQUILIBRIUM', readX, stabY); }
 }
 
+// ===== LINEAGE LAYOUT =====
+// Layered DAG for the LIN view: one row per step from the root (ancestors above, descendants below).
+// Each row is ordered by the mean x of its already-placed neighbours, which keeps most edges short.
+const LIN_ROW = 46, LIN_COL = 30, LIN_PAD = 24;
+function layoutLineage({ root, nodes }, collapsed) {
+  const byId = new Map(nodes.map(n => [n.id, n]));
+  const children = new Map();
+  for (const n of nodes) for (const pid of n.parents) {
+    if (!byId.has(pid)) continue;
+    if (!children.has(pid)) children.set(pid, []);
+    children.get(pid).push(n.id);
+  }
+  const below = (id, seen = new Set()) => {
+    for (const c of children.get(id) || []) if (byId.get(c).depth > 0 && !seen.has(c)) { seen.add(c); below(c, seen); }
+    return seen;
+  };
+  // Ancestors always show; descendants only when reachable from the root without passing a collapsed node
+  const visible = new Set(nodes.filter(n => n.depth <= 0).map(n => n.id));
+  const stack = [root];
+  while (stack.length) {
+    const id = stack.pop();
+    if (collapsed.has(id)) continue;
+    for (const c of children.get(id) || []) if (byId.get(c).depth > 0 && !visible.has(c)) { visible.add(c); stack.push(c); }
+  }
+  const rows = new Map();
+  for (const id of visible) { const d = byId.get(id).depth; if (!rows.has(d)) rows.set(d, []); rows.get(d).push(id); }
+  const depths = Array.from(rows.keys());
+  const minDepth = Math.min(...depths), maxDepth = Math.max(...depths);
+  const widest = Math.max(...Array.from(rows.values(), r => r.length));
+  const x = new Map();
+  const place = (d, neighbours) => {
+    const row = rows.get(d);
+    if (!row) return;
+    const key = (id) => { const xs = neighbours(id).filter(n => x.has(n)).map(n => x.get(n)); return xs.length ? xs.reduce((a, b) => a + b, 0) / xs.length : Infinity; };
+    row.sort((a, b) => key(a) - key(b));
+    const offset = LIN_PAD + (widest - row.length) * LIN_COL / 2;
+    row.forEach((id, i) => x.set(id, offset + i * LIN_COL));
+  };
+  place(0, () => []);
+  for (let d = 1; d <= maxDepth; d++) place(d, (id) => byId.get(id).parents);
+  for (let d = -1; d >= minDepth; d--) place(d, (id) => children.get(id) || []);
+  const placed = Array.from(visible, id => {
+    const n = byId.get(id);
+    const hidden = collapsed.has(id) ? below(id).size : 0;
+    return { ...n, x: x.get(id), y: LIN_PAD + (n.depth - minDepth) * LIN_ROW, hidden, expandable: (children.get(id) || []).some(c => byId.get(c).depth > 0) };
+  });
+  const pos = new Map(placed.map(n => [n.id, n]));
+  const edges = [];
+  for (const n of placed) for (const pid of n.parents) if (pos.has(pid)) edges.push({ from: pos.get(pid), to: n });
+  const proxyEdges = placed.filter(n => n.proxyFor && pos.has(n.proxyFor)).map(n => ({ from: pos.get(n.proxyFor), to: n }));
+  return { nodes: placed, edges, proxyEdges, width: LIN_PAD * 2 + (widest - 1) * LIN_COL, height: LIN_PAD * 2 + (maxDepth - minDepth) * LIN_ROW + 10 };
+}
+
 // ===== PIPELINE CONFIG =====
 const DEPTH_PRIMES = { shallow: { concepts: 7, terms: 5, clusters: 3, glossary: 7, thesis: 3 }, medium: { concepts: 13, terms: 7, clusters: 5, glossary: 13, thesis: 3 }, deep: { concepts: 23, terms: 13, clusters: 7, glossary: 23, thesis: 5 } };
 const STAGES = [
@@ -2062,20 +808,67 @@ const PROMPTS = {
   crucible_analysis: (summary, collisions) => ({ system: 'Analyze a beacon-coordinated consciousness simulation. Output ONLY valid JSON.', user: `Glyphs:\n${JSON.stringify(summary)}\nCollisions:\n${JSON.stringify(collisions)}\nReturn: {"patterns":[{"name":"...","description":"..."}],"resonance_analysis":{"summary":"..."},"emergence":{"level":"...","indicators":[]}}` }),
 };
 
+// Simulation speeds — worker tick interval (ms) × generations per tick
+const SPEEDS = [
+  { label: '1×', interval: 180, stepsPerTick: 1 },
+  { label: '5×', interval: 36, stepsPerTick: 1 },
+  { label: 'MAX', interval: 0, stepsPerTick: 4 },
+];
+const AUTOSAVE_OPTIONS = [0, 100, 250, 1000]; // generations between autosaves (0 = off)
+const LOG_COLORS = { breakpoint:'#ffee44', collision:'#ff8800', resonance:'#00aaff', concept:'#daa520', synthesis:'#b4c864', analysis:'#ff44cc', evolution:'#5acebe', helix:'#00ffcc', scan:'#ff4466', pool:'#b464ff', info:'#00ff00', season:'#16C0FF', reflex:'#00ffcc', attractor:'#ff6b6b', pressure:'#ff5522' };
+const LOG_FILTER_KINDS = ['breakpoint', 'season', 'reflex', 'attractor', 'pool', 'pressure', 'scan', 'helix', 'collision', 'synthesis', 'resonance', 'info'];
+const LOG_PAGE_SIZE = 40;
+// Panel inputs → event store filter (blank fields mean "any")
+function parseLogFilter({ kinds, glyph, from, to }) {
+  const id = glyph.trim().toLowerCase();
+  return { kinds: kinds.length ? kinds : null, glyph: id || null, from: from === '' ? null : Number(from), to: to === '' ? null : Number(to) };
+}
+
 // ===== MAIN COMPONENT =====
 const TheCrucible = () => {
-  const engineRef = useRef(null);
+  const clientRef = useRef(null);
   const canvasRef = useRef(null);
   const containerRef = useRef(null);
-  const intervalRef = useRef(null);
   const animRef = useRef(null);
   const [initialized, setInitialized] = useState(false);
   const [running, setRunning] = useState(false);
-  const [stats, setStats] = useState({ generation:0, total:0, concepts:0, organic:0, attractors:0, reflexGlyphs:0, entrained:0, dampeners:0, cultureCount:{}, avgStability:0, collisions:0, syntheses:0, avgResonance:0, resonantPairs:0, openPipes:0, vocabulary:46, pools:0, shortcuts:0, season:SeasonalPhase.EXPLORATION, seasonCounter:0, seasonDuration:200, helix:{ R:0, A:1, z:0, gamma:0.5, stable:false, stableFor:0, HRV:0 }, obs:{ psi:0, vp_mean:0, J_H:0, f_xi:0, F_free:0, H_mean:0, sigma_H:0, N_xi:0, phaseTransitions:0, criticalEvents:0, S_u:0, K_c:0 } });
+  const [speed, setSpeed] = useState(0);
+  const [stats, setStats] = useState({ generation:0, seed:0, total:0, concepts:0, organic:0, attractors:0, reflexGlyphs:0, entrained:0, dampeners:0, cultureCount:{}, avgStability:0, collisions:0, syntheses:0, avgResonance:0, resonantPairs:0, openPipes:0, vocabulary:46, pools:0, shortcuts:0, season:SeasonalPhase.EXPLORATION, seasonCounter:0, seasonDuration:200, helix:{ R:0, A:1, z:0, gamma:0.5, stable:false, stableFor:0, HRV:0 }, obs:{ psi:0, vp_mean:0, J_H:0, f_xi:0, F_free:0, H_mean:0, sigma_H:0, N_xi:0, phaseTransitions:0, criticalEvents:0, S_u:0, K_c:0 } });
   const [view, setView] = useState('field');
-  const [logs, setLogs] = useState([]);
+  const eventStoreRef = useRef(null);
+  const eventBatchRef = useRef([]);
+  const highlightRef = useRef(null);
+  const selectedRef = useRef(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [inspected, setInspected] = useState(null);
+  const [hover, setHover] = useState(null); // { id, x, y } in container pixels
+  const cameraRef = useRef({ ...DEFAULT_CAMERA, follow: null }); // read every frame by renderField
+  const [camera, setCamera] = useState({ zoom: 1, follow: null }); // mirrors cameraRef for the controls
+  const dragRef = useRef({ pointers: new Map(), travel: 0 });
+  const netRef = useRef({ source: null, graph: null, communities: null, layout: createForceLayout() });
+  const [lineageRoot, setLineageRoot] = useState(null);
+  const [lineageInput, setLineageInput] = useState('');
+  const [lineageDepth, setLineageDepth] = useState({ up: 4, down: 8 });
+  const [lineage, setLineage] = useState(null);
+  const [collapsed, setCollapsed] = useState(new Set());
+  const seriesFetchRef = useRef(0); // ms timestamp of the last series request
+  const [series, setSeries] = useState(null);
+  const [seriesHidden, setSeriesHidden] = useState(new Set(['glyphs']));
+  const cultureDynFetchRef = useRef(0);
+  const [cultureDyn, setCultureDyn] = useState(null);
+  const [cultureMetric, setCultureMetric] = useState('share');
+  const [logFilter, setLogFilter] = useState({ kinds: [], glyph: '', from: '', to: '' });
+  const [logPage, setLogPage] = useState(0);
+  const [logRows, setLogRows] = useState({ rows: [], hasMore: false });
+  const [logError, setLogError] = useState(null);
+  // Bumped to re-query the log: new events while the live (first) page is showing, a clear, a new run
+  const [logRefresh, setLogRefresh] = useState(0);
+  const logPageRef = useRef(0);
+  logPageRef.current = logPage;
   const [input, setInput] = useState('');
   const [depth, setDepth] = useState('medium');
+  // Semantic Taxonomy clusters become temporary cultures; concepts are injected once the taxonomy is in
+  const [taxonomyCultures, setTaxonomyCultures] = useState(false);
   const [selectedStages, setSelectedStages] = useState(new Set(STAGES.map(s => s.id)));
   const [stageStatus, setStageStatus] = useState({});
   const [results, setResults] = useState({});
@@ -2087,51 +880,586 @@ const TheCrucible = () => {
   const [showPipeline, setShowPipeline] = useState(true);
   const [analysisResult, setAnalysisResult] = useState(null);
   const [analysisLoading, setAnalysisLoading] = useState(false);
+  const [showGraphExport, setShowGraphExport] = useState(false);
+  const saveStoreRef = useRef(null);
+  const autosaveRef = useRef({ lastGen: 0, busy: false });
+  const [showSaves, setShowSaves] = useState(false);
+  const [slots, setSlots] = useState([]);
+  const [slotName, setSlotName] = useState('');
+  const [autosaveEvery, setAutosaveEvery] = useState(250);
+  const [gzipExport, setGzipExport] = useState(canGzip());
+  const [importReport, setImportReport] = useState(null);
+  const [dragOver, setDragOver] = useState(false);
+  const fileInputRef = useRef(null);
+  const [timeline, setTimeline] = useState({ checkpoints: [], branch: 'main' });
+  const [scrubIdx, setScrubIdx] = useState(null); // null = follow the live edge
+  const presetStoreRef = useRef(null);
+  const [showSettings, setShowSettings] = useState(false);
+  const [config, setConfig] = useState(null);
+  const [configError, setConfigError] = useState(null);
+  // Labels and colors follow the run's configured cultures and phases
+  const cultures = config?.cultures || CULTURES;
+  const phases = config?.seasonModifiers || SEASON_MODIFIERS;
+  const [presets, setPresets] = useState([]);
+  const [presetName, setPresetName] = useState('');
+  const [newCulture, setNewCulture] = useState('');
+  const [newPhase, setNewPhase] = useState('');
+  const culturesInputRef = useRef(null);
+  const [pluginList, setPluginList] = useState([]);
+  const [pluginUrl, setPluginUrl] = useState('');
+  const [showBreakpoints, setShowBreakpoints] = useState(false);
+  const [breakpoints, setBreakpoints] = useState([]);
+  const [breakpointInput, setBreakpointInput] = useState('');
+  const [breakpointError, setBreakpointError] = useState(null);
+  const [breakHit, setBreakHit] = useState(null); // last 'breakpoint' event, shown in the header until dismissed or resumed
+  const [breakFlash, setBreakFlash] = useState(false);
+  const sweepJobRef = useRef(null);
+  const [showSweep, setShowSweep] = useState(false);
+  const [sweepForm, setSweepForm] = useState({ x: 'RESONANCE_THRESHOLD=0.3:0.6:5', y: '', seeds: 3, generations: 500 });
+  const [sweepError, setSweepError] = useState(null);
+  const [sweepProgress, setSweepProgress] = useState(null); // { done, total } while running
+  const [sweepResult, setSweepResult] = useState(null);
+  const [sweepMetric, setSweepMetric] = useState({ key: 'psi', field: 'mean' }); // field: 'final' | 'mean' (time-averaged)
 
   const addPipelineLog = useCallback((msg) => { setPipelineLog(prev => [...prev, { time: new Date().toLocaleTimeString(), msg }]); }, []);
 
   useEffect(() => {
-    const engine = new CrucibleEngine();
-    engineRef.current = engine;
+    const client = new CrucibleClient();
+    clientRef.current = client;
+    const events = createEventStore();
+    eventStoreRef.current = events;
+    // Events arrive just ahead of their snapshot; persist each batch in one transaction
+    const unsubscribeEvents = client.onEvent('*', (event) => { eventBatchRef.current.push(event); });
+    // The host has already stopped its loop on the hit generation — mirror that and flash the header
+    const unsubscribeBreak = client.onEvent('breakpoint', (event) => { setRunning(false); setBreakHit(event); setBreakFlash(true); });
+    // The host's loop has already stopped; the run itself is intact
+    const unsubscribeError = client.onError((err) => { setRunning(false); addPipelineLog(`❌ Engine error: ${err.message}`); });
+    const unsubscribe = client.onSnapshot(view => {
+      const batch = eventBatchRef.current.splice(0);
+      if (batch.length) events.append(batch).then(() => { if (logPageRef.current === 0) setLogRefresh(n => n + 1); }, () => {});
+      setStats(view.stats); setTimeline({ checkpoints: view.checkpoints, branch: view.branch }); setConfig(view.config); setPluginList(view.plugins); setBreakpoints(view.breakpoints);
+    });
     (async () => {
-      engine.reset();
-      setStats(engine.getStats()); setLogs([...engine.eventLog]); setInitialized(true);
+      const store = createSaveStore();
+      saveStoreRef.current = store;
+      presetStoreRef.current = createPresetStore();
+      presetStoreRef.current.list().then(setPresets, () => {});
+      await client.request('init');
+      // Resume the last autosave so a tab reload doesn't lose the run
+      try {
+        const auto = await store.load(AUTOSAVE_ID);
+        if (auto) { await client.request('deserialize', { data: auto }); autosaveRef.current.lastGen = auto.generation || 0; }
+        setSlots(await store.list());
+      } catch {}
+      setInitialized(true);
     })();
-    return () => { if (intervalRef.current) clearInterval(intervalRef.current); if (animRef.current) cancelAnimationFrame(animRef.current); };
-  }, []);
+    return () => { unsubscribe(); unsubscribeEvents(); unsubscribeBreak(); unsubscribeError(); client.dispose(); if (animRef.current) cancelAnimationFrame(animRef.current); };
+  }, [addPipelineLog]);
 
+  // The engine steps inside the worker; the UI only starts, stops and re-rates its loop
   useEffect(() => {
     if (!initialized) return;
-    if (running) { intervalRef.current = setInterval(() => { const e = engineRef.current; e.step(); setStats(e.getStats()); setLogs([...e.eventLog]); }, 180); }
-    else { if (intervalRef.current) clearInterval(intervalRef.current); }
-    return () => { if (intervalRef.current) clearInterval(intervalRef.current); };
-  }, [running, initialized]);
+    const { interval, stepsPerTick } = SPEEDS[speed];
+    if (running) { setScrubIdx(null); setBreakHit(null); }
+    clientRef.current.request(running ? 'run' : 'pause', { interval, stepsPerTick });
+  }, [running, speed, initialized]);
+
+  useEffect(() => {
+    if (!breakFlash) return;
+    const t = setTimeout(() => setBreakFlash(false), 1500);
+    return () => clearTimeout(t);
+  }, [breakFlash]);
+
+  const moveCamera = useCallback((patch) => {
+    const next = clampCamera({ ...cameraRef.current, ...patch });
+    cameraRef.current = next;
+    setCamera(c => (c.zoom === next.zoom && c.follow === next.follow ? c : { zoom: next.zoom, follow: next.follow }));
+  }, []);
 
   const doRender = useCallback(() => {
-    const canvas = canvasRef.current, container = containerRef.current, engine = engineRef.current;
+    const canvas = canvasRef.current, container = containerRef.current, engine = clientRef.current?.view;
     if (!canvas || !container || !engine) return;
-    if (view === 'field') renderField(canvas, engine, container);
+    // Follow mode eases the camera toward its target; a culled target ends it
+    const cam = cameraRef.current;
+    if (view === 'field' && cam.follow) {
+      const g = engine.glyphs.get(cam.follow);
+      if (g) moveCamera({ cx: cam.cx + (g.x - cam.cx) * 0.15, cy: cam.cy + (g.y - cam.cy) * 0.15 });
+      else moveCamera({ follow: null });
+    }
+    if (view === 'field') renderField(canvas, engine, container, { highlight: highlightRef.current, selected: selectedRef.current, camera: cameraRef.current });
+    else if (view === 'network') {
+      // Graph + communities once per snapshot; the layout relaxes a little every frame
+      const net = netRef.current;
+      if (net.source !== engine) {
+        const graph = buildResonanceGraph(engine);
+        Object.assign(net, { source: engine, graph, communities: detectCommunities(graph) });
+      }
+      net.layout.step(net.graph, 2);
+      renderNetwork(canvas, engine, container, net, selectedRef.current);
+    }
     else if (view === 'helix') renderHelix(canvas, engine, container);
+    else if (view === 'series') renderSeries(canvas, container, series, seriesHidden);
+    else if (view === 'cultures') {
+      const cs = engine.config.cultures;
+      renderCultureDynamics(canvas, container, cultureDyn, cultureMetric, { ...Object.fromEntries(Object.entries(cs).map(([n, c]) => [n, c.color])), hybrid: '#dcdcdc' }, Object.fromEntries(Object.entries(cs).map(([n, c]) => [n, c.label])));
+    }
     else if (view === 'attractors') { /* HTML panel, no canvas */ const ctx = canvas.getContext('2d'); const dpr = window.devicePixelRatio || 1; const w = container.clientWidth, h = container.clientHeight; canvas.width = w * dpr; canvas.height = h * dpr; canvas.style.width = w + 'px'; canvas.style.height = h + 'px'; ctx.setTransform(1,0,0,1,0,0); ctx.scale(dpr, dpr); ctx.fillStyle = '#0a0908'; ctx.fillRect(0, 0, w, h); ctx.fillStyle = '#2a8a8a'; ctx.font = '11px "Segoe UI", system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.fillText('Attractor tracking below', w/2, h/2); }
     else if (view === 'reflexes') { const ctx = canvas.getContext('2d'); const dpr = window.devicePixelRatio || 1; const w = container.clientWidth, h = container.clientHeight; canvas.width = w * dpr; canvas.height = h * dpr; canvas.style.width = w + 'px'; canvas.style.height = h + 'px'; ctx.setTransform(1,0,0,1,0,0); ctx.scale(dpr, dpr); ctx.fillStyle = '#0a0908'; ctx.fillRect(0, 0, w, h); ctx.fillStyle = '#2a8a8a'; ctx.font = '11px "Segoe UI", system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.fillText('Reflex tracking below', w/2, h/2); }
+    else if (view === 'lineage') { const ctx = canvas.getContext('2d'); const dpr = window.devicePixelRatio || 1; const w = container.clientWidth, h = container.clientHeight; canvas.width = w * dpr; canvas.height = h * dpr; canvas.style.width = w + 'px'; canvas.style.height = h + 'px'; ctx.setTransform(1,0,0,1,0,0); ctx.scale(dpr, dpr); ctx.fillStyle = '#0a0908'; ctx.fillRect(0, 0, w, h); ctx.fillStyle = '#2a8a8a'; ctx.font = '11px "Segoe UI", system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.fillText('Lineage tree below', w/2, h/2); }
     else if (view === 'vocab') { const ctx = canvas.getContext('2d'); const dpr = window.devicePixelRatio || 1; const w = container.clientWidth, hh = container.clientHeight; canvas.width = w * dpr; canvas.height = hh * dpr; canvas.style.width = w + 'px'; canvas.style.height = hh + 'px'; ctx.setTransform(1,0,0,1,0,0); ctx.scale(dpr, dpr); ctx.fillStyle = '#0a0908'; ctx.fillRect(0, 0, w, hh); ctx.fillStyle = '#2a8a8a'; ctx.font = '11px "Segoe UI", system-ui, sans-serif'; ctx.textAlign = 'center'; ctx.fillText('Vocabulary list below', w/2, hh/2); }
     else renderChart(canvas, engine, container, view);
     animRef.current = requestAnimationFrame(doRender);
-  }, [view]);
+  }, [view, moveCamera, series, seriesHidden, cultureDyn, cultureMetric]);
 
   useEffect(() => { if (!initialized) return; animRef.current = requestAnimationFrame(doRender); return () => { if (animRef.current) cancelAnimationFrame(animRef.current); }; }, [initialized, doRender]);
 
+  // Event log page — the first page follows new events, older pages hold still while reading
+  useEffect(() => {
+    const store = eventStoreRef.current;
+    if (!store) return;
+    const filter = parseLogFilter(logFilter);
+    highlightRef.current = filter.glyph;
+    let cancelled = false;
+    store.query(filter, { offset: logPage * LOG_PAGE_SIZE, limit: LOG_PAGE_SIZE }).then(
+      r => { if (!cancelled) { setLogRows(r); setLogError(null); } },
+      e => { if (!cancelled) { setLogRows({ rows: [], hasMore: false }); setLogError(e.message); } });
+    return () => { cancelled = true; };
+  }, [logFilter, logPage, logRefresh]);
+
+  // Inspector detail comes from the live engine (entropy history, episodes, partners aren't in snapshots);
+  // refreshed every generation, and kept (marked culled) once the glyph is gone
+  useEffect(() => {
+    selectedRef.current = selectedId;
+    if (!selectedId) { setInspected(null); return; }
+    let cancelled = false;
+    clientRef.current.request('inspect', { glyph: selectedId }).then(detail => {
+      if (!cancelled) setInspected(prev => detail || (prev && prev.id === selectedId ? { ...prev, culled: true } : null));
+    }, () => {});
+    return () => { cancelled = true; };
+  }, [selectedId, stats.generation]);
+
+  const fieldPoint = (e) => { const r = containerRef.current.getBoundingClientRect(); return [e.clientX - r.left, e.clientY - r.top]; };
+  // Lineage view: root defaults to the inspector selection, else the strongest attractor; refreshed every generation
+  useEffect(() => {
+    if (view !== 'lineage' || !initialized) return;
+    let root = lineageRoot;
+    if (!root) {
+      const top = Array.from(clientRef.current?.view?.glyphs.values() || []).filter(g => g.isAttractor).sort((a, b) => b.influenceScore - a.influenceScore)[0];
+      root = selectedId || top?.id || null;
+      if (root) { setLineageRoot(root); return; }
+    }
+    if (!root) return;
+    let cancelled = false;
+    clientRef.current.request('lineage', { glyph: root, ...lineageDepth }).then(data => { if (!cancelled) setLineage(data); }, () => {});
+    return () => { cancelled = true; };
+  }, [view, initialized, lineageRoot, lineageDepth, selectedId, stats.generation]);
+
+  // Observable series: the full columnar history, so at most one fetch per 500ms however fast the run
+  useEffect(() => {
+    if (view !== 'series' || !initialized) return;
+    let cancelled = false;
+    const fetchSeries = () => {
+      seriesFetchRef.current = Date.now();
+      clientRef.current.request('series').then(data => { if (!cancelled) setSeries(data); }, () => {});
+    };
+    const wait = 500 - (Date.now() - seriesFetchRef.current);
+    const timer = wait > 0 ? setTimeout(fetchSeries, wait) : (fetchSeries(), null);
+    return () => { cancelled = true; if (timer) clearTimeout(timer); };
+  }, [view, initialized, stats.generation]);
+
+  // Culture dynamics: same throttle as the observable series
+  useEffect(() => {
+    if (view !== 'cultures' || !initialized) return;
+    let cancelled = false;
+    const fetchDynamics = () => {
+      cultureDynFetchRef.current = Date.now();
+      clientRef.current.request('cultureDynamics').then(data => { if (!cancelled) setCultureDyn(data); }, () => {});
+    };
+    const wait = 500 - (Date.now() - cultureDynFetchRef.current);
+    const timer = wait > 0 ? setTimeout(fetchDynamics, wait) : (fetchDynamics(), null);
+    return () => { cancelled = true; if (timer) clearTimeout(timer); };
+  }, [view, initialized, stats.generation]);
+
+  const toggleSeries = (key) => setSeriesHidden(prev => { const next = new Set(prev); if (next.has(key)) next.delete(key); else next.add(key); return next; });
+
+  const rerootLineage = (id) => { setLineageRoot(id); setLineageInput(''); setCollapsed(new Set()); setSelectedId(id); };
+  const toggleCollapsed = (id) => setCollapsed(prev => { const next = new Set(prev); if (next.has(id)) next.delete(id); else next.add(id); return next; });
+
+  const onFieldClick = (e) => {
+    if (view === 'network') { setSelectedId(networkNodeAt(netRef.current, containerRef.current, ...fieldPoint(e))); return; }
+    if (view !== 'field' || dragRef.current.travel > 4) return; // end of a pan, not a click
+    const [x, y] = fieldPoint(e);
+    const cam = cameraRef.current, c = containerRef.current;
+    const mm = minimapRect(c.clientWidth, c.clientHeight);
+    if (cam.zoom > 1 && x >= mm.x && x <= mm.x + mm.w && y >= mm.y && y <= mm.y + mm.h) {
+      moveCamera({ cx: (x - mm.x) / mm.w * FIELD_W, cy: (y - mm.y) / mm.h * FIELD_H, follow: null });
+      return;
+    }
+    const g = glyphAt(clientRef.current?.view, c, x, y, cam);
+    setSelectedId(g ? g.id : null);
+  };
+
+  // ── Camera: wheel / pinch zoom around the pointer, drag to pan ──
+  const zoomAt = useCallback((factor, px, py) => {
+    const c = containerRef.current;
+    if (!c) return;
+    const w = c.clientWidth, h = c.clientHeight, cam = cameraRef.current;
+    const { sx, sy, ox, oy } = fieldTransform(cam, w, h);
+    const wx = (px - ox) / sx, wy = (py - oy) / sy; // world point under the pointer stays put
+    const zoom = Math.min(MAX_ZOOM, Math.max(1, cam.zoom * factor));
+    const nsx = w / FIELD_W * zoom, nsy = h / FIELD_H * zoom;
+    moveCamera({ zoom, cx: wx - (px - w / 2) / nsx, cy: wy - (py - h / 2) / nsy });
+  }, [moveCamera]);
+  const zoomBy = (factor) => { const c = containerRef.current; if (c) zoomAt(factor, c.clientWidth / 2, c.clientHeight / 2); };
+  const followGlyph = (id) => moveCamera({ follow: id, zoom: Math.max(cameraRef.current.zoom, 3) });
+  const followTopAttractor = () => {
+    const top = Array.from(clientRef.current?.view?.glyphs.values() || []).filter(g => g.isAttractor).sort((a, b) => b.influenceScore - a.influenceScore)[0];
+    if (top) followGlyph(top.id);
+  };
+
+  useEffect(() => {
+    const el = containerRef.current;
+    if (!el || view !== 'field') return;
+    // Native listener: React's wheel handler is passive and can't stop the page scrolling
+    const onWheel = (e) => { if (e.target !== canvasRef.current) return; e.preventDefault(); const r = el.getBoundingClientRect(); zoomAt(Math.exp(-e.deltaY * 0.0015), e.clientX - r.left, e.clientY - r.top); };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, [view, initialized, zoomAt]);
+
+  const onFieldPointerDown = (e) => {
+    if (view !== 'field' || e.target !== canvasRef.current) return; // not on the inspector / tooltip
+    const d = dragRef.current;
+    if (d.pointers.size === 0) d.travel = 0;
+    d.pointers.set(e.pointerId, fieldPoint(e));
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+  };
+  const onFieldPointerMove = (e) => {
+    if (view !== 'field') return;
+    const d = dragRef.current;
+    const [x, y] = fieldPoint(e);
+    const prev = d.pointers.get(e.pointerId);
+    if (!prev) {
+      const g = glyphAt(clientRef.current?.view, containerRef.current, x, y, cameraRef.current);
+      setHover(g ? { id: g.id, x, y } : null);
+      return;
+    }
+    const other = Array.from(d.pointers).find(([id]) => id !== e.pointerId)?.[1];
+    if (other) {
+      // Pinch — zoom by the change in finger spread, around the midpoint
+      const before = Math.hypot(prev[0] - other[0], prev[1] - other[1]), after = Math.hypot(x - other[0], y - other[1]);
+      if (before > 0) zoomAt(after / before, (x + other[0]) / 2, (y + other[1]) / 2);
+    } else {
+      const c = containerRef.current, cam = cameraRef.current;
+      const { sx, sy } = fieldTransform(cam, c.clientWidth, c.clientHeight);
+      moveCamera({ cx: cam.cx - (x - prev[0]) / sx, cy: cam.cy - (y - prev[1]) / sy, follow: d.travel > 4 ? null : cam.follow });
+    }
+    d.travel += Math.abs(x - prev[0]) + Math.abs(y - prev[1]);
+    d.pointers.set(e.pointerId, [x, y]);
+    if (hover) setHover(null);
+  };
+  const onFieldPointerUp = (e) => { dragRef.current.pointers.delete(e.pointerId); };
+
+  // Autosave every N generations into the rolling autosave slot
+  useEffect(() => {
+    if (!initialized || !autosaveEvery) return;
+    const a = autosaveRef.current;
+    if (stats.generation < a.lastGen) a.lastGen = stats.generation; // timeline was reset or rewound
+    if (a.busy || stats.generation - a.lastGen < autosaveEvery) return;
+    a.busy = true; a.lastGen = stats.generation;
+    (async () => {
+      try {
+        const data = await clientRef.current.request('serialize');
+        await saveStoreRef.current.save('Autosave', data, { id: AUTOSAVE_ID });
+        setSlots(await saveStoreRef.current.list());
+      } catch (e) { await clientRef.current.request('log', { msg: `💾 Autosave failed: ${e.message}` }).catch(() => {}); }
+      finally { a.busy = false; }
+    })();
+  }, [stats.generation, autosaveEvery, initialized]);
+
+  const doSaveSlot = async () => {
+    const client = clientRef.current, store = saveStoreRef.current;
+    try {
+      const data = await client.request('serialize');
+      const name = slotName.trim() || `Gen ${data.generation}`;
+      await store.save(name, data);
+      await client.request('log', { msg: `💾 Saved "${name}" (gen ${data.generation}, ${store.backend})` });
+      setSlotName(''); setSlots(await store.list());
+    } catch (e) { await client.request('log', { msg: `💾 Save failed: ${e.message}` }); }
+  };
+
+  const doLoadSlot = async (id) => {
+    // Older-schema slots are migrated by the engine; unreadable ones leave the current run untouched
+    try {
+      const data = await saveStoreRef.current.load(id);
+      if (!data) return;
+      setRunning(false); clientRef.current.clearHistory(); await startEventRun();
+      await clientRef.current.request('deserialize', { data });
+      autosaveRef.current.lastGen = data.generation || 0;
+    } catch (e) { await clientRef.current.request('log', { msg: `💾 Load failed: ${e.message}` }); }
+  };
+
+  // Every file export: build(client) → { blob, filename, msg? } can fail anywhere (the request, encoding,
+  // a missing CompressionStream), so failures land in the engine log like a failed slot load
+  const exportAndDownload = async (what, build) => {
+    const client = clientRef.current;
+    try {
+      const { blob, filename, msg } = await build(client);
+      downloadBlob(blob, filename);
+      await client.request('log', { msg: msg || `📤 Exported ${filename} (${(blob.size / 1024).toFixed(1)} KB)` });
+    } catch (e) { await client.request('log', { msg: `📤 ${what} export failed: ${e.message}` }).catch(() => {}); }
+  };
+
+  const doExportFile = () => exportAndDownload('Save', async (client) => encodeSaveFile(await client.request('serialize'), { gzip: gzipExport }));
 
+  const doExportJournal = () => exportAndDownload('Journal', async (client) => {
+    const journal = await client.request('journal');
+    const { blob, filename } = await encodeSaveFile(journal, { gzip: gzipExport, ext: JOURNAL_FILE_EXT });
+    return { blob, filename, msg: `📤 Exported ${filename} (${journal.entries.length} interventions)` };
+  });
+
+  // A bad filter (inverted generation range) also shows in the log panel, where it was entered
+  const doExportEvents = () => exportAndDownload('Event', async () => {
+    const blob = await exportEventsNDJSON(eventStoreRef.current, parseLogFilter(logFilter)).catch((e) => { setLogError(e.message); throw e; });
+    return { blob, filename: `crucible-events-s${stats.seed}.ndjson` };
+  });
+
+  const doExportGraph = (format) => exportAndDownload('Graph', async (client) => {
+    const { label, ext, mime, write } = GRAPH_FORMATS[format];
+    const graph = await client.request('graph');
+    const cultureColors = Object.fromEntries(Object.entries(cultures).map(([name, c]) => [name, c.color]));
+    const filename = `crucible-gen${graph.generation}-s${graph.seed}${ext}`;
+    return { blob: new Blob([write(graph, { cultureColors })], { type: mime }), filename, msg: `🕸 Exported ${label} ${filename} (${graph.nodes.length} nodes, ${graph.edges.length} edges)` };
+  });
+
+  const doExportCultureDynamics = (format) => exportAndDownload('Culture dynamics', async (client) => {
+    const data = await client.request('cultureDynamics');
+    const blob = format === 'csv'
+      ? new Blob([cultureDynamicsToCSV(data)], { type: 'text/csv' })
+      : new Blob([cultureDynamicsToJSON(data, { seed: stats.seed })], { type: 'application/json' });
+    return { blob, filename: `crucible-cultures-s${stats.seed}.${format}` };
+  });
+
+  const doExportSeries = (format) => exportAndDownload('Series', async (client) => {
+    const data = await client.request('series');
+    const blob = format === 'csv'
+      ? new Blob([seriesToCSV(data)], { type: 'text/csv' })
+      : new Blob([seriesToColumnarJSON(data, { seed: stats.seed })], { type: 'application/json' });
+    const filename = `crucible-series-s${stats.seed}.${format}`;
+    return { blob, filename, msg: `📈 Exported ${filename} (${data.generation.length} rows${data.stride > 1 ? `, 1 per ${data.stride} gen` : ''})` };
+  });
+
+  // Sweeps start from the live config and run in their own worker — the live run keeps going
+  const doRunSweep = async () => {
+    let plan;
+    try {
+      const axes = [sweepForm.x, sweepForm.y].filter(a => a.trim()).map(parseAxis);
+      plan = planSweep({ axes, seeds: Math.max(1, +sweepForm.seeds || 1), baseSeed: stats.seed, generations: Math.max(1, +sweepForm.generations || 1), config: config || {} });
+    } catch (e) { setSweepError(e.message); return; }
+    setSweepError(null); setSweepResult(null); setSweepProgress({ done: 0, total: plan.runs });
+    const job = startSweep(plan, { onRun: (run, done, total) => setSweepProgress({ done, total }) });
+    sweepJobRef.current = job;
+    try {
+      const result = await job.done;
+      setSweepResult(result);
+      await clientRef.current.request('log', { msg: `🧪 Sweep ${result.complete ? 'finished' : 'cancelled'}: ${result.runs.length}/${plan.runs} runs over ${plan.axes.map(a => a.path).join(' × ')}`, kind: 'analysis' });
+    } catch (e) { setSweepError(e.message); }
+    finally { sweepJobRef.current = null; setSweepProgress(null); }
+  };
+
+  const doExportSweep = (format) => {
+    const r = sweepResult;
+    const blob = format === 'csv' ? new Blob([sweepRunsToCSV(r)], { type: 'text/csv' }) : new Blob([JSON.stringify(r)], { type: 'application/json' });
+    downloadBlob(blob, `crucible-sweep-${r.axes.map(a => a.path.replace(/\W+/g, '_')).join('-x-')}-s${r.seeds[0]}.${format}`);
+  };
+
+  // Conditions are parsed by the engine — its error message is what the user needs to see
+  const doAddBreakpoint = async () => {
+    const condition = breakpointInput.trim();
+    if (!condition) return;
+    try {
+      await clientRef.current.request('addBreakpoint', { condition });
+      setBreakpointInput(''); setBreakpointError(null);
+    } catch (e) { setBreakpointError(e.message); }
+  };
+
+  const doClearEvents = async () => {
+    await eventStoreRef.current.clear();
+    setLogPage(0); setLogRefresh(n => n + 1);
+  };
+
+  // The timeline is being replaced (reset, load, import, replay) — the log starts over with it
+  const startEventRun = async () => {
+    eventBatchRef.current.length = 0;
+    try { await eventStoreRef.current.startRun(); } catch {}
+    setLogPage(0); setLogRefresh(n => n + 1);
+  };
+
+  const updateLogFilter = (patch) => { setLogFilter(f => ({ ...f, ...patch })); setLogPage(0); };
+
+  // Validate before handing to the engine so a bad file never replaces the running simulation
+  const doImportFile = async (file) => {
+    const client = clientRef.current;
+    const reject = (errors) => { setImportReport({ name: file.name, ok: false, errors }); setShowSaves(true); };
+    let data;
+    try { data = await decodeSaveFile(file); } catch (e) { reject([e.message]); return; }
+    try {
+      if (data?.format === PRESET_FORMAT) {
+        const errors = validateConfig(data.config || {});
+        if (errors.length) { reject(errors); return; }
+        await presetStoreRef.current.save(data.name || file.name, data.config);
+        setPresets(await presetStoreRef.current.list()); setShowSettings(true);
+        await client.request('log', { msg: `⚙ Imported preset "${data.name || file.name}"` });
+        return;
+      }
+      if (data?.format === CULTURES_FORMAT) { await doImportCultures(file, data); return; }
+      if (data?.format === JOURNAL_FORMAT) {
+        // Journals rebuild the run from its seed — this re-simulates every generation, so it can take a moment
+        setRunning(false); client.clearHistory(); setImportReport(null); await startEventRun();
+        const { generation } = await client.request('replay', { journal: data });
+        autosaveRef.current.lastGen = generation;
+        await client.request('log', { msg: `▶ Replayed ${file.name} (${data.entries.length} interventions → gen ${generation})` });
+        return;
+      }
+      const report = { name: file.name, ...validateSnapshot(data) };
+      setImportReport(report); setShowSaves(true);
+      if (!report.ok) { await client.request('log', { msg: `📥 Import rejected: ${report.errors[0]}` }); return; }
+      setRunning(false); client.clearHistory(); await startEventRun();
+      await client.request('deserialize', { data });
+      autosaveRef.current.lastGen = data.generation || 0;
+      const dangling = Object.values(report.dangling).reduce((n, list) => n + list.length, 0);
+      await client.request('log', { msg: `📥 Imported ${file.name} (schema v${report.schemaVersion}${dangling ? `, ${dangling} dangling refs` : ''})` });
+    } catch (e) { reject([e.message]); }
+  };
+
+  // Culture files, or the cultures of a preset, are added to the run's; a same-named culture is replaced outright
+  const doImportCultures = async (file, decoded = null) => {
+    let incoming;
+    try {
+      const data = decoded || await decodeSaveFile(file);
+      incoming = data.format === CULTURES_FORMAT ? data.cultures : data.format === PRESET_FORMAT ? data.config?.cultures : null;
+      if (!incoming) throw new Error('Not a cultures or preset file with cultures');
+    } catch (e) { setConfigError(`${file.name}: ${e.message}`); setShowSettings(true); return; }
+    const patch = { cultures: Object.fromEntries(Object.entries(incoming).map(([name, c]) => {
+      if (c === null) return [name, null];
+      // Null out eigenvalues the incoming culture drops, otherwise they would merge into it
+      const stale = Object.keys(config?.cultures?.[name]?.eigenvalues || {}).filter(tag => !(tag in (c.eigenvalues || {})));
+      return [name, { ...c, eigenvalues: { ...Object.fromEntries(stale.map(tag => [tag, null])), ...(c.eigenvalues || {}) } }];
+    })) };
+    const errors = validateConfig(patch);
+    if (errors.length) { setConfigError(`${file.name}: ${errors.join('; ')}`); setShowSettings(true); return; }
+    await doConfigure(patch);
+    setShowSettings(true);
+    await clientRef.current.request('log', { msg: `🌐 Imported cultures from ${file.name}: ${Object.keys(incoming).join(', ')}` });
+  };
+  const doExportCultures = () => exportAndDownload('Cultures', () => encodeSaveFile({ format: CULTURES_FORMAT, version: 1, cultures: config.cultures }, { ext: CULTURES_FILE_EXT, name: `crucible-s${stats.seed}` }));
+
+  const onDropFile = (e) => {
+    e.preventDefault(); setDragOver(false);
+    const file = e.dataTransfer.files?.[0];
+    if (file) doImportFile(file);
+  };
+
+  const doRestoreCheckpoint = async (fork) => {
+    const cp = timeline.checkpoints[scrubIdx ?? timeline.checkpoints.length - 1];
+    if (!cp) return;
+    setRunning(false); clientRef.current.clearHistory();
+    await clientRef.current.request('restore', { checkpoint: cp.id, fork });
+    autosaveRef.current.lastGen = cp.gen;
+    setScrubIdx(null);
+  };
+
+  // ── Config editing ──
+  const doConfigure = async (patch) => {
+    try { await clientRef.current.request('configure', { patch }); setConfigError(null); } catch (e) { setConfigError(e.message); }
+  };
+  const commitSetting = (path, raw, current) => {
+    const value = Number(raw);
+    if (raw === '' || value === current) return;
+    doConfigure(path.split('.').reduceRight((acc, key) => ({ [key]: acc }), value));
+  };
+  const doAddCulture = () => {
+    const name = newCulture.trim().toLowerCase();
+    if (!name) return;
+    if (config.cultures[name]) { setConfigError(`Culture ${name} already exists`); return; }
+    if (!schemaFor(`cultures.${name}.label`)) { setConfigError(`Culture names start with a letter and use a-z 0-9 - _ ("${HYBRID_CULTURE}" is reserved)`); return; }
+    doConfigure({ cultures: { [name]: { label: name[0].toUpperCase() + name.slice(1), color: '#dcdcdc', enabled: true, tags: [], eigenvalues: {} } } });
+    setNewCulture('');
+  };
+  const commitCulture = (name, patch) => doConfigure({ cultures: { [name]: patch } });
+  const commitCultureTags = (name, raw, current) => {
+    const tags = Array.from(new Set(raw.toLowerCase().split(/[\s,]+/).filter(Boolean)));
+    if (tags.join(' ') !== current.join(' ')) commitCulture(name, { tags });
+  };
+  // "tag=λ tag=λ" — tags left out of the text lose their eigenvalue
+  const commitCultureEigenvalues = (name, raw, current) => {
+    const next = Object.fromEntries(raw.toLowerCase().split(/[\s,]+/).filter(Boolean).map(part => {
+      const [tag, v] = part.split('=');
+      return [tag, v?.trim() ? Number(v) : NaN];
+    }));
+    const eigenvalues = { ...Object.fromEntries(Object.keys(current).filter(tag => !(tag in next)).map(tag => [tag, null])), ...next };
+    if (Object.entries(eigenvalues).some(([tag, v]) => current[tag] !== v)) commitCulture(name, { eigenvalues });
+  };
+  const doAddPhase = () => {
+    const name = newPhase.trim().toLowerCase();
+    if (!name) return;
+    if (config.seasonModifiers[name]) { setConfigError(`Phase ${name} already exists`); return; }
+    if (!schemaFor(`seasonModifiers.${name}.color`)) { setConfigError('Phase names start with a letter and use a-z 0-9 - _'); return; }
+    // Neutral until edited; it only runs once the schedule names it
+    doConfigure({ seasonModifiers: { [name]: { entropy: 1, resonance: 0, sleep: 1, color: '#daa520', duration: 0, tags: [], onEnter: ['shockwave'], onExit: [] } } });
+    setNewPhase('');
+  };
+  const commitPhase = (name, patch) => doConfigure({ seasonModifiers: { [name]: patch } });
+  // Tags and actions share one text format: space- or comma-separated names
+  const commitPhaseList = (name, key, raw, current) => {
+    const list = Array.from(new Set(raw.toLowerCase().split(/[\s,]+/).filter(Boolean)));
+    if (list.join(' ') !== current.join(' ')) commitPhase(name, { [key]: list });
+  };
+  const commitSchedule = (raw) => {
+    let steps;
+    try { steps = parseSchedule(raw); } catch (e) { setConfigError(e.message); return; }
+    if (formatSchedule(steps) !== formatSchedule(config.seasonSchedule.steps)) doConfigure({ seasonSchedule: { steps } });
+  };
+  // Presets are partial configs layered on the defaults, so applying one also undoes earlier edits
+  const doApplyPreset = (patch) => doConfigure(wholeConfigPatch(resolveConfig(patch), config));
+  // Preset storage failures show next to the preset list, like config errors
+  const doSavePreset = async () => {
+    const name = presetName.trim();
+    if (!name || !config) return;
+    try {
+      await presetStoreRef.current.save(name, config);
+      setPresetName(''); setPresets(await presetStoreRef.current.list());
+    } catch (e) { setConfigError(`Preset save failed: ${e.message}`); }
+  };
+  const doDeletePreset = async (name) => {
+    try { await presetStoreRef.current.remove(name); setPresets(await presetStoreRef.current.list()); }
+    catch (e) { setConfigError(`Preset delete failed: ${e.message}`); }
+  };
+  const doExportPreset = (name, presetConfig) => exportAndDownload('Preset', () => encodeSaveFile({ format: PRESET_FORMAT, name, config: presetConfig }, { ext: PRESET_FILE_EXT, name }));
+
+  const doTogglePlugin = (name, enabled) => clientRef.current.request('plugin', { name, enabled }).catch(e => setConfigError(e.message));
+  const doLoadPlugin = async () => {
+    const url = pluginUrl.trim();
+    if (!url) return;
+    // Resolve against the page so relative paths work from inside the worker too
+    try { await clientRef.current.request('loadPlugin', { url: new URL(url, location.href).href }); setPluginUrl(''); setConfigError(null); } catch (e) { setConfigError(`Plugin load failed: ${e.message}`); }
+  };
 
-  const doReset = () => { if (intervalRef.current) clearInterval(intervalRef.current); setRunning(false); engineRef.current.reset(); setStats(engineRef.current.getStats()); setLogs([...engineRef.current.eventLog]); setResults({}); setAnalysisResult(null); };
+  const doDeleteSlot = async (id) => {
+    try {
+      await saveStoreRef.current.remove(id);
+      setSlots(await saveStoreRef.current.list());
+    } catch (e) { await clientRef.current.request('log', { msg: `💾 Delete failed: ${e.message}` }); }
+  };
+
+  const doReset = async () => { setRunning(false); clientRef.current.clearHistory(); await startEventRun(); clientRef.current.request('reset'); setResults({}); setAnalysisResult(null); };
 
   const doAnalyze = async () => {
     setAnalysisLoading(true);
-    const engine = engineRef.current;
+    const client = clientRef.current, engine = client.view;
     const summary = Array.from(engine.glyphs.values()).slice(-20).map(g => ({ id: g.id, tags: g.tags, entropy: g.entropy, isConcept: g.isConcept, isAttractor: g.isAttractor, isReflex: g.isReflex, season: g.seasonBorn, thermo: g.thermodynamicState ? { H: g.thermodynamicState.H, dH_dt: +g.thermodynamicState.dH_dt.toFixed(3) } : null }));
-    const recent = engine.collisionLog.slice(-10).map(c => ({ parents: `${c.parentA}×${c.parentB}`, child: c.offspring, resonance: +c.resonance.toFixed(3), crossType: c.crossType }));
-    try { const r = await callAPI(PROMPTS.crucible_analysis(summary, recent).system, PROMPTS.crucible_analysis(summary, recent).user, null); setAnalysisResult(r); engine.log('🧠 Crucible analysis complete', 'analysis'); } catch { setAnalysisResult(null); }
-    setAnalysisLoading(false); setLogs([...engine.eventLog]);
+    const recent = engine.recentCollisions.map(c => ({ parents: `${c.parentA}×${c.parentB}`, child: c.offspring, resonance: +c.resonance.toFixed(3), crossType: c.crossType }));
+    try { const r = await callAPI(PROMPTS.crucible_analysis(summary, recent).system, PROMPTS.crucible_analysis(summary, recent).user, null); setAnalysisResult(r); await client.request('log', { msg: '🧠 Crucible analysis complete', kind: 'analysis' }); } catch { setAnalysisResult(null); }
+    setAnalysisLoading(false);
   };
 
   const toggleStage = (id) => { setSelectedStages(prev => { const next = new Set(prev); if (next.has(id)) { next.delete(id); resolveDependents(id).forEach(d => next.delete(d)); } else { resolveDeps(id).forEach(d => next.add(d)); } return next; }); };
@@ -2140,42 +1468,59 @@ const TheCrucible = () => {
     if (!input.trim()) return;
     setPipelineRunning(true); setPipelineError(null); setResults({}); setStatusTexts({}); setPipelineLog([]);
     const newStatus = {}; STAGES.forEach(s => { newStatus[s.id] = selectedStages.has(s.id) ? 'idle' : 'skipped'; }); setStageStatus(newStatus);
-    addPipelineLog(`Pipeline initiated · depth=${depth} · season=${engineRef.current.season}`);
-    let concepts = null, taxonomy = null; const allResults = {};
+    addPipelineLog(`Pipeline initiated · depth=${depth} · season=${clientRef.current.view.season}`);
+    let concepts = null, taxonomy = null, injected = false; const allResults = {};
     const makeStatus = (id) => (t) => setStatusTexts(p => ({ ...p, [id]: t }));
+    const byTaxonomy = taxonomyCultures && selectedStages.has('semantic_index');
+    const inject = async (withTaxonomy) => {
+      injected = true;
+      await clientRef.current.request('inject', { concepts, taxonomy: withTaxonomy });
+      addPipelineLog(`⚗️ ${concepts.length} concepts injected${withTaxonomy ? ` into ${withTaxonomy.clusters?.length || 0} taxonomy cultures` : ''}`);
+    };
     try {
       if (selectedStages.has('dual_extract')) {
         setStageStatus(p => ({ ...p, dual_extract: 'running' })); addPipelineLog(`Extracting ${DEPTH_PRIMES[depth].concepts} concepts...`);
         concepts = await callAPI(...Object.values(PROMPTS.dual_extract(input, depth)), makeStatus('dual_extract'));
         allResults.concepts = concepts; setResults(p => ({ ...p, dual_extract: concepts })); setStageStatus(p => ({ ...p, dual_extract: 'complete' }));
         addPipelineLog(`✓ ${concepts.length} concepts extracted`);
-        const engine = engineRef.current; engine.triggerShockwave(engine.canvasW / 2, engine.canvasH / 2, '#daa520');
-        for (const c of concepts) engine.injectConcept(c);
-        engine.updateThermodynamics(); engine.updateResonanceField(); setStats(engine.getStats()); setLogs([...engine.eventLog]);
-        addPipelineLog(`⚗️ ${concepts.length} concepts injected`);
+        if (!byTaxonomy) await inject(null);
       }
       if (selectedStages.has('triple_mode') && concepts) { setStageStatus(p => ({ ...p, triple_mode: 'running' })); const elab = await callAPI(...Object.values(PROMPTS.triple_mode(input, concepts)), makeStatus('triple_mode')); allResults.elaborations = elab; setResults(p => ({ ...p, triple_mode: elab })); setStageStatus(p => ({ ...p, triple_mode: 'complete' })); }
       if (selectedStages.has('semantic_index') && concepts) { setStageStatus(p => ({ ...p, semantic_index: 'running' })); taxonomy = await callAPI(...Object.values(PROMPTS.semantic_index(input, concepts, depth)), makeStatus('semantic_index')); allResults.taxonomy = taxonomy; setResults(p => ({ ...p, semantic_index: taxonomy })); setStageStatus(p => ({ ...p, semantic_index: 'complete' })); }
+      if (concepts && !injected) await inject(taxonomy?.clusters?.length ? taxonomy : null);
       if (selectedStages.has('compress_expand') && concepts) { setStageStatus(p => ({ ...p, compress_expand: 'running' })); const comp = await callAPI(...Object.values(PROMPTS.compress_expand(input, concepts, taxonomy, depth)), makeStatus('compress_expand')); allResults.compression = comp; setResults(p => ({ ...p, compress_expand: comp })); setStageStatus(p => ({ ...p, compress_expand: 'complete' })); }
-      if (selectedStages.has('meta_analysis')) { setStageStatus(p => ({ ...p, meta_analysis: 'running' })); const meta = await callAPI(...Object.values(PROMPTS.meta_analysis(input, allResults, depth, engineRef.current.getStats())), makeStatus('meta_analysis')); setResults(p => ({ ...p, meta_analysis: meta })); setStageStatus(p => ({ ...p, meta_analysis: 'complete' })); }
+      if (selectedStages.has('meta_analysis')) { setStageStatus(p => ({ ...p, meta_analysis: 'running' })); const meta = await callAPI(...Object.values(PROMPTS.meta_analysis(input, allResults, depth, clientRef.current.view.stats)), makeStatus('meta_analysis')); setResults(p => ({ ...p, meta_analysis: meta })); setStageStatus(p => ({ ...p, meta_analysis: 'complete' })); }
       addPipelineLog('Pipeline complete ✓');
-    } catch (err) { setPipelineError(err.message); addPipelineLog(`ERROR: ${err.message}`); }
+    } catch (err) {
+      setPipelineError(err.message); addPipelineLog(`ERROR: ${err.message}`);
+      // A failed taxonomy still lets the extracted concepts in, just without cultures
+      if (concepts && !injected) await inject(null).catch(() => {});
+    }
     setPipelineRunning(false);
   };
 
   if (!initialized) return (<div style={{ display:'flex', alignItems:'center', justifyContent:'center', height:'100vh', background:'#0a0908', fontFamily:'monospace', color:'#daa520' }}><div style={{ textAlign:'center' }}><div style={{ fontSize:32, marginBottom:12 }}>⚗️</div><div style={{ fontSize:11, letterSpacing:'0.2em' }}>INITIALIZING CRUCIBLE v4</div></div></div>);
 
-  const seasonColor = SEASON_MODIFIERS[stats.season]?.color || '#daa520';
+  const seasonColor = phases[stats.season]?.color || '#daa520';
   const S = (label, val, color = '#daa520') => (<div style={{ textAlign:'center', padding:'2px 0' }}><div style={{ fontSize:7, color:'#3aaa9a', letterSpacing:'0.1em', textTransform:'uppercase' }}>{label}</div><div style={{ fontSize:12, fontWeight:'bold', color, fontFamily:'monospace' }}>{val}</div></div>);
 
   return (
-    <div style={{ fontFamily:"'Courier New', monospace", background:'#0a0908', color:'#c8b898', minHeight:'100vh', display:'flex', flexDirection:'column' }}>
+    <div onDragOver={e => { if (e.dataTransfer.types.includes('Files')) { e.preventDefault(); setDragOver(true); } }} onDragLeave={e => { if (!e.currentTarget.contains(e.relatedTarget)) setDragOver(false); }} onDrop={onDropFile}
+      style={{ fontFamily:"'Courier New', monospace", background:'#0a0908', color:'#c8b898', minHeight:'100vh', display:'flex', flexDirection:'column', position:'relative' }}>
+      {dragOver && (
+        <div style={{ position:'absolute', inset:0, zIndex:20, display:'flex', alignItems:'center', justifyContent:'center', background:'rgba(10,9,8,0.85)', border:'2px dashed #daa520', pointerEvents:'none' }}>
+          <span style={{ fontSize:12, color:'#daa520', letterSpacing:'0.15em' }}>DROP {SAVE_FILE_EXT} TO RESUME · {JOURNAL_FILE_EXT} TO REPLAY</span>
+        </div>
+      )}
       {/* ─── HEADER ─── */}
-      <div style={{ padding:'8px 12px 6px', borderBottom:`1px solid ${seasonColor}30` }}>
+      <div style={{ padding:'8px 12px 6px', borderBottom:`1px solid ${breakHit ? '#ffee44aa' : seasonColor + '30'}`, background: breakFlash ? 'rgba(255,238,68,0.14)' : 'transparent', transition:'background 0.4s' }}>
         <div style={{ display:'flex', alignItems:'baseline', gap:8, marginBottom:4, flexWrap:'wrap' }}>
           <span style={{ fontSize:13, fontWeight:'bold', color:'#daa520', textShadow:'0 0 12px rgba(218,165,32,0.3)' }}>⚗️ THE CRUCIBLE v4</span>
           <span style={{ fontSize:8, color:'#3aaa9a', letterSpacing:'0.12em' }}>FULL FUSION</span>
-          <span style={{ fontSize:8, padding:'1px 6px', borderRadius:3, background:`${seasonColor}18`, color: seasonColor, border:`1px solid ${seasonColor}40`, fontWeight:'bold' }}>{stats.season.toUpperCase()} {Math.round(stats.seasonCounter / stats.seasonDuration * 100)}%</span>
+          <span style={{ fontSize:8, padding:'1px 6px', borderRadius:3, background:`${seasonColor}18`, color: seasonColor, border:`1px solid ${seasonColor}40`, fontWeight:'bold' }}>{stats.season.toUpperCase()} {Math.round(Math.min(1, stats.seasonCounter / stats.seasonDuration) * 100)}%</span>
+          <span style={{ fontSize:8, color:'#3aaa9a', fontFamily:'monospace' }} title="RNG seed — new CrucibleEngine({ seed }) reproduces this run">SEED {stats.seed}</span>
+          <span style={{ fontSize:8, color:'#3aaa9a', fontFamily:'monospace' }} title="Where the engine steps">{clientRef.current?.isWorker ? 'WORKER' : 'INLINE'}</span>
+          {breakHit && <span onClick={() => setBreakHit(null)} title="Paused on a breakpoint — state checkpointed on the scrubber · click to dismiss" style={{ fontSize:8, padding:'1px 6px', borderRadius:3, background:'#ffee4418', color:'#ffee44', border:'1px solid #ffee4460', fontFamily:'monospace', fontWeight:'bold', cursor:'pointer' }}>⛔ #{breakHit.id} {breakHit.condition} @ g{breakHit.gen}</span>}
         </div>
         <div style={{ display:'grid', gridTemplateColumns:'repeat(6, 1fr)', gap:2 }}>
           {S('GEN', stats.generation)}
@@ -2218,12 +1563,8 @@ const TheCrucible = () => {
           const cc = stats.cultureCount || {};
           const total = Object.values(cc).reduce((s, v) => s + v, 0) || 1;
           const bars = [
-            { key: 'phenomenological', label: 'Ph', color: '#e6735a' },
-            { key: 'thermodynamic', label: 'Th', color: '#ff8800' },
-            { key: 'contemplative', label: 'Co', color: '#b464ff' },
-            { key: 'computational', label: 'Cm', color: '#00aaff' },
-            { key: 'biological', label: 'Bi', color: '#5acebe' },
-            { key: 'hybrid', label: 'Hy', color: '#dcdcdc' },
+            ...Object.entries(cultures).map(([key, c]) => ({ key, label: c.label, color: c.color })),
+            { key: HYBRID_CULTURE, label: 'Hybrid', color: '#dcdcdc' },
           ];
           return <div style={{ display:'flex', gap:1, marginTop:2, height:10, borderRadius:2, overflow:'hidden' }}>
             {bars.map(b => {
@@ -2233,6 +1574,33 @@ const TheCrucible = () => {
             })}
           </div>;
         })()}
+        {/* Time-travel scrubber — ticks mark checkpoints where attractors or critical events first appeared */}
+        {timeline.checkpoints.length > 1 && (() => {
+          const cps = timeline.checkpoints;
+          const idx = scrubIdx ?? cps.length - 1;
+          const sel = cps[Math.min(idx, cps.length - 1)];
+          const span = Math.max(1, cps[cps.length - 1].gen - cps[0].gen);
+          return (
+            <div style={{ display:'flex', alignItems:'center', gap:4, marginTop:4 }}>
+              <span style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em' }}>⏱</span>
+              <div style={{ flex:1, position:'relative', height:16 }}>
+                {cps.map((c, i) => {
+                  const prev = cps[i - 1];
+                  const critical = prev && c.criticalEvents > prev.criticalEvents;
+                  const attractor = prev && c.attractors > prev.attractors;
+                  if (!critical && !attractor && !c.note && c.branch === timeline.branch) return null;
+                  const color = c.note ? '#ffee44' : critical ? '#ff6b6b' : attractor ? '#ff9ecb' : '#3aaa9a';
+                  return <div key={c.id} title={`gen ${c.gen} · ${c.branch}${c.note ? ` · breakpoint ${c.note}` : ''}${critical ? ' · critical event' : ''}${attractor ? ' · new attractor' : ''}`} style={{ position:'absolute', left:`${((c.gen - cps[0].gen) / span) * 100}%`, top:0, width:2, height:5, background: color }} />;
+                })}
+                <input type="range" min={0} max={cps.length - 1} value={Math.min(idx, cps.length - 1)} onChange={e => { setRunning(false); setScrubIdx(+e.target.value); }} style={{ position:'absolute', left:0, right:0, bottom:0, width:'100%', margin:0, height:10, accentColor:'#daa520' }} />
+              </div>
+              <span style={{ fontSize:8, color: scrubIdx === null ? '#3aaa9a' : '#daa520', fontFamily:'monospace', minWidth:74, textAlign:'right' }}>g{sel.gen} · {sel.branch}{scrubIdx === null ? ' ●' : ''}</span>
+              <Btn onClick={() => doRestoreCheckpoint(false)} disabled={scrubIdx === null} style={{ padding:'2px 5px' }}>⏪</Btn>
+              <Btn onClick={() => clientRef.current.request('step', { count: 1 })} disabled={running} style={{ padding:'2px 5px' }}>▸1</Btn>
+              <Btn onClick={() => doRestoreCheckpoint(true)} style={{ padding:'2px 5px', color:'#b464ff' }}>⑂</Btn>
+            </div>
+          );
+        })()}
       </div>
 
       {/* ─── CONTROLS ─── */}
@@ -2240,26 +1608,630 @@ const TheCrucible = () => {
         <Btn onClick={() => setRunning(!running)} style={{ color: running ? '#ff4444' : '#00ff00' }}>{running ? '⏸' : '▶'}</Btn>
 
         <Btn onClick={doReset}>↺</Btn>
-        <Btn onClick={() => { if (engineRef.current) engineRef.current.injectDampener(); }} style={{ color: stats.dampeners > 0 ? '#4466aa' : '#555' }}>🧊</Btn>
+        <Btn onClick={() => setSpeed((speed + 1) % SPEEDS.length)} style={{ color: speed > 0 ? '#ff8800' : '#555' }}>{SPEEDS[speed].label}</Btn>
+        <Btn onClick={() => { if (clientRef.current) clientRef.current.request('dampen'); }} style={{ color: stats.dampeners > 0 ? '#4466aa' : '#555' }}>🧊</Btn>
         <Btn onClick={doAnalyze} disabled={analysisLoading}>{analysisLoading ? '⟳' : '🧠'}</Btn>
+        <Btn onClick={() => setShowGraphExport(!showGraphExport)} style={{ color: showGraphExport ? '#daa520' : '#555' }}>🕸</Btn>
+        <Btn onClick={() => setShowSweep(!showSweep)} style={{ color: showSweep ? '#daa520' : sweepProgress ? '#b464ff' : '#555' }}>🧪</Btn>
+        <Btn onClick={() => setShowBreakpoints(!showBreakpoints)} style={{ color: showBreakpoints ? '#daa520' : breakpoints.some(b => b.enabled) ? '#ffee44' : '#555' }}>⛔</Btn>
+        <Btn onClick={() => setShowSaves(!showSaves)} style={{ color: showSaves ? '#daa520' : '#555' }}>💾</Btn>
+        <Btn onClick={() => setShowSettings(!showSettings)} style={{ color: showSettings ? '#daa520' : '#555' }}>⚙</Btn>
         <div style={{ flex:1 }} />
         <div style={{ display:'flex', gap:2, overflowX:'auto', WebkitOverflowScrolling:'touch' }}>
-        {['field','entropy','resonance','vocab','helix','attractors','reflexes'].map(v => {
-          const labels = { field:'FLD', entropy:'ENT', resonance:'RES', vocab:'VOC', helix:'HLX', attractors:'ATR', reflexes:'RFX' };
+        {['field','entropy','resonance','series','cultures','network','vocab','helix','attractors','reflexes','lineage'].map(v => {
+          const labels = { field:'FLD', entropy:'ENT', resonance:'RES', series:'OBS', cultures:'CUL', network:'NET', vocab:'VOC', helix:'HLX', attractors:'ATR', reflexes:'RFX', lineage:'LIN' };
           return <Btn key={v} onClick={() => setView(v)} style={{ color: view === v ? '#daa520' : '#555', borderColor: view === v ? '#daa520' : '#1a1810', whiteSpace:'nowrap', padding:'6px 4px' }}>{labels[v]}</Btn>;
         })}
         </div>
         <Btn onClick={() => setShowPipeline(!showPipeline)} style={{ color: showPipeline ? '#daa520' : '#555' }}>⚗️</Btn>
       </div>
 
+      {/* ─── GRAPH EXPORT ─── */}
+      {showGraphExport && (
+        <div style={{ display:'flex', gap:4, alignItems:'center', padding:'6px 10px', borderBottom:'1px solid #111', background:'rgba(0,170,255,0.03)' }}>
+          <span style={{ fontSize:8, color:'#2a8a8a', letterSpacing:'0.1em' }}>GRAPH EXPORT</span>
+          {Object.entries(GRAPH_FORMATS).map(([format, f]) => <Btn key={format} onClick={() => doExportGraph(format)} style={{ padding:'3px 8px', color:'#00aaff' }}>{f.label}</Btn>)}
+          <span style={{ fontSize:8, color:'#3aaa9a', marginLeft:'auto' }}>ancestry · resonance · shortcuts, timestamped by generation</span>
+        </div>
+      )}
+
+      {/* ─── BREAKPOINTS ─── */}
+      {showBreakpoints && (
+        <div style={{ padding:'6px 10px', borderBottom:'1px solid #111', background:'rgba(255,238,68,0.03)' }}>
+          <div style={{ display:'flex', gap:4, alignItems:'center' }}>
+            <span style={{ fontSize:8, color:'#2a8a8a', letterSpacing:'0.1em' }}>BREAK WHEN</span>
+            <input value={breakpointInput} onChange={e => { setBreakpointInput(e.target.value); setBreakpointError(null); }} onKeyDown={e => e.key === 'Enter' && doAddBreakpoint()} placeholder="psi > 0.93 · attractors >= 5 · season becomes dormancy" list="crucible-condition-metrics" style={{ flex:1, minWidth:0, background:'#0a0908', border:`1px solid ${breakpointError ? '#ff4444' : '#1a1810'}`, borderRadius:3, color:'#c8b898', padding:'3px 6px', fontSize:10, fontFamily:'monospace' }} />
+            <datalist id="crucible-condition-metrics">{Object.keys(CONDITION_METRICS).map(m => <option key={m} value={m} />)}</datalist>
+            <Btn onClick={doAddBreakpoint} disabled={!breakpointInput.trim()} style={{ padding:'3px 8px', color:'#ffee44' }}>+ ADD</Btn>
+          </div>
+          {breakpointError && <div style={{ fontSize:8, color:'#ff4444', fontFamily:'monospace', marginTop:3 }}>{breakpointError}</div>}
+          {breakpoints.map(b => (
+            <div key={b.id} style={{ display:'flex', gap:6, alignItems:'center', marginTop:3, fontSize:9, fontFamily:'monospace', opacity: b.enabled ? 1 : 0.45 }}>
+              <input type="checkbox" checked={b.enabled} onChange={e => clientRef.current.request('toggleBreakpoint', { breakpoint: b.id, enabled: e.target.checked })} style={{ accentColor:'#ffee44', margin:0 }} />
+              <span style={{ color:'#555' }}>#{b.id}</span>
+              <span style={{ color:'#c8b898', flex:1, overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{b.text}</span>
+              <span style={{ color: b.hits ? '#ffee44' : '#2a8a8a', fontSize:8 }}>{b.hits ? `${b.hits} hit${b.hits > 1 ? 's' : ''} · last g${b.lastHit}` : 'armed'}</span>
+              <span onClick={() => clientRef.current.request('removeBreakpoint', { breakpoint: b.id })} style={{ color:'#ff4444', cursor:'pointer', padding:'0 3px' }}>✕</span>
+            </div>
+          ))}
+          {!breakpoints.length && <div style={{ fontSize:8, color:'#2a8a8a', marginTop:3 }}>Pauses the run, flashes the header and checkpoints the state on the generation a condition turns true. Combine with and / or; "changes" fires on any change.</div>}
+        </div>
+      )}
+
+      {/* ─── PARAMETER SWEEP ─── */}
+      {showSweep && (() => {
+        const r = sweepResult;
+        const input = { background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'3px 6px', fontSize:10, fontFamily:'monospace' };
+        const params = [...Object.keys(PARAM_ALIASES).filter(k => k !== 'TAG_EIGENVALUES'), ...(config ? flattenConfig(config).map(([k]) => k).filter(k => !schemaFor(k)?.type) : [])];
+        const [ax, ay] = r ? r.axes : [];
+        const cellOf = r ? new Map(r.cells.map(c => [`${c.i},${c.j}`, c])) : null;
+        const vals = r ? r.cells.filter(c => c.n).map(c => c[sweepMetric.field][sweepMetric.key].mean) : [];
+        const lo = Math.min(...vals), hi = Math.max(...vals);
+        const cw = ax ? Math.max(18, Math.min(48, Math.floor(300 / ax.values.length))) : 0, ch = ay ? Math.max(14, Math.min(32, Math.floor(200 / ay.values.length))) : 28;
+        return (
+          <div style={{ padding:'6px 10px', borderBottom:'1px solid #111', background:'rgba(180,100,255,0.03)' }}>
+            <datalist id="crucible-sweep-params">{params.map(p => <option key={p} value={`${p}=`} />)}</datalist>
+            <div style={{ display:'flex', gap:4, alignItems:'center', flexWrap:'wrap' }}>
+              <span style={{ fontSize:8, color:'#2a8a8a', letterSpacing:'0.1em' }}>SWEEP X</span>
+              <input value={sweepForm.x} onChange={e => setSweepForm(f => ({ ...f, x: e.target.value }))} list="crucible-sweep-params" placeholder="name=start:end:count" style={{ ...input, flex:1, minWidth:140 }} />
+              <span style={{ fontSize:8, color:'#2a8a8a', letterSpacing:'0.1em' }}>Y</span>
+              <input value={sweepForm.y} onChange={e => setSweepForm(f => ({ ...f, y: e.target.value }))} list="crucible-sweep-params" placeholder="optional: name=a,b,c" style={{ ...input, flex:1, minWidth:140 }} />
+            </div>
+            <div style={{ display:'flex', gap:4, alignItems:'center', marginTop:4, fontSize:8, color:'#2a8a8a', fontFamily:'monospace' }}>
+              seeds <input type="number" min={1} value={sweepForm.seeds} onChange={e => setSweepForm(f => ({ ...f, seeds: e.target.value }))} style={{ ...input, width:44 }} />
+              gens <input type="number" min={1} value={sweepForm.generations} onChange={e => setSweepForm(f => ({ ...f, generations: e.target.value }))} style={{ ...input, width:60 }} />
+              {sweepProgress
+                ? <>
+                    <div style={{ flex:1, height:6, background:'#0a0908', borderRadius:3, overflow:'hidden' }}><div style={{ width:`${(sweepProgress.done / sweepProgress.total) * 100}%`, height:'100%', background:'#b464ff', transition:'width 0.3s' }} /></div>
+                    <span>{sweepProgress.done}/{sweepProgress.total}</span>
+                    <Btn onClick={() => sweepJobRef.current?.cancel()} style={{ padding:'3px 8px', color:'#ff4444' }}>CANCEL</Btn>
+                  </>
+                : <>
+                    <span style={{ flex:1 }}>from the live config · seeds {stats.seed}…</span>
+                    <Btn onClick={doRunSweep} style={{ padding:'3px 8px', color:'#b464ff' }}>▶ RUN</Btn>
+                  </>}
+            </div>
+            {sweepError && <div style={{ fontSize:8, color:'#ff4444', fontFamily:'monospace', marginTop:3 }}>{sweepError}</div>}
+            {r && (
+              <div style={{ marginTop:6 }}>
+                <div style={{ display:'flex', gap:4, alignItems:'center', marginBottom:4 }}>
+                  <select value={sweepMetric.key} onChange={e => setSweepMetric(m => ({ ...m, key: e.target.value }))} style={{ ...input, fontSize:9 }}>{SWEEP_METRICS.map(k => <option key={k} value={k}>{k}</option>)}</select>
+                  {['mean', 'final'].map(f => <Btn key={f} onClick={() => setSweepMetric(m => ({ ...m, field: f }))} style={{ padding:'2px 6px', fontSize:8, color: sweepMetric.field === f ? '#daa520' : '#555' }}>{f === 'mean' ? 'TIME AVG' : 'FINAL'}</Btn>)}
+                  <span style={{ fontSize:8, color:'#3aaa9a', fontFamily:'monospace' }}>{r.runs.length} runs{r.complete ? '' : ' (cancelled)'} · avg after g{r.warmup}</span>
+                  <span style={{ marginLeft:'auto', display:'flex', gap:4 }}>
+                    <Btn onClick={() => doExportSweep('csv')} style={{ padding:'2px 8px', fontSize:8, color:'#00aaff' }}>CSV</Btn>
+                    <Btn onClick={() => doExportSweep('json')} style={{ padding:'2px 8px', fontSize:8, color:'#00aaff' }}>JSON</Btn>
+                  </span>
+                </div>
+                {/* Phase diagram — x axis across, y axis down; a 1D sweep is a single strip */}
+                <div style={{ overflowX:'auto' }}>
+                  <svg width={60 + cw * ax.values.length} height={ch * (ay ? ay.values.length : 1) + 24} style={{ display:'block', fontFamily:'monospace' }}>
+                    {(ay ? ay.values : [null]).map((vy, j) => (
+                      <g key={j}>
+                        {ay && <text x={56} y={j * ch + ch / 2 + 3} fill="#2a8a8a" fontSize={8} textAnchor="end">{vy}</text>}
+                        {ax.values.map((vx, i) => {
+                          const c = cellOf.get(`${i},${j}`);
+                          const m = c && c.n ? c[sweepMetric.field][sweepMetric.key] : null;
+                          return (
+                            <rect key={i} x={60 + i * cw} y={j * ch} width={cw - 1} height={ch - 1} fill={m ? heatColor(hi > lo ? (m.mean - lo) / (hi - lo) : 0.5) : '#111'}>
+                              <title>{`${ax.path}=${vx}${ay ? ` · ${ay.path}=${vy}` : ''}\n${sweepMetric.key} ${m ? `${fmtNum(m.mean)} ± ${fmtNum(m.std)} (n=${c.n})` : 'not run'}`}</title>
+                            </rect>
+                          );
+                        })}
+                      </g>
+                    ))}
+                    {ax.values.map((vx, i) => <text key={i} x={60 + i * cw + cw / 2} y={ch * (ay ? ay.values.length : 1) + 10} fill="#2a8a8a" fontSize={7} textAnchor="middle">{vx}</text>)}
+                    <text x={60} y={ch * (ay ? ay.values.length : 1) + 21} fill="#3aaa9a" fontSize={8}>{ax.path} →{ay ? `   ↓ ${ay.path}` : ''}   {fmtNum(lo)} … {fmtNum(hi)}</text>
+                  </svg>
+                </div>
+                <div style={{ maxHeight:160, overflowY:'auto', marginTop:4 }}>
+                  <table style={{ width:'100%', borderCollapse:'collapse', fontSize:8, fontFamily:'monospace', color:'#c8b898' }}>
+                    <thead><tr style={{ color:'#2a8a8a', textAlign:'right' }}>{r.axes.map(a => <th key={a.path} style={{ fontWeight:'normal', padding:'1px 4px' }}>{a.path}</th>)}<th style={{ fontWeight:'normal' }}>n</th><th style={{ fontWeight:'normal' }}>{sweepMetric.key} final</th><th style={{ fontWeight:'normal' }}>{sweepMetric.key} time avg</th></tr></thead>
+                    <tbody>{r.cells.map(c => (
+                      <tr key={`${c.i},${c.j}`} style={{ textAlign:'right', borderTop:'1px solid #151510' }}>
+                        {r.axes.map(a => <td key={a.path} style={{ padding:'1px 4px' }}>{c.params[a.path]}</td>)}
+                        <td>{c.n}</td>
+                        <td>{fmtNum(c.final[sweepMetric.key].mean)} ± {fmtNum(c.final[sweepMetric.key].std)}</td>
+                        <td>{fmtNum(c.mean[sweepMetric.key].mean)} ± {fmtNum(c.mean[sweepMetric.key].std)}</td>
+                      </tr>
+                    ))}</tbody>
+                  </table>
+                </div>
+              </div>
+            )}
+          </div>
+        );
+      })()}
+
+      {/* ─── SAVE SLOTS ─── */}
+      {showSaves && (
+        <div style={{ margin:'6px 10px 0', padding:10, background:'#0f0e0b', border:'1px solid rgba(218,165,32,0.15)', borderRadius:4, maxHeight:240, overflow:'auto' }}>
+          <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:6 }}>
+            <span style={{ fontSize:9, color:'#daa520', letterSpacing:'0.12em', fontWeight:'bold' }}>SAVE SLOTS — {slots.length}</span>
+            <span style={{ fontSize:8, color:'#3aaa9a', fontFamily:'monospace' }}>{saveStoreRef.current?.backend}</span>
+          </div>
+          <div style={{ display:'flex', gap:4, marginBottom:6 }}>
+            <input value={slotName} onChange={e => setSlotName(e.target.value)} onKeyDown={e => e.key === 'Enter' && doSaveSlot()} placeholder={`Gen ${stats.generation}`} style={{ flex:1, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+            <Btn onClick={doSaveSlot} style={{ color:'#00ff00' }}>SAVE</Btn>
+          </div>
+          <div style={{ display:'flex', gap:3, alignItems:'center', marginBottom:6 }}>
+            <span style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em' }}>AUTOSAVE</span>
+            {AUTOSAVE_OPTIONS.map(n => (<Btn key={n} onClick={() => setAutosaveEvery(n)} style={{ color: autosaveEvery === n ? '#daa520' : '#555', padding:'3px 5px' }}>{n ? `${n}g` : 'OFF'}</Btn>))}
+          </div>
+          <div style={{ display:'flex', gap:3, alignItems:'center', marginBottom:6 }}>
+            <span style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em' }}>FILE</span>
+            <Btn onClick={doExportFile} style={{ padding:'3px 5px' }}>EXPORT</Btn>
+            <Btn onClick={doExportJournal} style={{ padding:'3px 5px' }}>JOURNAL</Btn>
+            <Btn onClick={() => setGzipExport(!gzipExport)} disabled={!canGzip()} style={{ color: gzipExport ? '#daa520' : '#555', padding:'3px 5px' }}>GZ</Btn>
+            <Btn onClick={() => fileInputRef.current?.click()} style={{ padding:'3px 5px' }}>IMPORT</Btn>
+            <input ref={fileInputRef} type="file" accept=".json,.gz,application/json,application/gzip" style={{ display:'none' }} onChange={e => { const f = e.target.files?.[0]; e.target.value = ''; if (f) doImportFile(f); }} />
+            <span style={{ fontSize:7, color:'#555' }}>or drop a save / journal anywhere</span>
+          </div>
+          {importReport && (() => {
+            const groups = Object.entries(importReport.dangling || {}).filter(([, list]) => list.length > 0);
+            return (
+              <div style={{ padding:'6px 8px', marginBottom:6, background:'rgba(255,255,255,0.02)', border:`1px solid ${importReport.ok ? '#1a1810' : 'rgba(255,68,68,0.4)'}`, borderRadius:3, fontSize:9 }}>
+                <div style={{ display:'flex', justifyContent:'space-between', marginBottom:3 }}>
+                  <span style={{ color: importReport.ok ? '#00ff00' : '#ff4444' }}>{importReport.ok ? '✓' : '✕'} {importReport.name}{importReport.schemaVersion ? ` · schema v${importReport.schemaVersion}` : ''}</span>
+                  <span onClick={() => setImportReport(null)} style={{ color:'#555', cursor:'pointer' }}>✕</span>
+                </div>
+                {importReport.errors.slice(0, 5).map((err, i) => <div key={i} style={{ color:'#ff6b6b' }}>{err}</div>)}
+                {importReport.ok && groups.length === 0 && <div style={{ color:'#3aaa9a' }}>All glyph references resolve.</div>}
+                {groups.map(([kind, list]) => (
+                  <div key={kind} style={{ color:'#c8b898' }}>
+                    <span style={{ color:'#daa520' }}>{list.length} dangling {kind}</span>
+                    <span style={{ color:'#555', fontFamily:'monospace' }}> — {Array.from(new Set(list.map(d => d.ref))).slice(0, 6).join(', ')}{list.length > 6 ? ' …' : ''}</span>
+                  </div>
+                ))}
+              </div>
+            );
+          })()}
+          {slots.length === 0 && <div style={{ fontSize:10, color:'#2a8a8a', padding:'8px 0', textAlign:'center' }}>No saves yet.</div>}
+          {slots.map(slot => (
+            <div key={slot.id} style={{ display:'flex', alignItems:'center', gap:6, padding:'4px 6px', marginBottom:2, background:'rgba(255,255,255,0.02)', border:'1px solid #1a1810', borderRadius:3 }}>
+              <span style={{ flex:1, fontSize:10, color: slot.autosave ? '#3aaa9a' : '#c8b898', overflow:'hidden', textOverflow:'ellipsis', whiteSpace:'nowrap' }}>{slot.autosave ? '⟳ ' : ''}{slot.name}</span>
+              <span style={{ fontSize:8, color:'#555', fontFamily:'monospace' }}>gen {slot.generation} · {slot.glyphs}g · {new Date(slot.savedAt).toLocaleString()}</span>
+              <Btn onClick={() => doLoadSlot(slot.id)} style={{ padding:'2px 5px' }}>LOAD</Btn>
+              <Btn onClick={() => doDeleteSlot(slot.id)} style={{ padding:'2px 5px', color:'#ff4444' }}>✕</Btn>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* ─── SETTINGS ─── */}
+      {showSettings && config && (() => {
+        const groups = [['field', 'FIELD'], ['rhythm', 'RHYTHM'], ['helix', 'HELIX'], ['seasons', 'SEASONS'], ['schedule', 'SCHEDULE'], ['eigenvalues', 'TAG EIGENVALUES']];
+        const rows = flattenConfig(config).map(([path, value]) => ({ path, value, rule: schemaFor(path) })).filter(r => r.rule);
+        const labelFor = ({ path, rule }) => {
+          const parts = path.split('.');
+          if (rule.group === 'seasons') return `${parts[1].slice(0, 5)} ${rule.label}`;
+          return rule.label || parts[parts.length - 1];
+        };
+        const inputStyle = { width:58, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'2px 4px', fontSize:9, fontFamily:'monospace', textAlign:'right' };
+        return (
+          <div style={{ margin:'6px 10px 0', padding:10, background:'#0f0e0b', border:'1px solid rgba(218,165,32,0.15)', borderRadius:4, maxHeight:'45vh', overflow:'auto' }}>
+            <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:6 }}>
+              <span style={{ fontSize:9, color:'#daa520', letterSpacing:'0.12em', fontWeight:'bold' }}>ENGINE CONFIG</span>
+              <span style={{ fontSize:8, color:'#3aaa9a' }}>edits apply live · journaled</span>
+            </div>
+            <div style={{ display:'flex', gap:3, flexWrap:'wrap', marginBottom:6 }}>
+              {Object.entries(CONFIG_PRESETS).map(([name, patch]) => (<Btn key={name} onClick={() => doApplyPreset(patch)} style={{ padding:'3px 5px' }}>{name}</Btn>))}
+            </div>
+            {presets.map(p => (
+              <div key={p.name} style={{ display:'flex', alignItems:'center', gap:4, padding:'3px 6px', marginBottom:2, background:'rgba(255,255,255,0.02)', border:'1px solid #1a1810', borderRadius:3 }}>
+                <span style={{ flex:1, fontSize:10, color:'#c8b898' }}>{p.name}</span>
+                <Btn onClick={() => doApplyPreset(p.config)} style={{ padding:'2px 5px' }}>APPLY</Btn>
+                <Btn onClick={() => doExportPreset(p.name, p.config)} style={{ padding:'2px 5px' }}>📤</Btn>
+                <Btn onClick={() => doDeletePreset(p.name)} style={{ padding:'2px 5px', color:'#ff4444' }}>✕</Btn>
+              </div>
+            ))}
+            <div style={{ display:'flex', gap:4, margin:'4px 0 8px' }}>
+              <input value={presetName} onChange={e => setPresetName(e.target.value)} onKeyDown={e => e.key === 'Enter' && doSavePreset()} placeholder="preset name" style={{ flex:1, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+              <Btn onClick={doSavePreset} disabled={!presetName.trim()} style={{ color:'#00ff00' }}>SAVE PRESET</Btn>
+            </div>
+            {configError && <div style={{ fontSize:9, color:'#ff6b6b', marginBottom:6 }}>{configError}</div>}
+            <div style={{ marginBottom:6 }}>
+              <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginBottom:2 }}>SUBSYSTEMS — step order</div>
+              <div style={{ display:'flex', gap:3, flexWrap:'wrap' }}>
+                {pluginList.map(p => (
+                  <Btn key={p.name} onClick={() => doTogglePlugin(p.name, !p.enabled)} style={{ padding:'3px 5px', color: p.enabled ? (p.builtin ? '#daa520' : '#b464ff') : '#444', textDecoration: p.enabled ? 'none' : 'line-through' }}>{p.name}</Btn>
+                ))}
+              </div>
+              <div style={{ display:'flex', gap:4, marginTop:4 }}>
+                <input value={pluginUrl} onChange={e => setPluginUrl(e.target.value)} onKeyDown={e => e.key === 'Enter' && doLoadPlugin()} placeholder="plugin module URL" style={{ flex:1, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+                <Btn onClick={doLoadPlugin} disabled={!pluginUrl.trim()}>LOAD</Btn>
+              </div>
+            </div>
+            {groups.map(([group, title]) => (
+              <div key={group} style={{ marginBottom:6 }}>
+                <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginBottom:2 }}>{title}</div>
+                <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(130px, 1fr))', gap:'2px 8px' }}>
+                  {rows.filter(r => r.rule.group === group && !r.rule.type).map(r => (
+                    <label key={r.path} style={{ display:'flex', justifyContent:'space-between', alignItems:'center', fontSize:9, color:'#c8b898' }}>
+                      <span>{labelFor(r)}</span>
+                      {/* Keyed by value so engine-side changes (presets, rewinds) replace stale drafts */}
+                      <input key={`${r.path}:${r.value}`} type="number" defaultValue={r.value} min={r.rule.min} max={r.rule.max} step={r.rule.integer ? 1 : 'any'}
+                        onBlur={e => commitSetting(r.path, e.target.value, r.value)} onKeyDown={e => e.key === 'Enter' && e.target.blur()} style={inputStyle} />
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+            <div style={{ marginBottom:6 }}>
+              <div style={{ display:'flex', alignItems:'center', gap:4, marginBottom:2 }}>
+                <span style={{ flex:1, fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em' }}>CULTURES — tags seed new glyphs · λ per tag</span>
+                {Object.values(config.cultures).some(c => c.temporary) && (
+                  <Btn onClick={() => doConfigure({ cultures: Object.fromEntries(Object.keys(config.cultures).filter(name => config.cultures[name].temporary).map(name => [name, null])) })} style={{ padding:'2px 5px', color:'#ffd166' }}>CLEAR 🗂️</Btn>
+                )}
+                <Btn onClick={doExportCultures} style={{ padding:'2px 5px' }}>📤</Btn>
+                <Btn onClick={() => culturesInputRef.current?.click()} style={{ padding:'2px 5px' }}>📥</Btn>
+                <input ref={culturesInputRef} type="file" accept=".json,.gz,application/json,application/gzip" style={{ display:'none' }} onChange={e => { const f = e.target.files?.[0]; e.target.value = ''; if (f) doImportCultures(f); }} />
+              </div>
+              {Object.entries(config.cultures).map(([name, c]) => {
+                const eigenText = Object.entries(c.eigenvalues || {}).map(([tag, v]) => `${tag}=${v}`).join(' ');
+                const textStyle = { ...inputStyle, textAlign:'left' };
+                return (
+                  <div key={name} style={{ padding:'3px 6px', marginBottom:2, background:'rgba(255,255,255,0.02)', border:'1px solid #1a1810', borderRadius:3, opacity: c.enabled === false ? 0.5 : 1 }}>
+                    <div style={{ display:'flex', alignItems:'center', gap:4, fontSize:9 }}>
+                      <input type="checkbox" checked={c.enabled !== false} onChange={e => commitCulture(name, { enabled: e.target.checked })} style={{ margin:0 }} />
+                      {/* Committed on blur — a color drag would otherwise journal every intermediate shade */}
+                      <input key={`${name}:${c.color}`} type="color" defaultValue={c.color} onBlur={e => e.target.value !== c.color && commitCulture(name, { color: e.target.value })} style={{ width:18, height:14, padding:0, border:'none', background:'none' }} />
+                      <input key={`${name}:${c.label}`} defaultValue={c.label} onBlur={e => e.target.value.trim() && e.target.value !== c.label && commitCulture(name, { label: e.target.value.trim() })} onKeyDown={e => e.key === 'Enter' && e.target.blur()} style={{ ...textStyle, width:70, color: c.color }} />
+                      <span style={{ flex:1, fontSize:8, color:'#555' }}>{name}{c.temporary ? ' · 🗂️ taxonomy' : ''}</span>
+                      <Btn onClick={() => commitCulture(name, null)} style={{ padding:'1px 5px', color:'#ff4444' }}>✕</Btn>
+                    </div>
+                    <div style={{ display:'grid', gridTemplateColumns:'auto 1fr', gap:'2px 6px', alignItems:'center', marginTop:2, fontSize:8, color:'#666' }}>
+                      <span>tags</span>
+                      <input key={`${name}:${c.tags.join(' ')}`} defaultValue={c.tags.join(' ')} placeholder="space-separated" onBlur={e => commitCultureTags(name, e.target.value, c.tags)} onKeyDown={e => e.key === 'Enter' && e.target.blur()} style={{ ...textStyle, width:'100%' }} />
+                      <span>λ</span>
+                      <input key={`${name}:${eigenText}`} defaultValue={eigenText} placeholder="tag=1.5 tag=0.8" onBlur={e => commitCultureEigenvalues(name, e.target.value, c.eigenvalues || {})} onKeyDown={e => e.key === 'Enter' && e.target.blur()} style={{ ...textStyle, width:'100%' }} />
+                    </div>
+                  </div>
+                );
+              })}
+              <div style={{ display:'flex', gap:4, marginTop:4 }}>
+                <input value={newCulture} onChange={e => setNewCulture(e.target.value)} onKeyDown={e => e.key === 'Enter' && doAddCulture()} placeholder="new culture name" style={{ flex:1, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+                <Btn onClick={doAddCulture} disabled={!newCulture.trim()} style={{ color:'#00ff00' }}>ADD CULTURE</Btn>
+              </div>
+            </div>
+            <div style={{ marginBottom:6 }}>
+              <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginBottom:2 }}>PHASES — modifiers above · tags join the pool · actions: {Object.keys(SEASON_ACTIONS).join(' ')}</div>
+              {(() => {
+                const scheduleText = formatSchedule(config.seasonSchedule.steps);
+                const textStyle = { ...inputStyle, textAlign:'left' };
+                return (
+                  <div style={{ display:'flex', alignItems:'center', gap:4, marginBottom:3, fontSize:9, color:'#c8b898' }}>
+                    <span style={{ fontSize:8, color:'#666' }}>schedule</span>
+                    <input key={scheduleText} defaultValue={scheduleText} placeholder="exploration:100 consolidation:600" onBlur={e => commitSchedule(e.target.value)} onKeyDown={e => e.key === 'Enter' && e.target.blur()} style={{ ...textStyle, flex:1 }} />
+                    <label style={{ display:'flex', alignItems:'center', gap:2, fontSize:8 }}>
+                      <input type="checkbox" checked={config.seasonSchedule.loop} onChange={e => doConfigure({ seasonSchedule: { loop: e.target.checked } })} style={{ margin:0 }} />loop
+                    </label>
+                    <label style={{ display:'flex', alignItems:'center', gap:2, fontSize:8 }}>
+                      <input type="checkbox" checked={config.seasonSchedule.adaptive} onChange={e => doConfigure({ seasonSchedule: { adaptive: e.target.checked } })} style={{ margin:0 }} />adaptive
+                    </label>
+                  </div>
+                );
+              })()}
+              {Object.entries(config.seasonModifiers).map(([name, p]) => {
+                const textStyle = { ...inputStyle, textAlign:'left' };
+                const scheduled = config.seasonSchedule.steps.some(s => s.phase === name);
+                const list = (key, placeholder, current = p[key] || []) => (
+                  <input key={`${name}:${key}:${current.join(' ')}`} defaultValue={current.join(' ')} placeholder={placeholder} onBlur={e => commitPhaseList(name, key, e.target.value, current)} onKeyDown={e => e.key === 'Enter' && e.target.blur()} style={{ ...textStyle, width:'100%' }} />
+                );
+                return (
+                  <div key={name} style={{ padding:'3px 6px', marginBottom:2, background:'rgba(255,255,255,0.02)', border:'1px solid #1a1810', borderRadius:3, opacity: scheduled ? 1 : 0.5 }}>
+                    <div style={{ display:'flex', alignItems:'center', gap:4, fontSize:9 }}>
+                      <input key={`${name}:${p.color}`} type="color" defaultValue={p.color} onBlur={e => e.target.value !== p.color && commitPhase(name, { color: e.target.value })} style={{ width:18, height:14, padding:0, border:'none', background:'none' }} />
+                      <span style={{ flex:1, color: p.color }}>{name}{scheduled ? '' : ' · unscheduled'}</span>
+                      {/* A phase the schedule still names can't go — the engine would reject the config */}
+                      <Btn onClick={() => commitPhase(name, null)} disabled={scheduled} style={{ padding:'1px 5px', color:'#ff4444' }}>✕</Btn>
+                    </div>
+                    <div style={{ display:'grid', gridTemplateColumns:'auto 1fr', gap:'2px 6px', alignItems:'center', marginTop:2, fontSize:8, color:'#666' }}>
+                      <span>tags</span>{list('tags', 'space-separated')}
+                      <span>enter</span>{list('onEnter', 'actions on entry')}
+                      <span>exit</span>{list('onExit', 'actions on exit')}
+                      {config.seasonSchedule.adaptive && ['enterWhen', 'exitWhen'].map(key => (
+                        <React.Fragment key={key}>
+                          <span>{key === 'enterWhen' ? 'enter if' : 'leave if'}</span>
+                          <input key={`${name}:${key}:${p[key] || ''}`} defaultValue={p[key] || ''} placeholder={key === 'enterWhen' ? 'psi > 0.8' : 'always'} onBlur={e => e.target.value.trim() !== (p[key] || '') && commitPhase(name, { [key]: e.target.value.trim() })} onKeyDown={e => e.key === 'Enter' && e.target.blur()} style={{ ...textStyle, width:'100%' }} />
+                        </React.Fragment>
+                      ))}
+                    </div>
+                  </div>
+                );
+              })}
+              <div style={{ display:'flex', gap:4, marginTop:4 }}>
+                <input value={newPhase} onChange={e => setNewPhase(e.target.value)} onKeyDown={e => e.key === 'Enter' && doAddPhase()} placeholder="new phase name" style={{ flex:1, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+                <Btn onClick={doAddPhase} disabled={!newPhase.trim()} style={{ color:'#00ff00' }}>ADD PHASE</Btn>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
       {/* ─── CANVAS ─── */}
-      <div ref={containerRef} style={{ height: view === 'helix' ? 360 : (view === 'attractors' || view === 'reflexes' || view === 'vocab') ? 80 : 280, position:'relative', transition:'height 0.2s' }}>
+      <div ref={containerRef} onClick={onFieldClick} onPointerDown={onFieldPointerDown} onPointerMove={onFieldPointerMove} onPointerUp={onFieldPointerUp} onPointerCancel={onFieldPointerUp} onPointerLeave={() => setHover(null)} style={{ height: view === 'helix' || view === 'network' ? 360 : (view === 'attractors' || view === 'reflexes' || view === 'vocab' || view === 'lineage') ? 80 : 280, position:'relative', transition:'height 0.2s', touchAction: view === 'field' ? 'none' : 'auto', cursor: view !== 'field' ? 'default' : hover ? 'pointer' : camera.zoom > 1 ? 'grab' : 'default' }}>
         <canvas ref={canvasRef} style={{ position:'absolute', top:0, left:0, width:'100%', height:'100%' }} />
+        {/* Hover tooltip — compact, read straight from the snapshot view */}
+        {view === 'field' && hover && hover.id !== selectedId && (() => {
+          const g = clientRef.current?.view?.glyphs.get(hover.id);
+          if (!g) return null;
+          const flip = hover.x > (containerRef.current?.clientWidth || 0) - 150;
+          return (
+            <div style={{ position:'absolute', left: flip ? undefined : hover.x + 12, right: flip ? (containerRef.current.clientWidth - hover.x + 12) : undefined, top: Math.max(0, hover.y - 10), pointerEvents:'none', padding:'3px 6px', background:'rgba(10,9,8,0.92)', border:`1px solid ${CULTURES[g.culture]?.color || '#333'}`, borderRadius:3, fontSize:9, fontFamily:'monospace', color:'#c8b898', whiteSpace:'nowrap' }}>
+              <span style={{ color:'#00ffcc', fontWeight:'bold' }}>{g.id}</span> {cultures[g.culture]?.label || g.culture || '—'}{g.isConcept ? ' ◆' : ''}{g.isAttractor ? ' ★' : ''}{g.isReflex ? ` ▲${g.reflexType}` : ''}
+              <div style={{ color:'#7ae6d6' }}>{g.tags.filter(t => !t.startsWith('gen:')).slice(0, 3).join(' · ')}</div>
+              <div style={{ color:'#3aaa9a' }}>H {g.entropy.toFixed(0)} · stab {g.stability.toFixed(2)} · gen {g.generation}</div>
+            </div>
+          );
+        })()}
+        {/* Inspector — full detail for the clicked glyph */}
+        {view === 'field' && inspected && (() => {
+          const d = inspected;
+          const ts = d.thermodynamicState;
+          const row = (label, value, color = '#c8b898') => (<div style={{ display:'flex', justifyContent:'space-between' }}><span style={{ color:'#2a8a8a' }}>{label}</span><span style={{ color, fontFamily:'monospace' }}>{value}</span></div>);
+          const idLink = (id, color = '#7ae6d6', extra = {}) => (<span key={id} onClick={() => setSelectedId(id)} style={{ cursor:'pointer', color, fontFamily:'monospace', ...extra }}>{id}</span>);
+          const depths = [...new Set(d.lineage.map(l => l.depth))];
+          return (
+            <div onClick={e => e.stopPropagation()} onPointerMove={e => e.stopPropagation()} style={{ position:'absolute', top:4, right:4, bottom:4, width:220, overflow:'auto', padding:'6px 8px', background:'rgba(10,9,8,0.94)', border:`1px solid ${d.culled ? '#444' : 'rgba(0,255,204,0.25)'}`, borderRadius:4, fontSize:9, color:'#c8b898', cursor:'default' }}>
+              <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:4 }}>
+                <span style={{ fontSize:11, fontWeight:'bold', fontFamily:'monospace', color: d.culled ? '#666' : '#00ffcc', textDecoration: d.culled ? 'line-through' : 'none' }}>{d.id}</span>
+                <span>
+                  <span onClick={() => (camera.follow === d.id ? moveCamera({ follow: null }) : followGlyph(d.id))} style={{ cursor:'pointer', color: camera.follow === d.id ? '#00ffcc' : '#2a8a8a', marginRight:8 }}>FOLLOW</span>
+                  <span onClick={() => updateLogFilter({ glyph: d.id })} style={{ cursor:'pointer', color:'#ffee44', marginRight:8 }}>LOG</span>
+                  <span onClick={() => setSelectedId(null)} style={{ cursor:'pointer', color:'#ff6b6b' }}>✕</span>
+                </span>
+              </div>
+              {d.culled && <div style={{ color:'#ff6b6b', marginBottom:4 }}>Culled — showing last known state</div>}
+              <div style={{ marginBottom:4 }}>
+                <span style={{ color: cultures[d.culture]?.color || '#dcdcdc' }}>{cultures[d.culture]?.label || d.culture || 'no culture'}</span>
+                {d.isConcept && <span style={{ color:'#daa520' }}> ◆ concept</span>}
+                {d.isAttractor && <span style={{ color:'#ff6b6b' }}> ★ attractor</span>}
+                {d.isReflex && <span style={{ color:'#00ffcc' }}> ▲ {d.reflexType}</span>}
+                {d.isDampener && <span style={{ color:'#4466aa' }}> ❄ dampener</span>}
+                {d.entrained && <span style={{ color:'#ff4466' }}> ◌ entrained</span>}
+              </div>
+              <div style={{ marginBottom:4, lineHeight:1.5 }}>
+                {d.tags.slice(0, 10).map((t, i) => <span key={i} style={{ display:'inline-block', padding:'0 3px', margin:'1px 2px 1px 0', background:'rgba(122,230,214,0.08)', borderRadius:2, color:'#7ae6d6' }}>{t}</span>)}
+                {d.tags.length > 10 && <span style={{ color:'#555' }}> +{d.tags.length - 10}</span>}
+              </div>
+              {row('born', `gen ${d.generation} · ${d.seasonBorn || '—'} · age ${d.age}`)}
+              <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginTop:5 }}>THERMODYNAMICS</div>
+              {ts ? (<>
+                {row('H', ts.H.toFixed(1), '#ff8800')}
+                {row('dH/dt', ts.dH_dt.toFixed(2), ts.dH_dt >= 0 ? '#b4c864' : '#00aaff')}
+                {row('τ coherence', ts.tau_coherence > 1e4 ? '∞' : ts.tau_coherence.toFixed(3))}
+                {row('φ phase', ts.phi_phase.toFixed(3))}
+              </>) : <div style={{ color:'#555' }}>not yet measured</div>}
+              <Sparkline values={d.entropyHistory} width={204} height={28} color="#ff8800" />
+              {row('mass', d.mass.toFixed(0))}
+              {row('stability', d.stability.toFixed(3), '#b4c864')}
+              {row('influence', d.influenceScore.toFixed(2), '#ff6b6b')}
+              {row('priority', d.priority.toFixed(3))}
+              {row('mutation', d.mutationRate.toFixed(3))}
+              {d.attractor && (<>
+                <div style={{ fontSize:7, color:'#ff6b6b', letterSpacing:'0.1em', marginTop:5 }}>ATTRACTOR</div>
+                {row('discovered', `gen ${d.attractor.discovered}`)}
+                {row('episodes', `${d.attractor.episodes.length}${d.attractor.episodes.length ? ` (… ${d.attractor.episodes.slice(-3).join(', ')})` : ''}`)}
+                {d.attractor.proxyFor && row('proxy for', d.attractor.proxyFor)}
+              </>)}
+              <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginTop:5 }}>ANCESTRY — {d.lineage.length} ancestors</div>
+              {d.lineage.length === 0 && <div style={{ color:'#555' }}>Root glyph</div>}
+              {depths.map(depth => (
+                <div key={depth} style={{ display:'flex', gap:4, flexWrap:'wrap' }}>
+                  <span style={{ color:'#555', fontFamily:'monospace' }}>-{depth}</span>
+                  {d.lineage.filter(l => l.depth === depth).map(l => l.alive ? idLink(l.id, cultures[l.culture]?.color || '#dcdcdc') : <span key={l.id} style={{ color:'#444', fontFamily:'monospace', textDecoration:'line-through' }}>{l.id}</span>)}
+                </div>
+              ))}
+              <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginTop:5 }}>RESONANT PARTNERS — {d.partnerCount}</div>
+              {d.partners.length === 0 && <div style={{ color:'#555' }}>None above ρc</div>}
+              {d.partners.map(p => (
+                <div key={p.id} style={{ display:'flex', justifyContent:'space-between' }}>
+                  {idLink(p.id, cultures[p.culture]?.color || '#dcdcdc')}
+                  <span style={{ color:'#00aaff', fontFamily:'monospace' }}>ρ {p.score.toFixed(3)}</span>
+                </div>
+              ))}
+            </div>
+          );
+        })()}
       </div>
 
+      {/* ─── CAMERA ─── */}
+      {view === 'field' && (
+        <div style={{ display:'flex', gap:4, alignItems:'center', padding:'4px 10px 0', fontSize:8, color:'#2a8a8a', fontFamily:'monospace' }}>
+          <Btn onClick={() => zoomBy(1 / 1.5)} disabled={camera.zoom <= 1} style={{ padding:'2px 7px' }}>−</Btn>
+          <span style={{ minWidth:30, textAlign:'center' }}>{camera.zoom.toFixed(1)}×</span>
+          <Btn onClick={() => zoomBy(1.5)} disabled={camera.zoom >= MAX_ZOOM} style={{ padding:'2px 7px' }}>+</Btn>
+          <Btn onClick={() => moveCamera({ ...DEFAULT_CAMERA, follow: null })} disabled={camera.zoom === 1 && !camera.follow} style={{ padding:'2px 6px' }}>FIT</Btn>
+          <Btn onClick={() => followGlyph(selectedId)} disabled={!selectedId} style={{ padding:'2px 6px' }}>◎ SELECTED</Btn>
+          <Btn onClick={followTopAttractor} disabled={!stats.attractors} style={{ padding:'2px 6px', color:'#ff6b6b' }}>★ ATTRACTOR</Btn>
+          {camera.follow
+            ? <span onClick={() => moveCamera({ follow: null })} style={{ marginLeft:'auto', color:'#00ffcc', cursor:'pointer' }}>following {camera.follow} ✕</span>
+            : <span style={{ marginLeft:'auto' }}>wheel / pinch zoom · drag pan</span>}
+        </div>
+      )}
+
+      {/* ─── OBSERVABLE SERIES ─── */}
+      {view === 'series' && (() => {
+        const fmt = (v) => (!Number.isFinite(v) ? '—' : Math.abs(v) >= 1000 || (v !== 0 && Math.abs(v) < 0.01) ? v.toExponential(2) : v.toFixed(3));
+        const n = series ? series.generation.length : 0;
+        return (
+          <div style={{ margin:'4px 10px 0', padding:8, background:'#0f0e0b', border:'1px solid rgba(0,255,204,0.12)', borderRadius:4 }}>
+            <div style={{ display:'flex', gap:4, alignItems:'center', marginBottom:6 }}>
+              <span style={{ fontSize:9, color:'#00ffcc', letterSpacing:'0.12em', fontWeight:'bold' }}>OBSERVABLES</span>
+              <Btn onClick={() => setSeriesHidden(new Set())} style={{ padding:'2px 6px', fontSize:8 }}>ALL</Btn>
+              <Btn onClick={() => setSeriesHidden(new Set(OBSERVABLE_SERIES.map(c => c.key)))} style={{ padding:'2px 6px', fontSize:8 }}>NONE</Btn>
+              <span style={{ marginLeft:'auto', display:'flex', gap:4 }}>
+                <Btn onClick={() => doExportSeries('csv')} disabled={!n} style={{ padding:'2px 8px', fontSize:8, color:'#00aaff' }}>CSV</Btn>
+                <Btn onClick={() => doExportSeries('json')} disabled={!n} style={{ padding:'2px 8px', fontSize:8, color:'#00aaff' }}>COLUMNAR JSON</Btn>
+              </span>
+            </div>
+            <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(150px, 1fr))', gap:3 }}>
+              {OBSERVABLE_SERIES.map(({ key, label }) => {
+                const values = series?.columns[key];
+                const range = n ? seriesRange(values) : null;
+                const off = seriesHidden.has(key);
+                return (
+                  <div key={key} onClick={() => toggleSeries(key)} style={{ display:'flex', alignItems:'baseline', gap:5, padding:'3px 6px', background:'#0a0908', border:`1px solid ${off ? '#1a1810' : (SERIES_COLORS[key] || '#dcdcdc') + '55'}`, borderRadius:3, cursor:'pointer', opacity: off ? 0.4 : 1, fontFamily:'monospace' }}>
+                    <span style={{ color: SERIES_COLORS[key], fontSize:10 }}>●</span>
+                    <span style={{ color:'#c8b898', fontSize:10, minWidth:28 }}>{label}</span>
+                    <span style={{ color:'#daa520', fontSize:9 }}>{n ? fmt(values[n - 1]) : '—'}</span>
+                    {range && <span style={{ marginLeft:'auto', color:'#2a8a8a', fontSize:7 }}>{fmt(range.min)}…{fmt(range.max)}</span>}
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* ─── CULTURE DYNAMICS ─── */}
+      {view === 'cultures' && (() => {
+        const d = cultureDyn;
+        const colorOf = (name) => (name === HYBRID_CULTURE ? '#dcdcdc' : cultures[name]?.color || '#666');
+        const labelOf = (name) => (name === HYBRID_CULTURE ? 'Hybrid' : cultures[name]?.label || name);
+        const last = (col) => (col && col.length ? col[col.length - 1] : NaN);
+        const rows = d ? Object.entries(d.cultures).map(([name, c]) => ({ name, now: Object.fromEntries(CULTURE_SERIES.map(({ key }) => [key, last(c.columns[key])])) })).sort((x, y) => y.now.share - x.now.share) : [];
+        const chord = d ? layoutChord(d.fusions) : null;
+        const R = 70, C = 95;
+        const pt = (a, r = R) => `${(C + Math.sin(a) * r).toFixed(1)},${(C - Math.cos(a) * r).toFixed(1)}`;
+        const arcTo = (a0, a1, r = R) => `A${r},${r} 0 ${a1 - a0 > Math.PI ? 1 : 0} 1 ${pt(a1, r)}`;
+        const maxFusion = chord ? Math.max(...chord.ribbons.map(r => r.count)) : 1;
+        return (
+          <div style={{ margin:'4px 10px 0', padding:8, background:'#0f0e0b', border:'1px solid rgba(180,100,255,0.15)', borderRadius:4 }}>
+            <div style={{ display:'flex', gap:4, alignItems:'center', marginBottom:6, flexWrap:'wrap' }}>
+              <span style={{ fontSize:9, color:'#b464ff', letterSpacing:'0.12em', fontWeight:'bold' }}>CULTURE DYNAMICS</span>
+              {CULTURE_SERIES.map(({ key, label }) => (<Btn key={key} onClick={() => setCultureMetric(key)} style={{ padding:'2px 6px', fontSize:8, color: cultureMetric === key ? '#b464ff' : '#555' }}>{label.toUpperCase()}</Btn>))}
+              {d && <span style={{ fontSize:8, color:'#3aaa9a', fontFamily:'monospace' }}>cross {fmtNum(last(d.global.columns.crossRate) * 100)}% · {fmtNum(last(d.global.columns.collisionRate))} coll/gen · last {d.window} gen</span>}
+              <span style={{ marginLeft:'auto', display:'flex', gap:4 }}>
+                <Btn onClick={() => doExportCultureDynamics('csv')} disabled={!rows.length} style={{ padding:'2px 8px', fontSize:8, color:'#00aaff' }}>CSV</Btn>
+                <Btn onClick={() => doExportCultureDynamics('json')} disabled={!rows.length} style={{ padding:'2px 8px', fontSize:8, color:'#00aaff' }}>JSON</Btn>
+              </span>
+            </div>
+            <div style={{ display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(170px, 1fr))', gap:3, marginBottom:6 }}>
+              {rows.map(({ name, now }) => (
+                <div key={name} style={{ display:'flex', alignItems:'baseline', gap:5, padding:'3px 6px', background:'#0a0908', border:`1px solid ${colorOf(name)}44`, borderRadius:3, fontFamily:'monospace', fontSize:9 }}>
+                  <span style={{ color: colorOf(name), fontSize:10 }}>●</span>
+                  <span style={{ color:'#c8b898', minWidth:52 }}>{labelOf(name)}</span>
+                  <span style={{ color:'#daa520' }}>{fmtNum(now.share * 100)}%</span>
+                  <span style={{ marginLeft:'auto', color:'#2a8a8a', fontSize:8 }}>H {Math.round(now.entropy)} · ★{now.attractors} · ⇌{fmtNum(now.crossRate * 100)}%</span>
+                </div>
+              ))}
+            </div>
+            <div style={{ display:'flex', gap:10, flexWrap:'wrap', alignItems:'flex-start' }}>
+              {/* Fusion chord — ribbon width ∝ cross-culture collisions between the pair */}
+              <div>
+                <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginBottom:2 }}>FUSIONS{d?.since ? ` since gen ${d.since}` : ''}</div>
+                {chord ? (
+                  <svg width={C * 2} height={C * 2} style={{ display:'block' }}>
+                    {chord.ribbons.map(r => (
+                      <path key={`${r.a}|${r.b}`} d={`M${pt(r.a0)} ${arcTo(r.a0, r.a1)} Q${C},${C} ${pt(r.b0)} ${arcTo(r.b0, r.b1)} Q${C},${C} ${pt(r.a0)}Z`}
+                        fill={colorOf(r.a)} fillOpacity={0.25 + 0.45 * r.count / maxFusion} stroke={colorOf(r.b)} strokeOpacity={0.6} strokeWidth={0.6}>
+                        <title>{`${labelOf(r.a)} ⇌ ${labelOf(r.b)}: ${r.count}`}</title>
+                      </path>
+                    ))}
+                    {chord.arcs.map(a => (
+                      <path key={a.name} d={`M${pt(a.start, R + 5)} ${arcTo(a.start, a.end, R + 5)}`} fill="none" stroke={colorOf(a.name)} strokeWidth={7}>
+                        <title>{`${labelOf(a.name)}: ${a.total} fusion ends`}</title>
+                      </path>
+                    ))}
+                  </svg>
+                ) : <div style={{ width:C * 2, fontSize:9, color:'#444', padding:'20px 0', textAlign:'center' }}>no cross-culture collisions yet</div>}
+              </div>
+              {/* Which lens wins each season: most generations with the largest share */}
+              <div style={{ flex:1, minWidth:200 }}>
+                <div style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em', marginBottom:2 }}>DOMINANCE BY SEASON</div>
+                <table style={{ width:'100%', borderCollapse:'collapse', fontSize:9, fontFamily:'monospace' }}>
+                  <tbody>
+                    {/* Configured phases first, then any the run passed through before they were removed */}
+                    {Array.from(new Set([...Object.keys(phases), ...Object.keys(d?.seasons || {})])).map(season => {
+                      const t = d?.seasons[season];
+                      return (
+                        <tr key={season} style={{ borderBottom:'1px solid #1a1810' }}>
+                          <td style={{ color: phases[season]?.color || '#daa520', padding:'2px 4px' }}>{season}</td>
+                          <td style={{ color: t?.winner ? colorOf(t.winner) : '#444', padding:'2px 4px' }}>{t?.winner ? labelOf(t.winner) : '—'}</td>
+                          <td style={{ color:'#2a8a8a', padding:'2px 4px', fontSize:8 }}>
+                            {t ? t.cultures.slice(0, 3).map(c => `${labelOf(c.name)} ${fmtNum(c.meanShare * 100)}%`).join(' · ') : ''}
+                          </td>
+                          <td style={{ color:'#444', padding:'2px 4px', fontSize:8, textAlign:'right' }}>{t ? `${t.generations} gen` : ''}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </div>
+        );
+      })()}
+
+      {/* ─── LINEAGE VIEW ─── */}
+      {view === 'lineage' && (() => {
+        const engine = clientRef.current?.view;
+        if (!engine) return null;
+        const topAttractors = Array.from(engine.glyphs.values()).filter(g => g.isAttractor).sort((a, b) => b.influenceScore - a.influenceScore).slice(0, 5);
+        const layout = lineage && lineage.root === lineageRoot ? layoutLineage(lineage, collapsed) : null;
+        const stepDepth = (key, delta) => setLineageDepth(d => ({ ...d, [key]: Math.max(key === 'up' ? 0 : 1, Math.min(16, d[key] + delta)) }));
+        const ctl = { padding:'2px 6px', fontSize:8 };
+        return (
+          <div style={{ margin:'0 10px', padding:10, background:'#0f0e0b', border:'1px solid rgba(0,255,204,0.12)', borderRadius:4 }}>
+            <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:6 }}>
+              <span style={{ fontSize:9, color:'#00ffcc', letterSpacing:'0.12em', fontWeight:'bold' }}>LINEAGE{lineageRoot ? ` — ${lineageRoot}` : ''}</span>
+              {lineage && <span style={{ fontSize:8, color:'#3aaa9a', fontFamily:'monospace' }}>{lineage.nodes.length} nodes{lineage.truncated ? ' (truncated)' : ''} · registry {lineage.registry}</span>}
+            </div>
+            <div style={{ display:'flex', gap:4, flexWrap:'wrap', alignItems:'center', marginBottom:6 }}>
+              <input value={lineageInput} onChange={e => setLineageInput(e.target.value)} onKeyDown={e => e.key === 'Enter' && lineageInput.trim() && rerootLineage(lineageInput.trim().toLowerCase())} placeholder="root glyph id" style={{ width:90, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'3px 6px', fontSize:10, fontFamily:'monospace' }} />
+              <Btn onClick={() => rerootLineage(selectedId)} disabled={!selectedId} style={ctl}>◎ SELECTED</Btn>
+              {topAttractors.map(g => <Btn key={g.id} onClick={() => rerootLineage(g.id)} style={{ ...ctl, color: g.id === lineageRoot ? '#ff6b6b' : '#884444' }}>★ {g.id}</Btn>)}
+              <span style={{ marginLeft:'auto', fontSize:8, color:'#2a8a8a', fontFamily:'monospace' }}>
+                ↑<Btn onClick={() => stepDepth('up', -1)} style={ctl}>−</Btn>{lineageDepth.up}<Btn onClick={() => stepDepth('up', 1)} style={ctl}>+</Btn>
+                {' '}↓<Btn onClick={() => stepDepth('down', -1)} style={ctl}>−</Btn>{lineageDepth.down}<Btn onClick={() => stepDepth('down', 1)} style={ctl}>+</Btn>
+              </span>
+            </div>
+            {!lineageRoot && <div style={{ fontSize:10, color:'#2a8a8a', padding:'12px 0', textAlign:'center' }}>Select a glyph in the field or pick an attractor to trace its lineage.</div>}
+            {lineageRoot && lineage === null && <div style={{ fontSize:10, color:'#2a8a8a', padding:'12px 0', textAlign:'center' }}>{lineageRoot} is not in the genealogy registry.</div>}
+            {layout && (
+              <div style={{ overflow:'auto', maxHeight:'60vh', WebkitOverflowScrolling:'touch', background:'#0a0908', borderRadius:3 }}>
+                <svg width={Math.max(layout.width, 200)} height={layout.height} style={{ display:'block', fontFamily:'monospace' }}>
+                  {layout.edges.map((e, i) => <line key={i} x1={e.from.x} y1={e.from.y} x2={e.to.x} y2={e.to.y} stroke={e.to.alive ? 'rgba(122,230,214,0.3)' : 'rgba(120,120,120,0.2)'} strokeWidth={1} />)}
+                  {layout.proxyEdges.map((e, i) => <line key={`p${i}`} x1={e.from.x} y1={e.from.y} x2={e.to.x} y2={e.to.y} stroke="#ff6b6b" strokeWidth={1} strokeDasharray="3 2" />)}
+                  {layout.nodes.map(n => {
+                    const fill = n.known ? (cultures[n.culture]?.color || '#dcdcdc') : '#333';
+                    const ring = phases[n.seasonBorn]?.color || '#444';
+                    const tip = `${n.id}${n.culture ? ` · ${n.culture}` : ''}${n.seasonBorn ? ` · born ${n.seasonBorn}` : ''}${n.born != null ? ` gen ${n.born}` : ''}`
+                      + `${!n.known ? ' · not in registry' : n.alive ? '' : ` · culled gen ${n.culled} (${n.reason})`}${n.isAttractor ? ' · attractor' : ''}${n.proxyFor ? ` · proxy for ${n.proxyFor}` : ''}${n.proxiedBy ? ` · proxied by ${n.proxiedBy}` : ''}`
+                      + `${n.expandable ? '\nclick: collapse/expand · double-click: re-root' : '\ndouble-click: re-root'}`;
+                    return (
+                      <g key={n.id} transform={`translate(${n.x},${n.y})`} onClick={() => n.expandable && toggleCollapsed(n.id)} onDoubleClick={() => rerootLineage(n.id)} style={{ cursor:'pointer' }} opacity={n.alive ? 1 : 0.45}>
+                        <title>{tip}</title>
+                        {n.isAttractor && <circle r={10} fill="none" stroke="#ff6b6b" strokeWidth={1.2} strokeDasharray={n.alive ? undefined : '2 2'} />}
+                        {n.proxiedBy && <circle r={10} fill="none" stroke="#ff6b6b" strokeWidth={1} strokeDasharray="1 2" />}
+                        {n.isConcept
+                          ? <rect x={-5} y={-5} width={10} height={10} transform="rotate(45)" fill={fill} stroke={ring} strokeWidth={2} />
+                          : <circle r={n.isReflex ? 5 : 6} fill={n.alive ? fill : '#1a1810'} stroke={n.alive ? ring : fill} strokeWidth={2} strokeDasharray={n.alive ? undefined : '2 1'} />}
+                        {!n.alive && <text y={3} textAnchor="middle" fontSize={8} fill="#888">✕</text>}
+                        {n.id === lineageRoot && <circle r={13} fill="none" stroke="#00ffcc" strokeWidth={1} />}
+                        <text y={18} textAnchor="middle" fontSize={7} fill={n.id === lineageRoot ? '#00ffcc' : '#7a8a7a'}>{n.id}</text>
+                        {n.hidden > 0 && <text x={9} y={-6} fontSize={7} fill="#daa520">+{n.hidden}</text>}
+                      </g>
+                    );
+                  })}
+                </svg>
+              </div>
+            )}
+            <div style={{ display:'flex', gap:8, flexWrap:'wrap', marginTop:6, fontSize:8, color:'#3aaa9a' }}>
+              <span>fill = culture · ring = season born</span>
+              {Object.entries(phases).map(([season, mod]) => <span key={season} style={{ color: mod.color }}>● {season}</span>)}
+              <span style={{ color:'#888' }}>✕ culled</span>
+              <span style={{ color:'#ff6b6b' }}>◯ attractor · ┄ proxy link</span>
+            </div>
+          </div>
+        );
+      })()}
+
       {/* ─── ATTRACTOR TRACKING PANEL ─── */}
       {view === 'attractors' && (() => {
-        const engine = engineRef.current;
+        const engine = clientRef.current?.view;
         if (!engine) return null;
         const attractorGlyphs = Array.from(engine.glyphs.values()).filter(g => g.isAttractor).sort((a, b) => b.influenceScore - a.influenceScore);
         const attrMeta = engine.conceptualAttractors;
@@ -2320,7 +2292,7 @@ const TheCrucible = () => {
 
       {/* ─── REFLEX TRACKING PANEL ─── */}
       {view === 'reflexes' && (() => {
-        const engine = engineRef.current;
+        const engine = clientRef.current?.view;
         if (!engine) return null;
         const reflexGlyphs = Array.from(engine.glyphs.values()).filter(g => g.isReflex).sort((a, b) => b.generation - a.generation);
         // Type counts
@@ -2399,7 +2371,7 @@ const TheCrucible = () => {
       })()}
 
       {view === 'vocab' && (() => {
-        const engine = engineRef.current;
+        const engine = clientRef.current?.view;
         if (!engine) return null;
         const base = engine.tags.filter(t => !engine.evolvedTags.includes(t));
         const evolved = engine.evolvedTags;
@@ -2525,6 +2497,7 @@ const TheCrucible = () => {
               <span style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em' }}>DEPTH</span>
               {['shallow','medium','deep'].map(d => (<Btn key={d} onClick={() => setDepth(d)} style={{ color: depth === d ? '#daa520' : '#555' }}>{d.toUpperCase()}</Btn>))}
             </div>
+            <Btn onClick={() => setTaxonomyCultures(!taxonomyCultures)} disabled={pipelineRunning} style={{ color: taxonomyCultures ? '#ffd166' : '#555' }}>🗂️ CLUSTERS → CULTURES</Btn>
             <div style={{ display:'flex', gap:3, alignItems:'center' }}>
               <span style={{ fontSize:7, color:'#2a8a8a', letterSpacing:'0.1em' }}>STAGES</span>
               {STAGES.map(s => (
@@ -2568,14 +2541,44 @@ const TheCrucible = () => {
 
       {/* ─── ENGINE LOG ─── */}
       <div style={{ padding:'0 10px 12px' }}>
-        <div style={{ fontSize:8, color:'#2a8a8a', letterSpacing:'0.12em', marginBottom:4, marginTop:8 }}>ENGINE LOG</div>
-        <div style={{ maxHeight:120, overflow:'auto', padding:'6px 8px', background:'#0f0e0b', borderRadius:4, border:'1px solid #1a1810' }}>
-          {logs.length === 0 && <div style={{ color:'#1a6b6b', fontSize:9 }}>No events.</div>}
-          {logs.slice(0, 20).map((log, i) => {
-            const colors = { collision:'#ff8800', resonance:'#00aaff', concept:'#daa520', synthesis:'#b4c864', analysis:'#ff44cc', evolution:'#5acebe', helix:'#00ffcc', scan:'#ff4466', pool:'#b464ff', info:'#00ff00', season:'#16C0FF', reflex:'#00ffcc', attractor:'#ff6b6b' };
-            return (<div key={i} style={{ padding:'2px 0', borderLeft:`2px solid ${colors[log.type] || '#333'}`, paddingLeft:6, marginBottom:1 }}><span style={{ fontSize:8, color:'#2a2a1a', fontFamily:'monospace' }}>g{log.gen} </span><span style={{ fontSize:9, color:'#7ae6d6' }}>{log.msg}</span></div>);
+        <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginBottom:4, marginTop:8 }}>
+          <span style={{ fontSize:8, color:'#2a8a8a', letterSpacing:'0.12em' }}>ENGINE LOG{eventStoreRef.current ? ` · ${eventStoreRef.current.backend}` : ''}</span>
+          <div style={{ display:'flex', gap:3 }}>
+            <Btn onClick={doExportEvents} style={{ padding:'2px 5px', fontSize:8 }}>NDJSON</Btn>
+            <Btn onClick={doClearEvents} style={{ padding:'2px 5px', fontSize:8, color:'#ff6b6b' }}>CLEAR</Btn>
+          </div>
+        </div>
+        <div style={{ display:'flex', gap:3, flexWrap:'wrap', marginBottom:4 }}>
+          {LOG_FILTER_KINDS.map(kind => {
+            const on = logFilter.kinds.includes(kind);
+            return (<Btn key={kind} onClick={() => updateLogFilter({ kinds: on ? logFilter.kinds.filter(k => k !== kind) : [...logFilter.kinds, kind] })} style={{ padding:'2px 5px', fontSize:8, color: on ? LOG_COLORS[kind] : '#444', borderColor: on ? LOG_COLORS[kind] + '60' : '#1a1810' }}>{kind}</Btn>);
           })}
         </div>
+        <div style={{ display:'flex', gap:4, marginBottom:4 }}>
+          <input value={logFilter.glyph} onChange={e => updateLogFilter({ glyph: e.target.value })} placeholder="glyph id (e.g. g0042)" style={{ flex:1, minWidth:0, background:'#0a0908', border:`1px solid ${logFilter.glyph.trim() ? '#ffee44' : '#1a1810'}`, borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+          <input type="number" min={0} value={logFilter.from} onChange={e => updateLogFilter({ from: e.target.value })} placeholder="from gen" style={{ width:64, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+          <input type="number" min={0} value={logFilter.to} onChange={e => updateLogFilter({ to: e.target.value })} placeholder="to gen" style={{ width:64, background:'#0a0908', border:'1px solid #1a1810', borderRadius:3, color:'#c8b898', padding:'4px 6px', fontSize:10, fontFamily:'monospace' }} />
+        </div>
+        <div style={{ maxHeight:240, overflow:'auto', padding:'6px 8px', background:'#0f0e0b', borderRadius:4, border:'1px solid #1a1810' }}>
+          {logError && <div style={{ color:'#ff6b6b', fontSize:9 }}>{logError}</div>}
+          {!logError && logRows.rows.length === 0 && <div style={{ color:'#1a6b6b', fontSize:9 }}>No events.</div>}
+          {logRows.rows.map(row => (
+            <div key={row.seq} style={{ padding:'2px 0', borderLeft:`2px solid ${LOG_COLORS[row.kind] || '#333'}`, paddingLeft:6, marginBottom:1 }}>
+              <span style={{ fontSize:8, color:'#2a2a1a', fontFamily:'monospace' }}>g{row.gen} </span>
+              <span style={{ fontSize:9, color:'#7ae6d6' }}>
+                {/* Glyph ids in the message are links into the search */}
+                {row.msg.split(/\b(g\d{4,})\b/).map((part, i) => i % 2 === 1
+                  ? <span key={i} onClick={() => updateLogFilter({ glyph: part })} style={{ cursor:'pointer', textDecoration:'underline', color: part === logFilter.glyph.trim() ? '#ffee44' : '#7ae6d6' }}>{part}</span>
+                  : part)}
+              </span>
+            </div>
+          ))}
+        </div>
+        <div style={{ display:'flex', justifyContent:'space-between', alignItems:'center', marginTop:4 }}>
+          <Btn onClick={() => setLogPage(p => Math.max(0, p - 1))} disabled={logPage === 0} style={{ padding:'2px 8px', fontSize:8 }}>◀ NEWER</Btn>
+          <span style={{ fontSize:8, color:'#2a8a8a', fontFamily:'monospace' }}>page {logPage + 1}{logPage === 0 ? ' · live' : ''}</span>
+          <Btn onClick={() => setLogPage(p => p + 1)} disabled={!logRows.hasMore} style={{ padding:'2px 8px', fontSize:8 }}>OLDER ▶</Btn>
+        </div>
       </div>
 
       {/* ─── FOOTER ─── */}
@@ -2587,6 +2590,13 @@ const TheCrucible = () => {
   );
 };
 
+function Sparkline({ values, width, height, color }) {
+  if (values.length < 2) return null;
+  const min = Math.min(...values), max = Math.max(...values), span = max - min || 1;
+  const points = values.map((v, i) => `${(i / (values.length - 1) * width).toFixed(1)},${(height - 1 - (v - min) / span * (height - 2)).toFixed(1)}`).join(' ');
+  return (<svg width={width} height={height} style={{ display:'block', margin:'3px 0' }}><polyline points={points} fill="none" stroke={color} strokeWidth={1} /></svg>);
+}
+
 function Btn({ children, onClick, disabled, style = {} }) {
   return (<button onClick={onClick} disabled={disabled} style={{ padding:'6px 5px', fontSize:9, fontWeight:'bold', fontFamily:'monospace', border:'1px solid #1a1810', borderRadius:3, background:'#0f0e0b', color:'#daa520', cursor: disabled ? 'not-allowed' : 'pointer', letterSpacing:'0.05em', ...style }}>{children}</button>);
 }
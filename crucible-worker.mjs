@@ -0,0 +1,11 @@
+// ═══════════════════════════════════════════════════════════
+//  CRUCIBLE WORKER — dedicated Web Worker entry point
+//  new Worker(new URL('./crucible-worker.mjs', import.meta.url), { type: 'module' })
+// ═══════════════════════════════════════════════════════════
+
+import { createEngineHost } from './crucible-host.mjs';
+
+const handle = createEngineHost((msg, transfer = []) => self.postMessage(msg, transfer));
+self.onmessage = (e) => handle(e.data);
+// Tells the client the module loaded — errors after this are runtime errors, not a reason to fall back
+self.postMessage({ type: 'ready' });